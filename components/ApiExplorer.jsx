@@ -2,6 +2,7 @@ import { useState, useEffect, forwardRef, useImperativeHandle } from 'react';
 import { Code, Server, SendHorizontal, Play, ArrowRight, RefreshCw } from 'lucide-react';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/cjs/styles/prism';
+import { getSourceUrl, formatLineRange } from '../lib/utils';
 
 const ApiExplorer = forwardRef(({ 
   repositoryInfo, 
@@ -47,12 +48,13 @@ const ApiExplorer = forwardRef(({
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          repoId: `${repositoryInfo.owner.name}/${repositoryInfo.name}`,
+          repoId: repositoryInfo.repoId,
         }),
       });
 
       if (!response.ok) {
-        throw new Error('Failed to fetch API data');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.reindexRequired ? data.error : 'Failed to fetch API data');
       }
 
       const data = await response.json();
@@ -330,7 +332,21 @@ const ApiExplorer = forwardRef(({
               <div className="mb-6 bg-gray-50 rounded-lg p-3 text-sm">
                 <div className="flex items-center text-gray-500 mb-2">
                   <Code size={14} className="mr-1" />
-                  <span>Source: <span className="font-mono">{activeEndpoint.sourcePath}</span></span>
+                  <span>
+                    Source:{' '}
+                    {activeEndpoint.startLine ? (
+                      <a
+                        href={getSourceUrl(repositoryInfo, activeEndpoint.sourcePath, activeEndpoint.startLine, activeEndpoint.endLine)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="font-mono text-blue-600 hover:underline"
+                      >
+                        {activeEndpoint.sourcePath}:{formatLineRange(activeEndpoint.startLine, activeEndpoint.endLine)}
+                      </a>
+                    ) : (
+                      <span className="font-mono">{activeEndpoint.sourcePath}</span>
+                    )}
+                  </span>
                 </div>
                 {activeEndpoint.relatedFiles && activeEndpoint.relatedFiles.length > 0 && (
                   <div>
@@ -3,6 +3,7 @@ import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/cjs/styles/prism';
 import { Copy, CheckCircle, Github } from 'lucide-react';
 import CodePushComponent from './CodePushComponent';
+import { getSourceUrl, formatChunkLocation, getProviderLabel } from '../lib/utils';
 
 export default function ChatInterface({ 
   repositoryInfo,
@@ -10,6 +11,7 @@ export default function ChatInterface({
 }) {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
+  const [scope, setScope] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [processingStats, setProcessingStats] = useState({
     chunkCount: 0,
@@ -24,6 +26,10 @@ export default function ChatInterface({
   });
   const messagesEndRef = useRef(null);
   
+  // Local directories and uploads have no code host to push to
+  const canPush = Boolean(repositoryInfo) && !['local', 'upload'].includes(repositoryInfo.provider);
+  const providerLabel = getProviderLabel(repositoryInfo?.provider);
+  
   // Set input when initialPrompt prop changes
   useEffect(() => {
     if (initialPrompt && initialPrompt.trim() !== '') {
@@ -70,16 +76,20 @@ export default function ChatInterface({
         },
         body: JSON.stringify({
           question: userMessage.content,
-          repoId: `${repositoryInfo.owner.name}/${repositoryInfo.name}`,
-          enhancedContext: true 
+          repoId: repositoryInfo.repoId,
+          enhancedContext: true,
+          // Optional directory or glob, e.g. "src/api" or "lib/*.js"
+          filter: scope.trim() ? { path: scope.trim() } : undefined
         }),
       });
       
-      if (!response.ok) {
+      const data = await response.json();
+      
+      // A repository indexed with another embedding model answers with a re-index prompt
+      if (!response.ok && !data.reindexRequired) {
         throw new Error('Failed to get response');
       }
       
-      const data = await response.json();
       const processingTime = ((Date.now() - startTime) / 1000).toFixed(1);
       
       setProcessingStats({
@@ -91,6 +101,9 @@ export default function ChatInterface({
         id: Date.now().toString() + '-response',
         role: 'assistant',
         content: data.answer,
+        error: Boolean(data.reindexRequired),
+        sources: data.sources,
+        definitions: data.definitions,
       };
       
       setMessages((prev) => [...prev, assistantMessage]);
@@ -121,7 +134,7 @@ export default function ChatInterface({
       });
   };
 
-  const handlePushToGitHub = (code, language) => {
+  const handlePushCode = (code, language) => {
     // Collect the recent conversation for context
     const conversationContext = {
       messages: messages.slice(-10) // Get the last 10 messages for context
@@ -213,7 +226,7 @@ export default function ChatInterface({
   };
   
   const renderMessage = (message) => {
-    const { role, content, error, id } = message;
+    const { role, content, error, id, sources, definitions } = message;
     
     const formattedContent = processMessageContent(content);
     
@@ -257,14 +270,16 @@ export default function ChatInterface({
                   <div className="bg-gray-800 px-4 py-1 text-xs text-gray-200 flex justify-between items-center">
                     <span>{part.language}</span>
                     <div className="flex space-x-2">
-                      <button 
-                        onClick={() => handlePushToGitHub(part.content, part.language)}
-                        className="text-gray-300 hover:text-white transition-colors flex items-center"
-                        title="Push to GitHub"
-                      >
-                        <Github size={14} className="mr-1" />
-                        <span>Push to GitHub</span>
-                      </button>
+                      {canPush && (
+                        <button 
+                          onClick={() => handlePushCode(part.content, part.language)}
+                          className="text-gray-300 hover:text-white transition-colors flex items-center"
+                          title={`Push to ${providerLabel}`}
+                        >
+                          <Github size={14} className="mr-1" />
+                          <span>Push to {providerLabel}</span>
+                        </button>
+                      )}
                       <button 
                         onClick={() => copyCodeToClipboard(part.content, codeBlockId)}
                         className="text-gray-300 hover:text-white transition-colors flex items-center"
@@ -298,6 +313,48 @@ export default function ChatInterface({
             return null;
           })}
         </div>
+        
+        {sources && sources.length > 0 && (
+          <div className="mt-3 pt-2 border-t border-gray-300 text-xs text-gray-600">
+            <span className="font-medium">Sources:</span>
+            <ul className="mt-1 space-y-0.5">
+              {sources.map((source) => (
+                <li key={source.id} className="font-mono truncate">
+                  <a
+                    href={getSourceUrl(repositoryInfo, source.path, source.startLine, source.endLine)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-blue-600 hover:underline"
+                  >
+                    {source.path}{source.startLine ? `:${formatChunkLocation(source)}` : ''}
+                  </a>
+                  {source.name && <span className="ml-1 text-gray-500">({source.name})</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        
+        {definitions && definitions.length > 0 && (
+          <div className="mt-2 text-xs text-gray-600">
+            <span className="font-medium">Definitions:</span>
+            <ul className="mt-1 space-y-0.5">
+              {definitions.map((definition) => (
+                <li key={`${definition.path}:${definition.startLine}`} className="font-mono truncate">
+                  <a
+                    href={getSourceUrl(repositoryInfo, definition.path, definition.startLine, definition.endLine)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-blue-600 hover:underline"
+                  >
+                    {definition.name}
+                  </a>
+                  <span className="ml-1 text-gray-500">{definition.symbolKind} in {definition.path}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
     );
   };
@@ -353,7 +410,16 @@ export default function ChatInterface({
       <form onSubmit={handleSubmit} className="flex">
         <input
           type="text"
-          className="input flex-grow mr-2 border-4 border-black w-[80%] shadow-[8px_8px_0px_0px_black] rounded-lg focus:outline-none focus:ring-0 focus:border-black" 
+          className="input mr-2 border-4 border-black w-[20%] shadow-[8px_8px_0px_0px_black] rounded-lg focus:outline-none focus:ring-0 focus:border-black" 
+          placeholder="Scope (e.g. src/api)"
+          title="Only search files under this directory or matching this glob"
+          value={scope}
+          onChange={(e) => setScope(e.target.value)}
+          disabled={isLoading}
+        />
+        <input
+          type="text"
+          className="input flex-grow mr-2 border-4 border-black w-[60%] shadow-[8px_8px_0px_0px_black] rounded-lg focus:outline-none focus:ring-0 focus:border-black" 
           placeholder="Ask a question about the codebase..."
           value={input}
           onChange={(e) => setInput(e.target.value)}
@@ -402,7 +468,7 @@ export default function ChatInterface({
         </div>
       </div>
       
-      {/* GitHub Push Dialog */}
+      {/* Push Dialog */}
       {showPushDialog && (
         <CodePushComponent
           code={selectedCode.code}
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { AlertTriangle, Check, File, HelpCircle, RefreshCw, Wrench, MessageSquare, Copy } from 'lucide-react';
+import { getSourceUrl } from '../lib/utils';
 
 export default function CodeHealth({ 
   repositoryInfo, 
@@ -42,12 +43,13 @@ export default function CodeHealth({
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          repoId: `${repositoryInfo.owner.name}/${repositoryInfo.name}`,
+          repoId: repositoryInfo.repoId,
         }),
       });
 
       if (!response.ok) {
-        throw new Error('Failed to analyze code health');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.reindexRequired ? data.error : 'Failed to analyze code health');
       }
 
       const data = await response.json();
@@ -72,7 +74,7 @@ export default function CodeHealth({
   const sendToChatbot = (issue) => {
     // Create a detailed prompt for the chatbot
     // Using specific language tag for the code block to ensure proper syntax highlighting
-    const language = determineLanguageFromPath(issue.location);
+    const language = determineLanguageFromPath(issue.path || issue.location);
     
     const prompt = `I need help fixing an issue in file "${issue.location}": ${issue.title}. 
 
@@ -103,6 +105,9 @@ Please provide a complete and improved version of this code that fixes the issue
     if (path.endsWith('.go')) return 'go';
     if (path.endsWith('.php')) return 'php';
     if (path.endsWith('.rb')) return 'ruby';
+    if (path.endsWith('.cs')) return 'csharp';
+    if (path.endsWith('.kt') || path.endsWith('.kts')) return 'kotlin';
+    if (path.endsWith('.swift')) return 'swift';
     if (path.endsWith('.rs')) return 'rust';
     if (path.endsWith('.c') || path.endsWith('.h')) return 'c';
     if (path.endsWith('.cpp') || path.endsWith('.hpp')) return 'cpp';
@@ -508,7 +513,18 @@ Please provide a complete and improved version of this code that fixes the issue
               
               <div className="mt-4">
                 <div className="text-sm text-gray-500 mb-1">Location</div>
-                <div className="font-mono text-sm bg-gray-50 p-2 rounded">{selectedIssue.location}</div>
+                <div className="font-mono text-sm bg-gray-50 p-2 rounded">
+                  {selectedIssue.path && selectedIssue.lineNumber ? (
+                    <a
+                      href={getSourceUrl(repositoryInfo, selectedIssue.path, selectedIssue.lineNumber)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:underline"
+                    >
+                      {selectedIssue.location}
+                    </a>
+                  ) : selectedIssue.location}
+                </div>
               </div>
               
               <div className="mt-4">
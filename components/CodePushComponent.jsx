@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
-import { ArrowUpRight, Check, X, Github, Loader } from 'lucide-react';
+import { ArrowUpRight, Check, X, Github, GitPullRequest, Loader } from 'lucide-react';
+import { getProviderLabel } from '../lib/utils';
 
 export default function CodePushComponent({ 
   code, 
@@ -15,6 +16,12 @@ export default function CodePushComponent({
   const [isAutoDetecting, setIsAutoDetecting] = useState(true);
   const [commitMessage, setCommitMessage] = useState('');
   const [description, setDescription] = useState('Code generated by DevInsight');
+  
+  const providerLabel = getProviderLabel(repositoryInfo.provider);
+  // GitLab calls pull requests merge requests
+  const isMergeRequest = repositoryInfo.provider === 'gitlab';
+  const requestLabel = isMergeRequest ? 'Merge Request' : 'Pull Request';
+  const ProviderIcon = repositoryInfo.provider === 'github' || !repositoryInfo.provider ? Github : GitPullRequest;
 
   
   useEffect(() => {
@@ -42,8 +49,7 @@ export default function CodePushComponent({
             'Content-Type': 'application/json',
           },
           body: JSON.stringify({
-            owner: repositoryInfo.owner.name,
-            repo: repositoryInfo.name,
+            repoId: repositoryInfo.repoId,
        
             content: "// This is just a probe request to detect file path",
             fileContext: fileContext || '',
@@ -99,8 +105,7 @@ export default function CodePushComponent({
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          owner: repositoryInfo.owner.name,
-          repo: repositoryInfo.name,
+          repoId: repositoryInfo.repoId,
           path: filePath,
           content: code,
           message: commitMessage || `Update ${filePath} via DevInsight`,
@@ -114,12 +119,12 @@ export default function CodePushComponent({
       const data = await response.json();
       
       if (!response.ok || !data.success) {
-        throw new Error(data.error || 'Failed to push to GitHub');
+        throw new Error(data.error || `Failed to push to ${providerLabel}`);
       }
       
       setResult(data);
     } catch (error) {
-      console.error('Error pushing to GitHub:', error);
+      console.error(`Error pushing to ${providerLabel}:`, error);
       setError(error.message);
     } finally {
       setIsSubmitting(false);
@@ -131,8 +136,8 @@ export default function CodePushComponent({
       <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md">
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-xl font-bold flex items-center">
-            <Github className="mr-2" size={20} />
-            Push to GitHub
+            <ProviderIcon className="mr-2" size={20} />
+            Push to {providerLabel}
           </h3>
           <button
             onClick={onClose}
@@ -147,7 +152,7 @@ export default function CodePushComponent({
             <div className="bg-green-100 text-green-800 p-4 rounded-lg mb-4 flex items-start">
               <Check className="mr-2 mt-1 flex-shrink-0" />
               <div>
-                <p className="font-medium">Successfully created pull request!</p>
+                <p className="font-medium">Successfully created {requestLabel.toLowerCase()}!</p>
                 <p className="text-sm mt-1">
                   Branch: {result.branchName}
                 </p>
@@ -163,7 +168,7 @@ export default function CodePushComponent({
               rel="noopener noreferrer"
               className="btn bg-[#FFC480] border-4 border-black shadow-[4px_4px_0px_0px_black] rounded-lg px-4 py-2 inline-flex items-center"
             >
-              View Pull Request <ArrowUpRight size={16} className="ml-1" />
+              View {requestLabel} <ArrowUpRight size={16} className="ml-1" />
             </a>
             
             <button
@@ -217,7 +222,7 @@ export default function CodePushComponent({
             
             <div className="mb-4">
               <label className="block text-gray-700 text-sm font-medium mb-1">
-                Pull Request Description
+                {requestLabel} Description
               </label>
               <textarea
                 value={description}
@@ -253,8 +258,8 @@ export default function CodePushComponent({
                   </>
                 ) : (
                   <>
-                    <Github className="mr-1" size={16} />
-                    Create PR
+                    <ProviderIcon className="mr-1" size={16} />
+                    Create {isMergeRequest ? 'MR' : 'PR'}
                   </>
                 )}
               </button>
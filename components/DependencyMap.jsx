@@ -49,7 +49,7 @@ const DependencyMap = forwardRef(({
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          repoId: `${repositoryInfo.owner.name}/${repositoryInfo.name}`,
+          repoId: repositoryInfo.repoId,
         }),
       });
 
@@ -60,13 +60,13 @@ const Documentation = forwardRef(({
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ 
-          owner: repositoryInfo.owner.name, 
-          repo: repositoryInfo.name 
+          repoId: repositoryInfo.repoId
         }),
       });
       
       if (!response.ok) {
-        throw new Error(`Failed to generate documentation: ${response.status}`);
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.reindexRequired ? data.error : `Failed to generate documentation: ${response.status}`);
       }
       
       const data = await response.json();
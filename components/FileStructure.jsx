@@ -1,5 +1,6 @@
 import { useState, useEffect, forwardRef, useImperativeHandle } from 'react';
-import { ChevronDown, ChevronRight, Folder, File } from 'lucide-react';
+import { ChevronDown, ChevronRight, Folder, File, Search } from 'lucide-react';
+import { getSourceUrl } from '../lib/utils';
 
 const FileStructure = forwardRef(({ 
   repositoryInfo, 
@@ -11,6 +12,12 @@ const FileStructure = forwardRef(({
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [expandedFolders, setExpandedFolders] = useState({});
+  // Symbols from the symbol index: file outlines, search results and references, by path or symbol
+  const [outlines, setOutlines] = useState({});
+  const [expandedFiles, setExpandedFiles] = useState({});
+  const [symbolQuery, setSymbolQuery] = useState('');
+  const [symbolResults, setSymbolResults] = useState(null);
+  const [references, setReferences] = useState({});
   
  
   useImperativeHandle(ref, () => ({
@@ -29,6 +36,13 @@ const FileStructure = forwardRef(({
     }
   }, [repositoryInfo, isDataLoaded, cachedData]);
 
+  useEffect(() => {
+    setOutlines({});
+    setExpandedFiles({});
+    setSymbolResults(null);
+    setReferences({});
+  }, [repositoryInfo]);
+
   const fetchFileStructure = async () => {
     
     if (isDataLoaded && fileTree) {
@@ -45,7 +59,7 @@ const FileStructure = forwardRef(({
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          repoId: `${repositoryInfo.owner.name}/${repositoryInfo.name}`,
+          repoId: repositoryInfo.repoId,
         }),
       });
 
@@ -68,6 +82,126 @@ const FileStructure = forwardRef(({
     }
   };
 
+  const postSymbols = async (endpoint, body) => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        repoId: repositoryInfo.repoId,
+        ...body,
+      }),
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load symbols');
+    }
+    
+    return data;
+  };
+
+  const toggleFile = async (path) => {
+    setExpandedFiles((prev) => ({ ...prev, [path]: !prev[path] }));
+    
+    if (outlines[path]) return;
+    
+    try {
+      const data = await postSymbols('/api/symbols', { path });
+      setOutlines((prev) => ({ ...prev, [path]: data.definitions || [] }));
+    } catch (error) {
+      console.error('Error fetching file symbols:', error);
+      setOutlines((prev) => ({ ...prev, [path]: [] }));
+    }
+  };
+
+  const searchSymbols = async (e) => {
+    e.preventDefault();
+    
+    if (!symbolQuery.trim()) {
+      setSymbolResults(null);
+      return;
+    }
+    
+    try {
+      const data = await postSymbols('/api/symbols', { query: symbolQuery.trim() });
+      setSymbolResults(data.symbols);
+    } catch (error) {
+      console.error('Error searching symbols:', error);
+      setSymbolResults([]);
+    }
+  };
+
+  const toggleReferences = async (symbol) => {
+    const key = `${symbol.path}:${symbol.qualifiedName}`;
+    
+    if (references[key]) {
+      setReferences(({ [key]: _, ...rest }) => rest);
+      return;
+    }
+    
+    try {
+      const data = await postSymbols('/api/symbols/references', { name: symbol.qualifiedName, path: symbol.path });
+      setReferences((prev) => ({ ...prev, [key]: data }));
+    } catch (error) {
+      console.error('Error fetching references:', error);
+    }
+  };
+
+  const renderSymbol = (symbol, paddingLeft, showPath = false) => {
+    const key = `${symbol.path}:${symbol.qualifiedName}`;
+    const found = references[key];
+    
+    return (
+      <div key={`${key}:${symbol.startLine}`} style={{ paddingLeft: `${paddingLeft}px` }}>
+        <div className="flex items-center text-xs py-0.5">
+          <a
+            href={getSourceUrl(repositoryInfo, symbol.path, symbol.startLine, symbol.endLine)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="font-mono text-blue-600 hover:underline truncate"
+          >
+            {showPath ? symbol.qualifiedName : symbol.name}
+          </a>
+          <span className="ml-1 text-gray-500">{symbol.symbolKind}</span>
+          {showPath && <span className="ml-1 text-gray-400 truncate">{symbol.path}</span>}
+          <button
+            className="ml-2 text-gray-500 hover:text-blue-600 hover:underline"
+            onClick={() => toggleReferences(symbol)}
+          >
+            {found ? 'hide refs' : 'refs'}
+          </button>
+        </div>
+        
+        {found && (
+          <ul className="pl-4 text-xs text-gray-600">
+            {found.references.length === 0 && <li>No references found</li>}
+            {found.references.map((reference) => (
+              <li key={`${reference.path}:${reference.line}:${reference.kind}`} className="font-mono truncate">
+                <a
+                  href={getSourceUrl(repositoryInfo, reference.path, reference.line)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="hover:underline"
+                >
+                  {reference.path}:{reference.line}
+                </a>
+                <span className="ml-1 text-gray-400">
+                  {reference.kind === 'import' ? 'import' : reference.caller ? `in ${reference.caller}` : ''}
+                </span>
+              </li>
+            ))}
+            {found.total > found.references.length && (
+              <li>and {found.total - found.references.length} more</li>
+            )}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
   const toggleFolder = (path) => {
     setExpandedFolders((prev) => ({
       ...prev,
@@ -104,14 +238,24 @@ const FileStructure = forwardRef(({
         </div>
       );
     } else {
+      const outline = outlines[node.path];
+      
       return (
-        <div 
-          key={currentPath} 
-          className="flex items-center hover:bg-gray-100 rounded px-2 py-1"
-          style={{ paddingLeft: `${depth * 12 + 20}px` }}
-        >
-          <File size={16} className="mr-2 text-gray-500" />
-          <span className="text-sm">{node.name}</span>
+        <div key={currentPath}>
+          <div 
+            className="flex items-center hover:bg-gray-100 rounded px-2 py-1 cursor-pointer"
+            style={{ paddingLeft: `${depth * 12 + 20}px` }}
+            onClick={() => toggleFile(node.path)}
+          >
+            <File size={16} className="mr-2 text-gray-500" />
+            <span className="text-sm">{node.name}</span>
+          </div>
+          
+          {expandedFiles[node.path] && outline && (
+            outline.length > 0
+              ? outline.map((symbol) => renderSymbol({ ...symbol, path: node.path }, depth * 12 + 44 + (symbol.parentSymbol ? 12 : 0)))
+              : <div className="text-xs text-gray-400" style={{ paddingLeft: `${depth * 12 + 44}px` }}>No symbols</div>
+          )}
         </div>
       );
     }
@@ -151,6 +295,25 @@ const FileStructure = forwardRef(({
   return (
     <div className="bg-[#FFFDF8] border-4 border-black rounded-lg p-4 h-96 overflow-y-auto">
       <h3 className="text-lg font-semibold mb-3">Repository Structure</h3>
+      <form onSubmit={searchSymbols} className="flex items-center mb-3">
+        <Search size={16} className="mr-2 text-gray-500" />
+        <input
+          type="text"
+          value={symbolQuery}
+          onChange={(e) => setSymbolQuery(e.target.value)}
+          placeholder="Find a function, class or type"
+          className="flex-1 text-sm border border-gray-300 rounded px-2 py-1"
+        />
+      </form>
+      
+      {symbolResults && (
+        <div className="mb-3 border-b border-gray-300 pb-2">
+          {symbolResults.length === 0
+            ? <p className="text-xs text-gray-500">No matching symbols</p>
+            : symbolResults.map((symbol) => renderSymbol(symbol, 0, true))}
+        </div>
+      )}
+      
       <div className="file-tree">
         {renderTree(fileTree)}
       </div>
@@ -1,16 +1,26 @@
 import { useState, useEffect } from 'react';
 
+const PHASE_LABELS = {
+  fetch: 'Fetching',
+  chunk: 'Chunking',
+  embed: 'Embedding',
+  store: 'Storing',
+};
+
 /**
  * @param {Object} props
  * @param {boolean} props.isLoading 
  * @param {string} props.message 
  * @param {number} props.duration 
+ * @param {Object} [props.jobProgress] real progress reported by an indexing job; disables the simulated timer
+ * @param {Function} [props.onCancel] 
  */
-export default function ProgressBar({ isLoading, message, duration = 20000 }) {
+export default function ProgressBar({ isLoading, message, duration = 20000, jobProgress, onCancel }) {
   const [progress, setProgress] = useState(0);
+  const hasRealProgress = Boolean(jobProgress);
   
   useEffect(() => {
-    if (!isLoading) {
+    if (!isLoading || hasRealProgress) {
       setProgress(0);
       return;
     }
@@ -42,9 +52,11 @@ export default function ProgressBar({ isLoading, message, duration = 20000 }) {
         setProgress(100);
       }
     };
-  }, [isLoading, duration]);
+  }, [isLoading, duration, hasRealProgress]);
+  
+  const displayedProgress = hasRealProgress ? jobProgress.percent || 0 : progress;
   
-  if (!isLoading && progress === 0) {
+  if (!isLoading && displayedProgress === 0) {
     return null;
   }
   
@@ -52,19 +64,45 @@ export default function ProgressBar({ isLoading, message, duration = 20000 }) {
     <div className="mb-6">
       <div className="flex justify-between items-center mb-2">
         <span className="text-sm font-medium">{message || 'Processing repository...'}</span>
-        <span className="text-sm font-medium">{Math.round(progress)}%</span>
+        <span className="text-sm font-medium">{Math.round(displayedProgress)}%</span>
       </div>
       
       <div className="h-4 bg-gray-100 border-2 border-black rounded-lg overflow-hidden shadow-[2px_2px_0px_0px_black]">
         <div
           className="h-full bg-[#FFC480] transition-all duration-300 ease-out"
-          style={{ width: `${progress}%` }}
+          style={{ width: `${displayedProgress}%` }}
         ></div>
       </div>
       
-      <p className="text-xs text-gray-600 mt-2">
-        This may take a few minutes depending on repository size
-      </p>
+      {hasRealProgress ? (
+        <div className="text-xs text-gray-600 mt-2 space-y-1">
+          <p>
+            {jobProgress.processedFiles + jobProgress.failedFiles + (jobProgress.skippedFiles || 0)}/{jobProgress.totalFiles || '?'} files
+            {' · '}{jobProgress.embeddedChunks}/{jobProgress.totalChunks} chunks embedded
+            {' · '}{jobProgress.storedChunks} stored
+          </p>
+          {jobProgress.phase && (
+            <p className="truncate">
+              {PHASE_LABELS[jobProgress.phase] || jobProgress.phase}
+              {jobProgress.currentFile ? `: ${jobProgress.currentFile}` : '...'}
+            </p>
+          )}
+        </div>
+      ) : (
+        <p className="text-xs text-gray-600 mt-2">
+          This may take a few minutes depending on repository size
+        </p>
+      )}
+      
+      {onCancel && (
+        <button
+          type="button"
+          className="btn mt-4 bg-white border-2 border-black shadow-[2px_2px_0px_0px_black] rounded-lg text-sm"
+          onClick={onCancel}
+        >
+          Cancel
+        </button>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
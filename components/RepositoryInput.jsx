@@ -1,10 +1,17 @@
 import { useState } from "react";
-import { isValidGitHubUrl } from "../lib/utils";
+import { isValidRepositoryUrl } from "../lib/utils";
 import { Sparkles } from "lucide-react";
 import ProgressBar from "./ProgressBar";
 
-export default function RepositoryInput({ onSubmit, isLoading }) {
+const ARCHIVE_PATTERN = /\.(zip|tar|tar\.gz|tgz)$/i;
+
+// Absolute paths on the server, POSIX or Windows style
+const LOCAL_PATH_PATTERN = /^(\/|[a-zA-Z]:[\\/])/;
+
+export default function RepositoryInput({ onSubmit, isLoading, jobProgress, onCancel }) {
   const [url, setUrl] = useState("");
+  const [ref, setRef] = useState("");
+  const [archive, setArchive] = useState(null);
   const [error, setError] = useState("");
 
   const handleSubmit = async (e) => {
@@ -12,19 +19,43 @@ export default function RepositoryInput({ onSubmit, isLoading }) {
     
     setError("");
 
+    if (archive) {
+      onSubmit({ file: archive });
+      return;
+    }
+
     if (!url.trim()) {
-      setError("Please enter a GitHub repository URL");
+      setError("Please enter a repository URL");
       return;
     }
 
-    if (!isValidGitHubUrl(url.trim())) {
+    if (LOCAL_PATH_PATTERN.test(url.trim())) {
+      onSubmit({ path: url.trim() });
+      return;
+    }
+
+    if (!isValidRepositoryUrl(url.trim())) {
       setError(
-        "Please enter a valid GitHub repository URL (e.g., https://github.com/owner/repo)"
+        "Please enter a valid repository URL (e.g., https://github.com/owner/repo or https://gitlab.com/group/project)"
       );
       return;
     }
 
-    onSubmit(url.trim());
+    onSubmit({ url: url.trim(), ref: ref.trim() });
+  };
+
+  const handleArchiveChange = (e) => {
+    const file = e.target.files[0] || null;
+    setError("");
+
+    if (file && !ARCHIVE_PATTERN.test(file.name)) {
+      setError("Please choose a .zip, .tar or .tar.gz archive");
+      e.target.value = "";
+      setArchive(null);
+      return;
+    }
+
+    setArchive(file);
   };
 
   return (
@@ -37,13 +68,15 @@ export default function RepositoryInput({ onSubmit, isLoading }) {
       </div>
 
       <div className="bg-[#FFF4DA] border-4 border-black shadow-[8px_8px_0px_0px_black] mr- rounded-lg p-6">
-        <h2 className="text-xl font-semibold mb-4">Enter GitHub Repository</h2>
+        <h2 className="text-xl font-semibold mb-4">Enter Repository</h2>
 
         {isLoading && (
           <ProgressBar 
             isLoading={isLoading} 
             message="Processing repository..." 
             duration={25000}
+            jobProgress={jobProgress}
+            onCancel={onCancel}
           />
         )}
 
@@ -51,7 +84,7 @@ export default function RepositoryInput({ onSubmit, isLoading }) {
           <form onSubmit={handleSubmit}>
             <div className="mb-4 ">
               <label htmlFor="repo-url" className="block text-gray-700  mb-2">
-                Repository URL
+                Repository URL or server directory
               </label>
               <div className="h-16 flex gap-4 rounded-lg">
                 <div className="border-4 border-black w-[80%] shadow-[8px_8px_0px_0px_black] rounded-lg">
@@ -59,10 +92,10 @@ export default function RepositoryInput({ onSubmit, isLoading }) {
                     id="repo-url"
                     type="text"
                     className="input h-full"
-                    placeholder="https://github.com/owner/repo"
+                    placeholder="https://github.com/owner/repo, a GitLab, Bitbucket or Gitea URL, or /srv/code/project"
                     value={url}
                     onChange={(e) => setUrl(e.target.value)}
-                    disabled={isLoading}
+                    disabled={isLoading || Boolean(archive)}
                   />
                 </div>
 
@@ -75,6 +108,33 @@ export default function RepositoryInput({ onSubmit, isLoading }) {
                 </button>
               </div>
 
+              <label htmlFor="repo-ref" className="block text-gray-700 mt-6 mb-2">
+                Branch, tag or commit <span className="text-gray-500 text-sm">(optional)</span>
+              </label>
+              <div className="border-4 border-black w-[80%] h-12 shadow-[8px_8px_0px_0px_black] rounded-lg">
+                <input
+                  id="repo-ref"
+                  type="text"
+                  className="input h-full"
+                  placeholder="Default branch, or the one in the URL"
+                  value={ref}
+                  onChange={(e) => setRef(e.target.value)}
+                  disabled={isLoading || Boolean(archive)}
+                />
+              </div>
+
+              <label htmlFor="repo-archive" className="block text-gray-700 mt-6 mb-2">
+                Or upload an archive <span className="text-gray-500 text-sm">(.zip, .tar, .tar.gz)</span>
+              </label>
+              <input
+                id="repo-archive"
+                type="file"
+                accept=".zip,.tar,.tar.gz,.tgz"
+                className="block text-sm"
+                onChange={handleArchiveChange}
+                disabled={isLoading}
+              />
+
               {error && (
                 <p className="mt-4 ml-3 text-red-600 items-center text-sm">
                   {error}
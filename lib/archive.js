@@ -0,0 +1,231 @@
+import { once } from 'events';
+import { inflateRawSync } from 'zlib';
+import { Parser } from 'tar';
+import { formatFileSize } from './utils';
+
+/**
+ * Extraction of repository archives into memory. Tarballs are read as they
+ * arrive and only the files a caller asks for are kept, so a repository is
+ * fetched in one request without ever touching the disk. The download is
+ * abandoned as soon as it, or the files kept from it, outgrow the size limit.
+ *
+ * REPOSITORY_ARCHIVE_MAX_BYTES caps the size of an archive and the total size
+ * of the files extracted from it (200 MB by default), and
+ * REPOSITORY_FILE_MAX_BYTES the size of a file worth indexing (1 MB by
+ * default); larger files are nearly always generated or data.
+ */
+
+const DEFAULT_MAX_ARCHIVE_BYTES = 200 * 1024 * 1024;
+const DEFAULT_MAX_FILE_BYTES = 1024 * 1024;
+
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_ENTRY_SIGNATURE = 0x02014b50;
+
+/**
+ * Thrown when an archive grows past REPOSITORY_ARCHIVE_MAX_BYTES.
+ */
+export class ArchiveTooLargeError extends Error {
+  constructor(maxBytes) {
+    super(`Archive is larger than the ${formatFileSize(maxBytes)} limit`);
+    this.name = 'ArchiveTooLargeError';
+    this.maxBytes = maxBytes;
+  }
+}
+
+/**
+ * @returns {{ maxBytes: number, maxFileBytes: number }}
+ */
+export function getArchiveLimits() {
+  const maxBytes = parseInt(process.env.REPOSITORY_ARCHIVE_MAX_BYTES, 10);
+  const maxFileBytes = parseInt(process.env.REPOSITORY_FILE_MAX_BYTES, 10);
+
+  return {
+    maxBytes: maxBytes > 0 ? maxBytes : DEFAULT_MAX_ARCHIVE_BYTES,
+    maxFileBytes: maxFileBytes > 0 ? maxFileBytes : DEFAULT_MAX_FILE_BYTES,
+  };
+}
+
+/**
+ * Reads a tar or gzipped tar stream and keeps the regular text files that
+ * `filter` accepts.
+ * @param {AsyncIterable<Uint8Array>} stream
+ * @param {Object} options
+ * @param {(path: string) => boolean} options.filter
+ * @param {number} [options.stripComponents] leading path segments to drop, as with tar's --strip-components
+ * @returns {Promise<{ files: Array<{ path: string, content: string }>, skippedFiles: Array<{ path: string, reason: string }> }>}
+ */
+export async function extractArchive(stream, { filter, stripComponents = 0 }) {
+  const { maxBytes, maxFileBytes } = getArchiveLimits();
+  const parser = new Parser({ strict: true });
+  const files = [];
+  const skippedFiles = [];
+  let parseError = null;
+  let tooLarge = false;
+  let extractedBytes = 0;
+
+  parser.on('error', error => { parseError = error; });
+
+  parser.on('entry', entry => {
+    const path = entry.path.split('/').slice(stripComponents).join('/');
+
+    if (entry.type !== 'File' || !path || !filter(path)) {
+      entry.resume();
+      return;
+    }
+
+    if (entry.size > maxFileBytes) {
+      skippedFiles.push({ path, reason: `larger than ${formatFileSize(maxFileBytes)}` });
+      entry.resume();
+      return;
+    }
+
+    // A compressed tarball can expand far beyond its download size
+    extractedBytes += entry.size;
+    if (extractedBytes > maxBytes) {
+      tooLarge = true;
+      entry.resume();
+      return;
+    }
+
+    const chunks = [];
+    entry.on('data', chunk => chunks.push(chunk));
+    entry.on('end', () => {
+      const content = Buffer.concat(chunks);
+
+      // A NUL byte is the usual sign of a binary file behind a text extension
+      if (content.includes(0)) {
+        skippedFiles.push({ path, reason: 'binary' });
+      } else {
+        files.push({ path, content: content.toString('utf-8') });
+      }
+    });
+  });
+
+  let receivedBytes = 0;
+
+  for await (const chunk of stream) {
+    if (parseError) break;
+
+    receivedBytes += chunk.length;
+    if (receivedBytes > maxBytes || tooLarge) {
+      throw new ArchiveTooLargeError(maxBytes);
+    }
+
+    if (!parser.write(chunk)) {
+      await once(parser, 'drain');
+    }
+  }
+
+  if (!parseError) {
+    const ended = once(parser, 'end');
+    parser.end();
+    await ended.catch(error => { parseError = error; });
+  }
+
+  if (tooLarge) {
+    throw new ArchiveTooLargeError(maxBytes);
+  }
+
+  if (parseError) {
+    throw new Error(`Failed to extract archive: ${parseError.message}`);
+  }
+
+  console.log(`Extracted ${files.length} files from a ${formatFileSize(receivedBytes)} archive`);
+
+  return { files, skippedFiles };
+}
+
+/**
+ * Reads a zip archive held in memory and keeps the regular text files that
+ * `filter` accepts. The central directory sits at the end of a zip, so unlike
+ * tarballs it cannot be read as it arrives. ZIP64 archives are not supported.
+ * @param {Buffer} buffer
+ * @param {Object} options
+ * @param {(path: string) => boolean} options.filter
+ * @returns {{ files: Array<{ path: string, content: string }>, skippedFiles: Array<{ path: string, reason: string }> }}
+ */
+export function extractZip(buffer, { filter }) {
+  const { maxBytes, maxFileBytes } = getArchiveLimits();
+  const files = [];
+  const skippedFiles = [];
+  let extractedBytes = 0;
+
+  // The end of central directory record is followed by a comment of up to 64 KB
+  let end = buffer.length - 22;
+  while (end >= Math.max(0, buffer.length - 22 - 0xffff) && buffer.readUInt32LE(end) !== ZIP_END_SIGNATURE) {
+    end--;
+  }
+
+  if (end < 0 || buffer.readUInt32LE(end) !== ZIP_END_SIGNATURE) {
+    throw new Error('Failed to extract archive: not a zip file');
+  }
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new Error('Failed to extract archive: ZIP64 archives are not supported');
+  }
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_ENTRY_SIGNATURE) {
+      throw new Error('Failed to extract archive: corrupt central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const fileType = buffer.readUInt32LE(offset + 38) >>> 16 & 0o170000;
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const path = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    // Directories end in a slash; symbolic links hold the path they point to
+    if (path.endsWith('/') || fileType === 0o120000 || !filter(path)) {
+      continue;
+    }
+
+    if (size > maxFileBytes) {
+      skippedFiles.push({ path, reason: `larger than ${formatFileSize(maxFileBytes)}` });
+      continue;
+    }
+
+    if (flags & 0x1 || (method !== 0 && method !== 8)) {
+      skippedFiles.push({ path, reason: flags & 0x1 ? 'encrypted' : `compression method ${method}` });
+      continue;
+    }
+
+    // Highly compressible entries can add up to far more than the archive itself
+    extractedBytes += size;
+    if (extractedBytes > maxBytes) {
+      throw new ArchiveTooLargeError(maxBytes);
+    }
+
+    const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    let content;
+
+    try {
+      // The declared size bounds the output, so a lying header cannot inflate past the limit
+      content = method === 8 ? inflateRawSync(data, { maxOutputLength: Math.max(size, 1) }) : data;
+    } catch (error) {
+      skippedFiles.push({ path, reason: `unreadable: ${error.message}` });
+      continue;
+    }
+
+    if (content.includes(0)) {
+      skippedFiles.push({ path, reason: 'binary' });
+    } else {
+      files.push({ path, content: content.toString('utf-8') });
+    }
+  }
+
+  console.log(`Extracted ${files.length} files from a ${formatFileSize(buffer.length)} zip archive`);
+
+  return { files, skippedFiles };
+}
@@ -1,127 +1,166 @@
+import { createHash } from 'crypto';
+import { getVectorStore } from './vectorStores';
+import { getEmbeddingProvider } from './embeddingProviders';
+import { toPathGlobs } from './utils';
 
-global.vectorStore = global.vectorStore || {
-  collections: {}
-};
 
+// Long enough to recognize the repository, short enough for Chroma's 63-character names
+const STORAGE_NAME_PREFIX_LENGTH = 40;
 
-function cosineSimilarity(vecA, vecB) {
-  try {
-    if (!vecA || !vecB || vecA.length !== vecB.length) {
-      console.warn('Invalid vectors for similarity calculation');
-      return 0;
-    }
-    
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-    
-    for (let i = 0; i < vecA.length; i++) {
-      dotProduct += vecA[i] * vecB[i];
-      normA += vecA[i] * vecA[i];
-      normB += vecB[i] * vecB[i];
-    }
-    
-    normA = Math.sqrt(normA);
-    normB = Math.sqrt(normB);
-    
-    if (normA === 0 || normB === 0) {
-      return 0;
-    }
-    
-    return dotProduct / (normA * normB);
-  } catch (error) {
-    console.error('Error calculating similarity:', error);
-    return 0;
-  }
+/**
+ * Name under which a repository's data is stored. Repository IDs carry refs
+ * such as `feature/foo`, so the readable part alone could be shared by two of
+ * them; the hash of the whole ID keeps them apart.
+ * @param {string} repoId 
+ * @returns {string} letters, digits and underscores
+ */
+export function getStorageName(repoId) {
+  const readable = repoId.replace(/[^a-zA-Z0-9]+/g, '_').slice(0, STORAGE_NAME_PREFIX_LENGTH);
+  const hash = createHash('sha256').update(repoId).digest('hex');
+
+  return `${readable}_${hash.slice(0, 12)}`;
+}
+
+/**
+
+ * @param {string} repoId 
+ * @returns {string} 
+ */
+function getCollectionName(repoId) {
+  return `repo_${getStorageName(repoId)}`;
 }
 
 /**
  
  * @param {string} repoId 
- * @returns {Promise<Object>} 
+ * @returns {Promise<Object>} a VectorCollection from the configured backend (see lib/vectorStores)
  */
 export async function getCollection(repoId) {
   try {
     
-    const collectionName = `repo_${repoId.replace(/[^a-zA-Z0-9_]/g, '_')}`;
-    
+    const collectionName = getCollectionName(repoId);
     
-    if (global.vectorStore.collections[collectionName]) {
-      console.log(`Using existing collection for ${repoId}`);
-      return global.vectorStore.collections[collectionName];
-    }
-    
-    
-    console.log(`Creating new collection for ${repoId}`);
-    global.vectorStore.collections[collectionName] = {
-      name: collectionName,
+    return await getVectorStore().getCollection(collectionName, {
       metadata: {
         repository: repoId,
         created: new Date().toISOString()
-      },
-      data: [],
-      add: async function({ ids, embeddings, documents, metadatas }) {
-        for (let i = 0; i < ids.length; i++) {
-          this.data.push({
-            id: ids[i],
-            embedding: embeddings[i],
-            document: documents[i],
-            metadata: metadatas[i]
-          });
-        }
-        console.log(`Added ${ids.length} items to collection ${this.name}, total: ${this.data.length}`);
-        return true;
-      },
-      query: async function({ queryEmbeddings, nResults }) {
-        console.log(`Querying collection ${this.name} with ${this.data.length} items`);
-        
-        if (this.data.length === 0) {
-          console.log(`Collection ${this.name} is empty`);
-          return {
-            ids: [[]],
-            documents: [[]],
-            metadatas: [[]],
-            distances: [[]]
-          };
-        }
-        
-        const results = [];
-        
-        
-        for (const item of this.data) {
-          const similarity = cosineSimilarity(queryEmbeddings[0], item.embedding);
-          results.push({
-            id: item.id,
-            document: item.document,
-            metadata: item.metadata,
-            distance: 1 - similarity 
-          });
-        }
-        
-        
-        results.sort((a, b) => a.distance - b.distance);
-        
-        
-        const topResults = results.slice(0, nResults);
-        
-        console.log(`Found ${topResults.length} matches for query`);
-        
-        return {
-          ids: [topResults.map(r => r.id)],
-          documents: [topResults.map(r => r.document)],
-          metadatas: [topResults.map(r => r.metadata)],
-          distances: [topResults.map(r => r.distance)]
-        };
       }
-    };
-    
-    return global.vectorStore.collections[collectionName];
+    });
   } catch (error) {
     console.error('Error initializing collection:', error);
     throw new Error(`Failed to initialize collection: ${error.message}`);
   }
 }
 
+/**
+ * Thrown when a collection was indexed with a different embedding model than
+ * the configured one. Its vectors live in another space, so every similarity
+ * score against a new query would be meaningless.
+ */
+export class EmbeddingModelMismatchError extends Error {
+  constructor(repoId, indexedModel, currentModel) {
+    super(`${repoId} was indexed with the embedding model ${indexedModel}, but ${currentModel} is configured now. Process the repository again to re-index it with the current model.`);
+    this.name = 'EmbeddingModelMismatchError';
+    this.indexedModel = indexedModel;
+    this.currentModel = currentModel;
+  }
+}
+
+/**
+ * The collection metadata fields that record how a repository was embedded.
+ * @param {number} [dimension] length of the stored vectors, when any were stored
+ * @returns {Object} `{ embeddingProvider, embeddingModel, embeddingDimension }`
+ */
+export function getEmbeddingMetadata(dimension) {
+  const provider = getEmbeddingProvider();
+
+  return {
+    embeddingProvider: provider.name,
+    embeddingModel: provider.modelId,
+    ...(dimension && { embeddingDimension: dimension }),
+  };
+}
+
+/**
+ * Collections indexed before the model was recorded, or still being built,
+ * carry no model and are not checked.
+ * @param {string} repoId
+ * @param {Object} metadata collection metadata
+ * @param {Array<number>} [queryEmbedding] checked against the recorded dimension
+ */
+export function assertEmbeddingModel(repoId, metadata, queryEmbedding) {
+  const { embeddingModel, embeddingDimension } = metadata || {};
+
+  if (!embeddingModel) {
+    return;
+  }
+
+  const currentModel = getEmbeddingProvider().modelId;
+
+  if (embeddingModel !== currentModel) {
+    throw new EmbeddingModelMismatchError(repoId, embeddingModel, currentModel);
+  }
+
+  if (queryEmbedding && embeddingDimension && queryEmbedding.length !== embeddingDimension) {
+    throw new EmbeddingModelMismatchError(repoId, `${embeddingModel} (${embeddingDimension} dimensions)`, `${currentModel} (${queryEmbedding.length} dimensions)`);
+  }
+}
+
+/**
+ * Content-addressed chunk id: the same chunk of the same file always hashes to
+ * the same id, so re-indexing replaces it in place and citations stay valid.
+ * @param {string} repoId
+ * @param {Object} chunk
+ * @returns {string}
+ */
+export function getChunkId(repoId, chunk) {
+  const { path = '', name = '' } = chunk.metadata || {};
+  const hash = createHash('sha256')
+    .update([repoId, path, name, chunk.content].join('\0'))
+    .digest('hex');
+
+  return `chunk_${hash.slice(0, 32)}`;
+}
+
+/**
+
+ * @param {Object} collection 
+ * @param {string} repoId 
+ * @param {Array<Object>} chunks 
+ * @param {string} method collection method, `add` or `upsert`
+ * @returns {Promise<number>} number of chunks written
+ */
+async function writeChunks(collection, repoId, chunks, method) {
+  // Identical chunks within one file share an id; keep one of them
+  const chunksById = new Map();
+  for (const chunk of chunks) {
+    chunksById.set(getChunkId(repoId, chunk), chunk);
+  }
+  
+  const entries = [...chunksById.entries()];
+  
+  const BATCH_SIZE = 50;
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    const batch = entries.slice(i, i + BATCH_SIZE);
+    
+    const ids = batch.map(([id]) => id);
+    const embeddings = batch.map(([, chunk]) => chunk.embedding);
+    const documents = batch.map(([, chunk]) => chunk.content);
+    const metadataList = batch.map(([, chunk]) => chunk.metadata);
+    
+    await collection[method]({
+      ids,
+      embeddings,
+      documents,
+      metadatas: metadataList,
+    });
+    
+    console.log(`Stored batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(entries.length/BATCH_SIZE)}`);
+  }
+  
+  return entries.length;
+}
+
 /**
 
  * @param {string} repoId 
@@ -134,56 +173,116 @@ export async function addChunksToVectorStore(repoId, chunks) {
     
     console.log(`Adding ${chunks.length} chunks to vector store...`);
     
+    await writeChunks(collection, repoId, chunks, 'add');
     
-    const BATCH_SIZE = 50;
-    for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
-      const batch = chunks.slice(i, i + BATCH_SIZE);
-      
-      const ids = batch.map((_, index) => `chunk_${i + index}`);
-      const embeddings = batch.map(chunk => chunk.embedding);
-      const documents = batch.map(chunk => chunk.content);
-      const metadataList = batch.map(chunk => chunk.metadata);
-      
-      await collection.add({
-        ids,
-        embeddings,
-        documents,
-        metadatas: metadataList,
-      });
-      
-      console.log(`Added batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(chunks.length/BATCH_SIZE)}`);
-    }
     
-    
-    console.log(`Finished adding chunks to vector store. Collection now has ${collection.data.length} items.`);
+    console.log(`Finished adding chunks to vector store. Collection now has ${await collection.count()} items.`);
   } catch (error) {
     console.error('Error adding chunks to vector store:', error);
     throw new Error(`Failed to add chunks to vector store: ${error.message}`);
   }
 }
 
+/**
+ * Stores chunks, replacing any stored chunk with the same id.
+ * @param {string} repoId 
+ * @param {Array<Object>} chunks 
+ * @returns {Promise<number>} number of chunks written
+ */
+export async function upsertChunks(repoId, chunks) {
+  try {
+    const collection = await getCollection(repoId);
+    
+    console.log(`Upserting ${chunks.length} chunks into vector store...`);
+    
+    return await writeChunks(collection, repoId, chunks, 'upsert');
+  } catch (error) {
+    console.error('Error upserting chunks:', error);
+    throw new Error(`Failed to upsert chunks: ${error.message}`);
+  }
+}
+
+// Filter fields and the chunk metadata keys they apply to
+const CHUNK_FILTER_FIELDS = {
+  path: 'path',
+  language: 'language',
+  extension: 'extension',
+  kind: 'kind',
+  chunkType: 'chunkType',
+  symbol: 'name',
+  symbolKind: 'symbolKind',
+};
+
+/**
+ * Turns a chunk filter into a `where` clause for the vector store. Every field
+ * takes a value or a list of values; `path` takes globs, and a path without
+ * wildcards scopes to that file or directory.
+ * @param {Object} [filter]
+ * @param {string|Array<string>} [filter.path] e.g. "src/components" or "lib/*.js"
+ * @param {string|Array<string>} [filter.language]
+ * @param {string|Array<string>} [filter.extension] with or without the leading dot
+ * @param {string|Array<string>} [filter.kind] "code", "doc" or "config"
+ * @param {string|Array<string>} [filter.chunkType]
+ * @param {string|Array<string>} [filter.symbol] name of the function or class a chunk holds
+ * @param {string|Array<string>} [filter.symbolKind] see SYMBOL_KINDS in chunker.js, e.g. "function" or "class"
+ * @returns {Object|undefined}
+ */
+export function buildChunkWhere(filter = {}) {
+  const where = {};
+
+  for (const [field, value] of Object.entries(filter || {})) {
+    if (!(field in CHUNK_FILTER_FIELDS)) {
+      throw new Error(`Unknown chunk filter "${field}"`);
+    }
+
+    const values = [].concat(value)
+      .filter(item => typeof item === 'string' && item.trim() !== '')
+      .map(item => item.trim());
+
+    if (values.length === 0) continue;
+
+    const key = CHUNK_FILTER_FIELDS[field];
+
+    if (field === 'path') {
+      where[key] = { $glob: values.flatMap(toPathGlobs) };
+    } else {
+      const normalized = field === 'extension' || field === 'language'
+        ? values.map(item => item.replace(/^\./, '').toLowerCase())
+        : values;
+      where[key] = normalized.length === 1 ? normalized[0] : { $in: normalized };
+    }
+  }
+
+  return Object.keys(where).length > 0 ? where : undefined;
+}
+
 /**
  
  * @param {string} repoId 
  * @param {Array<number>} queryEmbedding 
  * @param {number} topK 
+ * @param {Object} [filter] see buildChunkWhere; applied before ranking
  * @returns {Promise<Array<Object>>} 
  */
-export async function querySimilarChunks(repoId, queryEmbedding, topK = 5) {
+export async function querySimilarChunks(repoId, queryEmbedding, topK = 5, filter = {}) {
   try {
     const collection = await getCollection(repoId);
+    const itemCount = await collection.count();
     
  
-    if (!collection.data || collection.data.length === 0) {
+    if (itemCount === 0) {
       console.log(`Collection for ${repoId} is empty. Cannot perform similarity search.`);
       return [];
     }
     
-    console.log(`Performing similarity search on collection with ${collection.data.length} items`);
+    assertEmbeddingModel(repoId, collection.metadata, queryEmbedding);
+    
+    console.log(`Performing similarity search on collection with ${itemCount} items`);
     
     const results = await collection.query({
       queryEmbeddings: [queryEmbedding],
-      nResults: topK
+      nResults: topK,
+      where: buildChunkWhere(filter)
     });
     
     
@@ -193,6 +292,7 @@ export async function querySimilarChunks(repoId, queryEmbedding, topK = 5) {
     if (results.documents && results.documents[0]) {
       for (let i = 0; i < results.documents[0].length; i++) {
         formattedResults.push({
+          id: results.ids[0][i],
           content: results.documents[0][i],
           metadata: results.metadatas[0][i] || {},
           distance: results.distances[0][i] || 1.0
@@ -203,30 +303,145 @@ export async function querySimilarChunks(repoId, queryEmbedding, topK = 5) {
     console.log(`Returning ${formattedResults.length} similar chunks`);
     return formattedResults;
   } catch (error) {
+    // Callers surface this one so the user is told to re-index instead of getting no results
+    if (error instanceof EmbeddingModelMismatchError) {
+      throw error;
+    }
+    
     console.error('Error querying similar chunks:', error);
     return [];
   }
 }
 
 /**
+ * BM25 keyword search over chunk text and symbol names.
+ * @param {string} repoId
+ * @param {string} queryText
+ * @param {number} topK
+ * @param {Object} [filter] see buildChunkWhere; applied before ranking
+ * @returns {Promise<Array<Object>>} `{ id, content, metadata, score }`, best first
+ */
+export async function queryKeywordChunks(repoId, queryText, topK = 5, filter = {}) {
+  try {
+    const collection = await getCollection(repoId);
+
+    const results = await collection.keywordQuery({
+      queryText,
+      nResults: topK,
+      where: buildChunkWhere(filter)
+    });
+
+    return results.ids[0].map((id, i) => ({
+      id,
+      content: results.documents[0][i],
+      metadata: results.metadatas[0][i] || {},
+      score: results.scores[0][i]
+    }));
+  } catch (error) {
+    console.error('Error querying keyword chunks:', error);
+    return [];
+  }
+}
+
+/**
+ * Lists the distinct file paths that have chunks in the collection.
+ * @param {string} repoId
+ * @returns {Promise<Array<string>>}
+ */
+export async function getIndexedFilePaths(repoId) {
+  try {
+    const collection = await getCollection(repoId);
+    const { metadatas } = await collection.get({ include: ['metadatas'] });
+
+    return [...new Set(metadatas.map(metadata => metadata && metadata.path))].filter(Boolean);
+  } catch (error) {
+    console.error('Error listing indexed files:', error);
+    throw new Error(`Failed to list indexed files: ${error.message}`);
+  }
+}
+
+/**
+ * @param {string} repoId
+ * @param {string} path repository-relative file path
+ * @returns {Promise<Array<Object>>} `{ id, content, metadata }` in file order
+ */
+export async function getChunksByPath(repoId, path) {
+  try {
+    const collection = await getCollection(repoId);
+    const { ids, documents, metadatas } = await collection.get({ where: { path } });
+
+    return ids
+      .map((id, i) => ({ id, content: documents[i], metadata: metadatas[i] }))
+      .sort((a, b) => (a.metadata.startLine || 0) - (b.metadata.startLine || 0));
+  } catch (error) {
+    console.error('Error fetching file chunks:', error);
+    throw new Error(`Failed to fetch chunks for ${path}: ${error.message}`);
+  }
+}
 
+/**
+ * Removes every chunk that belongs to one of the given file paths.
  * @param {string} repoId 
- * @returns {Promise<void>}
+ * @param {string|Array<string>} paths 
+ * @param {Object} [options]
+ * @param {Array<string>} [options.keepIds] chunk ids to leave in place, e.g. the ones just upserted
+ * @returns {Promise<number>} number of chunks removed
  */
-export async function deleteRepositoryData(repoId) {
+export async function deleteChunksByPath(repoId, paths, { keepIds } = {}) {
+  const pathList = [].concat(paths);
+  
+  if (pathList.length === 0) {
+    return 0;
+  }
+  
   try {
+    const collection = await getCollection(repoId);
+    const where = { path: { $in: pathList } };
     
-    const collectionName = `repo_${repoId.replace(/[^a-zA-Z0-9_]/g, '_')}`;
+    if (!keepIds) {
+      return await collection.delete({ where });
+    }
     
+    const keep = new Set(keepIds);
+    const { ids } = await collection.get({ where, include: [] });
+    const staleIds = ids.filter(id => !keep.has(id));
     
-    if (global.vectorStore.collections[collectionName]) {
-      delete global.vectorStore.collections[collectionName];
-      console.log(`Deleted collection for repository: ${repoId}`);
-    } else {
-      console.log(`No existing collection found for repository: ${repoId}`);
+    return staleIds.length > 0 ? await collection.delete({ ids: staleIds }) : 0;
+  } catch (error) {
+    console.error('Error deleting chunks:', error);
+    throw new Error(`Failed to delete chunks: ${error.message}`);
+  }
+}
+
+/**
+ * Merges fields such as the indexed commit SHA into the collection metadata.
+ * @param {string} repoId 
+ * @param {Object} metadata 
+ * @returns {Promise<Object>} 
+ */
+export async function updateCollectionMetadata(repoId, metadata) {
+  const collection = await getCollection(repoId);
+  
+  return collection.modify({
+    metadata: {
+      ...metadata,
+      updated: new Date().toISOString()
     }
+  });
+}
+
+/**
+
+ * @param {string} repoId 
+ * @returns {Promise<void>}
+ */
+export async function deleteRepositoryData(repoId) {
+  try {
+    
+    await getVectorStore().deleteCollection(getCollectionName(repoId));
+    console.log(`Deleted collection for repository: ${repoId}`);
   } catch (error) {
     console.error('Error deleting repository data:', error);
     throw new Error(`Failed to delete repository data: ${error.message}`);
   }
-}
\ No newline at end of file
+}
@@ -1,80 +1,2065 @@
 
+import { getParser } from './treeSitter';
+import { loadEmbeddingTokenizer, getEmbeddingTokenizer } from './tokenizers';
+
+
+// Chunks default to this many tokens of their own, within the embedding model's limit
+const DEFAULT_CHUNK_TOKENS = 400;
+
+// The rest of the model's input is left for the context and the file header around a chunk
+const CHUNK_SHARE_OF_INPUT = 0.6;
+
+/**
+ * @param {string} text
+ * @returns {number} tokens as the embedding model counts them
+ */
 function estimateTokens(text) {
-  return text.split(/\s+/).length;
+  return getEmbeddingTokenizer().countByLine(text);
+}
+
+/**
+ * Splits a file into chunks along its syntax tree when a tree-sitter grammar
+ * is available, and with the regex chunkers otherwise. Docs and config files
+ * are chunked by heading section and key path instead.
+ * @param {string} content 
+ * @param {string} filePath 
+ * @param {number} [maxTokens] tokens per chunk before context; sized to the embedding model by default
+ * @param {Object} [options] see getChunkingOptions
+ * @returns {Promise<Array>} 
+ */
+export async function chunkCodeFile(content, filePath, maxTokens, options = {}) {
+  const extension = filePath.split('.').pop().toLowerCase();
+  const settings = { ...getChunkingOptions(), ...options };
+  const tokenizer = await loadEmbeddingTokenizer();
+  let chunks = null;
+  
+  if (!maxTokens) {
+    maxTokens = settings.maxTokens || Math.min(DEFAULT_CHUNK_TOKENS, Math.floor(tokenizer.maxTokens * CHUNK_SHARE_OF_INPUT));
+  }
+  
+  
+  const language = getLanguageFromPath(filePath, extension);
+  const fileMetadata = {
+    path: filePath,
+    language,
+    extension: extension,
+    kind: FILE_KIND_BY_LANGUAGE[language] || 'code'
+  };
+  
+  // Notebooks mix code and markdown cells, each chunked on its own
+  if (language === 'jupyter') {
+    return chunkNotebook(content, fileMetadata, maxTokens, settings);
+  }
+  
+  // Prose and configuration have no syntax tree to follow or imports to repeat
+  if (fileMetadata.kind !== 'code') {
+    return chunkDocument(content, fileMetadata, maxTokens);
+  }
+  
+  const parser = await getParser(fileMetadata.language, extension);
+  
+  if (parser) {
+    try {
+      chunks = chunkWithParser(parser, content, fileMetadata, maxTokens);
+    } catch (error) {
+      console.error(`Tree-sitter chunking failed for ${filePath}, falling back to regex:`, error);
+    }
+  }
+  
+  if (!chunks) {
+    chunks = chunkWithRegex(content, fileMetadata, maxTokens);
+  }
+  
+  return addChunkContext(chunks, content, fileMetadata.language, maxTokens, settings);
+}
+
+/**
+ * Chunking settings from the environment. CHUNK_OVERLAP_LINES is how many
+ * lines of the preceding chunk are repeated above a chunk that continues it;
+ * CHUNK_PARENT_CONTEXT=off stops prefixing chunks with the signatures of the
+ * definitions around them; CHUNK_MAX_TOKENS fixes the chunk size instead of
+ * deriving it from the embedding model.
+ * @returns {Object} `{ overlapLines, parentContext, maxTokens }`
+ */
+export function getChunkingOptions() {
+  const overlapLines = parseInt(process.env.CHUNK_OVERLAP_LINES, 10);
+  
+  return {
+    overlapLines: Number.isNaN(overlapLines) ? 3 : Math.max(0, overlapLines),
+    parentContext: !['off', 'false', '0'].includes((process.env.CHUNK_PARENT_CONTEXT || '').toLowerCase()),
+    maxTokens: parseInt(process.env.CHUNK_MAX_TOKENS, 10) || null
+  };
+}
+
+/**
+ * Lists what a source file defines, imports, exports and calls, for the
+ * symbol index. Uses the tree-sitter grammar when one is available; otherwise
+ * definitions come from the regex chunkers and imports and calls from
+ * matching lines, which misses some but finds most.
+ * @param {string} content
+ * @param {string} filePath
+ * @returns {Promise<Object|null>} `{ language, definitions, imports, exports, references }`,
+ *   or null for files that are not code
+ */
+export async function extractSymbols(content, filePath) {
+  const extension = filePath.split('.').pop().toLowerCase();
+  const language = getLanguageFromPath(filePath, extension);
+  const fileMetadata = { path: filePath, language, extension, kind: FILE_KIND_BY_LANGUAGE[language] || 'code' };
+
+  if (fileMetadata.kind !== 'code' || language === 'jupyter' || language === 'text') {
+    return null;
+  }
+
+  const parser = await getParser(language, extension);
+  let symbols = null;
+
+  if (parser && SYNTAX_RULES[language]) {
+    const tree = parser.parse(content);
+
+    try {
+      symbols = collectTreeSymbols(tree.rootNode, SYNTAX_RULES[language], language);
+    } catch (error) {
+      console.error(`Tree-sitter symbol extraction failed for ${filePath}, falling back to regex:`, error);
+    } finally {
+      tree.delete();
+    }
+  }
+
+  if (!symbols) {
+    symbols = collectLineSymbols(content, fileMetadata);
+  }
+
+  const exports = new Set(symbols.exports);
+  for (const definition of symbols.definitions) {
+    if (definition.exported && !definition.parentSymbol) exports.add(definition.name);
+  }
+
+  return { language, ...symbols, exports: [...exports] };
+}
+
+/**
+ * @param {string} content
+ * @param {Object} fileMetadata
+ * @param {number} maxTokens
+ * @returns {Array}
+ */
+function chunkWithRegex(content, fileMetadata, maxTokens) {
+  switch(fileMetadata.language) {
+    case 'javascript':
+    case 'typescript':
+      return chunkJSTS(content, fileMetadata, maxTokens);
+    case 'python':
+      return chunkPython(content, fileMetadata, maxTokens);
+    case 'java':
+      return chunkJava(content, fileMetadata, maxTokens);
+    case 'go':
+      return chunkGo(content, fileMetadata, maxTokens);
+    case 'c':
+    case 'cpp':
+      return chunkCCpp(content, fileMetadata, maxTokens);
+    case 'rust':
+      return chunkRust(content, fileMetadata, maxTokens);
+    case 'ruby':
+      return chunkRuby(content, fileMetadata, maxTokens);
+    default:
+     
+      return chunkBySize(content, fileMetadata, maxTokens);
+  }
+}
+
+/**
+ * Code cells go through the regex chunker for the kernel's language, which
+ * is chunkPython for Python notebooks, and markdown cells through the
+ * Markdown chunker. Outputs are dropped: plots, tables and logs say little
+ * about the code and would crowd it out. Line numbers count through the
+ * cells' sources in order with a blank line between cells, as if the notebook
+ * were exported as a script.
+ * @param {string} content the notebook's JSON
+ * @param {Object} fileMetadata
+ * @param {number} maxTokens
+ * @param {Object} settings see getChunkingOptions
+ * @returns {Array}
+ */
+function chunkNotebook(content, fileMetadata, maxTokens, settings) {
+  let notebook;
+  
+  try {
+    notebook = JSON.parse(content);
+  } catch (error) {
+    console.error(`Could not parse ${fileMetadata.path} as a notebook, chunking by size:`, error.message);
+    return chunkBySize(content, fileMetadata, maxTokens);
+  }
+  
+  const { kernelspec, language_info: languageInfo } = notebook.metadata || {};
+  const language = ((languageInfo && languageInfo.name) || (kernelspec && kernelspec.language) || 'python').toLowerCase();
+  // nbformat 3 kept cells in worksheets and the code of a cell in `input`
+  const cells = notebook.cells || (notebook.worksheets || []).flatMap(worksheet => worksheet.cells || []);
+  const codeChunks = [];
+  const docChunks = [];
+  const script = [];
+  
+  cells.forEach((cell, cellIndex) => {
+    const isCode = cell.cell_type === 'code';
+    const source = [].concat((isCode && cell.input) || cell.source || '').join('').replace(/\n+$/, '');
+    
+    if (!source.trim() || (!isCode && cell.cell_type !== 'markdown')) return;
+    
+    const cellMetadata = {
+      ...fileMetadata,
+      language: isCode ? language : 'markdown',
+      kind: isCode ? 'code' : 'doc',
+      cellIndex,
+      cellType: cell.cell_type,
+      // Cells that never ran have a null execution count, which Chroma rejects
+      ...(typeof cell.execution_count === 'number' && { executionCount: cell.execution_count })
+    };
+    const cellChunks = isCode
+      ? chunkWithRegex(source, cellMetadata, maxTokens)
+      : chunkDocument(source, cellMetadata, maxTokens);
+    // Markdown without headings is only named "Introduction" by the Markdown chunker
+    const unnamed = isCode ? ['Unnamed section'] : /^\s{0,3}#{1,6}\s/m.test(source) ? [] : ['Introduction'];
+    
+    cellChunks.forEach(chunk => {
+      chunk.metadata.startLine += script.length;
+      chunk.metadata.endLine += script.length;
+      
+      if (unnamed.includes(chunk.metadata.name)) {
+        chunk.metadata.name = `Cell ${cellIndex + 1}`;
+      }
+    });
+    
+    (isCode ? codeChunks : docChunks).push(...cellChunks);
+    script.push(...source.split('\n'), '');
+  });
+  
+  return [
+    ...addChunkContext(codeChunks, script.join('\n'), language, maxTokens, settings),
+    ...docChunks
+  ].sort((a, b) => a.metadata.startLine - b.metadata.startLine);
+}
+
+/**
+ * Dockerfiles, .env templates, Gemfiles and Rakefiles are known by their
+ * name rather than their extension.
+ * @param {string} filePath
+ * @param {string} extension
+ * @returns {string}
+ */
+function getLanguageFromPath(filePath, extension) {
+  const filename = filePath.split('/').pop().toLowerCase();
+  
+  if (filename === 'dockerfile' || filename.startsWith('dockerfile.') || filename.endsWith('.dockerfile')) {
+    return 'dockerfile';
+  }
+  
+  if (/^\.env\.(example|sample|template)$/.test(filename)) {
+    return 'dotenv';
+  }
+  
+  if (['gemfile', 'rakefile'].includes(filename)) {
+    return 'ruby';
+  }
+  
+  return getLanguageFromExtension(extension);
+}
+
+/**
+
+ * @param {string} extension 
+ * @returns {string} 
+ */
+function getLanguageFromExtension(extension) {
+  const extensionMap = {
+    'js': 'javascript',
+    'jsx': 'javascript',
+    'ts': 'typescript',
+    'tsx': 'typescript',
+    'py': 'python',
+    'java': 'java',
+    'go': 'go',
+    'c': 'c',
+    'h': 'c',
+    'cpp': 'cpp',
+    'hpp': 'cpp',
+    'rs': 'rust',
+    'html': 'html',
+    'css': 'css',
+    'rb': 'ruby',
+    'rake': 'ruby',
+    'gemspec': 'ruby',
+    'php': 'php',
+    'cs': 'csharp',
+    'kt': 'kotlin',
+    'kts': 'kotlin',
+    'swift': 'swift',
+    'ipynb': 'jupyter',
+    'md': 'markdown',
+    'mdx': 'markdown',
+    'json': 'json',
+    'yaml': 'yaml',
+    'yml': 'yaml',
+    'toml': 'toml'
+  };
+  
+  return extensionMap[extension] || 'text';
+}
+
+/**
+ * Values of the `kind` chunk metadata field, by language; everything else is
+ * `code`.
+ */
+const FILE_KIND_BY_LANGUAGE = {
+  markdown: 'doc',
+  json: 'config',
+  yaml: 'config',
+  toml: 'config',
+  dockerfile: 'config',
+  dotenv: 'config',
+};
+
+// Code is chunked by definition, docs by heading section and config by key path
+const CHUNK_TYPE_BY_KIND = {
+  code: 'code',
+  doc: 'section',
+  config: 'entry',
+};
+
+
+/**
+ * Node types per grammar. `wrappers` maps a node type to the field holding
+ * the declaration it wraps (null: its last named child); `bodies` names the
+ * field whose members become separate chunks when a definition is too large.
+ */
+const JS_SYNTAX = {
+  imports: ['import_statement'],
+  wrappers: { export_statement: 'declaration' },
+  definitions: ['function_declaration', 'generator_function_declaration', 'class_declaration', 'method_definition'],
+  bodies: { class_declaration: 'body' },
+};
+
+const TS_SYNTAX = {
+  ...JS_SYNTAX,
+  definitions: [
+    ...JS_SYNTAX.definitions,
+    'abstract_class_declaration', 'interface_declaration', 'type_alias_declaration', 'enum_declaration',
+    'method_signature', 'abstract_method_signature',
+  ],
+  bodies: { ...JS_SYNTAX.bodies, abstract_class_declaration: 'body', interface_declaration: 'body' },
+};
+
+const SYNTAX_RULES = {
+  javascript: JS_SYNTAX,
+  typescript: TS_SYNTAX,
+  python: {
+    imports: ['import_statement', 'import_from_statement', 'future_import_statement'],
+    wrappers: { decorated_definition: 'definition' },
+    definitions: ['function_definition', 'class_definition'],
+    bodies: { class_definition: 'body' },
+  },
+  java: {
+    imports: ['package_declaration', 'import_declaration'],
+    wrappers: {},
+    definitions: [
+      'class_declaration', 'interface_declaration', 'enum_declaration', 'record_declaration',
+      'annotation_type_declaration', 'method_declaration', 'constructor_declaration',
+    ],
+    bodies: { class_declaration: 'body', interface_declaration: 'body', enum_declaration: 'body', record_declaration: 'body' },
+  },
+  go: {
+    imports: ['package_clause', 'import_declaration'],
+    wrappers: {},
+    definitions: ['function_declaration', 'method_declaration', 'type_declaration'],
+    bodies: {},
+  },
+  c: {
+    imports: ['preproc_include'],
+    wrappers: {},
+    definitions: ['function_definition', 'struct_specifier', 'union_specifier', 'enum_specifier', 'type_definition'],
+    bodies: {},
+  },
+  cpp: {
+    imports: ['preproc_include', 'using_declaration'],
+    wrappers: { template_declaration: null },
+    definitions: [
+      'function_definition', 'class_specifier', 'struct_specifier', 'union_specifier', 'enum_specifier',
+      'namespace_definition', 'type_definition',
+    ],
+    bodies: { class_specifier: 'body', struct_specifier: 'body', namespace_definition: 'body' },
+  },
+  rust: {
+    imports: ['use_declaration', 'extern_crate_declaration'],
+    wrappers: {},
+    definitions: [
+      'function_item', 'function_signature_item', 'struct_item', 'enum_item', 'union_item', 'trait_item',
+      'impl_item', 'mod_item', 'macro_definition', 'type_item',
+    ],
+    bodies: { impl_item: 'body', trait_item: 'body', mod_item: 'body' },
+  },
+  php: {
+    // `namespace App;` scopes the file like a package clause; `namespace App { }` holds definitions
+    imports: ['namespace_definition', 'namespace_use_declaration'],
+    wrappers: {},
+    definitions: [
+      'namespace_definition', 'class_declaration', 'interface_declaration', 'trait_declaration', 'enum_declaration',
+      'function_definition', 'method_declaration',
+    ],
+    bodies: {
+      namespace_definition: 'body', class_declaration: 'body', interface_declaration: 'body',
+      trait_declaration: 'body', enum_declaration: 'body',
+    },
+  },
+  csharp: {
+    imports: ['using_directive', 'extern_alias_directive', 'file_scoped_namespace_declaration'],
+    wrappers: {},
+    definitions: [
+      'namespace_declaration', 'class_declaration', 'struct_declaration', 'interface_declaration', 'enum_declaration',
+      'record_declaration', 'delegate_declaration', 'method_declaration', 'constructor_declaration',
+      'destructor_declaration', 'operator_declaration',
+    ],
+    bodies: {
+      namespace_declaration: 'body', class_declaration: 'body', struct_declaration: 'body',
+      interface_declaration: 'body', record_declaration: 'body',
+    },
+  },
+  // The Kotlin grammar names no fields, so bodies are found by node type
+  kotlin: {
+    imports: ['package_header', 'import_list'],
+    wrappers: {},
+    definitions: ['class_declaration', 'object_declaration', 'companion_object', 'function_declaration', 'type_alias'],
+    bodies: { class_declaration: 'class_body', object_declaration: 'class_body', companion_object: 'class_body' },
+  },
+  swift: {
+    imports: ['import_declaration'],
+    wrappers: {},
+    definitions: [
+      'class_declaration', 'protocol_declaration', 'function_declaration', 'protocol_function_declaration',
+      'init_declaration', 'deinit_declaration', 'typealias_declaration',
+    ],
+    bodies: { class_declaration: 'body', protocol_declaration: 'body' },
+  },
+};
+
+// Comments and attributes belong to the node that follows them
+const LEADING_NODE_TYPES = ['comment', 'line_comment', 'block_comment', 'multiline_comment', 'attribute_item'];
+
+// `const handler = async () => {}` defines a function as much as a declaration does
+const FUNCTION_VALUE_TYPES = ['arrow_function', 'function', 'function_expression', 'generator_function', 'class'];
+
+const IDENTIFIER_TYPES = ['identifier', 'field_identifier', 'type_identifier', 'qualified_identifier', 'destructor_name', 'operator_name'];
+
+// Declarations named by a keyword rather than an identifier
+const KEYWORD_NAMES = {
+  init_declaration: 'init',
+  deinit_declaration: 'deinit',
+  companion_object: 'Companion',
+};
+
+/**
+ * Values of the `symbolKind` chunk metadata field. `type` covers interfaces,
+ * structs, enums and traits; `block` is code outside any definition.
+ */
+export const SYMBOL_KINDS = ['function', 'method', 'class', 'component', 'type', 'module', 'block'];
+
+const SYMBOL_KIND_BY_NODE_TYPE = {
+  function_declaration: 'function',
+  generator_function_declaration: 'function',
+  function_definition: 'function',
+  function_item: 'function',
+  function_signature_item: 'function',
+  macro_definition: 'function',
+  lexical_declaration: 'function',
+  variable_declaration: 'function',
+  method_definition: 'method',
+  method_signature: 'method',
+  abstract_method_signature: 'method',
+  method_declaration: 'method',
+  constructor_declaration: 'method',
+  destructor_declaration: 'method',
+  operator_declaration: 'method',
+  protocol_function_declaration: 'method',
+  init_declaration: 'method',
+  deinit_declaration: 'method',
+  class_declaration: 'class',
+  object_declaration: 'class',
+  companion_object: 'class',
+  abstract_class_declaration: 'class',
+  class_definition: 'class',
+  class_specifier: 'class',
+  record_declaration: 'class',
+  impl_item: 'class',
+  interface_declaration: 'type',
+  type_alias_declaration: 'type',
+  enum_declaration: 'type',
+  annotation_type_declaration: 'type',
+  type_declaration: 'type',
+  struct_specifier: 'type',
+  union_specifier: 'type',
+  enum_specifier: 'type',
+  type_definition: 'type',
+  struct_item: 'type',
+  enum_item: 'type',
+  union_item: 'type',
+  trait_item: 'type',
+  type_item: 'type',
+  trait_declaration: 'type',
+  struct_declaration: 'type',
+  delegate_declaration: 'type',
+  protocol_declaration: 'type',
+  type_alias: 'type',
+  typealias_declaration: 'type',
+  namespace_definition: 'module',
+  namespace_declaration: 'module',
+  mod_item: 'module',
+};
+
+
+/**
+ * @param {Object} parser web-tree-sitter Parser
+ * @param {string} content
+ * @param {Object} fileMetadata
+ * @param {number} maxTokens
+ * @returns {Array}
+ */
+function chunkWithParser(parser, content, fileMetadata, maxTokens) {
+  const rules = SYNTAX_RULES[fileMetadata.language];
+  const tree = parser.parse(content);
+
+  try {
+    return chunkSyntaxTree(tree.rootNode, content, fileMetadata, maxTokens, rules);
+  } finally {
+    // Trees live in WASM memory, which the garbage collector cannot reclaim
+    tree.delete();
+  }
+}
+
+/**
+ * Emits one chunk per top-level definition, groups the statements between
+ * them, and splits oversized classes into their members. Every chunk starts
+ * with the file's imports, like the regex chunkers, and covers one contiguous
+ * run of lines so its line range is exact.
+ * @param {Object} root
+ * @param {string} content
+ * @param {Object} fileMetadata
+ * @param {number} maxTokens
+ * @param {Object} rules entry of SYNTAX_RULES
+ * @returns {Array}
+ */
+function chunkSyntaxTree(root, content, fileMetadata, maxTokens, rules) {
+  const chunks = [];
+  const units = collectSyntaxUnits(root, content, rules);
+  const imports = units.filter(unit => unit.kind === 'import').map(unit => unit.text).join('\n');
+  const header = imports ? imports + '\n' : '';
+  const lineStarts = getLineStarts(content);
+  
+  const pushChunk = (start, end, name, symbol) => {
+    chunks.push(...chunkSpan(content, lineStarts, start, end, header, fileMetadata, name, maxTokens, symbol));
+  };
+  
+  const pushDefinition = (unit, name, parent) => {
+    const body = getDefinitionBody(unit.node, rules);
+    const symbol = describeSyntaxSymbol(unit, name, fileMetadata.language, parent);
+    
+    if (estimateTokens(unit.text) <= maxTokens || !body) {
+      pushChunk(unit.start, unit.end, name, symbol);
+      return;
+    }
+    
+    // Too large for one chunk: the signature and each run of fields or other
+    // small members become chunks of their own, and so does every member definition
+    // The signature ends at the opening brace, or on the line before an indented body
+    const signatureEnd = content[body.startIndex] === '{'
+      ? body.startIndex + 1
+      : Math.max(content.lastIndexOf('\n', body.startIndex - 1), unit.start + 1);
+    let run = { start: unit.start, end: signatureEnd };
+    
+    for (const member of collectSyntaxUnits(body, content, rules)) {
+      if (member.kind !== 'definition') {
+        run = run ? { start: run.start, end: member.end } : { start: member.start, end: member.end };
+        continue;
+      }
+      
+      if (run) {
+        pushChunk(run.start, run.end, name, symbol);
+        run = null;
+      }
+      
+      pushDefinition(member, `${name}.${member.name || 'Unnamed section'}`, { name, nodeType: unit.node.type, ...symbol });
+    }
+    
+    if (run) {
+      pushChunk(run.start, run.end, name, symbol);
+    }
+  };
+  
+  let statements = null;
+  
+  const flushStatements = () => {
+    // A PHP file's opening tag on its own would be a chunk of nothing but imports
+    if (statements && content.slice(statements.start, statements.end).replace(/<\?php\b/g, '').trim()) {
+      pushChunk(statements.start, statements.end, 'Top-level statements', { symbolKind: 'block' });
+    }
+    statements = null;
+  };
+  
+  for (const unit of units) {
+    if (unit.kind === 'import') continue;
+    
+    if (unit.kind === 'definition') {
+      flushStatements();
+      pushDefinition(unit, unit.name || 'Unnamed section');
+      continue;
+    }
+    
+    if (statements && statements.tokens + estimateTokens(unit.text) > maxTokens) {
+      flushStatements();
+    }
+    
+    statements = statements
+      ? { start: statements.start, end: unit.end, tokens: statements.tokens + estimateTokens(unit.text) }
+      : { start: unit.start, end: unit.end, tokens: estimateTokens(unit.text) };
+  }
+  
+  flushStatements();
+  
+  return chunks;
+}
+
+/**
+ * @param {Object} unit definition unit from collectSyntaxUnits
+ * @param {string} name
+ * @param {string} language
+ * @param {Object} [parent] the enclosing definition's name, node type and symbol
+ * @returns {Object} `{ symbolKind, parentSymbol, exported }`
+ */
+function describeSyntaxSymbol(unit, name, language, parent) {
+  let symbolKind = SYMBOL_KIND_BY_NODE_TYPE[unit.node.type] || 'block';
+  let parentSymbol = parent ? parent.name : undefined;
+  
+  if (symbolKind === 'function' && parent) {
+    symbolKind = 'method';
+  }
+  
+  // Kotlin and Swift declare interfaces, structs and enums with the same node as classes
+  if (unit.node.type === 'class_declaration' && ['kotlin', 'swift'].includes(language) &&
+      /\b(interface|struct|enum)\b/.test(unit.declaration.split(/[({:]/)[0])) {
+    symbolKind = 'type';
+  }
+  
+  // Go methods are declared at the top level but belong to their receiver type
+  if (unit.node.type === 'method_declaration' && !parent && name.includes('.')) {
+    parentSymbol = name.slice(0, name.lastIndexOf('.'));
+  }
+  
+  if (isComponent(symbolKind, name, unit.text, language)) {
+    symbolKind = 'component';
+  }
+  
+  return {
+    symbolKind,
+    parentSymbol,
+    exported: isExportedSymbol(unit.declaration, name, language, parent && parent.exported, unit.node.type, parent && parent.nodeType)
+  };
+}
+
+/**
+ * Turns the named children of a node into units of source text. Leading
+ * comments are folded into the unit they describe and each unit starts at the
+ * beginning of its line so indentation survives.
+ * @param {Object} parent
+ * @param {string} content
+ * @param {Object} rules
+ * @returns {Array<Object>} `{ kind, node, name, declaration, start, end, text }`
+ */
+function collectSyntaxUnits(parent, content, rules) {
+  const units = [];
+  let leadingStart = null;
+  
+  for (const child of parent.namedChildren) {
+    if (LEADING_NODE_TYPES.includes(child.type)) {
+      if (leadingStart === null) leadingStart = child.startIndex;
+      continue;
+    }
+    
+    const node = unwrapDefinition(child, rules);
+    const start = getLineStart(content, leadingStart !== null ? leadingStart : child.startIndex);
+    leadingStart = null;
+    
+    let kind = 'statement';
+    if (rules.imports.includes(child.type) && !getDefinitionBody(node, rules)) {
+      kind = 'import';
+    } else if (isDefinition(node, rules)) {
+      kind = 'definition';
+    }
+    
+    units.push({
+      kind,
+      node,
+      name: kind === 'definition' ? getNodeName(node) : null,
+      declaration: getDeclarationLine(content.slice(child.startIndex, child.endIndex)),
+      start,
+      end: child.endIndex,
+      text: content.slice(start, child.endIndex)
+    });
+  }
+  
+  // Comments after the last node, e.g. commented-out code at the end of a file
+  if (leadingStart !== null) {
+    const start = getLineStart(content, leadingStart);
+    const end = parent.lastNamedChild.endIndex;
+    units.push({ kind: 'statement', node: null, name: null, start, end, text: content.slice(start, end) });
+  }
+  
+  return units;
+}
+
+/**
+ * @param {string} content
+ * @param {number} index
+ * @returns {number} index of the line start when only whitespace precedes `index` on its line
+ */
+function getLineStart(content, index) {
+  const lineStart = content.lastIndexOf('\n', index - 1) + 1;
+  return content.slice(lineStart, index).trim() === '' ? lineStart : index;
+}
+
+/**
+ * @param {Object} node
+ * @param {Object} rules
+ * @returns {Object} the declaration inside an export, decorator or template, or the node itself
+ */
+function unwrapDefinition(node, rules) {
+  if (!Object.prototype.hasOwnProperty.call(rules.wrappers, node.type)) {
+    return node;
+  }
+  
+  const field = rules.wrappers[node.type];
+  const inner = field ? node.childForFieldName(field) : node.lastNamedChild;
+  
+  return inner ? unwrapDefinition(inner, rules) : node;
+}
+
+/**
+ * @param {Object} node
+ * @param {Object} rules
+ * @returns {boolean}
+ */
+function isDefinition(node, rules) {
+  if (rules.definitions.includes(node.type)) {
+    return true;
+  }
+  
+  if (node.type === 'lexical_declaration' || node.type === 'variable_declaration') {
+    return node.namedChildren.some(declarator => {
+      const value = declarator.type === 'variable_declarator' && declarator.childForFieldName('value');
+      return Boolean(value) && FUNCTION_VALUE_TYPES.includes(value.type);
+    });
+  }
+  
+  return false;
+}
+
+/**
+ * @param {Object} node
+ * @param {Object} rules
+ * @returns {Object|null}
+ */
+function getDefinitionBody(node, rules) {
+  const field = rules.bodies[node.type];
+  return field ? node.childForFieldName(field) || node.namedChildren.find(child => child.type === field) || null : null;
+}
+
+/**
+ * @param {Object} node
+ * @returns {string|null}
+ */
+function getNodeName(node) {
+  if (node.type === 'lexical_declaration' || node.type === 'variable_declaration') {
+    const declarator = node.namedChildren.find(child => child.type === 'variable_declarator');
+    return declarator ? getNodeName(declarator) : null;
+  }
+  
+  if (node.type === 'impl_item') {
+    const trait = node.childForFieldName('trait');
+    const type = node.childForFieldName('type');
+    return trait ? `${trait.text} for ${type.text}` : type.text;
+  }
+  
+  if (node.type === 'method_declaration' && node.childForFieldName('receiver')) {
+    // Go methods are named after their receiver type, e.g. Server.Start
+    const receiver = node.childForFieldName('receiver').text.match(/(\w+)\s*(\[[^\]]*\])?\s*\)$/);
+    const name = node.childForFieldName('name');
+    if (receiver && name) return `${receiver[1]}.${name.text}`;
+  }
+  
+  // C and C++ keep the name at the bottom of a chain of declarators
+  for (let current = node; current; current = current.childForFieldName('declarator')) {
+    const name = current.childForFieldName('name');
+    if (name) return name.text;
+    if (current !== node && IDENTIFIER_TYPES.includes(current.type)) return current.text;
+  }
+  
+  // Go type declarations and C++ templates hold the name one level down
+  for (const child of node.namedChildren) {
+    const name = child.childForFieldName('name');
+    if (name) return name.text;
+  }
+  
+  // Kotlin has no name field; the name is the first identifier among the children
+  const identifier = node.namedChildren.find(child => child.type === 'type_identifier' || child.type === 'simple_identifier');
+  if (identifier) return identifier.text;
+  
+  return KEYWORD_NAMES[node.type] || null;
+}
+
+// Calls, constructor calls and JSX elements; the callee names the symbol they use
+const REFERENCE_NODE_TYPES = [
+  'call_expression', 'call', 'method_invocation', 'invocation_expression', 'new_expression', 'object_creation_expression',
+  'function_call_expression', 'member_call_expression', 'scoped_call_expression', 'macro_invocation',
+  'jsx_opening_element', 'jsx_self_closing_element',
+];
+
+const CALLEE_FIELDS = ['function', 'name', 'constructor', 'type', 'macro'];
+
+// Words followed by a parenthesis that do not call anything
+const NON_CALL_WORDS = new Set([
+  'if', 'elif', 'for', 'foreach', 'while', 'until', 'unless', 'switch', 'when', 'match', 'catch', 'with', 'return',
+  'function', 'def', 'fn', 'func', 'fun', 'sizeof', 'typeof', 'and', 'or', 'not', 'in', 'lock', 'using', 'fixed',
+]);
+
+/**
+ * Walks the whole tree for the symbol index. Definitions are collected at the
+ * top level and inside classes, modules and other containers; function bodies
+ * are only searched for references, whose caller is the enclosing definition.
+ * @param {Object} root
+ * @param {Object} rules entry of SYNTAX_RULES
+ * @param {string} language
+ * @returns {Object} `{ definitions, imports, exports, references }`
+ */
+function collectTreeSymbols(root, rules, language) {
+  const symbols = { definitions: [], imports: [], exports: [], references: [] };
+  
+  const visit = (node, scope) => {
+    if (LEADING_NODE_TYPES.includes(node.type)) return;
+    
+    if (rules.imports.includes(node.type) && !getDefinitionBody(node, rules)) {
+      const line = node.startPosition.row + 1;
+      symbols.imports.push(...parseImportStatement(node.text, language).map(entry => ({ ...entry, line })));
+      return;
+    }
+    
+    if (node.type === 'export_statement') {
+      symbols.exports.push(...getExportedNames(node));
+    }
+    
+    if (REFERENCE_NODE_TYPES.includes(node.type)) {
+      const name = getCalleeName(node);
+      
+      if (name) {
+        symbols.references.push({ name, line: node.startPosition.row + 1, ...(scope.caller && { caller: scope.caller }) });
+      }
+    }
+    
+    const definition = unwrapDefinition(node, rules);
+    const name = !scope.inFunction && isDefinition(definition, rules) ? getNodeName(definition) : null;
+    
+    if (!name) {
+      node.namedChildren.forEach(child => visit(child, scope));
+      return;
+    }
+    
+    const qualifiedName = scope.parent ? `${scope.parent.name}.${name}` : name;
+    const unit = { node: definition, declaration: getDeclarationLine(node.text), text: node.text };
+    const symbol = describeSyntaxSymbol(unit, qualifiedName, language, scope.parent);
+    
+    symbols.definitions.push({
+      name: name.split(/\.|::/).pop(),
+      qualifiedName,
+      symbolKind: symbol.symbolKind,
+      ...(symbol.parentSymbol && { parentSymbol: symbol.parentSymbol }),
+      ...(typeof symbol.exported === 'boolean' && { exported: symbol.exported }),
+      startLine: node.startPosition.row + 1,
+      endLine: node.endPosition.row + 1
+    });
+    
+    // Members of classes and modules are definitions too; what a function declares inside is not
+    const inner = rules.bodies[definition.type] || ['class', 'type', 'module'].includes(symbol.symbolKind)
+      ? { parent: { name: qualifiedName, nodeType: definition.type, ...symbol }, caller: scope.caller, inFunction: false }
+      : { parent: scope.parent, caller: qualifiedName, inFunction: true };
+    
+    definition.namedChildren.forEach(child => visit(child, inner));
+  };
+  
+  visit(root, { parent: undefined, caller: null, inFunction: false });
+  
+  return symbols;
+}
+
+/**
+ * @param {Object} node a call, constructor call or JSX element
+ * @returns {string|null} the last identifier of the callee, e.g. `save` for `this.store.save(...)`
+ */
+function getCalleeName(node) {
+  const field = CALLEE_FIELDS.find(name => node.childForFieldName(name));
+  const callee = field ? node.childForFieldName(field) : node.firstNamedChild;
+  
+  // Calls of calls and of inline functions are references only through the inner callee
+  if (!callee || REFERENCE_NODE_TYPES.includes(callee.type) || FUNCTION_VALUE_TYPES.includes(callee.type) || callee.text.length > 200) {
+    return null;
+  }
+  
+  // Lowercase JSX tags are HTML elements
+  if (node.type.startsWith('jsx_') && /^[a-z]/.test(callee.text)) {
+    return null;
+  }
+  
+  const match = callee.text.replace(/<[^<>]*>/g, '').match(/([A-Za-z_$][\w$]*)[^\w$]*$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * @param {Object} node a JavaScript or TypeScript export_statement
+ * @returns {Array<string>} names exported by `export { a, b as c }` and `export default name`
+ */
+function getExportedNames(node) {
+  const clause = node.namedChildren.find(child => child.type === 'export_clause');
+  
+  if (clause) {
+    return clause.namedChildren.map(specifier => (specifier.childForFieldName('alias') || specifier.childForFieldName('name') || specifier).text);
+  }
+  
+  const value = node.childForFieldName('value');
+  return value && value.type === 'identifier' ? [value.text] : [];
+}
+
+/**
+ * @param {string} text an import, include or use statement
+ * @param {string} language
+ * @returns {Array<Object>} `{ source, names }` per module imported from; `names` are the
+ *   symbols brought into scope, with `*` for everything a module exports
+ */
+function parseImportStatement(text, language) {
+  const splitNames = list => list
+    .split(',')
+    .map(name => name.trim().replace(/^type\s+/, '').split(/\s+as\s+/)[0].trim())
+    .filter(Boolean);
+  const lastSegment = source => source.split(/\.|::|\\/).pop();
+  
+  switch (language) {
+    case 'javascript':
+    case 'typescript': {
+      const match = text.match(/^import\s+(?:type\s+)?([\s\S]*?)\s*\bfrom\s*['"]([^'"]+)['"]/);
+      
+      if (!match) {
+        const sideEffect = text.match(/^import\s*['"]([^'"]+)['"]/);
+        return sideEffect ? [{ source: sideEffect[1], names: [] }] : [];
+      }
+      
+      const [, clause, source] = match;
+      const defaultImport = clause.match(/^([\w$]+)/);
+      const named = clause.match(/\{([^}]*)\}/);
+      
+      return [{
+        source,
+        names: [
+          ...(defaultImport ? [defaultImport[1]] : []),
+          ...(named ? splitNames(named[1]) : []),
+          ...(/\*\s*as\s/.test(clause) ? ['*'] : [])
+        ]
+      }];
+    }
+    case 'python': {
+      const from = text.match(/^from\s+(\S+)\s+import\s+([\s\S]+)/);
+      
+      if (from) {
+        return [{ source: from[1], names: splitNames(from[2].replace(/[()\\]/g, ' ')) }];
+      }
+      
+      const modules = text.match(/^import\s+([\s\S]+)/);
+      return modules ? splitNames(modules[1]).map(source => ({ source, names: [] })) : [];
+    }
+    case 'java':
+    case 'kotlin':
+      // Kotlin gathers every import of a file into one node
+      return [...text.matchAll(/^\s*import\s+(?:static\s+)?([\w.`]+?)(\.\*)?(?:\s+as\s+\w+)?\s*;?\s*$/gm)]
+        .map(([, path, wildcard]) => ({ source: path, names: [wildcard ? '*' : lastSegment(path)] }));
+    case 'swift': {
+      const match = text.match(/^import\s+(?:(typealias|struct|class|enum|protocol|let|var|func)\s+)?([\w.]+)/);
+      return match ? [{ source: match[2], names: match[1] ? [lastSegment(match[2])] : [] }] : [];
+    }
+    case 'go':
+      return [...text.matchAll(/"([^"]+)"/g)].map(([, source]) => ({ source, names: [] }));
+    case 'rust': {
+      const crate = text.match(/^extern\s+crate\s+(\w+)/);
+      if (crate) return [{ source: crate[1], names: [] }];
+      
+      const path = text.replace(/^(pub(\([^)]*\))?\s+)?use\s+/, '').replace(/;\s*$/, '').trim();
+      const group = path.match(/^(.*?)::\{([\s\S]*)\}$/);
+      
+      if (group) {
+        const names = splitNames(group[2].replace(/[{}]/g, ',')).map(lastSegment).filter(name => name !== 'self');
+        return [{ source: group[1], names }];
+      }
+      
+      const separator = path.lastIndexOf('::');
+      return separator === -1 ? [{ source: path, names: [] }] : [{ source: path.slice(0, separator), names: splitNames(path.slice(separator + 2)) }];
+    }
+    case 'c':
+    case 'cpp': {
+      const include = text.match(/^#\s*include\s*[<"]([^>"]+)[>"]/);
+      if (include) return [{ source: include[1], names: [] }];
+      
+      const using = text.match(/^using\s+(namespace\s+)?([\w:]+)\s*;/);
+      if (!using) return [];
+      
+      return using[1]
+        ? [{ source: using[2], names: ['*'] }]
+        : [{ source: using[2].slice(0, Math.max(using[2].lastIndexOf('::'), 0)), names: [lastSegment(using[2])] }];
+    }
+    case 'php': {
+      if (!/^use\s/.test(text)) return [];
+      
+      const clause = text.replace(/^use\s+(function\s+|const\s+)?/, '').replace(/;\s*$/, '').trim();
+      const group = clause.match(/^(.*?)\\?\{([\s\S]*)\}$/);
+      
+      if (group) {
+        return [{ source: group[1].replace(/\\$/, ''), names: splitNames(group[2]).map(lastSegment) }];
+      }
+      
+      return splitNames(clause).map(source => ({ source: source.replace(/^\\/, ''), names: [lastSegment(source)] }));
+    }
+    case 'csharp': {
+      const match = text.match(/^(?:global\s+)?using\s+(static\s+)?(?:(\w+)\s*=\s*)?([\w.<>]+)\s*;/);
+      return match ? [{ source: match[3], names: [match[2] || '*'] }] : [];
+    }
+    case 'ruby': {
+      const match = text.match(/^(?:require|require_relative|load)\s*\(?\s*['"]([^'"]+)['"]/);
+      return match ? [{ source: match[1], names: [] }] : [];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Symbols of a file without a syntax tree: definitions from the regex
+ * chunkers, imports from import lines and references from `name(` patterns.
+ * @param {string} content
+ * @param {Object} fileMetadata
+ * @returns {Object} `{ definitions, imports, exports, references }`
+ */
+function collectLineSymbols(content, fileMetadata) {
+  const { language } = fileMetadata;
+  const lines = content.split('\n');
+  const definitions = [];
+  
+  if (language === 'ruby') {
+    // chunkRuby only splits classes too large for a chunk, so members are read from the parse
+    const visitRuby = (definition, parent) => {
+      const qualifiedName = parent ? `${parent.name}.${definition.name}` : definition.name;
+      const exported = isExportedSymbol(definition.declaration, qualifiedName, 'ruby', parent && parent.exported);
+      
+      definitions.push({
+        name: definition.name,
+        qualifiedName,
+        symbolKind: getRubySymbolKind(definition, parent),
+        ...(parent && { parentSymbol: parent.name }),
+        exported,
+        startLine: definition.first + 1,
+        endLine: definition.last + 1
+      });
+      
+      definition.children.forEach(child => visitRuby(child, { name: qualifiedName, exported }));
+    };
+    
+    parseRubyDefinitions(lines).forEach(definition => visitRuby(definition));
+  } else {
+    // Without a budget the regex chunkers emit one chunk per definition
+    for (const { metadata } of chunkWithRegex(content, fileMetadata, Infinity)) {
+      if (!metadata.symbolKind || metadata.symbolKind === 'block' || /^(Unnamed|Top-level|Chunk \d)/.test(metadata.name)) continue;
+      
+      definitions.push({
+        name: metadata.name.split(/\.|::/).pop(),
+        qualifiedName: metadata.name,
+        symbolKind: metadata.symbolKind,
+        ...(metadata.parentSymbol && { parentSymbol: metadata.parentSymbol }),
+        ...(typeof metadata.exported === 'boolean' && { exported: metadata.exported }),
+        startLine: metadata.startLine,
+        endLine: metadata.endLine
+      });
+    }
+  }
+  
+  const imports = [];
+  const references = [];
+  
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    
+    if (/^(import|from|use|using|#\s*include|require|require_relative|extern\s+crate)\b/.test(trimmed)) {
+      imports.push(...parseImportStatement(trimmed, language).map(entry => ({ ...entry, line: i + 1 })));
+      return;
+    }
+    
+    if (/^(\/\/|\/\*|\*|#)/.test(trimmed)) return;
+    
+    // The innermost definition around the line is the caller
+    const enclosing = definitions
+      .filter(definition => definition.startLine <= i + 1 && definition.endLine >= i + 1)
+      .pop();
+    
+    for (const [, name] of trimmed.matchAll(/(?<!\b(?:def|function|fn|func|fun)\s+|[\w$])([A-Za-z_$][\w$]*)\s*\(/g)) {
+      if (NON_CALL_WORDS.has(name)) continue;
+      // A declaration is not a call of itself
+      if (enclosing && enclosing.startLine === i + 1 && enclosing.name === name) continue;
+      
+      references.push({ name, line: i + 1, ...(enclosing && { caller: enclosing.qualifiedName }) });
+    }
+  });
+  
+  return { definitions, imports, exports: [], references };
+}
+
+/**
+ * Chunks always span whole lines, even when a node or entry starts or ends
+ * mid-line, and are split into parts when they exceed the budget.
+ * @param {string} content
+ * @param {Array<number>} lineStarts from getLineStarts
+ * @param {number} start
+ * @param {number} end
+ * @param {string} header
+ * @param {Object} fileMetadata
+ * @param {string} name
+ * @param {number} maxTokens
+ * @param {Object} [symbol] see createChunk
+ * @returns {Array}
+ */
+function chunkSpan(content, lineStarts, start, end, header, fileMetadata, name, maxTokens, symbol) {
+  const startLine = getLineNumber(lineStarts, start);
+  const endLine = getLineNumber(lineStarts, Math.max(start, end - 1));
+  const lineEnd = endLine < lineStarts.length ? lineStarts[endLine] - 1 : content.length;
+  const parts = splitByLines(content.slice(lineStarts[startLine - 1], lineEnd), maxTokens);
+  
+  return parts.map((part, i) => {
+    const partName = parts.length > 1 ? `${name} (part ${i + 1})` : name;
+    return createChunk(header, part.text, fileMetadata, partName, startLine + part.lineOffset, symbol);
+  });
+}
+
+/**
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {Array<Object>} `{ text, lineOffset }` runs of lines, each within the budget when possible
+ */
+function splitByLines(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) {
+    return [{ text, lineOffset: 0 }];
+  }
+  
+  const parts = [];
+  let current = '';
+  let lineOffset = 0;
+  
+  text.split('\n').forEach((line, i) => {
+    if (current && estimateTokens(current + line) > maxTokens) {
+      if (current.trim()) {
+        parts.push({ text: current, lineOffset });
+      }
+      current = '';
+      lineOffset = i;
+    }
+    current += line + '\n';
+  });
+  
+  if (current.trim()) {
+    parts.push({ text: current, lineOffset });
+  }
+  
+  return parts;
+}
+
+/**
+ * @param {string} content
+ * @returns {Array<number>} index at which each line starts
+ */
+function getLineStarts(content) {
+  const starts = [0];
+  
+  for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+    starts.push(i + 1);
+  }
+  
+  return starts;
+}
+
+/**
+ * @param {Array<number>} lineStarts
+ * @param {number} index
+ * @returns {number} 1-based line containing `index`
+ */
+function getLineNumber(lineStarts, index) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= index) low = mid;
+    else high = mid - 1;
+  }
+  
+  return low + 1;
+}
+
+/**
+ * Every chunker builds its chunks here so they all carry the same metadata.
+ * `contextLines` counts the lines above `body`, which addChunkContext extends.
+ * @param {string} header imports, or the lines opening enclosing sections and keys, ending in a newline
+ * @param {string} body the chunk's own lines of the file
+ * @param {Object} fileMetadata
+ * @param {string} name
+ * @param {number} startLine 1-based line of the file where `body` starts
+ * @param {Object} [symbol] `{ symbolKind, parentSymbol, exported }`; inferred from the body of code when omitted
+ * @returns {Object}
+ */
+function createChunk(header, body, fileMetadata, name, startLine, symbol) {
+  const isCode = fileMetadata.kind === 'code';
+  const { symbolKind, parentSymbol, exported } = symbol || (isCode ? inferSymbol(body, name, fileMetadata.language) : {});
+  const lineCount = body.replace(/\n+$/, '').split('\n').length;
+  
+  return {
+    content: header + body,
+    metadata: {
+      ...fileMetadata,
+      chunkType: CHUNK_TYPE_BY_KIND[fileMetadata.kind],
+      name,
+      startLine,
+      endLine: startLine + lineCount - 1,
+      contextLines: header ? header.split('\n').length - 1 : 0,
+      // Vector stores such as Chroma reject null metadata values, so absent fields are left out
+      ...(symbolKind && { symbolKind }),
+      ...(parentSymbol && { parentSymbol }),
+      ...(typeof exported === 'boolean' && { exported })
+    }
+  };
+}
+
+// The file's imports may take up this share of a chunk's budget before they are cut short
+const IMPORT_CONTEXT_SHARE = 0.25;
+
+/**
+ * Prefixes every chunk with what a reader needs to place it: the file's
+ * imports, unless the chunk holds them already, followed by a `...` comment,
+ * the signatures of the definitions it sits inside, and, when it continues a
+ * definition the chunk before it started, the last few lines of that chunk.
+ * The chunk's own span stays at the end of its content, after `contextLines`
+ * lines of context, so its line range still holds.
+ * @param {Array} chunks
+ * @param {string} content
+ * @param {string} language
+ * @param {number} maxTokens
+ * @param {Object} options see getChunkingOptions
+ * @returns {Array} the same chunks
+ */
+function addChunkContext(chunks, content, language, maxTokens, { overlapLines, parentContext }) {
+  const fileLines = content.split('\n');
+  const comment = language === 'python' || language === 'ruby' ? '#' : '//';
+  const ordered = [...chunks].sort((a, b) => a.metadata.startLine - b.metadata.startLine);
+  
+  ordered.forEach((chunk, i) => {
+    const { startLine, contextLines } = chunk.metadata;
+    const lines = chunk.content.split('\n');
+    const span = lines.slice(contextLines).join('\n');
+    const spanLines = new Set(span.split('\n').map(line => line.trim()));
+    const imports = lines.slice(0, contextLines);
+    const holdsImports = imports.every(line => !line.trim() || spanLines.has(line.trim()));
+    const context = holdsImports ? [] : parentContext ? summarizeImports(imports, comment, maxTokens) : imports;
+    const spanStart = getDeclarationLine(span);
+    const previous = ordered[i - 1];
+    let contextStart = startLine;
+    
+    if (context.length > 0) {
+      context.push(`${comment} ...`);
+    }
+    
+    // A chunk that opens a new definition stands on its own, even when it is a
+    // statement rather than a declaration; one cut from the middle of a
+    // definition starts indented or with its closing bracket, and picks up
+    // where the previous chunk left off
+    const continuesDefinition = getDeclarationKind(spanStart) === 'block' &&
+      (getIndentation(spanStart) > 0 || /^[)\]}]/.test(spanStart));
+    
+    if (overlapLines > 0 && previous && previous.metadata.endLine >= startLine - 1 && continuesDefinition) {
+      contextStart = Math.max(previous.metadata.startLine, startLine - overlapLines);
+      
+      while (contextStart < startLine && /^[\s})\];,]*$/.test(fileLines[contextStart - 1])) {
+        contextStart++;
+      }
+    }
+    
+    const region = fileLines.slice(contextStart - 1, startLine - 1);
+    
+    if (parentContext && (SYNTAX_RULES[language] || language === 'ruby')) {
+      const firstLine = getDeclarationLine(region.join('\n') + '\n' + span);
+      const signatures = getEnclosingSignatures(fileLines, contextStart, getIndentation(firstLine));
+      
+      context.push(...signatures.map(signature => signature.text));
+      
+      // Mark the lines skipped between the innermost signature and the chunk
+      if (signatures.length > 0 && signatures[signatures.length - 1].line < contextStart - 1) {
+        context.push(`${firstLine.match(/^\s*/)[0]}${comment} ...`);
+      }
+    }
+    
+    context.push(...region);
+    
+    if (context.length > 0 || contextLines > 0) {
+      chunk.content = [...context, span].join('\n');
+      chunk.metadata.contextLines = context.length;
+    }
+  });
+  
+  return chunks;
+}
+
+/**
+ * @param {Array<string>} lines the file's imports
+ * @param {string} comment line comment marker of the language
+ * @param {number} maxTokens
+ * @returns {Array<string>} the imports that fit the budget, plus a note on how many lines were left out
+ */
+function summarizeImports(lines, comment, maxTokens) {
+  const budget = Math.floor(maxTokens * IMPORT_CONTEXT_SHARE);
+  let tokens = 0;
+  
+  for (let i = 0; i < lines.length; i++) {
+    tokens += estimateTokens(lines[i]);
+    
+    if (tokens > budget) {
+      const omitted = lines.slice(i).filter(line => line.trim()).length;
+      return [...lines.slice(0, i), `${comment} ... ${omitted} more lines of imports`];
+    }
+  }
+  
+  return lines;
+}
+
+/**
+ * Walks up from a line to the file's top level through ever less indented
+ * lines, keeping those that declare something. Works the same for the
+ * syntax-tree and regex chunkers, and for braces as well as indentation.
+ * @param {Array<string>} fileLines
+ * @param {number} startLine 1-based
+ * @param {number} indentation of the first line of code at `startLine`
+ * @returns {Array<Object>} `{ line, text }`, outermost first
+ */
+function getEnclosingSignatures(fileLines, startLine, indentation) {
+  const signatures = [];
+  let indent = indentation;
+  
+  for (let i = startLine - 2; i >= 0 && indent > 0; i--) {
+    const line = fileLines[i];
+    const trimmed = line.trim();
+    
+    // Braces on a line of their own (C#, PHP) open the body of the signature above them
+    if (trimmed === '' || trimmed === '{' || /^(\/\/|\/\*|\*|#)/.test(trimmed)) continue;
+    
+    const lineIndent = getIndentation(line);
+    if (lineIndent >= indent) continue;
+    
+    indent = lineIndent;
+    
+    if (getDeclarationKind(line) !== 'block') {
+      signatures.unshift({ line: i + 1, text: line.trimEnd() });
+    }
+  }
+  
+  return signatures;
+}
+
+/**
+ * @param {string} line
+ * @returns {number}
+ */
+function getIndentation(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Best-effort symbol description for the regex chunkers, read off the first
+ * line of code in the chunk.
+ * @param {string} body
+ * @param {string} name
+ * @param {string} language
+ * @returns {Object} `{ symbolKind, exported }`
+ */
+function inferSymbol(body, name, language) {
+  const declaration = getDeclarationLine(body);
+  let symbolKind = getDeclarationKind(declaration);
+  
+  if (isComponent(symbolKind, name, body, language)) {
+    symbolKind = 'component';
+  }
+  
+  return {
+    symbolKind,
+    exported: symbolKind === 'block' ? undefined : isExportedSymbol(declaration.trim(), name, language)
+  };
+}
+
+/**
+ * @param {string} declaration a line of code
+ * @returns {string} the symbolKind the line declares, `block` when it declares nothing
+ */
+function getDeclarationKind(declaration) {
+  if (/\b(class|impl)\b/.test(declaration)) {
+    return 'class';
+  } else if (/\b(interface|struct|enum|trait|union|typedef)\b|^type\s+\w+/.test(declaration)) {
+    return 'type';
+  } else if (/^\s*(pub\s+)?(module|namespace|mod)\s+\w/.test(declaration)) {
+    return 'module';
+  } else if (/^\s*(if|else|elif|for|foreach|while|do|switch|case|return|try|catch|except|finally|with|throw|raise|await|yield|new)\b/.test(declaration)) {
+    return 'block';
+  } else if (/\b(function|def|fn)\b|^func\b|^\s*(\w+\s+)*(fun|func)\s+\w|=>|^[\w<>\[\],\s*&:]+\s+\**[\w:~]+\s*\([^;]*$/.test(declaration)) {
+    // Indented functions live inside a class or impl; Go methods have a receiver
+    return /^\s+\S/.test(declaration) || /^func\s*\(/.test(declaration) ? 'method' : 'function';
+  }
+  
+  return 'block';
+}
+
+/**
+ * @param {string} text
+ * @returns {string} the first line that is not blank, a comment, a decorator or an attribute
+ */
+function getDeclarationLine(text) {
+  return text.split('\n').find(line => {
+    const trimmed = line.trim();
+    // C# attributes take a line of their own: `[Serializable]`
+    return trimmed !== '' && !/^(\/\/|\/\*|\*|#|@)/.test(trimmed) && !/^\[[^\]]*\]$/.test(trimmed);
+  }) || '';
+}
+
+/**
+ * React components: capitalized functions or classes that render JSX.
+ * @param {string} symbolKind
+ * @param {string} name
+ * @param {string} text
+ * @param {string} language
+ * @returns {boolean}
+ */
+function isComponent(symbolKind, name, text, language) {
+  if (language !== 'javascript' && language !== 'typescript') return false;
+  if (symbolKind !== 'function' && symbolKind !== 'class') return false;
+  
+  const bareName = (name || '').split('.').pop();
+  return /^[A-Z]/.test(bareName) && /(return|=>)\s*\(?\s*<[A-Za-z>]/.test(text);
+}
+
+/**
+ * Whether a symbol is visible outside its file or package, following each
+ * language's convention. Members are exported only along with their parent.
+ * @param {string} declaration first line of code of the symbol
+ * @param {string} name
+ * @param {string} language
+ * @param {boolean} [parentExported] set for members of a class or impl
+ * @param {string} [nodeType] tree-sitter node type, when known
+ * @param {string} [parentNodeType] tree-sitter node type of the parent; members of interfaces and protocols are public by default
+ * @returns {boolean|undefined} undefined when the language has no such notion
+ */
+function isExportedSymbol(declaration, name, language, parentExported, nodeType, parentNodeType) {
+  const bareName = (name || '').split(/\.|::/).pop().trim();
+  const isMember = parentExported !== undefined;
+  const decl = declaration.trim();
+  
+  switch (language) {
+    case 'javascript':
+    case 'typescript':
+      return isMember ? parentExported && !/^(private|protected)\b|^#/.test(decl) : /^export\b/.test(decl);
+    case 'python':
+      return (!isMember || parentExported) && !bareName.startsWith('_');
+    case 'go':
+      return /^[A-Z]/.test(bareName);
+    case 'java':
+      return isMember ? parentExported && !/\b(private|protected)\b/.test(decl) : /\bpublic\b/.test(decl);
+    case 'rust':
+      // impl blocks have no visibility of their own; trait methods are as public as the trait
+      if (nodeType === 'impl_item') return true;
+      return isMember ? parentExported && (/^pub\b/.test(decl) || / for /.test(name)) : /^pub\b/.test(decl);
+    case 'c':
+    case 'cpp':
+      return isMember ? parentExported : !/^static\b/.test(decl);
+    case 'php':
+      return isMember ? parentExported && !/\b(private|protected)\b/.test(decl) : true;
+    case 'csharp':
+      // Namespaces have no visibility of their own
+      if (nodeType === 'namespace_declaration') return true;
+      if (parentNodeType === 'interface_declaration') return parentExported;
+      return (!isMember || parentExported) && /\bpublic\b/.test(decl);
+    case 'kotlin':
+      return (!isMember || parentExported) && !/\b(private|protected|internal)\b/.test(decl);
+    case 'swift':
+      // Extensions have no visibility of their own, like Rust impl blocks
+      if (/^extension\b/.test(decl)) return true;
+      if (parentNodeType === 'protocol_declaration') return parentExported;
+      return (!isMember || parentExported) && /\b(public|open)\b/.test(decl);
+    case 'ruby':
+      // Methods defined at the top level are private to Object
+      return isMember ? parentExported && !/^(private|protected)\b/.test(decl) : !/^def\b/.test(decl);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * @param {string} content
+ * @param {Object} fileMetadata
+ * @param {number} maxTokens
+ * @returns {Array}
+ */
+function chunkDocument(content, fileMetadata, maxTokens) {
+  const parsers = {
+    markdown: parseMarkdownSections,
+    json: parseJsonEntries,
+    yaml: parseYamlEntries,
+    toml: parseTomlEntries,
+    dockerfile: parseDockerfileEntries,
+    dotenv: parseDotenvEntries,
+  };
+  
+  try {
+    const entries = parsers[fileMetadata.language](content);
+    
+    if (entries.length > 0) {
+      // Keys join into dotted paths; headings and build stages read better as breadcrumbs
+      const separator = ['json', 'yaml', 'toml'].includes(fileMetadata.language) ? '.' : ' > ';
+      return chunkEntries(entries, content, fileMetadata, maxTokens, separator);
+    }
+  } catch (error) {
+    console.error(`Could not parse ${fileMetadata.path} as ${fileMetadata.language}, chunking by size:`, error.message);
+  }
+  
+  return chunkBySize(content, fileMetadata, maxTokens);
+}
+
+/**
+ * Shared by the doc and config formats, whose parsers turn a file into a tree
+ * of entries: heading sections, or keys with their values. Adjacent entries
+ * are packed into one chunk while they fit; an entry too large for a chunk is
+ * split into its children, and the lines opening its ancestors (headings,
+ * `"key": {`, `[table]`) are repeated above each of them along with the
+ * comments that describe them.
+ * @param {Array<Object>} entries `{ name, start, keyStart, end, children }`, with
+ *   `start` at the beginning of a line and before any leading comments
+ * @param {string} content
+ * @param {Object} fileMetadata
+ * @param {number} maxTokens
+ * @param {string} separator joins the names along a key path
+ * @returns {Array}
+ */
+function chunkEntries(entries, content, fileMetadata, maxTokens, separator) {
+  const chunks = [];
+  const lineStarts = getLineStarts(content);
+  const lineOf = index => getLineNumber(lineStarts, index);
+  
+  const pushChunk = (start, end, name, header) => {
+    chunks.push(...chunkSpan(content, lineStarts, start, end, header, fileMetadata, name, maxTokens));
+  };
+  
+  const joinPath = (parentPath, name) => {
+    if (!parentPath) return name;
+    return name.startsWith('[') ? parentPath + name : parentPath + separator + name;
+  };
+  
+  const emit = (siblings, header, parentPath) => {
+    let run = null;
+    
+    const flush = () => {
+      if (run) {
+        const name = run.names.length > 1 ? `${run.names[0]} (+${run.names.length - 1} more)` : run.names[0];
+        pushChunk(run.start, run.end, name, header);
+      }
+      run = null;
+    };
+    
+    for (const entry of siblings) {
+      const path = joinPath(parentPath, entry.name);
+      const tokens = estimateTokens(content.slice(entry.start, entry.end));
+      // Entries that share a line, as in minified JSON, cannot go to separate chunks
+      const sharesLine = run && lineOf(entry.start) <= lineOf(run.end - 1);
+      
+      if (tokens > maxTokens && entry.children.length > 0 && !sharesLine &&
+          lineOf(entry.children[0].start) > lineOf(entry.keyStart)) {
+        flush();
+        
+        const keyLineEnd = content.indexOf('\n', entry.keyStart);
+        // The opening line, with any comments above it
+        const opening = content.slice(entry.start, keyLineEnd === -1 ? content.length : keyLineEnd);
+        
+        // Text between the opening line and the first child, such as the introduction under a heading
+        if (content.slice(keyLineEnd, entry.children[0].start).trim()) {
+          pushChunk(entry.start, entry.children[0].start, path, header);
+        }
+        
+        emit(entry.children, `${header}${opening}\n`, path);
+        continue;
+      }
+      
+      if (run && !sharesLine && run.tokens + tokens > maxTokens) {
+        flush();
+      }
+      
+      run = run
+        ? { start: run.start, end: entry.end, names: [...run.names, path], tokens: run.tokens + tokens }
+        : { start: entry.start, end: entry.end, names: [path], tokens };
+    }
+    
+    flush();
+  };
+  
+  emit(entries, '', '');
+  
+  return chunks;
+}
+
+/**
+ * @param {string} content
+ * @returns {Array<Object>} `{ text, start, end }` for every line
+ */
+function getLines(content) {
+  const lines = [];
+  let start = 0;
+  
+  for (const text of content.split('\n')) {
+    lines.push({ text, start, end: start + text.length });
+    start += text.length + 1;
+  }
+  
+  return lines;
+}
+
+// Depth of entries that never have children, so the next opener closes them
+const LEAF_DEPTH = Infinity;
+
+/**
+ * Builds an entry tree from lines that open entries at some depth, such as
+ * headings by level or keys by indentation. Comment lines directly above an
+ * entry belong to it.
+ * @param {Array<Object>} openers `{ name, depth, start, keyStart }` in file order
+ * @param {number} contentLength
+ * @returns {Array<Object>} entries, see chunkEntries
+ */
+function nestEntries(openers, contentLength) {
+  const roots = [];
+  const stack = [];
+  
+  for (const opener of openers) {
+    while (stack.length > 0 && stack[stack.length - 1].depth >= opener.depth) {
+      stack.pop().end = opener.start;
+    }
+    
+    const entry = { ...opener, end: contentLength, children: [] };
+    (stack.length > 0 ? stack[stack.length - 1].children : roots).push(entry);
+    stack.push(entry);
+  }
+  
+  return roots;
+}
+
+/**
+ * Sections by ATX (`## Setup`) and setext headings, ignoring `#` lines inside
+ * fenced code blocks. Front matter and text before the first heading become
+ * sections of their own.
+ * @param {string} content
+ * @returns {Array<Object>}
+ */
+function parseMarkdownSections(content) {
+  const lines = getLines(content);
+  const openers = [];
+  let fence = null;
+  let bodyStart = 0;
+  let i = 0;
+  
+  if (/^---\s*$/.test(lines[0].text)) {
+    const close = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line.text));
+    if (close !== -1) {
+      openers.push({ name: 'Front matter', depth: LEAF_DEPTH, start: 0, keyStart: 0 });
+      bodyStart = lines[close].end + 1;
+      i = close + 1;
+    }
+  }
+  
+  for (; i < lines.length; i++) {
+    const { text, start } = lines[i];
+    const fenceMatch = text.match(/^\s{0,3}(`{3,}|~{3,})/);
+    
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1][0];
+      else if (fenceMatch[1][0] === fence) fence = null;
+      continue;
+    }
+    
+    if (fence) continue;
+    
+    const atx = text.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    const setext = i + 1 < lines.length && text.trim() && !/^\s{0,3}([-*_]\s*){3,}$/.test(text) && lines[i + 1].text.match(/^\s{0,3}(=+|-+)\s*$/);
+    
+    if (atx) {
+      openers.push({ name: atx[2] || 'Untitled section', depth: atx[1].length, start, keyStart: start });
+    } else if (setext) {
+      openers.push({ name: text.trim(), depth: setext[1][0] === '=' ? 1 : 2, start, keyStart: start });
+      i++;
+    }
+  }
+  
+  const firstHeading = openers.find(opener => opener.depth !== LEAF_DEPTH);
+  
+  if (content.slice(bodyStart, firstHeading ? firstHeading.start : content.length).trim()) {
+    openers.splice(bodyStart > 0 ? 1 : 0, 0, { name: 'Introduction', depth: LEAF_DEPTH, start: bodyStart, keyStart: bodyStart });
+  }
+  
+  return nestEntries(openers, content.length);
 }
 
 /**
- 
- * @param {string} content 
- * @param {string} filePath 
- * @param {number} maxTokens 
- * @returns {Array} 
+ * Members of the top-level object (or elements of the top-level array), each
+ * with its own members as children. Comments and trailing commas, as found in
+ * tsconfig.json and other JSONC files, are tolerated.
+ * @param {string} content
+ * @returns {Array<Object>}
  */
-export function chunkCodeFile(content, filePath, maxTokens = 400) {
-  const extension = filePath.split('.').pop().toLowerCase();
-  const chunks = [];
+function parseJsonEntries(content) {
+  let i = 0;
   
+  const skipWhitespace = () => {
+    while (i < content.length) {
+      if (/\s/.test(content[i])) {
+        i++;
+      } else if (content.startsWith('//', i)) {
+        const end = content.indexOf('\n', i);
+        i = end === -1 ? content.length : end;
+      } else if (content.startsWith('/*', i)) {
+        const end = content.indexOf('*/', i + 2);
+        i = end === -1 ? content.length : end + 2;
+      } else {
+        return;
+      }
+    }
+  };
   
-  const fileMetadata = {
-    path: filePath,
-    language: getLanguageFromExtension(extension),
-    extension: extension
+  const readString = () => {
+    const start = ++i;
+    while (i < content.length && content[i] !== '"') {
+      i += content[i] === '\\' ? 2 : 1;
+    }
+    if (i >= content.length) {
+      throw new Error('Unterminated string');
+    }
+    return content.slice(start, i++);
   };
   
+  // Comment lines directly above a member belong to it
+  const getMemberStart = (keyStart) => {
+    let start = getLineStart(content, keyStart);
+    
+    while (start > 0) {
+      const previousStart = content.lastIndexOf('\n', start - 2) + 1;
+      if (!/^(\/\/|\/\*|\*)/.test(content.slice(previousStart, start - 1).trim())) break;
+      start = previousStart;
+    }
+    
+    return start;
+  };
   
-  switch(fileMetadata.language) {
-    case 'javascript':
-    case 'typescript':
-      return chunkJSTS(content, fileMetadata, maxTokens);
-    case 'python':
-      return chunkPython(content, fileMetadata, maxTokens);
-    case 'java':
-      return chunkJava(content, fileMetadata, maxTokens);
-    case 'go':
-      return chunkGo(content, fileMetadata, maxTokens);
-    case 'c':
-    case 'cpp':
-      return chunkCCpp(content, fileMetadata, maxTokens);
-    case 'rust':
-      return chunkRust(content, fileMetadata, maxTokens);
-    default:
-     
-      return chunkBySize(content, fileMetadata, maxTokens);
+  // Returns the members of an object or array value; scalars have none
+  const readValue = () => {
+    skipWhitespace();
+    const open = content[i];
+    
+    if (open === '"') {
+      readString();
+      return [];
+    }
+    
+    if (open !== '{' && open !== '[') {
+      const start = i;
+      while (i < content.length && !/[\s,\]}]/.test(content[i])) i++;
+      if (i === start) {
+        throw new Error(`Unexpected "${content[i] || 'end of input'}" at offset ${i}`);
+      }
+      return [];
+    }
+    
+    const close = open === '{' ? '}' : ']';
+    const members = [];
+    i++;
+    
+    for (let index = 0; ; index++) {
+      skipWhitespace();
+      
+      if (content[i] === close) {
+        i++;
+        return members;
+      }
+      
+      if (i >= content.length) {
+        throw new Error('Unexpected end of input');
+      }
+      
+      const keyStart = i;
+      let name = `[${index}]`;
+      
+      if (open === '{') {
+        if (content[i] !== '"') {
+          throw new Error(`Expected a key at offset ${i}`);
+        }
+        name = readString();
+        skipWhitespace();
+        if (content[i++] !== ':') {
+          throw new Error(`Expected ":" after "${name}"`);
+        }
+      }
+      
+      const children = readValue();
+      members.push({ name, start: getMemberStart(keyStart), keyStart, end: i, children });
+      
+      skipWhitespace();
+      if (content[i] === ',') i++;
+    }
+  };
+  
+  return readValue();
+}
+
+/**
+ * Keys and sequence items by indentation. Lines inside block scalars (`|`,
+ * `>`) are part of their key, not entries of their own.
+ * @param {string} content
+ * @returns {Array<Object>}
+ */
+function parseYamlEntries(content) {
+  const openers = [];
+  // Open keys and items, each counting the sequence items under it
+  let stack = [{ depth: -1, items: 0 }];
+  let commentStart = null;
+  let blockIndent = null;
+  
+  for (const { text, start } of getLines(content)) {
+    const trimmed = text.trim();
+    const indent = getIndentation(text);
+    
+    if (blockIndent !== null && (trimmed === '' || indent > blockIndent)) continue;
+    blockIndent = null;
+    
+    if (trimmed === '') {
+      commentStart = null;
+      continue;
+    }
+    
+    if (trimmed.startsWith('#')) {
+      if (commentStart === null) commentStart = start;
+      continue;
+    }
+    
+    // Document markers separate top-level entries
+    if (/^(---|\.\.\.)(\s|$)/.test(text)) {
+      openers.push({ name: '---', depth: -1, start, keyStart: start });
+      stack = [{ depth: -1, items: 0 }];
+      commentStart = null;
+      continue;
+    }
+    
+    const key = text.match(/^\s*("[^"]*"|'[^']*'|[^\s#'"-][^:#]*?)\s*:(\s|$)/);
+    const item = text.match(/^\s*-(\s|$)/);
+    
+    if (key || item) {
+      // Sequence items may sit at their key's own indentation and still belong to it
+      const depth = item ? indent + 0.5 : indent;
+      
+      while (stack[stack.length - 1].depth >= depth) stack.pop();
+      
+      const name = item ? `[${stack[stack.length - 1].items++}]` : key[1].replace(/^["']|["']$/g, '');
+      stack.push({ depth, items: 0 });
+      
+      openers.push({ name, depth, start: commentStart !== null ? commentStart : start, keyStart: start });
+      
+      if (/:\s*[|>][-+0-9]*\s*(#.*)?$/.test(text)) {
+        blockIndent = indent;
+      }
+    }
+    
+    commentStart = null;
   }
+  
+  return nestEntries(openers, content.length).flatMap(entry => (entry.name === '---' ? entry.children : [entry]));
 }
 
 /**
+ * @param {string} text one line of TOML
+ * @returns {number} brackets and braces opened but not closed on the line
+ */
+function countOpenBrackets(text) {
+  const code = text.replace(/"(?:[^"\\]|\\.)*"|'[^']*'/g, '""').replace(/#.*/, '');
+  return (code.match(/[[{]/g) || []).length - (code.match(/[\]}]/g) || []).length;
+}
 
- * @param {string} extension 
- * @returns {string} 
+/**
+ * Tables (`[server]`, `[[plugins]]`) with their keys as children; keys before
+ * the first table are top-level entries. Lines inside multi-line strings and
+ * arrays belong to the key that opens them.
+ * @param {string} content
+ * @returns {Array<Object>}
  */
-function getLanguageFromExtension(extension) {
-  const extensionMap = {
-    'js': 'javascript',
-    'jsx': 'javascript',
-    'ts': 'typescript',
-    'tsx': 'typescript',
-    'py': 'python',
-    'java': 'java',
-    'go': 'go',
-    'c': 'c',
-    'h': 'c',
-    'cpp': 'cpp',
-    'hpp': 'cpp',
-    'rs': 'rust',
-    'html': 'html',
-    'css': 'css'
-  };
+function parseTomlEntries(content) {
+  const openers = [];
+  const arrayTables = new Map();
+  let commentStart = null;
+  let inTable = false;
+  let stringDelimiter = null;
+  let openBrackets = 0;
   
-  return extensionMap[extension] || 'text';
+  for (const { text, start } of getLines(content)) {
+    const trimmed = text.trim();
+    
+    if (stringDelimiter) {
+      if (text.includes(stringDelimiter)) stringDelimiter = null;
+      continue;
+    }
+    
+    if (openBrackets > 0) {
+      openBrackets += countOpenBrackets(text);
+      continue;
+    }
+    
+    if (trimmed === '') {
+      commentStart = null;
+      continue;
+    }
+    
+    if (trimmed.startsWith('#')) {
+      if (commentStart === null) commentStart = start;
+      continue;
+    }
+    
+    const entryStart = commentStart !== null ? commentStart : start;
+    const table = trimmed.match(/^(\[\[?)\s*([^\]]+?)\s*\]/);
+    const key = trimmed.match(/^("[^"]*"|'[^']*'|[\w.-]+)\s*=/);
+    commentStart = null;
+    
+    if (table) {
+      let name = table[2];
+      
+      if (table[1] === '[[') {
+        const count = arrayTables.get(name) || 0;
+        arrayTables.set(name, count + 1);
+        name = `${name}[${count}]`;
+      }
+      
+      openers.push({ name, depth: 0, start: entryStart, keyStart: start });
+      inTable = true;
+    } else if (key) {
+      openers.push({ name: key[1].replace(/^["']|["']$/g, ''), depth: inTable ? 1 : 0, start: entryStart, keyStart: start });
+      
+      const value = text.slice(text.indexOf('=') + 1);
+      const delimiter = value.match(/"""|'''/);
+      
+      if (delimiter && value.split(delimiter[0]).length === 2) {
+        stringDelimiter = delimiter[0];
+      } else {
+        openBrackets = Math.max(countOpenBrackets(value), 0);
+      }
+    }
+  }
+  
+  return nestEntries(openers, content.length);
+}
+
+/**
+ * Build stages, one per FROM and named by its `AS` alias or its image, with
+ * their instructions as children. Continuation lines belong to the
+ * instruction they continue.
+ * @param {string} content
+ * @returns {Array<Object>}
+ */
+function parseDockerfileEntries(content) {
+  const openers = [];
+  let commentStart = null;
+  let inStage = false;
+  let continued = false;
+  
+  for (const { text, start } of getLines(content)) {
+    const trimmed = text.trim();
+    
+    // Comments and blank lines inside a continued instruction do not end it
+    if (continued) {
+      if (trimmed && !trimmed.startsWith('#')) continued = trimmed.endsWith('\\');
+      continue;
+    }
+    
+    if (trimmed === '') {
+      commentStart = null;
+      continue;
+    }
+    
+    if (trimmed.startsWith('#')) {
+      if (commentStart === null) commentStart = start;
+      continue;
+    }
+    
+    const entryStart = commentStart !== null ? commentStart : start;
+    const instruction = trimmed.match(/^([A-Za-z]+)\s*(.*)$/);
+    commentStart = null;
+    continued = trimmed.endsWith('\\');
+    
+    if (!instruction) continue;
+    
+    const keyword = instruction[1].toUpperCase();
+    
+    if (keyword === 'FROM') {
+      const stage = instruction[2].replace(/--\S+\s*/g, '').match(/^(\S+)(?:\s+as\s+(\S+))?/i);
+      openers.push({ name: stage ? stage[2] || stage[1] : 'FROM', depth: 0, start: entryStart, keyStart: start });
+      inStage = true;
+    } else {
+      const argument = instruction[2].replace(/\\$/, '').trim().split(/\s+/)[0];
+      openers.push({ name: argument ? `${keyword} ${argument}` : keyword, depth: inStage ? 1 : 0, start: entryStart, keyStart: start });
+    }
+  }
+  
+  return nestEntries(openers, content.length);
 }
 
+/**
+ * One entry per variable, with the comments above it.
+ * @param {string} content
+ * @returns {Array<Object>}
+ */
+function parseDotenvEntries(content) {
+  const openers = [];
+  let commentStart = null;
+  
+  for (const { text, start } of getLines(content)) {
+    const trimmed = text.trim();
+    const variable = trimmed.match(/^(?:export\s+)?([A-Za-z_][\w.]*)\s*=/);
+    
+    if (trimmed.startsWith('#')) {
+      if (commentStart === null) commentStart = start;
+      continue;
+    }
+    
+    if (variable) {
+      openers.push({ name: variable[1], depth: 0, start: commentStart !== null ? commentStart : start, keyStart: start });
+    }
+    
+    commentStart = null;
+  }
+  
+  return nestEntries(openers, content.length);
+}
 
 function chunkJSTS(content, fileMetadata, maxTokens) {
   const chunks = [];
   const lines = content.split('\n');
   
   let currentChunk = '';
+  let chunkStartLine = 1;
   let currentChunkName = '';
   let currentImports = '';
   let inImportSection = true;
@@ -117,14 +2102,7 @@ function chunkJSTS(content, fileMetadata, maxTokens) {
       
      
       if (currentChunk.trim()) {
-        chunks.push({
-          content: currentImports + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName || 'Unnamed section'
-          }
-        });
+        chunks.push(createChunk(currentImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       }
       
   
@@ -141,6 +2119,7 @@ function chunkJSTS(content, fileMetadata, maxTokens) {
       else if (exportClassMatch) currentChunkName = exportClassMatch[2];
       
       currentChunk = line + '\n';
+      chunkStartLine = i + 1;
     } else {
       currentChunk += line + '\n';
     }
@@ -152,28 +2131,15 @@ function chunkJSTS(content, fileMetadata, maxTokens) {
     
     
     if (estimateTokens(currentChunk) > maxTokens && blockDepth === 0) {
-      chunks.push({
-        content: currentImports + currentChunk,
-        metadata: {
-          ...fileMetadata,
-          chunkType: 'code',
-          name: currentChunkName || 'Unnamed section'
-        }
-      });
+      chunks.push(createChunk(currentImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       currentChunk = '';
+      chunkStartLine = i + 2;
     }
   }
   
   
   if (currentChunk.trim()) {
-    chunks.push({
-      content: currentImports + currentChunk,
-      metadata: {
-        ...fileMetadata,
-        chunkType: 'code',
-        name: currentChunkName || 'Unnamed section'
-      }
-    });
+    chunks.push(createChunk(currentImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
   }
   
   return chunks;
@@ -185,6 +2151,7 @@ function chunkPython(content, fileMetadata, maxTokens) {
   const lines = content.split('\n');
   
   let currentChunk = '';
+  let chunkStartLine = 1;
   let currentChunkName = '';
   let currentImports = '';
   let inImportSection = true;
@@ -219,42 +2186,30 @@ function chunkPython(content, fileMetadata, maxTokens) {
     }
     
    
-    if (line.trim() !== '' && !line.trim().startsWith(' ') && !line.trim().startsWith('\t')) {
+    if (line.trim() !== '' && !line.startsWith(' ') && !line.startsWith('\t')) {
       
       if (line.trim().startsWith('def ')) {
         if (currentChunk.trim()) {
-          chunks.push({
-            content: currentImports + currentChunk,
-            metadata: {
-              ...fileMetadata,
-              chunkType: 'code',
-              name: currentChunkName || 'Unnamed section'
-            }
-          });
+          chunks.push(createChunk(currentImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
         }
         
         const functionMatch = line.match(/def\s+(\w+)\s*\(/);
         currentChunkName = functionMatch ? functionMatch[1] : 'Unnamed function';
         currentChunk = line + '\n';
+        chunkStartLine = i + 1;
         inFunction = true;
         indentLevel = 1;
       }
      
       else if (line.trim().startsWith('class ')) {
         if (currentChunk.trim()) {
-          chunks.push({
-            content: currentImports + currentChunk,
-            metadata: {
-              ...fileMetadata,
-              chunkType: 'code',
-              name: currentChunkName || 'Unnamed section'
-            }
-          });
+          chunks.push(createChunk(currentImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
         }
         
         const classMatch = line.match(/class\s+(\w+)/);
         currentChunkName = classMatch ? classMatch[1] : 'Unnamed class';
         currentChunk = line + '\n';
+        chunkStartLine = i + 1;
         inClass = true;
         indentLevel = 1;
       }
@@ -264,16 +2219,10 @@ function chunkPython(content, fileMetadata, maxTokens) {
         inClass = false;
         indentLevel = 0;
         
-        chunks.push({
-          content: currentImports + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName
-          }
-        });
+        chunks.push(createChunk(currentImports, currentChunk, fileMetadata, currentChunkName, chunkStartLine));
         
         currentChunk = line + '\n';
+        chunkStartLine = i + 1;
         currentChunkName = '';
       }
       else {
@@ -291,16 +2240,10 @@ function chunkPython(content, fileMetadata, maxTokens) {
         inClass = false;
         indentLevel = 0;
         
-        chunks.push({
-          content: currentImports + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName
-          }
-        });
+        chunks.push(createChunk(currentImports, currentChunk, fileMetadata, currentChunkName, chunkStartLine));
         
         currentChunk = line + '\n';
+        chunkStartLine = i + 1;
         currentChunkName = '';
       } else {
         currentChunk += line + '\n';
@@ -312,28 +2255,15 @@ function chunkPython(content, fileMetadata, maxTokens) {
     
     
     if (estimateTokens(currentChunk) > maxTokens && !inFunction && !inClass) {
-      chunks.push({
-        content: currentImports + currentChunk,
-        metadata: {
-          ...fileMetadata,
-          chunkType: 'code',
-          name: currentChunkName || 'Unnamed section'
-        }
-      });
+      chunks.push(createChunk(currentImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       currentChunk = '';
+      chunkStartLine = i + 2;
     }
   }
   
   
   if (currentChunk.trim()) {
-    chunks.push({
-      content: currentImports + currentChunk,
-      metadata: {
-        ...fileMetadata,
-        chunkType: 'code',
-        name: currentChunkName || 'Unnamed section'
-      }
-    });
+    chunks.push(createChunk(currentImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
   }
   
   return chunks;
@@ -345,6 +2275,7 @@ function chunkJava(content, fileMetadata, maxTokens) {
   const lines = content.split('\n');
   
   let currentChunk = '';
+  let chunkStartLine = 1;
   let currentChunkName = '';
   let blockDepth = 0;
   let inMethod = false;
@@ -367,6 +2298,7 @@ function chunkJava(content, fileMetadata, maxTokens) {
   }
   
   
+  chunkStartLine = i + 1;
   for (; i < lines.length; i++) {
     const line = lines[i];
     
@@ -376,37 +2308,25 @@ function chunkJava(content, fileMetadata, maxTokens) {
         line.includes('(') && !line.includes(';')) {
       
       if (currentChunk.trim() && inMethod) {
-        chunks.push({
-          content: packageAndImports + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName || 'Unnamed method'
-          }
-        });
+        chunks.push(createChunk(packageAndImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed method', chunkStartLine));
       }
       
       const methodMatch = line.match(/\s+(\w+)\s*\(/);
       currentChunkName = methodMatch ? methodMatch[1] : 'Unnamed method';
       currentChunk = line + '\n';
+      chunkStartLine = i + 1;
       inMethod = true;
     } 
     
     else if (blockDepth === 0 && line.match(/\s*((public|private|protected)\s+)?(class|interface|enum)\s+(\w+)/)) {
       if (currentChunk.trim()) {
-        chunks.push({
-          content: packageAndImports + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName || 'Unnamed section'
-          }
-        });
+        chunks.push(createChunk(packageAndImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       }
       
       const classMatch = line.match(/\s*(?:(?:public|private|protected)\s+)?(?:class|interface|enum)\s+(\w+)/);
       currentChunkName = classMatch ? classMatch[1] : 'Unnamed class';
       currentChunk = line + '\n';
+      chunkStartLine = i + 1;
       inClass = true;
     } 
     else {
@@ -420,29 +2340,17 @@ function chunkJava(content, fileMetadata, maxTokens) {
     
     
     if (inMethod && estimateTokens(currentChunk) > maxTokens && blockDepth === 1) {
-      chunks.push({
-        content: packageAndImports + currentChunk,
-        metadata: {
-          ...fileMetadata,
-          chunkType: 'code',
-          name: currentChunkName || 'Unnamed method'
-        }
-      });
+      chunks.push(createChunk(packageAndImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed method', chunkStartLine));
       currentChunk = '';
+      chunkStartLine = i + 2;
       inMethod = false;
     }
     
     
     if (inMethod && blockDepth === 1 && line.trim() === '}') {
-      chunks.push({
-        content: packageAndImports + currentChunk,
-        metadata: {
-          ...fileMetadata,
-          chunkType: 'code',
-          name: currentChunkName || 'Unnamed method'
-        }
-      });
+      chunks.push(createChunk(packageAndImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed method', chunkStartLine));
       currentChunk = '';
+      chunkStartLine = i + 2;
       inMethod = false;
     }
     
@@ -450,16 +2358,10 @@ function chunkJava(content, fileMetadata, maxTokens) {
     if (inClass && blockDepth === 0 && line.trim() === '}') {
       
       if (!inMethod && currentChunk.trim()) {
-        chunks.push({
-          content: packageAndImports + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName || 'Unnamed class'
-          }
-        });
+        chunks.push(createChunk(packageAndImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed class', chunkStartLine));
       }
       currentChunk = '';
+      chunkStartLine = i + 2;
       inClass = false;
       currentChunkName = '';
     }
@@ -467,14 +2369,7 @@ function chunkJava(content, fileMetadata, maxTokens) {
   
 
   if (currentChunk.trim()) {
-    chunks.push({
-      content: packageAndImports + currentChunk,
-      metadata: {
-        ...fileMetadata,
-        chunkType: 'code',
-        name: currentChunkName || 'Unnamed section'
-      }
-    });
+    chunks.push(createChunk(packageAndImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
   }
   
   return chunks;
@@ -486,6 +2381,7 @@ function chunkGo(content, fileMetadata, maxTokens) {
   const lines = content.split('\n');
   
   let currentChunk = '';
+  let chunkStartLine = 1;
   let currentChunkName = '';
   let blockDepth = 0;
   let packageAndImports = '';
@@ -506,43 +2402,32 @@ function chunkGo(content, fileMetadata, maxTokens) {
   }
   
   
+  chunkStartLine = i + 1;
   for (; i < lines.length; i++) {
     const line = lines[i];
     
   
     if (blockDepth === 0 && line.trim().startsWith('func ')) {
       if (currentChunk.trim()) {
-        chunks.push({
-          content: packageAndImports + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName || 'Unnamed section'
-          }
-        });
+        chunks.push(createChunk(packageAndImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       }
       
       
       const funcMatch = line.match(/func\s+(?:\([^)]+\)\s+)?(\w+)/);
       currentChunkName = funcMatch ? funcMatch[1] : 'Unnamed function';
       currentChunk = line + '\n';
+      chunkStartLine = i + 1;
     } 
     
     else if (blockDepth === 0 && line.trim().startsWith('type ') && line.includes('struct')) {
       if (currentChunk.trim()) {
-        chunks.push({
-          content: packageAndImports + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName || 'Unnamed section'
-          }
-        });
+        chunks.push(createChunk(packageAndImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       }
       
       const structMatch = line.match(/type\s+(\w+)/);
       currentChunkName = structMatch ? structMatch[1] : 'Unnamed struct';
       currentChunk = line + '\n';
+      chunkStartLine = i + 1;
     } 
     else {
       currentChunk += line + '\n';
@@ -555,29 +2440,16 @@ function chunkGo(content, fileMetadata, maxTokens) {
     
     
     if (blockDepth === 0 && currentChunk.trim() && (line.trim() === '}' || estimateTokens(currentChunk) > maxTokens)) {
-      chunks.push({
-        content: packageAndImports + currentChunk,
-        metadata: {
-          ...fileMetadata,
-          chunkType: 'code',
-          name: currentChunkName || 'Unnamed section'
-        }
-      });
+      chunks.push(createChunk(packageAndImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       currentChunk = '';
+      chunkStartLine = i + 2;
       currentChunkName = '';
     }
   }
   
   
   if (currentChunk.trim()) {
-    chunks.push({
-      content: packageAndImports + currentChunk,
-      metadata: {
-        ...fileMetadata,
-        chunkType: 'code',
-        name: currentChunkName || 'Unnamed section'
-      }
-    });
+    chunks.push(createChunk(packageAndImports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
   }
   
   return chunks;
@@ -589,6 +2461,7 @@ function chunkCCpp(content, fileMetadata, maxTokens) {
   const lines = content.split('\n');
   
   let currentChunk = '';
+  let chunkStartLine = 1;
   let currentChunkName = '';
   let blockDepth = 0;
   let includes = '';
@@ -609,6 +2482,7 @@ function chunkCCpp(content, fileMetadata, maxTokens) {
   }
   
 
+  chunkStartLine = i + 1;
   for (; i < lines.length; i++) {
     const line = lines[i];
     
@@ -618,19 +2492,13 @@ function chunkCCpp(content, fileMetadata, maxTokens) {
         !line.includes(';')) {
       
       if (currentChunk.trim()) {
-        chunks.push({
-          content: includes + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName || 'Unnamed section'
-          }
-        });
+        chunks.push(createChunk(includes, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       }
     
       const funcMatch = line.match(/\s(\w+)\s*\(/);
       currentChunkName = funcMatch ? funcMatch[1] : 'Unnamed function';
       currentChunk = line + '\n';
+      chunkStartLine = i + 1;
     } 
   
     else if (blockDepth === 0 && 
@@ -638,19 +2506,13 @@ function chunkCCpp(content, fileMetadata, maxTokens) {
               line.match(/^\s*typedef\s+(?:struct|enum|union)\s+\w+/))) {
       
       if (currentChunk.trim()) {
-        chunks.push({
-          content: includes + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName || 'Unnamed section'
-          }
-        });
+        chunks.push(createChunk(includes, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       }
       
       const typeMatch = line.match(/(?:class|struct|enum|union|typedef)\s+(?:struct|enum|union)?\s*(\w+)/);
       currentChunkName = typeMatch ? typeMatch[1] : 'Unnamed type';
       currentChunk = line + '\n';
+      chunkStartLine = i + 1;
     } 
     else {
       currentChunk += line + '\n';
@@ -664,29 +2526,16 @@ function chunkCCpp(content, fileMetadata, maxTokens) {
   
     if (blockDepth === 0 && currentChunk.trim() && 
         (line.includes('}') || estimateTokens(currentChunk) > maxTokens)) {
-      chunks.push({
-        content: includes + currentChunk,
-        metadata: {
-          ...fileMetadata,
-          chunkType: 'code',
-          name: currentChunkName || 'Unnamed section'
-        }
-      });
+      chunks.push(createChunk(includes, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       currentChunk = '';
+      chunkStartLine = i + 2;
       currentChunkName = '';
     }
   }
   
   
   if (currentChunk.trim()) {
-    chunks.push({
-      content: includes + currentChunk,
-      metadata: {
-        ...fileMetadata,
-        chunkType: 'code',
-        name: currentChunkName || 'Unnamed section'
-      }
-    });
+    chunks.push(createChunk(includes, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
   }
   
   return chunks;
@@ -698,6 +2547,7 @@ function chunkRust(content, fileMetadata, maxTokens) {
   const lines = content.split('\n');
   
   let currentChunk = '';
+  let chunkStartLine = 1;
   let currentChunkName = '';
   let blockDepth = 0;
   let imports = '';
@@ -718,44 +2568,33 @@ function chunkRust(content, fileMetadata, maxTokens) {
   }
   
  
+  chunkStartLine = i + 1;
   for (; i < lines.length; i++) {
     const line = lines[i];
     
     
     if (blockDepth === 0 && line.match(/\s*(?:pub\s+)?fn\s+\w+/)) {
       if (currentChunk.trim()) {
-        chunks.push({
-          content: imports + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName || 'Unnamed section'
-          }
-        });
+        chunks.push(createChunk(imports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       }
       
       const funcMatch = line.match(/fn\s+(\w+)/);
       currentChunkName = funcMatch ? funcMatch[1] : 'Unnamed function';
       currentChunk = line + '\n';
+      chunkStartLine = i + 1;
     } 
     
     else if (blockDepth === 0 && 
              line.match(/\s*(?:pub\s+)?(?:struct|enum|trait|impl|type|mod)\s+\w+/)) {
       
       if (currentChunk.trim()) {
-        chunks.push({
-          content: imports + currentChunk,
-          metadata: {
-            ...fileMetadata,
-            chunkType: 'code',
-            name: currentChunkName || 'Unnamed section'
-          }
-        });
+        chunks.push(createChunk(imports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       }
       
       const typeMatch = line.match(/(?:struct|enum|trait|impl|type|mod)\s+(\w+)/);
       currentChunkName = typeMatch ? typeMatch[1] : 'Unnamed type';
       currentChunk = line + '\n';
+      chunkStartLine = i + 1;
     } 
     else {
       currentChunk += line + '\n';
@@ -769,40 +2608,199 @@ function chunkRust(content, fileMetadata, maxTokens) {
     
     if (blockDepth === 0 && currentChunk.trim() && 
         (line.trim() === '}' || estimateTokens(currentChunk) > maxTokens)) {
-      chunks.push({
-        content: imports + currentChunk,
-        metadata: {
-          ...fileMetadata,
-          chunkType: 'code',
-          name: currentChunkName || 'Unnamed section'
-        }
-      });
+      chunks.push(createChunk(imports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
       currentChunk = '';
+      chunkStartLine = i + 2;
       currentChunkName = '';
     }
   }
   
   
   if (currentChunk.trim()) {
-    chunks.push({
-      content: imports + currentChunk,
-      metadata: {
-        ...fileMetadata,
-        chunkType: 'code',
-        name: currentChunkName || 'Unnamed section'
-      }
-    });
+    chunks.push(createChunk(imports, currentChunk, fileMetadata, currentChunkName || 'Unnamed section', chunkStartLine));
+  }
+  
+  return chunks;
+}
+
+
+/**
+ * Ruby's tree-sitter grammar does not load with our runtime, so definitions
+ * are found by keyword and closed by the `end` at their own indentation, as
+ * in any formatted Ruby file. Chunks then follow chunkSyntaxTree: a class or
+ * module that fits is one chunk, and a larger one is split into its methods.
+ * @param {string} content
+ * @param {Object} fileMetadata
+ * @param {number} maxTokens
+ * @returns {Array}
+ */
+function chunkRuby(content, fileMetadata, maxTokens) {
+  const chunks = [];
+  const lines = content.split('\n');
+  const lineStarts = getLineStarts(content);
+  const isImport = line => /^(require|require_relative|load)\b/.test(line);
+  const imports = lines.filter(isImport).join('\n');
+  const header = imports ? imports + '\n' : '';
+  
+  // Lines are 0-based and inclusive
+  const pushChunk = (first, last, name, symbol) => {
+    if (!lines.slice(first, last + 1).some(line => line.trim())) return;
+    const end = last + 1 < lineStarts.length ? lineStarts[last + 1] : content.length;
+    chunks.push(...chunkSpan(content, lineStarts, lineStarts[first], end, header, fileMetadata, name, maxTokens, symbol));
+  };
+  
+  const pushDefinition = (definition, name, parent) => {
+    const symbol = {
+      symbolKind: getRubySymbolKind(definition, parent),
+      parentSymbol: parent ? parent.name : undefined,
+      exported: isExportedSymbol(definition.declaration, name, 'ruby', parent && parent.exported)
+    };
+    
+    if (estimateTokens(lines.slice(definition.first, definition.last + 1).join('\n')) <= maxTokens || definition.children.length === 0) {
+      pushChunk(definition.first, definition.last, name, symbol);
+      return;
+    }
+    
+    // The opening line and the code between methods, such as includes and constants, go with the class
+    let runStart = definition.first;
+    
+    for (const child of definition.children) {
+      pushChunk(runStart, child.first - 1, name, symbol);
+      pushDefinition(child, `${name}.${child.name}`, { name, ...symbol });
+      runStart = child.last + 1;
+    }
+    
+    pushChunk(runStart, definition.last - 1, name, symbol);
+  };
+  
+  let statements = null;
+  
+  const flushStatements = () => {
+    if (statements) {
+      pushChunk(statements.first, statements.last, 'Top-level statements', { symbolKind: 'block' });
+    }
+    statements = null;
+  };
+  
+  const definitions = parseRubyDefinitions(lines);
+  let next = 0;
+  
+  for (let i = 0; i < lines.length; i++) {
+    if (next < definitions.length && definitions[next].first === i) {
+      flushStatements();
+      pushDefinition(definitions[next], definitions[next].name);
+      i = definitions[next++].last;
+      continue;
+    }
+    
+    if (isImport(lines[i])) continue;
+    
+    const tokens = estimateTokens(lines[i]);
+    
+    if (statements && statements.tokens + tokens > maxTokens) {
+      flushStatements();
+    }
+    
+    statements = statements
+      ? { first: statements.first, last: i, tokens: statements.tokens + tokens }
+      : { first: i, last: i, tokens };
   }
   
+  flushStatements();
+  
   return chunks;
 }
 
+/**
+ * @param {Object} definition from parseRubyDefinitions
+ * @param {Object} [parent]
+ * @returns {string}
+ */
+function getRubySymbolKind(definition, parent) {
+  if (definition.keyword === 'def') {
+    return parent ? 'method' : 'function';
+  }
+  
+  return definition.keyword === 'module' ? 'module' : 'class';
+}
+
+/**
+ * @param {Array<string>} lines
+ * @returns {Array<Object>} top-level `{ keyword, name, declaration, first, last, children }`,
+ *   where `first` includes the comments above the definition
+ */
+function parseRubyDefinitions(lines) {
+  const roots = [];
+  const stack = [];
+  let heredoc = null;
+  
+  lines.forEach((line, i) => {
+    if (heredoc) {
+      if (heredoc.test(line)) heredoc = null;
+      return;
+    }
+    
+    const scope = stack[stack.length - 1];
+    const indentation = getIndentation(line);
+    
+    if (scope && indentation === scope.indentation && /^\s*end\b/.test(line)) {
+      stack.pop().last = i;
+      return;
+    }
+    
+    // A bare `private` makes the methods after it private
+    const visibility = line.match(/^\s*(private|protected|public)\s*(#.*)?$/);
+    if (visibility && scope) {
+      scope.visibility = visibility[1];
+      return;
+    }
+    
+    const opener = line.match(/^\s*(?:(private|protected|public)\s+)?(class|module|def)\s+(?:self\.)?([A-Z][\w:]*|[\w.]+[?!=]?|\[\]=?|[^\w\s(;]+)(.*)$/);
+    const marker = line.match(/<<[~-]?(['"]?)([A-Za-z_]\w*)\1/);
+    
+    if (marker) {
+      heredoc = new RegExp(`^\\s*${marker[2]}\\s*$`);
+    }
+    
+    if (!opener || (opener[2] !== 'def' && !/^[A-Z]/.test(opener[3]))) return;
+    
+    const [, modifier, keyword, name, rest] = opener;
+    let first = i;
+    while (first > 0 && /^\s*#/.test(lines[first - 1])) first--;
+    
+    const inheritsVisibility = keyword === 'def' && !modifier && scope && scope.visibility !== 'public';
+    const definition = {
+      keyword,
+      name,
+      declaration: inheritsVisibility ? `${scope.visibility} ${line.trim()}` : line.trim(),
+      first,
+      last: i,
+      indentation,
+      visibility: 'public',
+      children: []
+    };
+    
+    (scope ? scope.children : roots).push(definition);
+    
+    // One-liners (`def name; end`, `class Error < StandardError; end`) and endless methods close on their own line
+    const closesInline = /(;|\s)end\s*(#.*)?$/.test(rest) || (keyword === 'def' && /^(\([^)]*\))?\s*=(?![=~>])/.test(rest));
+    
+    if (!closesInline) {
+      stack.push(definition);
+    }
+  });
+  
+  stack.forEach(definition => { definition.last = lines.length - 1; });
+  
+  return roots;
+}
 
 function chunkBySize(content, fileMetadata, maxTokens) {
   const chunks = [];
   const lines = content.split('\n');
   
   let currentChunk = '';
+  let chunkStartLine = 1;
   let chunkNumber = 1;
   
   for (let i = 0; i < lines.length; i++) {
@@ -811,29 +2809,16 @@ function chunkBySize(content, fileMetadata, maxTokens) {
     
     
     if (estimateTokens(currentChunk) > maxTokens) {
-      chunks.push({
-        content: currentChunk,
-        metadata: {
-          ...fileMetadata,
-          chunkType: 'code',
-          name: `Chunk ${chunkNumber}`
-        }
-      });
+      chunks.push(createChunk('', currentChunk, fileMetadata, `Chunk ${chunkNumber}`, chunkStartLine));
       currentChunk = '';
+      chunkStartLine = i + 2;
       chunkNumber++;
     }
   }
   
  
   if (currentChunk.trim()) {
-    chunks.push({
-      content: currentChunk,
-      metadata: {
-        ...fileMetadata,
-        chunkType: 'code',
-        name: `Chunk ${chunkNumber}`
-      }
-    });
+    chunks.push(createChunk('', currentChunk, fileMetadata, `Chunk ${chunkNumber}`, chunkStartLine));
   }
   
   return chunks;
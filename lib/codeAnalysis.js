@@ -291,7 +291,11 @@ function getLanguagesFromExtension(extension) {
     'yaml': ['yaml'],
     'yml': ['yaml'],
     'rb': ['ruby'],
-    'php': ['php']
+    'php': ['php'],
+    'cs': ['csharp'],
+    'kt': ['kotlin'],
+    'kts': ['kotlin'],
+    'swift': ['swift']
   };
   
   return languageMap[extension] || [];
@@ -0,0 +1,165 @@
+/**
+ * Pushes generated code to a new branch and opens a pull request (a merge
+ * request on GitLab) for it, through whichever source provider hosts the
+ * repository.
+ */
+
+
+export default class CodePushService {
+  /**
+   * @param {import('./sourceProviders').SourceProvider} provider
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.fileLists = new Map();
+  }
+
+  /**
+   * @param {string} owner
+   * @param {string} repo
+   * @returns {Promise<Array<string>>} paths of the repository's supported files on its default branch
+   */
+  async listFilePaths(owner, repo) {
+    const key = `${owner}/${repo}`;
+
+    if (!this.fileLists.has(key)) {
+      const files = await this.provider.listFiles(owner, repo);
+      this.fileLists.set(key, files.map(file => file.path));
+    }
+
+    return this.fileLists.get(key);
+  }
+
+  /**
+   * @param {string} owner
+   * @param {string} repo
+   * @param {string} filename
+   * @returns {Promise<string|null>}
+   */
+  async findFilePath(owner, repo, filename) {
+    try {
+      const paths = await this.listFilePaths(owner, repo);
+
+      return paths.find(path => path === filename || path.endsWith(`/${filename}`)) || null;
+    } catch (error) {
+      console.error('Error searching for file:', error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} owner
+   * @param {string} repo
+   * @param {string} filename
+   * @param {string} fileType
+   * @returns {Promise<string>}
+   */
+  async suggestFilePath(owner, repo, filename, fileType) {
+
+    const directoryPatterns = {
+      'js': ['src', 'lib', 'utils', 'helpers'],
+      'jsx': ['src/components', 'components', 'src/pages', 'pages'],
+      'ts': ['src', 'lib', 'utils', 'helpers'],
+      'tsx': ['src/components', 'components', 'src/pages', 'pages'],
+      'css': ['styles', 'css', 'src/styles'],
+      'html': ['public', 'static', 'templates'],
+      'api': ['api', 'src/api', 'pages/api'],
+      'route': ['routes', 'src/routes']
+    };
+
+
+    const isRouteRelated = filename.toLowerCase().includes('route');
+    if (isRouteRelated) {
+      fileType = 'route';
+    }
+
+
+    const isApiRelated = filename.toLowerCase().includes('api');
+    if (isApiRelated) {
+      fileType = 'api';
+    }
+
+
+    const dirsToCheck = directoryPatterns[fileType] || ['src', 'lib', ''];
+
+    let paths;
+    try {
+      paths = await this.listFilePaths(owner, repo);
+    } catch (error) {
+      console.error('Error listing repository files:', error);
+      return filename;
+    }
+
+
+    for (const dir of dirsToCheck) {
+      if (!dir || paths.some(path => path.startsWith(`${dir}/`))) {
+        return dir ? `${dir}/${filename}` : filename;
+      }
+    }
+
+
+    return filename;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.owner
+   * @param {string} params.repo
+   * @param {string} params.path
+   * @param {string} params.content
+   * @param {string} params.message
+   * @param {string} params.branchName
+   * @param {string} params.prTitle
+   * @param {string} params.prBody
+   * @returns {Promise<Object>}
+   */
+  async pushCodeWithPR(params) {
+    const {
+      owner,
+      repo,
+      path,
+      content,
+      message,
+      branchName,
+      prTitle,
+      prBody
+    } = params;
+
+    try {
+
+      const { defaultBranch } = await this.provider.getRepositoryInfo(owner, repo);
+
+
+      await this.provider.createBranch(owner, repo, branchName, defaultBranch);
+
+
+      await this.provider.commitFile(owner, repo, {
+        branch: branchName,
+        path,
+        content,
+        message,
+      });
+
+
+      const { url } = await this.provider.openMergeRequest(owner, repo, {
+        sourceBranch: branchName,
+        targetBranch: defaultBranch,
+        title: prTitle,
+        body: prBody,
+      });
+
+      return {
+        success: true,
+        pullRequestUrl: url,
+        branchName: branchName,
+        path: path
+      };
+    } catch (error) {
+      console.error('Error pushing code:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,307 @@
+import { promises as fs, createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { createHash } from 'crypto';
+import { encodeEmbedding, writeFileAtomic } from './vectorStores/persistence';
+
+/**
+ * Disk-backed cache of embeddings keyed by (model, hash of the normalized
+ * text), so re-indexing unchanged code does not call the provider again.
+ * Each model has an append-only log under EMBEDDING_CACHE_DIR that is loaded
+ * into memory, as float32 vectors, on first use. Cache hits are logged too, so
+ * the order of use survives a restart. Once the log holds more than
+ * EMBEDDING_CACHE_MAX_ENTRIES entries, the least recently used ones are
+ * evicted and the log is rewritten. EMBEDDING_CACHE=off disables the cache,
+ * and a log that cannot be read leaves it off for that model.
+ */
+
+
+const CACHE_DIR = process.env.EMBEDDING_CACHE_DIR || path.join(process.cwd(), '.devinsight', 'embedding-cache');
+
+// Evicting down to this share of the limit keeps rewrites infrequent
+const EVICTION_TARGET = 0.9;
+
+// Hits logged since the last rewrite, as a share of the entries, before the log is compacted
+const MAX_LOGGED_HITS_RATIO = 1;
+
+
+global.embeddingCache = global.embeddingCache || {
+  models: new Map(),
+  stats: { hits: 0, misses: 0, writes: 0, evictions: 0 },
+};
+
+/**
+ * @returns {boolean}
+ */
+function isCacheEnabled() {
+  return !['off', 'false', '0'].includes((process.env.EMBEDDING_CACHE || '').toLowerCase());
+}
+
+/**
+ * @returns {number}
+ */
+function getMaxEntries() {
+  const value = parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES, 10);
+  return Number.isNaN(value) ? 200000 : value;
+}
+
+/**
+ * Line endings, trailing whitespace and surrounding blank lines do not change
+ * what the text means to an embedding model.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function hashText(text) {
+  return createHash('sha256').update(normalizeText(text)).digest('hex');
+}
+
+/**
+ * @param {string} model
+ * @returns {string}
+ */
+function getCacheFile(model) {
+  return path.join(CACHE_DIR, `${model.replace(/[^a-zA-Z0-9._-]/g, '_')}.jsonl`);
+}
+
+/**
+ * @param {string} encoded base64 of the float32 values
+ * @returns {Float32Array} a copy, so it does not pin the buffer it was decoded into
+ */
+function decodeVector(encoded) {
+  const bytes = Buffer.from(encoded, 'base64');
+  return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+}
+
+/**
+ * Loads a model's cache once; concurrent callers share the same promise.
+ * @param {string} model
+ * @returns {Promise<Object>} `{ file, entries, loggedHits, writing, disabled }`
+ */
+function loadModelCache(model) {
+  const { models } = global.embeddingCache;
+
+  if (!models.has(model)) {
+    models.set(model, (async () => {
+      const file = getCacheFile(model);
+      const entries = new Map();
+      let loggedHits = 0;
+
+      try {
+        const lines = readline.createInterface({ input: createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+
+        for await (const line of lines) {
+          if (!line) continue;
+
+          try {
+            const { h, e, u } = JSON.parse(line);
+
+            if (e) {
+              entries.set(h, { embedding: decodeVector(e), usedAt: u });
+            } else if (entries.has(h)) {
+              entries.get(h).usedAt = u;
+              loggedHits++;
+            }
+          } catch (error) {
+            // A line cut short by a crash only costs that one entry
+          }
+        }
+
+        console.log(`Loaded ${entries.size} cached embeddings for ${model}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          // The cache is an optimization; indexing goes on without it
+          console.error(`Error loading embedding cache for ${model}, continuing without it:`, error);
+          return { file, entries: new Map(), loggedHits: 0, writing: Promise.resolve(), disabled: true };
+        }
+      }
+
+      return { file, entries, loggedHits, writing: Promise.resolve(), disabled: false };
+    })());
+  }
+
+  return models.get(model);
+}
+
+/**
+ * @param {string} hash
+ * @param {Object} entry
+ * @returns {string}
+ */
+function serializeEntry(hash, entry) {
+  return `${JSON.stringify({ h: hash, e: encodeEmbedding(entry.embedding), u: entry.usedAt })}\n`;
+}
+
+/**
+ * @param {string} hash
+ * @param {number} usedAt
+ * @returns {string} a log line that only moves the entry's last use
+ */
+function serializeHit(hash, usedAt) {
+  return `${JSON.stringify({ h: hash, u: usedAt })}\n`;
+}
+
+/**
+ * Rewrites the log with one line per entry, carrying each entry's last use.
+ * @param {Object} cache
+ */
+async function rewriteLog(cache) {
+  await writeFileAtomic(cache.file, [...cache.entries].map(([hash, entry]) => serializeEntry(hash, entry)).join(''));
+  cache.loggedHits = 0;
+}
+
+/**
+ * Drops the least recently used entries and rewrites the log with the rest.
+ * @param {Object} cache
+ */
+async function evict(cache) {
+  const keep = Math.floor(getMaxEntries() * EVICTION_TARGET);
+  const ordered = [...cache.entries.entries()].sort((a, b) => b[1].usedAt - a[1].usedAt);
+  const evicted = ordered.length - keep;
+
+  cache.entries = new Map(ordered.slice(0, keep));
+  await rewriteLog(cache);
+
+  global.embeddingCache.stats.evictions += evicted;
+  console.log(`Evicted ${evicted} cached embeddings from ${path.basename(cache.file)}`);
+}
+
+/**
+ * Appends to a model's log, then evicts or compacts it when it has grown too
+ * much. Writes to one log are serialized so appends never interleave with a
+ * rewrite.
+ * @param {Object} cache
+ * @param {string} lines
+ * @returns {Promise<void>}
+ */
+async function appendToLog(cache, lines) {
+  cache.writing = cache.writing.catch(() => {}).then(async () => {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    await fs.appendFile(cache.file, lines);
+
+    if (cache.entries.size > getMaxEntries()) {
+      await evict(cache);
+    } else if (cache.loggedHits > Math.max(1000, cache.entries.size * MAX_LOGGED_HITS_RATIO)) {
+      await rewriteLog(cache);
+    }
+  });
+
+  try {
+    await cache.writing;
+  } catch (error) {
+    // The cache is an optimization; failing to persist it must not fail indexing
+    console.error('Error writing embedding cache:', error);
+  }
+}
+
+/**
+ * @param {string} model
+ * @param {Array<string>} texts
+ * @returns {Promise<Array<Array<number>|null>>} one entry per text, null on a miss
+ */
+export async function getCachedEmbeddings(model, texts) {
+  if (!isCacheEnabled()) {
+    return texts.map(() => null);
+  }
+
+  const cache = await loadModelCache(model);
+  const { stats } = global.embeddingCache;
+  const now = Date.now();
+  let hitLines = '';
+
+  if (cache.disabled) {
+    return texts.map(() => null);
+  }
+
+  const embeddings = texts.map(text => {
+    const hash = hashText(text);
+    const entry = cache.entries.get(hash);
+
+    if (!entry) {
+      stats.misses++;
+      return null;
+    }
+
+    stats.hits++;
+    entry.usedAt = now;
+    hitLines += serializeHit(hash, now);
+    cache.loggedHits++;
+    return Array.from(entry.embedding);
+  });
+
+  if (hitLines) {
+    await appendToLog(cache, hitLines);
+  }
+
+  return embeddings;
+}
+
+/**
+ * @param {string} model
+ * @param {Array<string>} texts
+ * @param {Array<Array<number>>} embeddings same order as texts
+ * @returns {Promise<void>}
+ */
+export async function storeEmbeddings(model, texts, embeddings) {
+  if (!isCacheEnabled() || texts.length === 0) {
+    return;
+  }
+
+  const cache = await loadModelCache(model);
+  const now = Date.now();
+  let lines = '';
+
+  if (cache.disabled) {
+    return;
+  }
+
+  texts.forEach((text, i) => {
+    const hash = hashText(text);
+    if (cache.entries.has(hash)) return;
+
+    const entry = { embedding: Float32Array.from(embeddings[i]), usedAt: now };
+    cache.entries.set(hash, entry);
+    lines += serializeEntry(hash, entry);
+    global.embeddingCache.stats.writes++;
+  });
+
+  if (lines) {
+    await appendToLog(cache, lines);
+  }
+}
+
+/**
+ * @returns {Object} process-wide counters plus the number of cached entries per model
+ */
+export async function getEmbeddingCacheStats() {
+  const { models, stats } = global.embeddingCache;
+  const lookups = stats.hits + stats.misses;
+  const entries = {};
+
+  for (const [model, loading] of models) {
+    const cache = await loading;
+    if (!cache.disabled) {
+      entries[model] = cache.entries.size;
+    }
+  }
+
+  return {
+    enabled: isCacheEnabled(),
+    ...stats,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0,
+    maxEntries: getMaxEntries(),
+    entries,
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * HTTP helpers shared by the remote embedding providers. Failed responses
+ * become EmbeddingRequestErrors that carry the status code, so the batching
+ * pipeline in lib/embeddings.js can tell rate limits and outages (worth
+ * retrying) from bad requests (not worth retrying).
+ */
+
+
+export class EmbeddingRequestError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number} [details.status] HTTP status code
+   * @param {number} [details.retryAfter] milliseconds the server asked us to wait
+   */
+  constructor(message, { status, retryAfter } = {}) {
+    super(message);
+    this.name = 'EmbeddingRequestError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * @param {string|null} header Retry-After value, in seconds or as an HTTP date
+ * @returns {number|undefined} milliseconds
+ */
+function parseRetryAfter(header) {
+  if (!header) return undefined;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * fetch() that throws an EmbeddingRequestError for non-2xx responses.
+ * @param {string} url
+ * @param {Object} [init]
+ * @returns {Promise<Response>}
+ */
+export async function fetchOrThrow(url, init) {
+  const response = await fetch(url, init);
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new EmbeddingRequestError(`Embedding request failed with ${response.status}: ${body.slice(0, 200)}`, {
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Rate limits, timeouts, server errors and dropped connections are transient;
+ * any other client error will fail the same way again.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error instanceof EmbeddingRequestError && error.status) {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+
+  // fetch() rejects with a TypeError when the connection itself fails
+  return error instanceof TypeError || ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code);
+}
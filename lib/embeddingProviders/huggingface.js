@@ -0,0 +1,48 @@
+import { HfInference } from '@huggingface/inference';
+import { fetchOrThrow } from './http';
+import { loadTokenizer } from './local';
+
+/**
+ * Embeddings from the Hugging Face Inference API, authenticated with
+ * HUGGINGFACE_API_KEY.
+ */
+
+
+const DEFAULT_MODEL = 'sentence-transformers/all-MiniLM-L6-v2';
+
+/**
+ * @returns {Object}
+ */
+export function createHuggingFaceProvider() {
+  // Waiting for a cold model avoids a burst of 503s; other failures surface with their status
+  const hf = new HfInference(process.env.HUGGINGFACE_API_KEY, {
+    wait_for_model: true,
+    fetch: fetchOrThrow,
+  });
+  const model = process.env.HUGGINGFACE_EMBEDDING_MODEL || DEFAULT_MODEL;
+
+  return {
+    name: 'huggingface',
+    model,
+    defaultConcurrency: 4,
+    tokenizer: { type: 'transformers', load: () => loadTokenizer(model) },
+    embed: async function(text) {
+      return hf.featureExtraction({
+        model,
+        inputs: text,
+      });
+    },
+    embedBatch: async function(texts) {
+      const result = await hf.featureExtraction({
+        model,
+        inputs: texts,
+      });
+
+      if (!Array.isArray(result) || result.length !== texts.length) {
+        throw new Error(`Expected ${texts.length} embeddings from ${model}, got ${Array.isArray(result) ? result.length : typeof result}`);
+      }
+
+      return result;
+    }
+  };
+}
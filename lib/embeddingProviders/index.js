@@ -0,0 +1,61 @@
+import { createHuggingFaceProvider } from './huggingface';
+import { createLocalProvider } from './local';
+import { createOpenAIProvider } from './openai';
+
+/**
+ * An embedding backend. Collections record the `modelId` and vector dimension
+ * they were built with, so vectors from different models are never compared.
+ *
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name registry key
+ * @property {string} model model name as the backend knows it
+ * @property {string} modelId identifies the vector space; equal ids mean comparable vectors
+ * @property {number} defaultConcurrency parallel requests the backend handles well
+ * @property {Object} tokenizer `{ type: 'tiktoken', encoding }` or `{ type: 'transformers', load }`; see lib/tokenizers
+ * @property {(text: string) => Promise<number[]>} embed
+ * @property {(texts: string[]) => Promise<number[][]>} embedBatch
+ */
+
+
+const EMBEDDING_PROVIDERS = {
+  huggingface: createHuggingFaceProvider,
+  local: createLocalProvider,
+  openai: createOpenAIProvider,
+};
+
+const DEFAULT_PROVIDER = 'huggingface';
+
+
+global.embeddingProvider = global.embeddingProvider || null;
+
+/**
+ * @returns {Array<string>}
+ */
+export function listEmbeddingProviders() {
+  return Object.keys(EMBEDDING_PROVIDERS);
+}
+
+/**
+ * Returns the provider named by the EMBEDDING_PROVIDER environment variable
+ * (huggingface, local or openai; huggingface by default).
+ * @returns {EmbeddingProvider}
+ */
+export function getEmbeddingProvider() {
+  const providerName = (process.env.EMBEDDING_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+
+  if (global.embeddingProvider && global.embeddingProvider.name === providerName) {
+    return global.embeddingProvider;
+  }
+
+  const createProvider = EMBEDDING_PROVIDERS[providerName];
+
+  if (!createProvider) {
+    throw new Error(`Unknown embedding provider "${providerName}". Expected one of: ${listEmbeddingProviders().join(', ')}`);
+  }
+
+  const provider = createProvider();
+  global.embeddingProvider = { modelId: provider.model, ...provider };
+
+  console.log(`Using ${providerName} embedding provider (${global.embeddingProvider.modelId})`);
+  return global.embeddingProvider;
+}
@@ -0,0 +1,110 @@
+/**
+ * In-process embeddings through transformers.js (ONNX Runtime), so indexing
+ * works without network access or an API key. The default model is the ONNX
+ * export of all-MiniLM-L6-v2, mean-pooled and normalized like the hosted
+ * sentence-transformers model, so vectors from both providers are comparable
+ * and share a model id.
+ *
+ * LOCAL_EMBEDDING_MODEL  model id (default Xenova/all-MiniLM-L6-v2)
+ * LOCAL_MODEL_DIR        directory with pre-downloaded models; when set,
+ *                        nothing is fetched from the Hugging Face Hub
+ * TRANSFORMERS_CACHE_DIR where downloaded models are cached
+ */
+
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// ONNX exports that produce the same vectors as the original model
+const EQUIVALENT_MODELS = {
+  'Xenova/all-MiniLM-L6-v2': 'sentence-transformers/all-MiniLM-L6-v2',
+  'Xenova/all-mpnet-base-v2': 'sentence-transformers/all-mpnet-base-v2',
+  'Xenova/bge-small-en-v1.5': 'BAAI/bge-small-en-v1.5',
+};
+
+
+global.localEmbeddingPipelines = global.localEmbeddingPipelines || new Map();
+
+/**
+ * The import is dynamic so the ONNX runtime is only loaded when it is needed.
+ * @returns {Promise<Object>} the transformers.js module, configured from the environment
+ */
+async function loadTransformers() {
+  const transformers = await import('@huggingface/transformers');
+  const { env } = transformers;
+
+  if (process.env.LOCAL_MODEL_DIR) {
+    env.localModelPath = process.env.LOCAL_MODEL_DIR;
+    env.allowRemoteModels = false;
+  }
+
+  if (process.env.TRANSFORMERS_CACHE_DIR) {
+    env.cacheDir = process.env.TRANSFORMERS_CACHE_DIR;
+  }
+
+  return transformers;
+}
+
+/**
+ * Loads the feature-extraction pipeline once per model.
+ * @param {string} model
+ * @returns {Promise<Function>}
+ */
+export function loadPipeline(model) {
+  if (!global.localEmbeddingPipelines.has(model)) {
+    const loading = (async () => {
+      const { pipeline } = await loadTransformers();
+
+      console.log(`Loading local embedding model ${model}...`);
+      const startTime = Date.now();
+      const extractor = await pipeline('feature-extraction', model);
+      console.log(`Loaded ${model} in ${Date.now() - startTime}ms`);
+
+      return extractor;
+    })();
+
+    // A failed load (e.g. model missing offline) should be retried on the next call
+    loading.catch(() => global.localEmbeddingPipelines.delete(model));
+    global.localEmbeddingPipelines.set(model, loading);
+  }
+
+  return global.localEmbeddingPipelines.get(model);
+}
+
+/**
+ * Only the tokenizer files are read, so this is cheap even for models
+ * embedded elsewhere, such as by the Hugging Face Inference API.
+ * @param {string} model
+ * @returns {Promise<Object>} transformers.js tokenizer
+ */
+export async function loadTokenizer(model) {
+  const { AutoTokenizer } = await loadTransformers();
+  return AutoTokenizer.from_pretrained(model);
+}
+
+/**
+ * @returns {Object}
+ */
+export function createLocalProvider() {
+  const model = process.env.LOCAL_EMBEDDING_MODEL || DEFAULT_MODEL;
+
+  return {
+    name: 'local',
+    model,
+    modelId: EQUIVALENT_MODELS[model] || model,
+    // Inference already runs on ONNX Runtime's own thread pool
+    defaultConcurrency: 1,
+    tokenizer: { type: 'transformers', load: () => loadTokenizer(model) },
+    embed: async function(text) {
+      const extractor = await loadPipeline(model);
+      const output = await extractor(text, { pooling: 'mean', normalize: true });
+
+      return Array.from(output.data);
+    },
+    embedBatch: async function(texts) {
+      const extractor = await loadPipeline(model);
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+
+      return output.tolist();
+    }
+  };
+}
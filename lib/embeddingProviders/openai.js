@@ -0,0 +1,59 @@
+import { fetchOrThrow } from './http';
+
+/**
+ * Any endpoint that speaks the OpenAI embeddings API: OpenAI itself, Azure,
+ * Ollama, vLLM, LM Studio, text-embeddings-inference and so on.
+ *
+ * OPENAI_EMBEDDING_URL        base URL (default https://api.openai.com/v1)
+ * OPENAI_API_KEY              sent as a bearer token when set
+ * OPENAI_EMBEDDING_MODEL      model name (default text-embedding-3-small)
+ * OPENAI_EMBEDDING_DIMENSIONS optional output size for models that support it
+ */
+
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'text-embedding-3-small';
+
+/**
+ * @returns {Object}
+ */
+export function createOpenAIProvider() {
+  const baseUrl = (process.env.OPENAI_EMBEDDING_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const model = process.env.OPENAI_EMBEDDING_MODEL || DEFAULT_MODEL;
+  const dimensions = parseInt(process.env.OPENAI_EMBEDDING_DIMENSIONS, 10) || undefined;
+
+  const embedBatch = async (texts) => {
+    const response = await fetchOrThrow(`${baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.OPENAI_API_KEY && { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` }),
+      },
+      body: JSON.stringify({ model, input: texts, dimensions }),
+    });
+
+    const { data } = await response.json();
+
+    if (!Array.isArray(data) || data.length !== texts.length) {
+      throw new Error(`Expected ${texts.length} embeddings from ${model}, got ${Array.isArray(data) ? data.length : typeof data}`);
+    }
+
+    return [...data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  };
+
+  return {
+    name: 'openai',
+    model,
+    // A shortened output is a different vector space from the full-size one
+    modelId: dimensions ? `${model}@${dimensions}` : model,
+    defaultConcurrency: 4,
+    // OpenAI's embedding models use cl100k_base; for other models served
+    // through this API it is an approximation, and EMBEDDING_MAX_TOKENS sets their limit
+    tokenizer: { type: 'tiktoken', encoding: 'cl100k_base' },
+    embed: async function(text) {
+      const [embedding] = await embedBatch([text]);
+      return embedding;
+    },
+    embedBatch,
+  };
+}
@@ -1,11 +1,9 @@
-import { HfInference } from '@huggingface/inference';
+import { getEmbeddingProvider } from './embeddingProviders';
+import { isRetryableError } from './embeddingProviders/http';
+import { getCachedEmbeddings, storeEmbeddings } from './embeddingCache';
+import { loadEmbeddingTokenizer } from './tokenizers';
 
 
-const hf = new HfInference(process.env.HUGGINGFACE_API_KEY);
-
-
-const EMBEDDING_MODEL = 'sentence-transformers/all-MiniLM-L6-v2';
-
 /**
 
  * @param {string} text 
@@ -13,14 +11,11 @@ const EMBEDDING_MODEL = 'sentence-transformers/all-MiniLM-L6-v2';
  */
 export async function generateEmbedding(text) {
   try {
-   
-    const truncatedText = text.slice(0, 8192);
+    const tokenizer = await loadEmbeddingTokenizer();
+    const truncatedText = truncateToModel(tokenizer, text, 'Query');
     
     
-    const result = await hf.featureExtraction({
-      model: EMBEDDING_MODEL,
-      inputs: truncatedText,
-    });
+    const result = await getEmbeddingProvider().embed(truncatedText);
     
     
     return result;
@@ -31,42 +26,224 @@ export async function generateEmbedding(text) {
 }
 
 /**
- 
+ * Reads the batching settings. Concurrency defaults to what the provider
+ * handles well (parallel requests for remote APIs, one for in-process models).
+ * @param {Object} provider
+ * @returns {Object}
+ */
+function getEmbeddingPipelineConfig(provider) {
+  const readInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+  };
+
+  return {
+    batchSize: Math.max(1, readInt('EMBEDDING_BATCH_SIZE', 16)),
+    concurrency: Math.max(1, readInt('EMBEDDING_CONCURRENCY', provider.defaultConcurrency || 1)),
+    maxRetries: Math.max(0, readInt('EMBEDDING_MAX_RETRIES', 4)),
+    retryBaseDelay: readInt('EMBEDDING_RETRY_BASE_MS', 500),
+    retryMaxDelay: readInt('EMBEDDING_RETRY_MAX_MS', 30000),
+  };
+}
+
+/**
+ * Cuts text down to the embedding model's input limit, which the model would
+ * otherwise do silently (or reject the request).
+ * @param {Object} tokenizer from loadEmbeddingTokenizer
+ * @param {string} text
+ * @param {string} label names the text in the warning
+ * @returns {string}
+ */
+function truncateToModel(tokenizer, text, label) {
+  const tokens = tokenizer.count(text);
+
+  if (tokens <= tokenizer.maxTokens) {
+    return text;
+  }
+
+  console.warn(`${label} has ${tokens} tokens; truncated to the model's limit of ${tokenizer.maxTokens}`);
+  return tokenizer.truncate(text, tokenizer.maxTokens);
+}
+
+/**
+ * @param {Object} chunk
+ * @returns {string}
+ */
+function getEmbeddingText(chunk) {
+  return `File: ${chunk.metadata.path}\nSection: ${chunk.metadata.name || 'Unnamed section'}\n\n${chunk.content}`;
+}
+
+/**
+ * Exponential backoff with full jitter, unless the server said how long to wait.
+ * @param {Error} error
+ * @param {number} attempt 1 for the first retry
+ * @param {Object} config
+ * @returns {number} milliseconds
+ */
+function getRetryDelay(error, attempt, config) {
+  if (error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter, config.retryMaxDelay);
+  }
+
+  const ceiling = Math.min(config.retryBaseDelay * 2 ** (attempt - 1), config.retryMaxDelay);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Resolves after `ms`, or early when the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done);
+  });
+}
+
+/**
+ * Embeds chunks in batches with bounded concurrency. Chunks found in the
+ * embedding cache skip the provider entirely. Batches that hit a rate limit or
+ * server error go to a retry queue with exponential backoff; a batch rejected
+ * outright is split so one bad chunk cannot sink its neighbours.
  * @param {Array<Object>} chunks 
- * @returns {Promise<Array<Object>>} 
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] stops the pipeline early when aborted
+ * @param {Function} [options.onProgress] called with each embedded chunk
+ * @returns {Promise<Object>} `{ embeddedChunks, failedChunks, cachedChunks, truncatedChunks }`; failures carry `{ path, name, error, attempts }`
  */
-export async function batchProcessEmbeddings(chunks) {
-  console.log(`Processing embeddings for ${chunks.length} chunks...`);
-  
+export async function batchProcessEmbeddings(chunks, { signal, onProgress } = {}) {
+  const provider = getEmbeddingProvider();
+  const config = getEmbeddingPipelineConfig(provider);
+  const tokenizer = await loadEmbeddingTokenizer();
+
+  console.log(`Processing embeddings for ${chunks.length} chunks (batches of ${config.batchSize}, ${config.concurrency} concurrent)...`);
+
   const embeddedChunks = [];
-  
-  
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
-    
-    try {
-      const combinedContent = `File: ${chunk.metadata.path}\nSection: ${chunk.metadata.name || 'Unnamed section'}\n\n${chunk.content}`;
-const embedding = await generateEmbedding(combinedContent);
-      
-      embeddedChunks.push({
-        ...chunk,
-        embedding
+  const failedChunks = [];
+
+  const queue = [];
+  const retryQueue = [];
+  let inFlight = 0;
+
+  const texts = new Map();
+  let truncatedChunks = 0;
+
+  for (const chunk of chunks) {
+    const text = getEmbeddingText(chunk);
+    const truncated = truncateToModel(tokenizer, text, `${chunk.metadata.path} (${chunk.metadata.name || 'Unnamed section'})`);
+
+    texts.set(chunk, truncated);
+    if (truncated !== text) {
+      truncatedChunks++;
+    }
+  }
+
+  const cached = await getCachedEmbeddings(provider.modelId, chunks.map(chunk => texts.get(chunk)));
+  const uncachedChunks = [];
+
+  chunks.forEach((chunk, index) => {
+    if (cached[index]) {
+      embeddedChunks.push({ ...chunk, embedding: cached[index] });
+      if (onProgress) {
+        onProgress(chunk);
+      }
+    } else {
+      uncachedChunks.push(chunk);
+    }
+  });
+
+  const cachedChunks = chunks.length - uncachedChunks.length;
+  if (cachedChunks > 0) {
+    console.log(`Reused ${cachedChunks}/${chunks.length} embeddings from the cache`);
+  }
+
+  for (let i = 0; i < uncachedChunks.length; i += config.batchSize) {
+    queue.push({ chunks: uncachedChunks.slice(i, i + config.batchSize), attempts: 0 });
+  }
+
+  const takeTask = () => {
+    if (queue.length > 0) {
+      return queue.shift();
+    }
+
+    const readyIndex = retryQueue.findIndex(task => task.readyAt <= Date.now());
+    return readyIndex === -1 ? null : retryQueue.splice(readyIndex, 1)[0];
+  };
+
+  const handleFailure = (task, error) => {
+    task.attempts++;
+
+    if (isRetryableError(error) && task.attempts <= config.maxRetries) {
+      const delay = getRetryDelay(error, task.attempts, config);
+      console.warn(`Embedding batch of ${task.chunks.length} failed (${error.message}), retry ${task.attempts}/${config.maxRetries} in ${delay}ms`);
+      retryQueue.push({ ...task, readyAt: Date.now() + delay });
+      return;
+    }
+
+    if (!isRetryableError(error) && task.chunks.length > 1) {
+      queue.push(...task.chunks.map(chunk => ({ chunks: [chunk], attempts: 0 })));
+      return;
+    }
+
+    console.error(`Giving up on ${task.chunks.length} chunk(s) after ${task.attempts} attempt(s): ${error.message}`);
+    for (const chunk of task.chunks) {
+      failedChunks.push({
+        path: chunk.metadata.path,
+        name: chunk.metadata.name || null,
+        error: error.message,
+        attempts: task.attempts,
       });
-      
-      
-      if ((i + 1) % 10 === 0) {
-        console.log(`Processed ${i + 1}/${chunks.length} embeddings`);
+    }
+  };
+
+  const worker = async () => {
+    while (!signal?.aborted && (queue.length > 0 || retryQueue.length > 0 || inFlight > 0)) {
+      const task = takeTask();
+
+      if (!task) {
+        const nextRetry = Math.min(...retryQueue.map(retry => retry.readyAt));
+        await sleep(Math.max(10, Math.min(nextRetry - Date.now(), 100)), signal);
+        continue;
       }
-      
-      
-      if (i < chunks.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+
+      inFlight++;
+      try {
+        const batchTexts = task.chunks.map(chunk => texts.get(chunk));
+        const embeddings = await provider.embedBatch(batchTexts);
+        await storeEmbeddings(provider.modelId, batchTexts, embeddings);
+
+        task.chunks.forEach((chunk, index) => {
+          embeddedChunks.push({ ...chunk, embedding: embeddings[index] });
+          if (onProgress) {
+            onProgress(chunk);
+          }
+        });
+      } catch (error) {
+        handleFailure(task, error);
+      } finally {
+        inFlight--;
       }
-    } catch (error) {
-      console.error(`Error processing chunk ${i}:`, error);
-    
     }
+  };
+
+  await Promise.all(Array.from({ length: config.concurrency }, worker));
+
+  if (signal?.aborted) {
+    console.log(`Embedding aborted after ${embeddedChunks.length}/${chunks.length} chunks`);
+  } else {
+    console.log(`Embedded ${embeddedChunks.length}/${chunks.length} chunks, ${failedChunks.length} failed`);
+  }
+
+  if (truncatedChunks > 0) {
+    console.warn(`${truncatedChunks}/${chunks.length} chunks were longer than ${provider.modelId} reads and were truncated`);
   }
-  
-  return embeddedChunks;
+
+  return { embeddedChunks, failedChunks, cachedChunks, truncatedChunks };
 }
\ No newline at end of file
@@ -1,15 +1,6 @@
 import { Octokit } from 'octokit';
-
-
-const SUPPORTED_EXTENSIONS = [
-  '.js', '.jsx', '.ts', '.tsx',  
-  '.py',                         
-  '.java',                       
-  '.go',                         
-  '.cpp', '.hpp', '.h', '.c',    
-  '.rs',                         
-  '.html', '.css',               
-];
+import { getArchiveLimits } from './archive';
+import { isIndexablePath, isSupportedFile, shouldSkipDirectory, SYMLINK_MODE } from './sourceFiles';
 
 
 const octokit = new Octokit({
@@ -17,31 +8,64 @@ const octokit = new Octokit({
 });
 
 /**
+ * @param {string[]} pathSegments decoded segments of a github.com URL's path
+ * @returns {{ owner: string, repo: string, ref: string|null }}
+ */
+export function parseGitHubPath(pathSegments) {
+  if (pathSegments.length < 2) {
+    throw new Error('URL does not contain a valid repository path');
+  }
+  
+  const [owner, repo, view, ...rest] = pathSegments;
+  
+  return {
+    owner,
+    repo: repo.replace(/\.git$/, ''),
+    ref: getUrlRef(view, rest),
+  };
+}
 
- * @param {string} url 
- * @returns {Object} 
+/**
+ * The ref named by a tree, blob, commit or release URL. Branch names can
+ * contain slashes, so for tree and blob URLs this is the ref followed by the
+ * path in it, which resolveRef in lib/sourceProviders tells apart.
+ * @param {string} [view] path segment after the repository name
+ * @param {string[]} rest segments after the view
+ * @returns {string|null}
  */
-export function parseGitHubUrl(url) {
-  try {
+function getUrlRef(view, rest) {
+  if ((view === 'tree' || view === 'blob' || view === 'commit') && rest.length > 0) {
+    return rest.join('/');
+  }
   
-    const urlObj = new URL(url);
-    
-    if (urlObj.hostname !== 'github.com') {
-      throw new Error('Not a valid GitHub URL');
-    }
-    
-    const pathSegments = urlObj.pathname.split('/').filter(Boolean);
-    
-    if (pathSegments.length < 2) {
-      throw new Error('URL does not contain a valid repository path');
-    }
+  if (view === 'releases' && rest[0] === 'tag' && rest.length > 1) {
+    return rest.slice(1).join('/');
+  }
+  
+  return null;
+}
+
+/**
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {string} ref branch, tag or commit to resolve
+ * @returns {Promise<string|null>} the commit's SHA, null when nothing is named `ref`
+ */
+export async function getCommitSha(owner, repo, ref) {
+  try {
+    const { data } = await octokit.rest.repos.getCommit({
+      owner,
+      repo,
+      ref,
+    });
     
-    return {
-      owner: pathSegments[0],
-      repo: pathSegments[1],
-    };
+    return data.sha;
   } catch (error) {
-    throw new Error(`Invalid GitHub URL: ${error.message}`);
+    // 404 for unknown refs, 422 for strings that are not a ref at all
+    if (error.status === 404 || error.status === 422) {
+      return null;
+    }
+    throw new Error(`Failed to resolve commit for ${ref}: ${error.message}`);
   }
 }
 
@@ -63,6 +87,8 @@ export async function getRepositoryInfo(owner, repo) {
       description: data.description,
       stars: data.stargazers_count,
       language: data.language,
+      defaultBranch: data.default_branch,
+      webUrl: data.html_url,
       owner: {
         name: data.owner.login,
         avatar: data.owner.avatar_url,
@@ -74,37 +100,76 @@ export async function getRepositoryInfo(owner, repo) {
 }
 
 /**
- 
+ * Lists the supported files of a repository with a single recursive trees
+ * request. Their contents are read with readFile.
  * @param {string} owner 
  * @param {string} repo 
+ * @param {string} [ref] branch, tag or commit; the default branch when omitted
+ * @returns {Promise<Array>} 
+ */
+export async function getAllFiles(owner, repo, ref) {
+  const treeRef = ref || 'HEAD';
+  
+  try {
+    const { data } = await octokit.rest.git.getTree({
+      owner,
+      repo,
+      tree_sha: treeRef,
+      recursive: 'true',
+    });
+    
+    if (data.truncated) {
+      console.log(`The tree of ${owner}/${repo} is too large to list at once, listing it directory by directory`);
+      return getDirectoryFiles(owner, repo, ref);
+    }
+    
+    const { maxFileBytes } = getArchiveLimits();
+    
+    // Symbolic links are blobs too, holding the path they point to
+    return data.tree
+      .filter(item => item.type === 'blob' && item.mode !== SYMLINK_MODE && item.size <= maxFileBytes && isIndexablePath(item.path))
+      .map(item => ({ path: item.path, type: 'file' }));
+  } catch (error) {
+    // An empty list would read as a repository without code rather than as the failure it is
+    throw new Error(`Failed to list repository files: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the supported files under `path` with one request per directory,
+ * for trees too large for the recursive trees API.
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {string} [ref] 
  * @param {string} path 
  * @returns {Array} 
  */
-export async function getAllFiles(owner, repo, path = '') {
+async function getDirectoryFiles(owner, repo, ref, path = '') {
   try {
     const { data } = await octokit.rest.repos.getContent({
       owner,
       repo,
       path,
+      ...(ref && { ref }),
     });
     
     let files = [];
+    const { maxFileBytes } = getArchiveLimits();
     
     
     if (!Array.isArray(data)) {
       if (isSupportedFile(data.name)) {
-        return [{ path: data.path, type: 'file', downloadUrl: data.download_url }];
+        return [{ path: data.path, type: 'file' }];
       }
       return [];
     }
     
     
     for (const item of data) {
-      if (item.type === 'file' && isSupportedFile(item.name)) {
+      if (item.type === 'file' && item.size <= maxFileBytes && isSupportedFile(item.name)) {
         files.push({
           path: item.path,
           type: 'file',
-          downloadUrl: item.download_url,
         });
       } else if (item.type === 'dir') {
         
@@ -113,7 +178,7 @@ export async function getAllFiles(owner, repo, path = '') {
         }
         
       
-        const subDirFiles = await getAllFiles(owner, repo, item.path);
+        const subDirFiles = await getDirectoryFiles(owner, repo, ref, item.path);
         files = [...files, ...subDirFiles];
       }
     }
@@ -126,33 +191,181 @@ export async function getAllFiles(owner, repo, path = '') {
 }
 
 /**
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {string} ref branch, tag or commit
+ * @returns {Promise<AsyncIterable<Uint8Array>>} the gzipped tarball of `ref`, as it downloads
+ */
+export async function downloadArchive(owner, repo, ref) {
+  const { data } = await octokit.rest.repos.downloadTarballArchive({
+    owner,
+    repo,
+    ref,
+    request: { parseSuccessResponseBody: false },
+  });
+  
+  return data;
+}
 
- * @param {string} filename 
- * @returns {boolean} 
+/**
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {string} path 
+ * @param {string} ref 
+ * @returns {Promise<string|null>} null when the file does not exist or cannot be read
  */
-function isSupportedFile(filename) {
-  const extension = '.' + filename.split('.').pop().toLowerCase();
-  return SUPPORTED_EXTENSIONS.includes(extension);
+export async function readFile(owner, repo, path, ref) {
+  try {
+    // Read through the API rather than raw.githubusercontent.com, so GITHUB_TOKEN reaches private repositories
+    const { data } = await octokit.rest.repos.getContent({
+      owner,
+      repo,
+      path,
+      ref,
+      mediaType: { format: 'raw' },
+    });
+    
+    // Octokit hands back a buffer when the response is not labelled as text
+    return typeof data === 'string' ? data : Buffer.from(data).toString('utf-8');
+  } catch (error) {
+    // Optional files such as .gitignore are read without knowing whether they exist
+    if (error.status !== 404) {
+      console.error(`Error fetching file content:`, error);
+    }
+    return null;
+  }
 }
 
 /**
- 
- * @param {string} dirName 
- * @returns {boolean} 
+ * Lists the files changed between two commits. Returns null when GitHub
+ * cannot give a complete answer (unknown base after a force push, or a diff
+ * larger than the 300 files the compare API reports), so callers can fall
+ * back to a full re-index.
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {string} baseSha 
+ * @param {string} headSha 
+ * @returns {Promise<Array<Object>|null>} 
  */
-function shouldSkipDirectory(dirName) {
-  const skipDirs = [
-    'node_modules',
-    '.git',
-    'dist',
-    'build',
-    '.next',
-    'venv',
-    '__pycache__',
-    'vendor',
-  ];
+export async function compareCommits(owner, repo, baseSha, headSha) {
+  const COMPARE_FILE_LIMIT = 300;
   
-  return skipDirs.includes(dirName.toLowerCase());
+  try {
+    const { data } = await octokit.rest.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${baseSha}...${headSha}`,
+    });
+    
+    if (data.status === 'behind' || data.status === 'diverged') {
+      console.log(`Commit ${headSha} is ${data.status} relative to ${baseSha}`);
+      return null;
+    }
+    
+    const files = data.files || [];
+    
+    if (files.length >= COMPARE_FILE_LIMIT) {
+      console.log(`Comparison touches ${files.length}+ files, too many for an incremental update`);
+      return null;
+    }
+    
+    return files.map(file => ({
+      path: file.filename,
+      previousPath: file.previous_filename || null,
+      status: file.status,
+    }));
+  } catch (error) {
+    console.error(`Error comparing ${baseSha}...${headSha}:`, error);
+    return null;
+  }
+}
+
+/**
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {string} branch name of the new branch
+ * @param {string} fromRef branch, tag or commit it starts from
+ * @returns {Promise<void>} 
+ */
+export async function createBranch(owner, repo, branch, fromRef) {
+  try {
+    const sha = await getCommitSha(owner, repo, fromRef);
+    if (!sha) {
+      throw new Error(`No branch, tag or commit named ${fromRef}`);
+    }
+    
+    await octokit.rest.git.createRef({
+      owner,
+      repo,
+      ref: `refs/heads/${branch}`,
+      sha,
+    });
+  } catch (error) {
+    throw new Error(`Failed to create branch: ${error.message}`);
+  }
+}
+
+/**
+ * Commits one file to a branch, creating or replacing it.
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {Object} change
+ * @param {string} change.branch
+ * @param {string} change.path
+ * @param {string} change.content
+ * @param {string} change.message
+ * @returns {Promise<void>} 
+ */
+export async function commitFile(owner, repo, { branch, path, content, message }) {
+  try {
+    let sha;
+    
+    try {
+      const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ref: branch });
+      sha = data.sha;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+    
+    await octokit.rest.repos.createOrUpdateFileContents({
+      owner,
+      repo,
+      path,
+      message,
+      content: Buffer.from(content).toString('base64'),
+      branch,
+      ...(sha && { sha }),
+    });
+  } catch (error) {
+    throw new Error(`Failed to create/update file: ${error.message}`);
+  }
+}
+
+/**
+ * @param {string} owner 
+ * @param {string} repo 
+ * @param {Object} request
+ * @param {string} request.sourceBranch
+ * @param {string} request.targetBranch
+ * @param {string} request.title
+ * @param {string} request.body
+ * @returns {Promise<{ url: string }>} 
+ */
+export async function openMergeRequest(owner, repo, { sourceBranch, targetBranch, title, body }) {
+  try {
+    const { data } = await octokit.rest.pulls.create({
+      owner,
+      repo,
+      head: sourceBranch,
+      base: targetBranch,
+      title,
+      body,
+    });
+    
+    return { url: data.html_url };
+  } catch (error) {
+    throw new Error(`Failed to create pull request: ${error.message}`);
+  }
 }
 
 /**
@@ -1,4 +1,5 @@
 import { Groq } from 'groq-sdk';
+import { loadLlmTokenizer } from './tokenizers';
 
 
 const groq = new Groq({
@@ -6,26 +7,69 @@ const groq = new Groq({
 });
 
 
-const MODEL = 'llama3-8b-8192';  
-const MAX_TOKENS = 4096;
+export const MODEL = 'llama3-8b-8192';  
+export const MAX_TOKENS = 4096;
+
+// The prompt and the completion share the model's context window
+const CONTEXT_WINDOW = 8192;
+
+// Role markers and separators the chat template adds around each message
+const MESSAGE_OVERHEAD_TOKENS = 8;
+
+/**
+ * @returns {Promise<Object>} tokenizer of MODEL, see lib/tokenizers
+ */
+export function loadModelTokenizer() {
+  return loadLlmTokenizer(CONTEXT_WINDOW);
+}
 
 /**
+ * @param {Object} tokenizer from loadModelTokenizer
+ * @param {Array<string>} messages the prompt's messages, without the code context
+ * @returns {number} tokens left for code context once the messages and the completion are accounted for
+ */
+export function getContextBudget(tokenizer, messages) {
+  const promptTokens = messages.reduce((total, message) => total + tokenizer.count(message) + MESSAGE_OVERHEAD_TOKENS, 0);
+  return Math.max(0, tokenizer.maxTokens - MAX_TOKENS - promptTokens);
+}
+
+/**
+ * Adds chunks in the order given, most relevant first, while they fit the
+ * budget; a chunk too large for what is left is skipped so smaller ones
+ * after it can still be used.
  * @param {Array<Object>} chunks 
+ * @param {Object} tokenizer from loadModelTokenizer
+ * @param {number} budget see getContextBudget
  * @returns {string} 
  */
-function formatContextFromChunks(chunks) {
+export function formatContextFromChunks(chunks, tokenizer, budget) {
   let context = '';
+  let usedTokens = 0;
+  let packedChunks = 0;
   
   chunks.forEach((chunk, index) => {
     const { content, metadata } = chunk;
-    const filePath = metadata.path;
-    const chunkName = metadata.name || 'Unnamed section';
+    const filePath = metadata?.path || 'Unknown file';
+    const chunkName = metadata?.name || 'Unnamed section';
+    const lines = metadata?.cellIndex !== undefined
+      ? ` (cell ${metadata.cellIndex + 1})`
+      : metadata?.startLine ? ` (lines ${metadata.startLine}-${metadata.endLine})` : '';
+    const section = `\n\n--- FILE: ${filePath}${lines} ---\n--- SECTION: ${chunkName} ---\n${content}\n`;
+    const tokens = tokenizer.count(section);
     
-    context += `\n\n--- FILE: ${filePath} ---\n`;
-    context += `--- SECTION: ${chunkName} ---\n`;
-    context += `${content}\n`;
+    if (usedTokens + tokens > budget) {
+      return;
+    }
+    
+    context += section;
+    usedTokens += tokens;
+    packedChunks++;
   });
   
+  if (packedChunks < chunks.length) {
+    console.warn(`Packed ${packedChunks}/${chunks.length} chunks (${usedTokens} tokens) into a ${budget}-token context budget`);
+  }
+  
   return context;
 }
 
@@ -34,7 +78,7 @@ function formatContextFromChunks(chunks) {
  * @returns {string} 
  */
 function generateSystemPrompt(repoInfo) {
-  return `You are a helpful and knowledgeable code assistant specialized in analyzing and improving codebases. You're currently looking at a GitHub repository called '${repoInfo.name}' by ${repoInfo.owner.name}. The repository is written primarily in ${repoInfo.language || 'multiple languages'}.
+  return `You are a helpful and knowledgeable code assistant specialized in analyzing and improving codebases. You're currently looking at ${['local', 'upload'].includes(repoInfo.provider) ? `a repository called '${repoInfo.name}'` : `a repository called '${repoInfo.name}' by ${repoInfo.owner.name}`}${repoInfo.ref ? `, as of ${repoInfo.ref} rather than its default branch` : ''}. The repository is written primarily in ${repoInfo.language || 'multiple languages'}.
 
 Repository description: ${repoInfo.description || 'No description provided'}
 
@@ -70,20 +114,22 @@ The user will ask you questions, and I'll provide relevant code from the reposit
  */
 export async function queryGroq(question, relevantChunks, repoInfo) {
   try {
-    
-    const context = formatContextFromChunks(relevantChunks);
+    const tokenizer = await loadModelTokenizer();
     
     
     const systemPrompt = generateSystemPrompt(repoInfo);
     
  
-    const userPrompt = `Here is my question about the codebase: "${question}"
+    const buildUserPrompt = (context) => `Here is my question about the codebase: "${question}"
 
 Below are the most relevant parts of the codebase to answer this question:
 ${context}
 
 Please help me understand this code and provide a complete, well-structured answer. If I'm asking for code generation, please provide complete, working code solutions that follow the patterns and practices of the existing codebase.`;
     
+    const budget = getContextBudget(tokenizer, [systemPrompt, buildUserPrompt('')]);
+    const userPrompt = buildUserPrompt(formatContextFromChunks(relevantChunks, tokenizer, budget));
+    
     
     const response = await groq.chat.completions.create({
       model: MODEL,
@@ -0,0 +1,347 @@
+import { globToRegExp } from './utils';
+import { isIndexablePath, shouldSkipDirectory } from './sourceFiles';
+
+/**
+ * Files a repository can carry to keep files out of the index:
+ *
+ * - `.gitignore`, in any directory, read the way git reads it. It matters for
+ *   local directories, where ignored files are on disk, and for build output
+ *   committed with `git add -f`.
+ * - `.gitattributes`, in any directory, for the `linguist-generated` and
+ *   `linguist-vendored` markers GitHub Linguist uses to leave code out of
+ *   language statistics.
+ * - `.devinsightignore`, at the root, with the syntax of .gitignore. Its
+ *   plain patterns exclude files and its `!` patterns include files anything
+ *   else would leave out, generated-file detection included; the most
+ *   specific matching pattern wins. Unsupported file types and the
+ *   directories shouldSkipDirectory names stay out regardless.
+ */
+
+const GITIGNORE = '.gitignore';
+const GITATTRIBUTES = '.gitattributes';
+const DEVINSIGHTIGNORE = '.devinsightignore';
+
+const LINGUIST_ATTRIBUTES = ['linguist-generated', 'linguist-vendored'];
+
+/**
+ * @param {string} path repository-relative path
+ * @returns {boolean} whether `path` is an ignore file that applies to the repository
+ */
+export function isIgnoreFile(path) {
+  const segments = path.split('/');
+  const filename = segments.pop();
+
+  if (filename === DEVINSIGHTIGNORE) {
+    return segments.length === 0;
+  }
+
+  return (filename === GITIGNORE || filename === GITATTRIBUTES) && !segments.some(shouldSkipDirectory);
+}
+
+/**
+ * @param {Array<string>} filePaths
+ * @returns {Array<string>} the ignore files that can apply to `filePaths`: the root's and those of every directory leading to them
+ */
+export function getIgnoreFilePaths(filePaths) {
+  const directories = new Set(['']);
+
+  for (const filePath of filePaths) {
+    const segments = filePath.split('/').slice(0, -1);
+    segments.forEach((_, i) => directories.add(segments.slice(0, i + 1).join('/')));
+  }
+
+  const paths = [DEVINSIGHTIGNORE];
+
+  for (const directory of directories) {
+    const prefix = directory ? `${directory}/` : '';
+    paths.push(`${prefix}${GITIGNORE}`, `${prefix}${GITATTRIBUTES}`);
+  }
+
+  return paths;
+}
+
+/**
+ * @param {(path: string) => Promise<string|null>} readFile
+ * @param {Array<string>} paths as returned by getIgnoreFilePaths
+ * @returns {Promise<Array<{ path: string, content: string }>>} the ignore files that exist
+ */
+export async function readIgnoreFiles(readFile, paths) {
+  const files = [];
+
+  for (const path of paths) {
+    const content = await readFile(path);
+
+    if (content) {
+      files.push({ path, content });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * @param {string} pattern .gitignore-style pattern, without a leading `!`
+ * @param {string} baseDir directory of the file the pattern comes from, '' for the root
+ * @returns {Object|null} null for a pattern that matches nothing
+ */
+function compilePattern(pattern, baseDir) {
+  const directoryOnly = pattern.endsWith('/');
+  let glob = pattern.replace(/\/+$/, '');
+
+  if (!glob) {
+    return null;
+  }
+
+  // A slash anywhere but at the end anchors the pattern to its file's directory
+  glob = glob.includes('/') ? glob.replace(/^\//, '') : `**/${glob}`;
+
+  return { regex: globToRegExp(glob), baseDir, directoryOnly };
+}
+
+/**
+ * @param {Object} rule compiled by compilePattern
+ * @param {string} path
+ * @param {boolean} isDirectory
+ * @returns {boolean}
+ */
+function matchesRule(rule, path, isDirectory) {
+  if (rule.directoryOnly && !isDirectory) {
+    return false;
+  }
+
+  if (rule.baseDir) {
+    if (!path.startsWith(`${rule.baseDir}/`)) {
+      return false;
+    }
+    path = path.slice(rule.baseDir.length + 1);
+  }
+
+  return rule.regex.test(path);
+}
+
+/**
+ * As in git, the last matching rule wins.
+ * @param {Array<Object>} rules
+ * @param {string} path
+ * @param {boolean} isDirectory
+ * @returns {Object|null}
+ */
+function findLastMatch(rules, path, isDirectory) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (matchesRule(rules[i], path, isDirectory)) {
+      return rules[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @param {string} path
+ * @returns {Array<string>} the directories containing `path`, outermost first
+ */
+function getParentDirectories(path) {
+  const segments = path.split('/').slice(0, -1);
+  return segments.map((_, i) => segments.slice(0, i + 1).join('/'));
+}
+
+/**
+ * @param {string} content of a .gitignore or .devinsightignore
+ * @param {string} baseDir
+ * @returns {Array<Object>} rules, `negated` for `!` patterns
+ */
+function parseIgnoreFile(content, baseDir) {
+  const rules = [];
+
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    const negated = trimmed.startsWith('!');
+    // A backslash escapes a leading `#` or `!`
+    const rule = compilePattern((negated ? trimmed.slice(1) : trimmed).replace(/^\\/, ''), baseDir);
+
+    if (rule) {
+      rules.push({ ...rule, negated });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * @param {string} content of a .gitattributes
+ * @param {string} baseDir
+ * @returns {Array<Object>} rules with the Linguist attributes they set (true) or unset (false)
+ */
+function parseAttributesFile(content, baseDir) {
+  const rules = [];
+
+  for (const line of content.split(/\r?\n/)) {
+    const [pattern, ...attributes] = line.trim().split(/\s+/);
+
+    // Macro definitions declare attributes rather than assign them
+    if (!pattern || pattern.startsWith('#') || pattern.startsWith('[attr]')) {
+      continue;
+    }
+
+    const values = {};
+
+    for (const attribute of attributes) {
+      const [, prefix, name, value] = /^([-!]?)([^=]+)(?:=(.*))?$/.exec(attribute) || [];
+
+      if (LINGUIST_ATTRIBUTES.includes(name)) {
+        values[name] = !prefix && value !== 'false';
+      }
+    }
+
+    const rule = Object.keys(values).length > 0 && compilePattern(pattern, baseDir);
+
+    if (rule) {
+      rules.push({ ...rule, values });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Collects the rules of a repository's ignore files. Add them outermost
+ * first, so that nested .gitignore files take precedence as they do in git.
+ * @returns {Object} `{ addFile, getIgnoreReason, isIncluded, canSkipDirectory }`
+ */
+export function createIgnoreRules() {
+  const gitignoreRules = [];
+  const attributeRules = [];
+  const projectRules = [];
+
+  // A file's own pattern beats its directory's, an inner directory's beats an outer one's
+  const findProjectRule = (path) => {
+    const directories = getParentDirectories(path).reverse();
+    return findLastMatch(projectRules, path, false)
+      || directories.map(directory => findLastMatch(projectRules, directory, true)).find(Boolean)
+      || null;
+  };
+
+  const isGitIgnored = (path, isDirectory) => {
+    // Git does not look inside an ignored directory, so nothing in it can be re-included
+    for (const directory of getParentDirectories(path)) {
+      const rule = findLastMatch(gitignoreRules, directory, true);
+      if (rule && !rule.negated) {
+        return true;
+      }
+    }
+
+    const rule = findLastMatch(gitignoreRules, path, isDirectory);
+    return Boolean(rule && !rule.negated);
+  };
+
+  return {
+    /**
+     * @param {string} path of the ignore file
+     * @param {string} content
+     */
+    addFile(path, content) {
+      const segments = path.split('/');
+      const filename = segments.pop();
+      const baseDir = segments.join('/');
+
+      if (filename === GITIGNORE) {
+        gitignoreRules.push(...parseIgnoreFile(content, baseDir));
+      } else if (filename === GITATTRIBUTES) {
+        attributeRules.push(...parseAttributesFile(content, baseDir));
+      } else if (filename === DEVINSIGHTIGNORE) {
+        projectRules.push(...parseIgnoreFile(content, baseDir));
+      }
+    },
+
+    /**
+     * @param {string} path
+     * @returns {string|null} the ignore file or attribute that leaves `path` out, or null to index it
+     */
+    getIgnoreReason(path) {
+      const projectRule = findProjectRule(path);
+
+      if (projectRule) {
+        return projectRule.negated ? null : DEVINSIGHTIGNORE;
+      }
+
+      if (isGitIgnored(path, false)) {
+        return GITIGNORE;
+      }
+
+      for (const name of LINGUIST_ATTRIBUTES) {
+        // Each attribute takes its value from the last line that mentions it
+        const rule = findLastMatch(attributeRules.filter(candidate => name in candidate.values), path, false);
+        if (rule && rule.values[name]) {
+          return name;
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * @param {string} path
+     * @returns {boolean} whether a .devinsightignore `!` pattern names `path`
+     */
+    isIncluded(path) {
+      const projectRule = findProjectRule(path);
+      return Boolean(projectRule && projectRule.negated);
+    },
+
+    /**
+     * @param {string} path of a directory whose parents are not ignored
+     * @returns {boolean} whether nothing in the directory can be indexed
+     */
+    canSkipDirectory(path) {
+      // An include pattern could name something inside
+      if (projectRules.some(rule => rule.negated)) {
+        return false;
+      }
+
+      return Boolean(findLastMatch(projectRules, path, true)) || isGitIgnored(path, true);
+    },
+  };
+}
+
+/**
+ * Takes the ignore files out of a repository's files and drops the files
+ * they leave out, along with anything that is not indexable.
+ * @param {Array<Object>} files repository files with ignore files among them, which must have their `content`
+ * @returns {Array<Object>} the files to index; those a .devinsightignore `!` pattern names are flagged `forceInclude`
+ */
+export function applyIgnoreFiles(files) {
+  const rules = createIgnoreRules();
+
+  files
+    .filter(file => isIgnoreFile(file.path))
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length)
+    .forEach(file => rules.addFile(file.path, file.content));
+
+  const keptFiles = [];
+  const ignoredFiles = [];
+
+  for (const file of files) {
+    if (!isIndexablePath(file.path)) {
+      continue;
+    }
+
+    const reason = rules.getIgnoreReason(file.path);
+
+    if (reason) {
+      ignoredFiles.push({ path: file.path, reason });
+    } else {
+      keptFiles.push(rules.isIncluded(file.path) ? { ...file, forceInclude: true } : file);
+    }
+  }
+
+  if (ignoredFiles.length > 0) {
+    console.log(`Ignored ${ignoredFiles.length} files:`, ignoredFiles.slice(0, 10));
+  }
+
+  return keptFiles;
+}
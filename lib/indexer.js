@@ -0,0 +1,426 @@
+import { fetchRepositoryFiles } from './sourceProviders';
+import { isIndexablePath, getGeneratedReason } from './sourceFiles';
+import { applyIgnoreFiles, getIgnoreFilePaths, isIgnoreFile, readIgnoreFiles } from './ignoreRules';
+import { chunkCodeFile, extractSymbols } from './chunker';
+import { batchProcessEmbeddings } from './embeddings';
+import {
+  deleteRepositoryData,
+  addChunksToVectorStore,
+  upsertChunks,
+  deleteChunksByPath,
+  getChunkId,
+  getCollection,
+  getIndexedFilePaths,
+  updateCollectionMetadata,
+  getEmbeddingMetadata,
+} from './chromadb';
+import { hasSymbolIndex, updateSymbolIndex } from './symbolIndex';
+import { readLocalDirectory } from './localRepository';
+
+
+const MAX_FILES_PER_BATCH = 20;
+
+/**
+ * Fetches, chunks, embeds and stores the files of a repository, and records
+ * their symbols in the symbol index, reporting per-file phases through the job
+ * context. When the collection was built from an earlier commit with the same
+ * embedding model, only the files changed since then are re-indexed. The
+ * commit is only recorded once every file and chunk in it was indexed.
+ * @param {Object} params
+ * @param {Object} params.provider source provider from lib/sourceProviders
+ * @param {string} params.owner
+ * @param {string} params.repo
+ * @param {string} params.repoId
+ * @param {string} params.ref branch, tag or commit to index
+ * @param {boolean} [params.force] skip the incremental path and rebuild everything
+ * @param {Object} job context created by lib/jobs
+ * @returns {Promise<Object>}
+ */
+export async function indexRepository({ provider, owner, repo, repoId, ref, force = false }, job) {
+  const { reportProgress, throwIfCancelled } = job;
+
+  reportProgress({ phase: 'fetch', path: null });
+  const commitSha = await provider.getCommitSha(owner, repo, ref);
+
+  if (!commitSha) {
+    throw new Error(`No branch, tag or commit named ${ref} in ${owner}/${repo}`);
+  }
+
+  const plan = force ? null : await planIncrementalUpdate({ provider, owner, repo, repoId, commitSha });
+  const readFile = (path) => provider.readFile(owner, repo, path, commitSha);
+
+  throwIfCancelled();
+
+  let stats;
+
+  if (plan) {
+    console.log(`Incremental update of ${repoId}: ${plan.files.length} files to index, ${plan.removedPaths.length} to remove`);
+
+    let removedChunks = await deleteChunksByPath(repoId, plan.removedPaths);
+    const { symbolsByPath, skippedPaths, ...fileStats } = await processFiles(repoId, plan.files, job, { replaceExisting: true, readFile });
+    stats = fileStats;
+
+    // Changed files that now look generated may have chunks from before
+    removedChunks += await deleteChunksByPath(repoId, skippedPaths);
+
+    const removedPaths = [...plan.removedPaths, ...skippedPaths];
+    await updateSymbolIndex(repoId, symbolsByPath, { removedPaths });
+
+    stats.removedFiles = removedPaths.length;
+    stats.removedChunks = removedChunks;
+  } else {
+    console.log(`Fetching files from ${owner}/${repo}...`);
+    const files = await fetchRepositoryFiles(provider, owner, repo, commitSha);
+
+    stats = await rebuildIndex(repoId, files, job, readFile);
+  }
+
+  // Files that failed keep their old chunks, or none, so the next update has
+  // to start again from the last commit that was indexed completely
+  const isComplete = stats.failedFiles === 0 && stats.failedChunks.length === 0;
+  if (!isComplete) {
+    console.warn(`${stats.failedFiles} files and ${stats.failedChunks.length} chunks of ${repoId} failed; not recording ${commitSha} as indexed`);
+  }
+
+  await updateCollectionMetadata(repoId, {
+    ...(isComplete && { commitSha }),
+    ref,
+    indexedAt: new Date().toISOString(),
+    ...getEmbeddingMetadata(stats.embeddingDimension),
+  });
+
+  return {
+    mode: plan ? 'incremental' : 'full',
+    commitSha,
+    previousCommitSha: plan ? plan.previousCommitSha : null,
+    ...stats,
+  };
+}
+
+/**
+ * Indexes a local directory or the files of an uploaded archive from scratch.
+ * There is no commit history to compare against, so every run is a full one.
+ * @param {Object} params
+ * @param {string} params.repoId synthetic ID from lib/localRepository
+ * @param {string} [params.directory] directory to read, as resolved by resolveLocalDirectory
+ * @param {Array<Object>} [params.files] files with their `content`, for uploads
+ * @param {Object} job context created by lib/jobs
+ * @returns {Promise<Object>}
+ */
+export async function indexLocalRepository({ repoId, directory, files }, job) {
+  job.reportProgress({ phase: 'fetch', path: null });
+
+  if (directory) {
+    console.log(`Reading files from ${directory}...`);
+    files = await readLocalDirectory(directory);
+  }
+
+  const stats = await rebuildIndex(repoId, files, job);
+
+  await updateCollectionMetadata(repoId, {
+    indexedAt: new Date().toISOString(),
+    ...getEmbeddingMetadata(stats.embeddingDimension),
+  });
+
+  return {
+    mode: 'full',
+    commitSha: null,
+    previousCommitSha: null,
+    ...stats,
+  };
+}
+
+/**
+ * Replaces everything stored for a repository with the given files. The old
+ * index stays searchable until the new one is complete: chunks are upserted
+ * over it, and those of files that are gone are removed at the end. Only an
+ * index built with another embedding model is deleted up front.
+ * @param {string} repoId
+ * @param {Array<Object>} files
+ * @param {Object} job
+ * @param {Function} [readFile] reads the files that came without their `content`
+ * @returns {Promise<Object>} processing stats
+ */
+async function rebuildIndex(repoId, files, job, readFile) {
+  console.log(`Found ${files.length} files in the repository`);
+
+  if (files.length === 0) {
+    throw new Error('No supported code files found in the repository');
+  }
+
+  job.throwIfCancelled();
+
+  const collection = await getCollection(repoId);
+  const keepsOldIndex = (await collection.count()) > 0 &&
+    collection.metadata.embeddingModel === getEmbeddingMetadata().embeddingModel;
+
+  if (!keepsOldIndex) {
+    await deleteRepositoryData(repoId);
+  }
+
+  const { symbolsByPath, skippedPaths, ...stats } = await processFiles(repoId, files, job, { replaceExisting: keepsOldIndex, readFile });
+
+  if (stats.processedChunks === 0) {
+    const reason = stats.failedChunks.length > 0 ? `: ${stats.failedChunks[0].error}` : '';
+    throw new Error(`Failed to generate any code chunks from the repository${reason}`);
+  }
+
+  if (keepsOldIndex) {
+    // Files that were deleted, are ignored now or now look generated
+    const currentPaths = new Set(files.map(file => file.path));
+    skippedPaths.forEach(path => currentPaths.delete(path));
+    const stalePaths = (await getIndexedFilePaths(repoId)).filter(path => !currentPaths.has(path));
+
+    stats.removedFiles = stalePaths.length;
+    stats.removedChunks = await deleteChunksByPath(repoId, stalePaths);
+  }
+
+  await updateSymbolIndex(repoId, symbolsByPath, { replace: true });
+
+  return stats;
+}
+
+/**
+ * Works out which files need re-indexing since the commit the collection was
+ * built from. Returns null when a full rebuild is required.
+ * @param {Object} params
+ * @returns {Promise<Object|null>}
+ */
+async function planIncrementalUpdate({ provider, owner, repo, repoId, commitSha }) {
+  const collection = await getCollection(repoId);
+  const previousCommitSha = collection.metadata.commitSha;
+
+  if (!previousCommitSha || (await collection.count()) === 0) {
+    return null;
+  }
+
+  // New vectors could not be compared with the stored ones, so everything is re-embedded
+  const { embeddingModel } = getEmbeddingMetadata();
+  if (collection.metadata.embeddingModel !== embeddingModel) {
+    console.log(`${repoId} was indexed with ${collection.metadata.embeddingModel || 'an unrecorded embedding model'}; rebuilding with ${embeddingModel}`);
+    return null;
+  }
+
+  // Collections indexed before the symbol index existed have no symbols to update
+  if (!(await hasSymbolIndex(repoId))) {
+    console.log(`${repoId} has no symbol index yet; rebuilding`);
+    return null;
+  }
+
+  if (previousCommitSha === commitSha) {
+    console.log(`${repoId} is already indexed at ${commitSha}`);
+    return { previousCommitSha, files: [], removedPaths: [] };
+  }
+
+  const changedFiles = await provider.compareCommits(owner, repo, previousCommitSha, commitSha);
+
+  if (!changedFiles) {
+    return null;
+  }
+
+  // New ignore rules can take in or leave out files that did not change themselves
+  const changedIgnoreFile = changedFiles.find(file => isIgnoreFile(file.path) || (file.previousPath && isIgnoreFile(file.previousPath)));
+  if (changedIgnoreFile) {
+    console.log(`${changedIgnoreFile.path} changed since ${previousCommitSha}; rebuilding`);
+    return null;
+  }
+
+  const files = [];
+  const removedPaths = [];
+
+  for (const file of changedFiles) {
+    if (file.status === 'removed') {
+      removedPaths.push(file.path);
+      continue;
+    }
+
+    if (file.status === 'renamed' && file.previousPath) {
+      removedPaths.push(file.previousPath);
+    }
+
+    if (isIndexablePath(file.path)) {
+      files.push({ path: file.path, type: 'file' });
+    } else {
+      // A file that is no longer indexable may still have chunks from before
+      removedPaths.push(file.path);
+    }
+  }
+
+  if (files.length === 0) {
+    return { previousCommitSha, files, removedPaths };
+  }
+
+  const ignoreFiles = await readIgnoreFiles(
+    path => provider.readFile(owner, repo, path, commitSha),
+    getIgnoreFilePaths(files.map(file => file.path)),
+  );
+  const keptFiles = applyIgnoreFiles([...ignoreFiles, ...files]);
+  const keptPaths = new Set(keptFiles.map(file => file.path));
+
+  // Like files that are no longer indexable, ignored ones may have chunks from before
+  removedPaths.push(...files.filter(file => !keptPaths.has(file.path)).map(file => file.path));
+
+  return { previousCommitSha, files: keptFiles, removedPaths };
+}
+
+/**
+ * @param {string} repoId
+ * @param {Array<Object>} files
+ * @param {Object} job
+ * @param {Object} options
+ * @param {boolean} options.replaceExisting upsert into an existing collection and drop a file's chunks that no longer exist
+ * @param {(path: string) => Promise<string|null>} [options.readFile] reads the files that came without their `content`
+ * @returns {Promise<Object>}
+ */
+async function processFiles(repoId, files, job, { replaceExisting, readFile }) {
+  const { reportProgress, throwIfCancelled } = job;
+
+  reportProgress({ totalFiles: files.length });
+
+  let processedFiles = 0;
+  let failedFiles = 0;
+  let skippedFiles = 0;
+  let totalChunks = 0;
+  let embeddedChunks = 0;
+  let storedChunks = 0;
+  let cachedChunks = 0;
+  let truncatedChunks = 0;
+  let embeddingDimension = null;
+  let indexedSymbols = 0;
+  const failedChunks = [];
+  const symbolsByPath = {};
+  const skippedPaths = [];
+
+  for (let i = 0; i < files.length; i += MAX_FILES_PER_BATCH) {
+    const fileBatch = files.slice(i, i + MAX_FILES_PER_BATCH);
+    const batchChunks = [];
+    const batchPaths = [];
+
+    console.log(`Processing batch ${i/MAX_FILES_PER_BATCH + 1}/${Math.ceil(files.length/MAX_FILES_PER_BATCH)}...`);
+
+    for (const file of fileBatch) {
+      throwIfCancelled();
+
+      try {
+        // Files from the repository archive arrive with their contents
+        let content = file.content;
+        if (content === undefined) {
+          reportProgress({ phase: 'fetch', path: file.path });
+          content = await readFile(file.path);
+        }
+
+        const generatedReason = content && !file.forceInclude ? getGeneratedReason(file.path, content) : null;
+
+        if (generatedReason) {
+          console.log(`Skipping ${file.path}: ${generatedReason}`);
+          skippedPaths.push(file.path);
+          skippedFiles++;
+        } else if (content !== null) {
+          // An empty file is indexed with no chunks, which also drops any it had before
+          reportProgress({ phase: 'chunk', path: file.path });
+          const chunks = await chunkCodeFile(content, file.path);
+          batchChunks.push(...chunks);
+          batchPaths.push(file.path);
+          totalChunks += chunks.length;
+          processedFiles++;
+
+          const symbols = await extractSymbolsSafely(content, file.path);
+          if (symbols) {
+            symbolsByPath[file.path] = symbols;
+            indexedSymbols += symbols.definitions.length;
+          }
+        } else {
+          // The file could not be read
+          failedFiles++;
+        }
+      } catch (error) {
+        console.error(`Error processing file ${file.path}:`, error);
+        failedFiles++;
+      }
+
+      reportProgress({ processedFiles, failedFiles, skippedFiles, totalChunks });
+    }
+
+    if (batchChunks.length === 0) {
+      // Changed files that no longer yield any chunks still have their old ones stored
+      if (replaceExisting) {
+        await deleteChunksByPath(repoId, batchPaths);
+      }
+      continue;
+    }
+
+    throwIfCancelled();
+
+    const {
+      embeddedChunks: embeddedBatch,
+      failedChunks: failedBatch,
+      cachedChunks: cachedBatch,
+      truncatedChunks: truncatedBatch,
+    } = await batchProcessEmbeddings(batchChunks, {
+      signal: job.signal,
+      onProgress: (chunk) => {
+        embeddedChunks++;
+        reportProgress({ phase: 'embed', path: chunk.metadata.path, embeddedChunks });
+      },
+    });
+
+    throwIfCancelled();
+
+    failedChunks.push(...failedBatch);
+    cachedChunks += cachedBatch;
+    truncatedChunks += truncatedBatch;
+
+    reportProgress({ phase: 'store', path: null });
+
+    if (replaceExisting) {
+      if (embeddedBatch.length > 0) {
+        await upsertChunks(repoId, embeddedBatch);
+      }
+
+      // Unchanged chunks keep their ids, so each file only loses the chunks it
+      // no longer has; one whose new embedding failed keeps its stored copy
+      await deleteChunksByPath(repoId, batchPaths, {
+        keepIds: batchChunks.map(chunk => getChunkId(repoId, chunk)),
+      });
+    } else if (embeddedBatch.length > 0) {
+      await addChunksToVectorStore(repoId, embeddedBatch);
+    }
+
+    if (embeddedBatch.length === 0) {
+      continue;
+    }
+
+    storedChunks += embeddedBatch.length;
+    embeddingDimension = embeddingDimension || embeddedBatch[0].embedding.length;
+    reportProgress({ storedChunks });
+  }
+
+  return {
+    processedFiles,
+    failedFiles,
+    skippedFiles,
+    skippedPaths,
+    processedChunks: storedChunks,
+    cachedChunks,
+    truncatedChunks,
+    failedChunks,
+    embeddingDimension,
+    indexedSymbols,
+    symbolsByPath,
+  };
+}
+
+/**
+ * The symbol index is secondary to search, so a file it cannot read is still indexed.
+ * @param {string} content
+ * @param {string} filePath
+ * @returns {Promise<Object|null>}
+ */
+async function extractSymbolsSafely(content, filePath) {
+  try {
+    return await extractSymbols(content, filePath);
+  } catch (error) {
+    console.error(`Error extracting symbols from ${filePath}:`, error);
+    return null;
+  }
+}
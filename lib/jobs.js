@@ -0,0 +1,232 @@
+import { EventEmitter } from 'events';
+
+
+global.jobStore = global.jobStore || {
+  jobs: {},
+  emitter: new EventEmitter(),
+};
+
+global.jobStore.emitter.setMaxListeners(0);
+
+
+const FINISHED_JOB_TTL = 60 * 60 * 1000;
+
+export const JOB_PHASES = ['fetch', 'chunk', 'embed', 'store'];
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Error thrown inside a job runner once the job has been cancelled.
+ */
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * @param {Object} job
+ * @returns {boolean}
+ */
+export function isJobFinished(job) {
+  return TERMINAL_STATUSES.includes(job.status);
+}
+
+/**
+ * @param {Object} job
+ * @returns {Object}
+ */
+function toPublicJob(job) {
+  const { runner, abortController, ...publicJob } = job;
+  return publicJob;
+}
+
+/**
+ * @param {Object} job
+ * @param {Object} event
+ */
+function emitJobEvent(job, event) {
+  job.updatedAt = new Date().toISOString();
+  global.jobStore.emitter.emit(job.id, {
+    ...event,
+    job: toPublicJob(job),
+  });
+}
+
+function pruneFinishedJobs() {
+  const now = Date.now();
+
+  for (const [id, job] of Object.entries(global.jobStore.jobs)) {
+    if (isJobFinished(job) && now - new Date(job.updatedAt).getTime() > FINISHED_JOB_TTL) {
+      delete global.jobStore.jobs[id];
+    }
+  }
+}
+
+/**
+ * Registers a job and starts its runner on the next tick. The runner receives
+ * a context with `reportProgress`, `throwIfCancelled` and an abort `signal`.
+ * @param {string} type
+ * @param {Object} params
+ * @param {Function} runner
+ * @returns {Object}
+ */
+export function enqueueJob(type, params, runner) {
+  pruneFinishedJobs();
+
+  const id = `job_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  const now = new Date().toISOString();
+
+  const job = {
+    id,
+    type,
+    params,
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    progress: {
+      phase: null,
+      currentFile: null,
+      totalFiles: 0,
+      processedFiles: 0,
+      failedFiles: 0,
+      skippedFiles: 0,
+      totalChunks: 0,
+      embeddedChunks: 0,
+      storedChunks: 0,
+      percent: 0,
+    },
+    result: null,
+    error: null,
+    abortController: new AbortController(),
+  };
+
+  global.jobStore.jobs[id] = job;
+
+  setImmediate(() => runJob(job, runner));
+
+  return toPublicJob(job);
+}
+
+/**
+ * @param {Object} job
+ * @param {Function} runner
+ */
+async function runJob(job, runner) {
+  if (job.status === 'cancelled') {
+    return;
+  }
+
+  job.status = 'running';
+  emitJobEvent(job, { type: 'status' });
+
+  const context = {
+    signal: job.abortController.signal,
+    throwIfCancelled() {
+      if (job.abortController.signal.aborted) {
+        throw new JobCancelledError(job.id);
+      }
+    },
+    reportProgress(update) {
+      const { path, ...progress } = update;
+      Object.assign(job.progress, progress);
+
+      if (path !== undefined) {
+        job.progress.currentFile = path;
+      }
+
+      job.progress.percent = calculatePercent(job.progress);
+      emitJobEvent(job, { type: 'progress', phase: job.progress.phase, path });
+    },
+  };
+
+  try {
+    const result = await runner(context);
+
+    if (job.abortController.signal.aborted) {
+      throw new JobCancelledError(job.id);
+    }
+
+    job.status = 'completed';
+    job.result = result;
+    job.progress.percent = 100;
+    job.progress.phase = null;
+    job.progress.currentFile = null;
+    emitJobEvent(job, { type: 'status' });
+  } catch (error) {
+    if (error instanceof JobCancelledError || job.abortController.signal.aborted) {
+      job.status = 'cancelled';
+      console.log(`Job ${job.id} cancelled`);
+    } else {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error(`Job ${job.id} failed:`, error);
+    }
+    emitJobEvent(job, { type: 'status' });
+  }
+}
+
+/**
+ * Files are weighted by the four phases they pass through, so the bar moves
+ * steadily while a single large file is being embedded.
+ * @param {Object} progress
+ * @returns {number}
+ */
+function calculatePercent(progress) {
+  if (!progress.totalFiles) {
+    return 0;
+  }
+
+  const fileShare = (progress.processedFiles + progress.failedFiles + progress.skippedFiles) / progress.totalFiles;
+  const chunkShare = progress.totalChunks
+    ? (progress.embeddedChunks + progress.storedChunks) / (2 * progress.totalChunks)
+    : 0;
+
+  return Math.min(99, Math.round((fileShare * 0.5 + chunkShare * 0.5) * 100));
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getJob(id) {
+  const job = global.jobStore.jobs[id];
+  return job ? toPublicJob(job) : null;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function cancelJob(id) {
+  const job = global.jobStore.jobs[id];
+
+  if (!job) {
+    return null;
+  }
+
+  if (!isJobFinished(job)) {
+    job.abortController.abort();
+
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      emitJobEvent(job, { type: 'status' });
+    }
+  }
+
+  return toPublicJob(job);
+}
+
+/**
+ * @param {string} id
+ * @param {Function} listener
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToJob(id, listener) {
+  global.jobStore.emitter.on(id, listener);
+
+  return () => {
+    global.jobStore.emitter.off(id, listener);
+  };
+}
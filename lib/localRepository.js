@@ -0,0 +1,253 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { isIndexablePath, shouldSkipDirectory } from './sourceFiles';
+import { extractArchive, extractZip, getArchiveLimits, ArchiveTooLargeError } from './archive';
+import { applyIgnoreFiles, createIgnoreRules, isIgnoreFile } from './ignoreRules';
+import { getRepositoryId, parseRepositoryId, formatFileSize } from './utils';
+
+/**
+ * Repositories read from the server's filesystem or from an uploaded archive
+ * instead of a code host. They are indexed by the same pipeline under
+ * synthetic repository IDs, owned by `~local` or `~upload` (no account name
+ * starts with a tilde), and described by synthetic repository info, so no
+ * route needs to call a code host for them. The directory or archive name in
+ * an ID is followed by a hash of the directory's path or the archive's full
+ * name, so two directories with the same name stay apart, while uploading an
+ * archive again replaces what was indexed from it before.
+ *
+ * LOCAL_REPOSITORY_ROOTS lists the directories, separated like PATH, whose
+ * contents may be indexed. Local directories cannot be indexed without it.
+ */
+
+const LOCAL_OWNER = '~local';
+const UPLOAD_OWNER = '~upload';
+
+const ARCHIVE_EXTENSIONS = ['.tar.gz', '.tgz', '.tar', '.zip'];
+
+const SOURCE_HASH_LENGTH = 8;
+
+/**
+ * Thrown for a local path outside LOCAL_REPOSITORY_ROOTS, or when none are configured.
+ */
+export class LocalPathNotAllowedError extends Error {
+  constructor(localPath) {
+    super(process.env.LOCAL_REPOSITORY_ROOTS
+      ? `${localPath} is not inside a directory listed in LOCAL_REPOSITORY_ROOTS`
+      : 'Indexing local directories is disabled; set LOCAL_REPOSITORY_ROOTS to allow it');
+    this.name = 'LocalPathNotAllowedError';
+  }
+}
+
+/**
+ * @param {string} repoId
+ * @returns {boolean} whether the repository came from a local directory or an upload
+ */
+export function isLocalRepositoryId(repoId) {
+  return /^~(local|upload)\//.test(repoId || '');
+}
+
+/**
+ * Stands in for getRepositoryInfo for local and uploaded repositories.
+ * @param {string} repoId
+ * @returns {Object}
+ */
+export function getLocalRepositoryInfo(repoId) {
+  const { owner, repo } = parseRepositoryId(repoId);
+  const provider = owner === LOCAL_OWNER ? 'local' : 'upload';
+
+  return {
+    name: repo.replace(new RegExp(`-[0-9a-f]{${SOURCE_HASH_LENGTH}}$`), ''),
+    description: provider === 'local' ? 'Local directory' : 'Uploaded archive',
+    stars: null,
+    language: null,
+    defaultBranch: null,
+    owner: {
+      name: provider === 'local' ? 'local' : 'upload',
+      avatar: null,
+    },
+    provider,
+    ref: null,
+    repoId,
+  };
+}
+
+/**
+ * @param {string} name directory or archive name
+ * @param {string} sourceHash hex digest of what the repository was read from
+ * @returns {string} the name made safe for a repository ID, with the start of `sourceHash` appended
+ */
+function toRepositoryName(name, sourceHash) {
+  const safeName = name.replace(/[^\w.-]+/g, '-').replace(/^[-.]+|-+$/g, '') || 'repository';
+  return `${safeName}-${sourceHash.slice(0, SOURCE_HASH_LENGTH)}`;
+}
+
+/**
+ * Resolves a local path, following symbolic links, and checks that it is an
+ * allowed directory.
+ * @param {string} localPath
+ * @returns {Promise<{ directory: string, repoId: string }>}
+ */
+export async function resolveLocalDirectory(localPath) {
+  const roots = (process.env.LOCAL_REPOSITORY_ROOTS || '').split(path.delimiter).filter(Boolean);
+
+  if (roots.length === 0 || !path.isAbsolute(localPath)) {
+    throw new LocalPathNotAllowedError(localPath);
+  }
+
+  let directory;
+  try {
+    directory = await fs.realpath(localPath);
+  } catch (error) {
+    throw new Error(`Failed to open ${localPath}: ${error.message}`);
+  }
+
+  const allowedRoots = await Promise.all(roots.map(root => fs.realpath(root).catch(() => null)));
+  const isAllowed = allowedRoots.some(root => root && (directory === root || directory.startsWith(root + path.sep)));
+
+  if (!isAllowed) {
+    throw new LocalPathNotAllowedError(localPath);
+  }
+
+  if (!(await fs.stat(directory)).isDirectory()) {
+    throw new Error(`${localPath} is not a directory`);
+  }
+
+  const pathHash = createHash('sha256').update(directory).digest('hex');
+
+  return {
+    directory,
+    repoId: getRepositoryId(LOCAL_OWNER, toRepositoryName(path.basename(directory), pathHash)),
+  };
+}
+
+/**
+ * Reads the supported files of a local directory, applying the same filters,
+ * ignore files and size limits as repository archives. Ignored directories
+ * are not read at all.
+ * @param {string} directory as returned by resolveLocalDirectory
+ * @returns {Promise<Array<Object>>} files with their `content`
+ */
+export async function readLocalDirectory(directory) {
+  const { maxBytes, maxFileBytes } = getArchiveLimits();
+  const ignoreRules = createIgnoreRules();
+  const files = [];
+  let totalBytes = 0;
+
+  const visit = async (relativeDir) => {
+    const entries = await fs.readdir(path.join(directory, relativeDir), { withFileTypes: true });
+
+    // A directory's ignore files apply to everything in it, so they are read first
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      if (entry.isFile() && isIgnoreFile(relativePath)) {
+        const content = await fs.readFile(path.join(directory, relativePath), 'utf-8');
+        ignoreRules.addFile(relativePath, content);
+        files.push({ path: relativePath, type: 'file', content });
+      }
+    }
+
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      // Symbolic links are not followed, so nothing outside the directory is read
+      if (entry.isDirectory()) {
+        if (!shouldSkipDirectory(entry.name) && !ignoreRules.canSkipDirectory(relativePath)) {
+          await visit(relativePath);
+        }
+        continue;
+      }
+
+      if (!entry.isFile() || !isIndexablePath(relativePath) || ignoreRules.getIgnoreReason(relativePath)) {
+        continue;
+      }
+
+      const filePath = path.join(directory, relativePath);
+      const { size } = await fs.stat(filePath);
+
+      if (size > maxFileBytes) {
+        console.log(`Skipping ${relativePath}: larger than ${formatFileSize(maxFileBytes)}`);
+        continue;
+      }
+
+      totalBytes += size;
+      if (totalBytes > maxBytes) {
+        throw new Error(`${directory} holds more than ${formatFileSize(maxBytes)} of supported files`);
+      }
+
+      const content = await fs.readFile(filePath);
+
+      if (!content.includes(0)) {
+        files.push({ path: relativePath, type: 'file', content: content.toString('utf-8') });
+      }
+    }
+  };
+
+  await visit('');
+
+  return applyIgnoreFiles(files);
+}
+
+/**
+ * @param {string} filename
+ * @returns {string|undefined} the archive extension of `filename`, if it is a supported one
+ */
+export function getArchiveExtension(filename) {
+  const lowerName = (filename || '').toLowerCase();
+  return ARCHIVE_EXTENSIONS.find(extension => lowerName.endsWith(extension));
+}
+
+/**
+ * Extracts the supported files of an uploaded .zip, .tar or .tar.gz archive.
+ * A single directory wrapping everything, as in GitHub's archives, is dropped
+ * from the paths.
+ * @param {AsyncIterable<Uint8Array>} stream upload body
+ * @param {string} filename original name of the archive
+ * @returns {Promise<{ repoId: string, files: Array<Object> }>}
+ */
+export async function readUploadedArchive(stream, filename) {
+  const extension = getArchiveExtension(filename);
+
+  if (!extension) {
+    throw new Error(`Unsupported archive type; upload one of ${ARCHIVE_EXTENSIONS.join(', ')}`);
+  }
+
+  // Whether the archive has a wrapping directory is only known once it is read
+  const isWanted = (filePath) => isIndexablePath(filePath) || isIgnoreFile(filePath);
+  const filter = (filePath) => isWanted(filePath) || isWanted(filePath.split('/').slice(1).join('/'));
+  let extracted;
+
+  if (extension === '.zip') {
+    const { maxBytes } = getArchiveLimits();
+    const chunks = [];
+    let receivedBytes = 0;
+
+    for await (const chunk of stream) {
+      receivedBytes += chunk.length;
+      if (receivedBytes > maxBytes) {
+        throw new ArchiveTooLargeError(maxBytes);
+      }
+      chunks.push(chunk);
+    }
+
+    extracted = extractZip(Buffer.concat(chunks), { filter });
+  } else {
+    extracted = await extractArchive(stream, { filter });
+  }
+
+  let files = extracted.files;
+  const topLevelDirs = new Set(files.map(file => file.path.split('/')[0]));
+
+  if (topLevelDirs.size === 1 && files.every(file => file.path.includes('/'))) {
+    files = files.map(file => ({ ...file, path: file.path.slice(file.path.indexOf('/') + 1) }));
+  }
+
+  const archiveName = path.basename(filename);
+  const nameHash = createHash('sha256').update(archiveName).digest('hex');
+
+  return {
+    repoId: getRepositoryId(UPLOAD_OWNER, toRepositoryName(archiveName.slice(0, -extension.length), nameHash)),
+    files: applyIgnoreFiles(files.map(file => ({ path: file.path, type: 'file', content: file.content }))),
+  };
+}
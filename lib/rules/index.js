@@ -149,6 +149,10 @@ function detectPrimaryLanguage(filePaths, extensions) {
     return 'PHP';
   } else if (extensions.includes('cs')) {
     return 'C#';
+  } else if (extensions.includes('kt') || extensions.includes('kts')) {
+    return 'Kotlin';
+  } else if (extensions.includes('swift')) {
+    return 'Swift';
   } else if (extensions.includes('cpp') || extensions.includes('hpp')) {
     return 'C++';
   } else if (extensions.includes('c') || extensions.includes('h')) {
@@ -0,0 +1,75 @@
+import { generateEmbedding } from './embeddings';
+import { querySimilarChunks, queryKeywordChunks } from './chromadb';
+
+/**
+ * Hybrid retrieval: embedding search finds chunks that mean the same thing,
+ * BM25 finds chunks that use the same identifiers, and reciprocal-rank fusion
+ * merges the two lists without having to calibrate their scores.
+ */
+
+
+export const SEARCH_MODES = ['hybrid', 'semantic', 'keyword'];
+
+// Damps the head of each list so one retriever's top hit cannot dominate (Cormack et al., 2009)
+const RRF_K = 60;
+
+// Each retriever contributes this many candidates per requested result
+const CANDIDATE_MULTIPLIER = 4;
+const MIN_CANDIDATES = 20;
+
+/**
+ * Merges ranked result lists by summing 1 / (k + rank) for every list a
+ * result appears in.
+ * @param {Object<string, Array<Object>>} resultLists results keyed by retriever name; each needs an `id`
+ * @param {Object} [options]
+ * @param {number} [options.k]
+ * @returns {Array<Object>} results with `score` and the per-retriever `ranks`, best first
+ */
+export function reciprocalRankFusion(resultLists, { k = RRF_K } = {}) {
+  const fused = new Map();
+
+  for (const [source, results] of Object.entries(resultLists)) {
+    results.forEach((result, index) => {
+      const entry = fused.get(result.id) || { ...result, score: 0, ranks: {} };
+
+      entry.score += 1 / (k + index + 1);
+      entry.ranks[source] = index + 1;
+
+      fused.set(result.id, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * @param {string} repoId
+ * @param {string} queryText
+ * @param {Object} [options]
+ * @param {number} [options.topK]
+ * @param {Object} [options.filter] see buildChunkWhere
+ * @param {string} [options.mode] one of SEARCH_MODES
+ * @returns {Promise<Array<Object>>} `{ id, content, metadata, score, ranks }`, best first
+ */
+export async function searchChunks(repoId, queryText, { topK = 5, filter = {}, mode = 'hybrid' } = {}) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode "${mode}". Expected one of: ${SEARCH_MODES.join(', ')}`);
+  }
+
+  const candidates = Math.max(topK * CANDIDATE_MULTIPLIER, MIN_CANDIDATES);
+  const resultLists = {};
+
+  if (mode !== 'keyword') {
+    const queryEmbedding = await generateEmbedding(queryText);
+    resultLists.semantic = await querySimilarChunks(repoId, queryEmbedding, mode === 'hybrid' ? candidates : topK, filter);
+  }
+
+  if (mode !== 'semantic') {
+    resultLists.keyword = await queryKeywordChunks(repoId, queryText, mode === 'hybrid' ? candidates : topK, filter);
+  }
+
+  const results = reciprocalRankFusion(resultLists).slice(0, topK);
+
+  console.log(`${mode} search returned ${results.length} chunks (${Object.entries(resultLists).map(([source, list]) => `${list.length} ${source}`).join(', ')})`);
+  return results;
+}
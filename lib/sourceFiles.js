@@ -0,0 +1,153 @@
+/**
+ * Which files of a repository are worth indexing, whatever they are read
+ * from: a code host, a local directory or an uploaded archive.
+ */
+
+
+const SUPPORTED_EXTENSIONS = [
+  '.js', '.jsx', '.ts', '.tsx',  
+  '.py',                         
+  '.java',                       
+  '.go',                         
+  '.cpp', '.hpp', '.h', '.c',    
+  '.rs',                         
+  '.rb', '.rake', '.gemspec',
+  '.php',
+  '.cs',
+  '.kt', '.kts',
+  '.swift',
+  '.ipynb',
+  '.html', '.css',               
+  '.md', '.mdx',
+  '.json', '.yaml', '.yml', '.toml',
+];
+
+// Files without a telling extension, matched on the whole name
+const SUPPORTED_FILENAMES = [
+  /^dockerfile$/i,
+  /^dockerfile\..+$/i,
+  /\.dockerfile$/i,
+  /^\.env\.(example|sample|template)$/i,
+  /^(gemfile|rakefile)$/i,
+];
+
+// Generated files that would crowd out everything else without saying anything about the code:
+// lockfiles in the formats that are otherwise indexed, and package managers' resolved manifests
+const SKIPPED_FILENAMES = [
+  /[.-]lock\.(json|ya?ml|toml)$/i,
+  /^npm-shrinkwrap\.json$/i,
+  /^project\.assets\.json$/i,
+  /^\.pnp\.data\.json$/i,
+];
+
+// Names generated code and build output give themselves away by
+const GENERATED_FILENAMES = [
+  /\.min\.(js|css)$/i,
+  /[.-]bundle\.js$/i,
+  /\.pb\.go$/,
+  /_pb2(_grpc)?\.py$/,
+  /\.designer\.cs$/i,
+  /\.generated\.\w+$/i,
+];
+
+// Markers code generators leave in the first lines of what they write
+const GENERATED_MARKERS = [
+  /@generated\b/,
+  /\bDO NOT EDIT\b/,
+  /<auto-generated/i,
+  /\b(file|code) (is |was )?(auto-?|automatically )generated\b/i,
+  /^[\s#/*<!-]*(auto-?)?generated (by|from|with) /im,
+];
+
+const GENERATED_HEADER_LINES = 10;
+
+// Minified code is all on a few long lines; Linguist draws the line at this average
+const MINIFIED_LINE_LENGTH = 110;
+const MINIFIABLE_EXTENSIONS = ['.js', '.css', '.json', '.html'];
+
+// Git file mode of a symbolic link, whose blob holds the path it points to
+export const SYMLINK_MODE = '120000';
+
+/**
+ * Applies the extension and directory filters to a repository-relative path.
+ * @param {string} path 
+ * @returns {boolean} 
+ */
+export function isIndexablePath(path) {
+  const segments = path.split('/');
+  const filename = segments.pop();
+  
+  if (segments.some(shouldSkipDirectory)) {
+    return false;
+  }
+  
+  return isSupportedFile(filename);
+}
+
+/**
+
+ * @param {string} filename 
+ * @returns {boolean} 
+ */
+export function isSupportedFile(filename) {
+  if (SKIPPED_FILENAMES.some(pattern => pattern.test(filename))) {
+    return false;
+  }
+  
+  if (SUPPORTED_FILENAMES.some(pattern => pattern.test(filename))) {
+    return true;
+  }
+  
+  const extension = '.' + filename.split('.').pop().toLowerCase();
+  return SUPPORTED_EXTENSIONS.includes(extension);
+}
+
+/**
+ 
+ * @param {string} dirName 
+ * @returns {boolean} 
+ */
+export function shouldSkipDirectory(dirName) {
+  const skipDirs = [
+    'node_modules',
+    '.git',
+    'dist',
+    'build',
+    '.next',
+    'venv',
+    '__pycache__',
+    'vendor',
+  ];
+  
+  return skipDirs.includes(dirName.toLowerCase());
+}
+
+/**
+ * Recognizes generated and minified files, which only add noise to answers
+ * and health scores, by their name, by the marker a generator left at the
+ * top, or by their line length.
+ * @param {string} path
+ * @param {string} content
+ * @returns {string|null} why the file looks generated, or null
+ */
+export function getGeneratedReason(path, content) {
+  const filename = path.split('/').pop();
+
+  if (GENERATED_FILENAMES.some(pattern => pattern.test(filename))) {
+    return 'generated file name';
+  }
+
+  const header = content.split('\n', GENERATED_HEADER_LINES).join('\n');
+  if (GENERATED_MARKERS.some(pattern => pattern.test(header))) {
+    return 'generated file marker';
+  }
+
+  const extension = '.' + filename.split('.').pop().toLowerCase();
+  const lineCount = content.split('\n').length;
+
+  if (MINIFIABLE_EXTENSIONS.includes(extension) && content.length > 1000 && content.length / lineCount > MINIFIED_LINE_LENGTH) {
+    return 'minified';
+  }
+
+  return null;
+}
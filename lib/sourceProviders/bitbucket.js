@@ -0,0 +1,210 @@
+import { createHttpClient, isNotFound } from './http';
+import { getArchiveLimits } from '../archive';
+import { isIndexablePath } from '../sourceFiles';
+
+/**
+ * Bitbucket Cloud, through the REST API 2.0. BITBUCKET_TOKEN is an access
+ * token, or `username:app-password` for an app password. `owner` is the
+ * workspace.
+ */
+
+const COMPARE_FILE_LIMIT = 1000;
+
+/**
+ * @param {string} host
+ * @returns {import('./index').SourceProvider}
+ */
+export function createBitbucketProvider(host) {
+  if (host !== 'bitbucket.org') {
+    throw new Error(`Bitbucket Data Center hosts are not supported (${host})`);
+  }
+
+  const token = process.env.BITBUCKET_TOKEN;
+  const headers = !token ? {} : {
+    Authorization: token.includes(':') ? `Basic ${Buffer.from(token).toString('base64')}` : `Bearer ${token}`,
+  };
+  const api = createHttpClient('https://api.bitbucket.org/2.0', headers);
+  const web = createHttpClient('https://bitbucket.org', headers);
+
+  const repository = (owner, repo) => `/repositories/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+  // Follows the `next` links of a paginated response and collects its values
+  const getAllValues = async (path, query) => {
+    const values = [];
+    let page = await api.getJson(path, query);
+
+    while (true) {
+      values.push(...page.values);
+      if (!page.next) break;
+      page = await api.getJson(page.next);
+    }
+
+    return values;
+  };
+
+  const getCommitSha = async (owner, repo, ref) => {
+    try {
+      const data = await api.getJson(`${repository(owner, repo)}/commit/${encodeURIComponent(ref)}`);
+      return data.hash;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw new Error(`Failed to resolve commit for ${ref}: ${error.message}`);
+    }
+  };
+
+  return {
+    name: 'bitbucket',
+    host,
+    tokenVariable: 'BITBUCKET_TOKEN',
+
+    parseUrlPath(pathSegments) {
+      if (pathSegments.length < 2) {
+        throw new Error('URL does not contain a valid repository path');
+      }
+
+      const [owner, repo, view, ...rest] = pathSegments;
+      let ref = null;
+
+      if ((view === 'src' || view === 'branch') && rest.length > 0) {
+        ref = rest.join('/');
+      } else if (view === 'commits' && rest.length > 0) {
+        ref = rest[0];
+      }
+
+      return { owner, repo: repo.replace(/\.git$/, ''), ref };
+    },
+
+    async getRepositoryInfo(owner, repo) {
+      try {
+        const data = await api.getJson(repository(owner, repo));
+
+        return {
+          name: data.name,
+          description: data.description,
+          // Bitbucket has watchers, not stars
+          stars: null,
+          language: data.language || null,
+          defaultBranch: data.mainbranch?.name,
+          webUrl: data.links.html.href,
+          owner: {
+            name: data.owner.display_name,
+            avatar: data.owner.links.avatar.href,
+          },
+        };
+      } catch (error) {
+        throw new Error(`Failed to fetch repository information: ${error.message}`);
+      }
+    },
+
+    getCommitSha,
+
+    async listFiles(owner, repo, ref) {
+      try {
+        const commit = ref || (await api.getJson(repository(owner, repo))).mainbranch.name;
+        const { maxFileBytes } = getArchiveLimits();
+        const items = await getAllValues(`${repository(owner, repo)}/src/${encodeURIComponent(commit)}/`, {
+          max_depth: 100,
+          pagelen: 100,
+        });
+
+        // Symbolic links are listed as files with the `link` attribute
+        return items
+          .filter(item => item.type === 'commit_file' && !item.attributes?.includes('link') && item.size <= maxFileBytes && isIndexablePath(item.path))
+          .map(item => ({ path: item.path, type: 'file' }));
+      } catch (error) {
+        // An empty list would read as a repository without code rather than as the failure it is
+        throw new Error(`Failed to list repository files: ${error.message}`);
+      }
+    },
+
+    async readFile(owner, repo, path, ref) {
+      try {
+        const response = await api.request('GET', `${repository(owner, repo)}/src/${encodeURIComponent(ref)}/${encodePath(path)}`);
+        return await response.text();
+      } catch (error) {
+        if (!isNotFound(error)) {
+          console.error(`Error fetching file content:`, error);
+        }
+        return null;
+      }
+    },
+
+    async downloadArchive(owner, repo, ref) {
+      const response = await web.request('GET', `/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/get/${encodeURIComponent(ref)}.tar.gz`);
+      return response.body;
+    },
+
+    async compareCommits(owner, repo, baseSha, headSha) {
+      try {
+        const mergeBase = await api.getJson(`${repository(owner, repo)}/merge-base/${baseSha}..${headSha}`);
+
+        if (mergeBase.hash !== baseSha) {
+          console.log(`Commit ${headSha} does not descend from ${baseSha}`);
+          return null;
+        }
+
+        // Bitbucket ranges read source..destination, the reverse of git's
+        const changes = await getAllValues(`${repository(owner, repo)}/diffstat/${headSha}..${baseSha}`, { pagelen: 500 });
+
+        if (changes.length >= COMPARE_FILE_LIMIT) {
+          console.log(`Comparison touches ${changes.length}+ files, too many for an incremental update`);
+          return null;
+        }
+
+        return changes.map(change => ({
+          path: (change.new || change.old).path,
+          previousPath: change.status === 'renamed' ? change.old.path : null,
+          status: ['added', 'removed', 'renamed'].includes(change.status) ? change.status : 'modified',
+        }));
+      } catch (error) {
+        console.error(`Error comparing ${baseSha}...${headSha}:`, error);
+        return null;
+      }
+    },
+
+    async createBranch(owner, repo, branch, fromRef) {
+      try {
+        const sha = await getCommitSha(owner, repo, fromRef);
+        if (!sha) {
+          throw new Error(`No branch, tag or commit named ${fromRef}`);
+        }
+
+        await api.sendJson('POST', `${repository(owner, repo)}/refs/branches`, { name: branch, target: { hash: sha } });
+      } catch (error) {
+        throw new Error(`Failed to create branch: ${error.message}`);
+      }
+    },
+
+    async commitFile(owner, repo, { branch, path, content, message }) {
+      try {
+        // The src endpoint takes each file as a form field named after its path
+        const form = new FormData();
+        form.append('message', message);
+        form.append('branch', branch);
+        form.append(path, content);
+
+        await api.request('POST', `${repository(owner, repo)}/src`, { form });
+      } catch (error) {
+        throw new Error(`Failed to create/update file: ${error.message}`);
+      }
+    },
+
+    async openMergeRequest(owner, repo, { sourceBranch, targetBranch, title, body }) {
+      try {
+        const data = await api.sendJson('POST', `${repository(owner, repo)}/pullrequests`, {
+          title,
+          description: body,
+          source: { branch: { name: sourceBranch } },
+          destination: { branch: { name: targetBranch } },
+        });
+
+        return { url: data.links.html.href };
+      } catch (error) {
+        throw new Error(`Failed to create pull request: ${error.message}`);
+      }
+    },
+  };
+}
@@ -0,0 +1,194 @@
+import { createHttpClient, isNotFound } from './http';
+import { getArchiveLimits } from '../archive';
+import { isIndexablePath, SYMLINK_MODE } from '../sourceFiles';
+
+/**
+ * Gitea and its forks (Forgejo, Codeberg), hosted or self-hosted, through the
+ * API v1 (GITEA_TOKEN).
+ */
+
+/**
+ * @param {string} host
+ * @returns {import('./index').SourceProvider}
+ */
+export function createGiteaProvider(host) {
+  const token = process.env.GITEA_TOKEN;
+  const api = createHttpClient(`https://${host}/api/v1`, token ? { Authorization: `token ${token}` } : {});
+
+  const repository = (owner, repo) => `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+  const getCommitSha = async (owner, repo, ref) => {
+    try {
+      const commits = await api.getJson(`${repository(owner, repo)}/commits`, {
+        sha: ref,
+        limit: 1,
+        stat: 'false',
+        files: 'false',
+      });
+      return commits[0]?.sha || null;
+    } catch (error) {
+      if (isNotFound(error) || error.status === 422) {
+        return null;
+      }
+      throw new Error(`Failed to resolve commit for ${ref}: ${error.message}`);
+    }
+  };
+
+  return {
+    name: 'gitea',
+    host,
+    tokenVariable: 'GITEA_TOKEN',
+
+    parseUrlPath(pathSegments) {
+      if (pathSegments.length < 2) {
+        throw new Error('URL does not contain a valid repository path');
+      }
+
+      const [owner, repo, view, ...rest] = pathSegments;
+      let ref = null;
+
+      // src/branch/<name>/<path>, src/tag/..., src/commit/..., commit/<sha>, releases/tag/<name>
+      if (view === 'src' && ['branch', 'tag', 'commit'].includes(rest[0]) && rest.length > 1) {
+        ref = rest.slice(1).join('/');
+      } else if (view === 'commit' && rest.length > 0) {
+        ref = rest[0];
+      } else if (view === 'releases' && rest[0] === 'tag' && rest.length > 1) {
+        ref = rest.slice(1).join('/');
+      }
+
+      return { owner, repo: repo.replace(/\.git$/, ''), ref };
+    },
+
+    async getRepositoryInfo(owner, repo) {
+      try {
+        const data = await api.getJson(repository(owner, repo));
+
+        return {
+          name: data.name,
+          description: data.description,
+          stars: data.stars_count,
+          language: data.language || null,
+          defaultBranch: data.default_branch,
+          webUrl: data.html_url,
+          owner: {
+            name: data.owner.login,
+            avatar: data.owner.avatar_url,
+          },
+        };
+      } catch (error) {
+        throw new Error(`Failed to fetch repository information: ${error.message}`);
+      }
+    },
+
+    getCommitSha,
+
+    async listFiles(owner, repo, ref) {
+      try {
+        const treeSha = await getCommitSha(owner, repo, ref || (await api.getJson(repository(owner, repo))).default_branch);
+        if (!treeSha) {
+          throw new Error(`No branch, tag or commit named ${ref}`);
+        }
+
+        const { maxFileBytes } = getArchiveLimits();
+        const files = [];
+        let listed = 0;
+
+        for (let page = 1; ; page++) {
+          const data = await api.getJson(`${repository(owner, repo)}/git/trees/${treeSha}`, {
+            recursive: 'true',
+            per_page: 1000,
+            page,
+          });
+
+          for (const item of data.tree || []) {
+            if (item.type === 'blob' && item.mode !== SYMLINK_MODE && item.size <= maxFileBytes && isIndexablePath(item.path)) {
+              files.push({ path: item.path, type: 'file' });
+            }
+          }
+
+          listed += (data.tree || []).length;
+          if (!data.truncated || listed >= data.total_count || !data.tree?.length) break;
+        }
+
+        return files;
+      } catch (error) {
+        // An empty list would read as a repository without code rather than as the failure it is
+        throw new Error(`Failed to list repository files: ${error.message}`);
+      }
+    },
+
+    async readFile(owner, repo, path, ref) {
+      try {
+        const response = await api.request('GET', `${repository(owner, repo)}/raw/${encodePath(path)}`, { query: { ref } });
+        return await response.text();
+      } catch (error) {
+        if (!isNotFound(error)) {
+          console.error(`Error fetching file content:`, error);
+        }
+        return null;
+      }
+    },
+
+    async downloadArchive(owner, repo, ref) {
+      const response = await api.request('GET', `${repository(owner, repo)}/archive/${encodeURIComponent(ref)}.tar.gz`);
+      return response.body;
+    },
+
+    // Gitea's compare API does not list the changed files on every version
+    // still in use, so Gitea repositories are always re-indexed in full
+    async compareCommits() {
+      return null;
+    },
+
+    async createBranch(owner, repo, branch, fromRef) {
+      try {
+        await api.sendJson('POST', `${repository(owner, repo)}/branches`, {
+          new_branch_name: branch,
+          old_ref_name: fromRef,
+          old_branch_name: fromRef,
+        });
+      } catch (error) {
+        throw new Error(`Failed to create branch: ${error.message}`);
+      }
+    },
+
+    async commitFile(owner, repo, { branch, path, content, message }) {
+      try {
+        const filePath = `${repository(owner, repo)}/contents/${encodePath(path)}`;
+        let sha;
+
+        try {
+          const data = await api.getJson(filePath, { ref: branch });
+          sha = data.sha;
+        } catch (error) {
+          if (!isNotFound(error)) throw error;
+        }
+
+        await api.sendJson(sha ? 'PUT' : 'POST', filePath, {
+          branch,
+          message,
+          content: Buffer.from(content).toString('base64'),
+          ...(sha && { sha }),
+        });
+      } catch (error) {
+        throw new Error(`Failed to create/update file: ${error.message}`);
+      }
+    },
+
+    async openMergeRequest(owner, repo, { sourceBranch, targetBranch, title, body }) {
+      try {
+        const data = await api.sendJson('POST', `${repository(owner, repo)}/pulls`, {
+          head: sourceBranch,
+          base: targetBranch,
+          title,
+          body,
+        });
+
+        return { url: data.html_url };
+      } catch (error) {
+        throw new Error(`Failed to create pull request: ${error.message}`);
+      }
+    },
+  };
+}
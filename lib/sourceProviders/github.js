@@ -0,0 +1,39 @@
+import {
+  parseGitHubPath,
+  getRepositoryInfo,
+  getCommitSha,
+  getAllFiles,
+  readFile,
+  downloadArchive,
+  compareCommits,
+  createBranch,
+  commitFile,
+  openMergeRequest,
+} from '../github';
+
+/**
+ * github.com, through the Octokit client in lib/github.js (GITHUB_TOKEN).
+ * @param {string} host
+ * @returns {import('./index').SourceProvider}
+ */
+export function createGitHubProvider(host) {
+  if (host !== 'github.com') {
+    throw new Error(`GitHub Enterprise hosts are not supported (${host})`);
+  }
+
+  return {
+    name: 'github',
+    host,
+    tokenVariable: 'GITHUB_TOKEN',
+    parseUrlPath: parseGitHubPath,
+    getRepositoryInfo,
+    getCommitSha,
+    listFiles: getAllFiles,
+    readFile,
+    downloadArchive,
+    compareCommits,
+    createBranch,
+    commitFile,
+    openMergeRequest,
+  };
+}
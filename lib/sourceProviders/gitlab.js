@@ -0,0 +1,200 @@
+import { createHttpClient, getNextPageUrl, isNotFound } from './http';
+import { isIndexablePath, SYMLINK_MODE } from '../sourceFiles';
+
+/**
+ * GitLab.com or a self-hosted GitLab, through the REST API v4 (GITLAB_TOKEN,
+ * a personal, group or project access token). Projects can sit in nested
+ * groups, so `owner` is the whole namespace path, e.g. `platform/backend`.
+ */
+
+// GitLab stops listing changed files in a comparison past this many
+const COMPARE_FILE_LIMIT = 1000;
+
+/**
+ * @param {string} host
+ * @returns {import('./index').SourceProvider}
+ */
+export function createGitLabProvider(host) {
+  const token = process.env.GITLAB_TOKEN;
+  const api = createHttpClient(`https://${host}/api/v4`, token ? { 'PRIVATE-TOKEN': token } : {});
+
+  const project = (owner, repo) => `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  const repositoryFile = (owner, repo, path) => `${project(owner, repo)}/repository/files/${encodeURIComponent(path)}`;
+
+  const getCommitSha = async (owner, repo, ref) => {
+    try {
+      const data = await api.getJson(`${project(owner, repo)}/repository/commits/${encodeURIComponent(ref)}`);
+      return data.id;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw new Error(`Failed to resolve commit for ${ref}: ${error.message}`);
+    }
+  };
+
+  return {
+    name: 'gitlab',
+    host,
+    tokenVariable: 'GITLAB_TOKEN',
+
+    parseUrlPath(pathSegments) {
+      // Everything before GitLab's `/-/` separator is the project path
+      const separator = pathSegments.indexOf('-');
+      const projectPath = separator === -1 ? pathSegments : pathSegments.slice(0, separator);
+      const [view, ...rest] = separator === -1 ? [] : pathSegments.slice(separator + 1);
+
+      if (projectPath.length < 2) {
+        throw new Error('URL does not contain a valid project path');
+      }
+
+      return {
+        owner: projectPath.slice(0, -1).join('/'),
+        repo: projectPath[projectPath.length - 1].replace(/\.git$/, ''),
+        ref: ['tree', 'blob', 'commit', 'tags'].includes(view) && rest.length > 0 ? rest.join('/') : null,
+      };
+    },
+
+    async getRepositoryInfo(owner, repo) {
+      try {
+        const data = await api.getJson(project(owner, repo));
+        const languages = await api.getJson(`${project(owner, repo)}/languages`).catch(() => ({}));
+        const [language] = Object.entries(languages).sort((a, b) => b[1] - a[1]);
+
+        return {
+          name: data.name,
+          description: data.description,
+          stars: data.star_count,
+          language: language ? language[0] : null,
+          defaultBranch: data.default_branch,
+          webUrl: data.web_url,
+          owner: {
+            name: data.namespace.full_path,
+            avatar: data.namespace.avatar_url || data.avatar_url,
+          },
+        };
+      } catch (error) {
+        throw new Error(`Failed to fetch repository information: ${error.message}`);
+      }
+    },
+
+    getCommitSha,
+
+    async listFiles(owner, repo, ref) {
+      try {
+        const files = [];
+        let response = await api.request('GET', `${project(owner, repo)}/repository/tree`, {
+          query: { ref, recursive: 'true', per_page: 100, pagination: 'keyset' },
+        });
+
+        while (true) {
+          const items = await response.json();
+
+          for (const item of items) {
+            if (item.type === 'blob' && item.mode !== SYMLINK_MODE && isIndexablePath(item.path)) {
+              files.push({ path: item.path, type: 'file' });
+            }
+          }
+
+          const nextPageUrl = getNextPageUrl(response);
+          if (!nextPageUrl) break;
+
+          response = await api.request('GET', nextPageUrl);
+        }
+
+        return files;
+      } catch (error) {
+        // An empty list would read as a repository without code rather than as the failure it is
+        throw new Error(`Failed to list repository files: ${error.message}`);
+      }
+    },
+
+    async readFile(owner, repo, path, ref) {
+      try {
+        const response = await api.request('GET', `${repositoryFile(owner, repo, path)}/raw`, { query: { ref } });
+        return await response.text();
+      } catch (error) {
+        if (!isNotFound(error)) {
+          console.error(`Error fetching file content:`, error);
+        }
+        return null;
+      }
+    },
+
+    async downloadArchive(owner, repo, ref) {
+      const response = await api.request('GET', `${project(owner, repo)}/repository/archive.tar.gz`, { query: { sha: ref } });
+      return response.body;
+    },
+
+    async compareCommits(owner, repo, baseSha, headSha) {
+      try {
+        const mergeBase = await api.getJson(`${project(owner, repo)}/repository/merge_base?refs[]=${baseSha}&refs[]=${headSha}`);
+
+        if (mergeBase.id !== baseSha) {
+          console.log(`Commit ${headSha} does not descend from ${baseSha}`);
+          return null;
+        }
+
+        const data = await api.getJson(`${project(owner, repo)}/repository/compare`, { from: baseSha, to: headSha });
+
+        if (data.compare_timeout || data.diffs.length >= COMPARE_FILE_LIMIT) {
+          console.log(`Comparison touches ${data.diffs.length}+ files, too many for an incremental update`);
+          return null;
+        }
+
+        return data.diffs.map(diff => ({
+          path: diff.deleted_file ? diff.old_path : diff.new_path,
+          previousPath: diff.renamed_file ? diff.old_path : null,
+          status: diff.new_file ? 'added' : diff.deleted_file ? 'removed' : diff.renamed_file ? 'renamed' : 'modified',
+        }));
+      } catch (error) {
+        console.error(`Error comparing ${baseSha}...${headSha}:`, error);
+        return null;
+      }
+    },
+
+    async createBranch(owner, repo, branch, fromRef) {
+      try {
+        await api.sendJson('POST', `${project(owner, repo)}/repository/branches`, { branch, ref: fromRef });
+      } catch (error) {
+        throw new Error(`Failed to create branch: ${error.message}`);
+      }
+    },
+
+    async commitFile(owner, repo, { branch, path, content, message }) {
+      try {
+        let exists = true;
+
+        try {
+          await api.request('HEAD', repositoryFile(owner, repo, path), { query: { ref: branch } });
+        } catch (error) {
+          if (!isNotFound(error)) throw error;
+          exists = false;
+        }
+
+        await api.sendJson('POST', `${project(owner, repo)}/repository/commits`, {
+          branch,
+          commit_message: message,
+          actions: [{ action: exists ? 'update' : 'create', file_path: path, content }],
+        });
+      } catch (error) {
+        throw new Error(`Failed to create/update file: ${error.message}`);
+      }
+    },
+
+    async openMergeRequest(owner, repo, { sourceBranch, targetBranch, title, body }) {
+      try {
+        const data = await api.sendJson('POST', `${project(owner, repo)}/merge_requests`, {
+          source_branch: sourceBranch,
+          target_branch: targetBranch,
+          title,
+          description: body,
+        });
+
+        return { url: data.web_url };
+      } catch (error) {
+        throw new Error(`Failed to create merge request: ${error.message}`);
+      }
+    },
+  };
+}
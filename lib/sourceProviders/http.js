@@ -0,0 +1,79 @@
+/**
+ * HTTP client shared by the REST-based source providers. Failed responses
+ * become SourceRequestErrors carrying the status code, like Octokit's errors
+ * do for GitHub, so callers can tell a missing ref or file (404) from a
+ * failure.
+ */
+
+
+export class SourceRequestError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status HTTP status code
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'SourceRequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * @param {string} baseUrl API root, without a trailing slash
+ * @param {Object} headers sent with every request, authentication included
+ * @returns {Object} `{ request, getJson, sendJson }`
+ */
+export function createHttpClient(baseUrl, headers) {
+  /**
+   * @param {string} method
+   * @param {string} path relative to the API root and already URL-encoded, or an absolute URL from a pagination link
+   * @param {Object} [options]
+   * @param {Object} [options.query] parameters to append; null and undefined values are left out
+   * @param {Object} [options.json] JSON request body
+   * @param {FormData} [options.form] multipart request body
+   * @returns {Promise<Response>}
+   */
+  const request = async (method, path, { query, json, form } = {}) => {
+    const url = new URL(/^https?:\/\//.test(path) ? path : `${baseUrl}${path}`);
+
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    }
+
+    const response = await fetch(url, {
+      method,
+      headers: { ...headers, ...(json && { 'Content-Type': 'application/json' }) },
+      body: json ? JSON.stringify(json) : form,
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new SourceRequestError(`${method} ${url.pathname} failed with ${response.status}: ${body.slice(0, 200)}`, response.status);
+    }
+
+    return response;
+  };
+
+  return {
+    request,
+    getJson: async (path, query) => (await request('GET', path, { query })).json(),
+    sendJson: async (method, path, json) => (await request(method, path, { json })).json(),
+  };
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isNotFound(error) {
+  return error.status === 404;
+}
+
+/**
+ * @param {Response} response
+ * @returns {string|null} the `rel="next"` URL of the response's Link header
+ */
+export function getNextPageUrl(response) {
+  const match = /<([^>]+)>;\s*rel="next"/.exec(response.headers.get('link') || '');
+  return match ? match[1] : null;
+}
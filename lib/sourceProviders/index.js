@@ -0,0 +1,194 @@
+import { extractArchive, ArchiveTooLargeError } from '../archive';
+import { isIndexablePath } from '../sourceFiles';
+import { applyIgnoreFiles, getIgnoreFilePaths, isIgnoreFile, readIgnoreFiles } from '../ignoreRules';
+import { parseRepositoryId } from '../utils';
+import { createGitHubProvider } from './github';
+import { createGitLabProvider } from './gitlab';
+import { createBitbucketProvider } from './bitbucket';
+import { createGiteaProvider } from './gitea';
+
+/**
+ * Code hosts repositories are indexed from, picked by the host of the
+ * repository URL. Hosts other than the public ones are mapped to a provider
+ * with SOURCE_PROVIDER_HOSTS, e.g.
+ * `gitlab.example.com=gitlab,git.example.com=gitea`.
+ *
+ * @typedef {Object} SourceProvider
+ * @property {string} name `github`, `gitlab`, `bitbucket` or `gitea`
+ * @property {string} host
+ * @property {string} tokenVariable environment variable holding the access token, required for pushing code
+ * @property {(pathSegments: string[]) => { owner: string, repo: string, ref: string|null }} parseUrlPath
+ * @property {(owner: string, repo: string) => Promise<Object>} getRepositoryInfo
+ * @property {(owner: string, repo: string, ref: string) => Promise<string|null>} getCommitSha null when nothing is named `ref`
+ * @property {(owner: string, repo: string, ref?: string) => Promise<Array<Object>>} listFiles supported files, without their contents
+ * @property {(owner: string, repo: string, path: string, ref: string) => Promise<string|null>} readFile null when the file does not exist or cannot be read
+ * @property {(owner: string, repo: string, ref: string) => Promise<AsyncIterable<Uint8Array>>} downloadArchive gzipped tarball with one wrapping directory
+ * @property {(owner: string, repo: string, baseSha: string, headSha: string) => Promise<Array<Object>|null>} compareCommits null when a full re-index is needed
+ * @property {(owner: string, repo: string, branch: string, fromRef: string) => Promise<void>} createBranch
+ * @property {(owner: string, repo: string, change: Object) => Promise<void>} commitFile
+ * @property {(owner: string, repo: string, request: Object) => Promise<{ url: string }>} openMergeRequest
+ */
+
+export const SOURCE_PROVIDERS = {
+  github: createGitHubProvider,
+  gitlab: createGitLabProvider,
+  bitbucket: createBitbucketProvider,
+  gitea: createGiteaProvider,
+};
+
+const PUBLIC_HOSTS = {
+  'github.com': 'github',
+  'gitlab.com': 'gitlab',
+  'bitbucket.org': 'bitbucket',
+  'gitea.com': 'gitea',
+  'codeberg.org': 'gitea',
+};
+
+// Other names of a public host, kept out of repository IDs
+const HOST_ALIASES = {
+  'www.github.com': 'github.com',
+};
+
+/**
+ * @returns {Object} provider names by host, the public hosts included
+ */
+export function getProviderHosts() {
+  const hosts = { ...PUBLIC_HOSTS };
+
+  for (const entry of (process.env.SOURCE_PROVIDER_HOSTS || '').split(',')) {
+    const [host, name] = entry.split('=').map(part => part.trim().toLowerCase());
+
+    if (!host || !name) continue;
+
+    if (!SOURCE_PROVIDERS[name]) {
+      console.warn(`Ignoring SOURCE_PROVIDER_HOSTS entry ${entry}: unknown provider ${name}`);
+      continue;
+    }
+
+    hosts[host] = name;
+  }
+
+  return hosts;
+}
+
+/**
+ * @param {string} [host]
+ * @returns {SourceProvider}
+ */
+export function getSourceProvider(host = 'github.com') {
+  if (!global.sourceProviders) {
+    global.sourceProviders = new Map();
+  }
+
+  const lowerHost = host.toLowerCase();
+  const normalizedHost = HOST_ALIASES[lowerHost] || lowerHost;
+
+  if (!global.sourceProviders.has(normalizedHost)) {
+    const name = getProviderHosts()[normalizedHost];
+
+    if (!name) {
+      throw new Error(`Unsupported code host ${host}; map it to a provider with SOURCE_PROVIDER_HOSTS`);
+    }
+
+    global.sourceProviders.set(normalizedHost, SOURCE_PROVIDERS[name](normalizedHost));
+  }
+
+  return global.sourceProviders.get(normalizedHost);
+}
+
+/**
+ * @param {string} url web URL of a repository, or of a branch, tag, commit or file in it
+ * @returns {{ provider: SourceProvider, owner: string, repo: string, ref: string|null }}
+ */
+export function parseRepositoryUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    const provider = getSourceProvider(urlObj.hostname);
+    const pathSegments = urlObj.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    return { provider, ...provider.parseUrlPath(pathSegments) };
+  } catch (error) {
+    throw new Error(`Invalid repository URL: ${error.message}`);
+  }
+}
+
+/**
+ * @param {string} repoId as built by getRepositoryId
+ * @returns {{ provider: SourceProvider, owner: string, repo: string, ref: string|null }}
+ */
+export function getRepositorySource(repoId) {
+  const { host, owner, repo, ref } = parseRepositoryId(repoId);
+
+  return { provider: getSourceProvider(host), owner, repo, ref };
+}
+
+/**
+ * Resolves what a URL or the user named to a ref. Branch names can contain
+ * slashes, so `refPath` may be a ref followed by a path in it; the longest
+ * prefix naming a branch, tag or commit wins. Abbreviated commit SHAs are
+ * expanded so the repository ID is the same however the commit was named.
+ * @param {SourceProvider} provider
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} refPath
+ * @returns {Promise<{ ref: string, commitSha: string }>}
+ */
+export async function resolveRef(provider, owner, repo, refPath) {
+  const segments = refPath.split('/').filter(Boolean);
+
+  for (let length = segments.length; length > 0; length--) {
+    const ref = segments.slice(0, length).join('/');
+    const commitSha = await provider.getCommitSha(owner, repo, ref);
+
+    if (commitSha) {
+      return {
+        ref: /^[0-9a-f]{4,40}$/i.test(ref) && commitSha.startsWith(ref.toLowerCase()) ? commitSha : ref,
+        commitSha,
+      };
+    }
+  }
+
+  throw new Error(`No branch, tag or commit named ${refPath} in ${owner}/${repo}`);
+}
+
+/**
+ * Fetches the supported files of a repository with their contents, from one
+ * streamed archive, leaving out what its ignore files exclude. When the
+ * archive cannot be fetched, the files are listed instead and their contents
+ * read one by one while indexing, along with the ignore files of every
+ * directory leading to them. An archive over the size limit fails the fetch
+ * rather than falling back.
+ * @param {SourceProvider} provider
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} ref
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchRepositoryFiles(provider, owner, repo, ref) {
+  try {
+    const stream = await provider.downloadArchive(owner, repo, ref);
+
+    // Every provider's archive nests everything in one directory named after the repository
+    const { files, skippedFiles } = await extractArchive(stream, {
+      filter: (path) => isIndexablePath(path) || isIgnoreFile(path),
+      stripComponents: 1,
+    });
+
+    if (skippedFiles.length > 0) {
+      console.log(`Skipped ${skippedFiles.length} files in the archive of ${owner}/${repo}:`, skippedFiles.slice(0, 10));
+    }
+
+    return applyIgnoreFiles(files.map(file => ({ path: file.path, type: 'file', content: file.content })));
+  } catch (error) {
+    // Reading the files one by one would get around the size limit
+    if (error instanceof ArchiveTooLargeError) {
+      throw error;
+    }
+    console.warn(`Could not fetch the archive of ${owner}/${repo}, fetching files one by one: ${error.message}`);
+  }
+
+  const files = await provider.listFiles(owner, repo, ref);
+  const ignoreFiles = await readIgnoreFiles(path => provider.readFile(owner, repo, path, ref), getIgnoreFilePaths(files.map(file => file.path)));
+
+  return applyIgnoreFiles([...ignoreFiles, ...files]);
+}
@@ -0,0 +1,388 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './vectorStores/persistence';
+import { matchesGlob, toPathGlobs } from './utils';
+import { getStorageName } from './chromadb';
+
+/**
+ * Per-repository table of what every file defines, imports, exports and
+ * calls, built by lib/indexer alongside the vector index from
+ * `extractSymbols` in chunker.js. It answers the exact questions embeddings
+ * are poor at: where a name is defined and where it is used. Each
+ * repository's table is one JSON file under SYMBOL_INDEX_DIR, loaded into
+ * memory on first use.
+ *
+ * Names are matched as written; imports only narrow down which of several
+ * same-named definitions a file means, so references through aliases or
+ * dynamic dispatch can be missed or over-reported.
+ */
+
+
+const INDEX_DIR = process.env.SYMBOL_INDEX_DIR || path.join(process.cwd(), '.devinsight', 'symbols');
+
+// Bump when the layout of the index file changes incompatibly
+const FORMAT_VERSION = 1;
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const DEFAULT_REFERENCE_LIMIT = 500;
+
+// Path suffixes that stand for the module of their directory
+const MODULE_INDEX_NAMES = /\/(index|__init__|mod)$/;
+
+
+global.symbolIndex = global.symbolIndex || {
+  repos: new Map(),
+};
+
+/**
+ * @param {string} repoId
+ * @returns {string}
+ */
+function getIndexFile(repoId) {
+  return path.join(INDEX_DIR, `${getStorageName(repoId)}.json`);
+}
+
+/**
+ * Loads a repository's index once; concurrent callers share the same promise.
+ * @param {string} repoId
+ * @returns {Promise<Object|null>} `{ repoId, updatedAt, files, writing }`, null before the repository is indexed
+ */
+function loadSymbolIndex(repoId) {
+  const { repos } = global.symbolIndex;
+
+  if (!repos.has(repoId)) {
+    const loading = (async () => {
+      try {
+        const index = JSON.parse(await fs.readFile(getIndexFile(repoId), 'utf-8'));
+
+        if (index.version !== FORMAT_VERSION) {
+          console.log(`Ignoring the symbol index of ${repoId}: format ${index.version} is not ${FORMAT_VERSION}`);
+          return null;
+        }
+
+        return { ...index, writing: Promise.resolve() };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+
+        return null;
+      }
+    })();
+
+    loading.catch(() => repos.delete(repoId));
+    repos.set(repoId, loading);
+  }
+
+  return repos.get(repoId);
+}
+
+/**
+ * @param {string} repoId
+ * @returns {Promise<boolean>}
+ */
+export async function hasSymbolIndex(repoId) {
+  return Boolean(await loadSymbolIndex(repoId));
+}
+
+/**
+ * Records the symbols of freshly indexed files and forgets removed ones.
+ * @param {string} repoId
+ * @param {Object} symbolsByPath extractSymbols results by file path
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] drop every file not in symbolsByPath, for a full rebuild
+ * @param {Array<string>} [options.removedPaths]
+ * @returns {Promise<void>}
+ */
+export async function updateSymbolIndex(repoId, symbolsByPath, { replace = false, removedPaths = [] } = {}) {
+  try {
+    const existing = replace ? null : await loadSymbolIndex(repoId);
+    const index = existing || { repoId, files: {}, writing: Promise.resolve() };
+
+    for (const removedPath of removedPaths) {
+      delete index.files[removedPath];
+    }
+
+    Object.assign(index.files, symbolsByPath);
+    index.updatedAt = new Date().toISOString();
+
+    global.symbolIndex.repos.set(repoId, Promise.resolve(index));
+
+    // Writes of one index are serialized so an older snapshot never lands last
+    index.writing = index.writing.catch(() => {}).then(async () => {
+      const { writing, ...contents } = index;
+      await fs.mkdir(INDEX_DIR, { recursive: true });
+      await writeFileAtomic(getIndexFile(repoId), JSON.stringify({ version: FORMAT_VERSION, ...contents }));
+    });
+
+    await index.writing;
+  } catch (error) {
+    console.error('Error updating symbol index:', error);
+    throw new Error(`Failed to update symbol index: ${error.message}`);
+  }
+}
+
+/**
+ * @param {string} repoId
+ * @param {string} filePath
+ * @returns {Promise<Object|null>} `{ language, definitions, imports, exports, references }`
+ */
+export async function getFileSymbols(repoId, filePath) {
+  const index = await loadSymbolIndex(repoId);
+  return (index && index.files[filePath]) || null;
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} scope a file, a directory or a glob
+ * @returns {boolean}
+ */
+function isInScope(filePath, scope) {
+  return matchesGlob(filePath, toPathGlobs(scope));
+}
+
+/**
+ * @param {Object} definition
+ * @param {string} query lowercase
+ * @returns {number} higher is better, 0 for no match
+ */
+function scoreSymbolMatch(definition, query) {
+  const name = definition.name.toLowerCase();
+
+  if (name === query || definition.qualifiedName.toLowerCase() === query) return 4;
+  if (name.startsWith(query)) return 3;
+  if (name.includes(query)) return 2;
+  if (definition.qualifiedName.toLowerCase().includes(query)) return 1;
+  return 0;
+}
+
+/**
+ * Finds definitions by name: exact matches first, then prefixes, then
+ * substrings, with exported symbols ahead of private ones.
+ * @param {string} repoId
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string|Array<string>} [options.kind] see SYMBOL_KINDS in chunker.js
+ * @param {string} [options.path] file, directory or glob to search in
+ * @param {boolean} [options.exported] only symbols visible outside their file
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<Object>|null>} definitions with their `path`, null before the repository is indexed
+ */
+export async function searchSymbols(repoId, query, { kind, path: scope, exported, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const index = await loadSymbolIndex(repoId);
+
+  if (!index) {
+    return null;
+  }
+
+  const normalizedQuery = query.trim().toLowerCase();
+  const kinds = kind ? [].concat(kind) : null;
+  const matches = [];
+
+  for (const [filePath, symbols] of Object.entries(index.files)) {
+    if (scope && !isInScope(filePath, scope)) continue;
+
+    for (const definition of symbols.definitions) {
+      if (kinds && !kinds.includes(definition.symbolKind)) continue;
+      if (exported && !definition.exported) continue;
+
+      const score = scoreSymbolMatch(definition, normalizedQuery);
+      if (score > 0) {
+        matches.push({ ...definition, path: filePath, score });
+      }
+    }
+  }
+
+  return matches
+    .sort((a, b) =>
+      b.score - a.score ||
+      Number(Boolean(b.exported)) - Number(Boolean(a.exported)) ||
+      a.name.length - b.name.length ||
+      a.path.localeCompare(b.path) ||
+      a.startLine - b.startLine
+    )
+    .slice(0, limit);
+}
+
+/**
+ * Resolves an import's module to the indexed files it may refer to: relative
+ * paths against the importing file, Python's leading dots by package level,
+ * and dotted or `::` module paths as directories.
+ * @param {string} source as written in the import
+ * @param {string} fromPath the importing file
+ * @param {Array<string>} paths indexed file paths
+ * @returns {Array<string>}
+ */
+function resolveImportSource(source, fromPath, paths) {
+  const directory = path.posix.dirname(fromPath);
+  let target;
+
+  if (/^\.+[\w.]*$/.test(source) && !source.startsWith('./') && source !== '.' && source !== '..') {
+    // Python: `.models` is a sibling module, `..models` one package up
+    const [, dots, rest] = source.match(/^(\.+)(.*)$/);
+    const base = path.posix.join(directory, ...Array(dots.length - 1).fill('..'));
+    target = path.posix.join(base, rest.replace(/\./g, '/'));
+  } else if (source.startsWith('.')) {
+    target = path.posix.join(directory, source);
+  } else {
+    // `@/lib/utils` and `~/lib/utils` are aliases for the project root
+    const unaliased = source.replace(/^[@~]\//, '').replace(/^crate::/, '');
+    target = unaliased.includes('/') ? unaliased : unaliased.replace(/::|\\|\./g, '/');
+  }
+
+  target = target.replace(/^\.?\//, '');
+
+  return paths.filter(candidate => {
+    const module = candidate.replace(/\.[^./]+$/, '');
+    const directoryModule = module.replace(MODULE_INDEX_NAMES, '');
+
+    return [module, directoryModule].some(name => name === target || name.endsWith(`/${target}`));
+  });
+}
+
+/**
+ * @param {Object} index
+ * @param {string} filePath
+ * @param {string} name
+ * @returns {{ imported: boolean, paths: Array<string> }} whether the file imports the name, and
+ *   the files it imports it from when those are indexed
+ */
+function getImportTargets(index, filePath, name) {
+  const symbols = index.files[filePath];
+  const paths = Object.keys(index.files);
+  const targets = { imported: false, paths: [] };
+
+  for (const entry of (symbols && symbols.imports) || []) {
+    if (!entry.names.includes(name) && !entry.names.includes('*')) continue;
+
+    targets.imported = targets.imported || entry.names.includes(name);
+    targets.paths.push(...resolveImportSource(entry.source, filePath, paths));
+  }
+
+  return targets;
+}
+
+/**
+ * Go-to-definition. Given the file the name is used in, definitions in that
+ * file come first, then those in the files it imports the name from, then
+ * exported ones anywhere.
+ * @param {string} repoId
+ * @param {string} name bare (`save`) or qualified (`Store.save`)
+ * @param {Object} [options]
+ * @param {string} [options.path] the file the name is used in
+ * @returns {Promise<Array<Object>|null>} definitions with their `path` and `match`
+ *   (`file`, `import`, `exported` or `name`), null before the repository is indexed
+ */
+export async function findDefinitions(repoId, name, { path: fromPath } = {}) {
+  const index = await loadSymbolIndex(repoId);
+
+  if (!index) {
+    return null;
+  }
+
+  const bareName = name.split(/\.|::/).pop();
+  const importTargets = fromPath ? getImportTargets(index, fromPath, bareName).paths : [];
+  const rank = { file: 0, import: 1, exported: 2, name: 3 };
+  const definitions = [];
+
+  for (const [filePath, symbols] of Object.entries(index.files)) {
+    for (const definition of symbols.definitions) {
+      if (definition.qualifiedName !== name && definition.name !== name) continue;
+
+      let match = 'name';
+      if (filePath === fromPath) {
+        match = 'file';
+      } else if (importTargets.includes(filePath)) {
+        match = 'import';
+      } else if (definition.exported) {
+        match = 'exported';
+      }
+
+      definitions.push({ ...definition, path: filePath, match });
+    }
+  }
+
+  return definitions.sort((a, b) => rank[a.match] - rank[b.match] || a.path.localeCompare(b.path) || a.startLine - b.startLine);
+}
+
+/**
+ * Find-references: call sites and imports of a name. Given the file that
+ * defines it, files that import the same name from somewhere else are left out.
+ * @param {string} repoId
+ * @param {string} name bare or qualified; call sites are matched by the bare name
+ * @param {Object} [options]
+ * @param {string} [options.path] the file defining the symbol
+ * @param {number} [options.limit]
+ * @returns {Promise<Object|null>} `{ references, total }`, each reference `{ path, line, kind, caller?, source? }`
+ *   with `kind` `call` or `import`; null before the repository is indexed
+ */
+export async function findReferences(repoId, name, { path: definitionPath, limit = DEFAULT_REFERENCE_LIMIT } = {}) {
+  const index = await loadSymbolIndex(repoId);
+
+  if (!index) {
+    return null;
+  }
+
+  const bareName = name.split(/\.|::/).pop();
+  const references = [];
+
+  for (const [filePath, symbols] of Object.entries(index.files)) {
+    if (definitionPath && filePath !== definitionPath) {
+      const targets = getImportTargets(index, filePath, bareName);
+      if (targets.imported && targets.paths.length > 0 && !targets.paths.includes(definitionPath)) continue;
+    }
+
+    for (const entry of symbols.imports) {
+      if (entry.names.includes(bareName)) {
+        references.push({ path: filePath, line: entry.line, kind: 'import', source: entry.source });
+      }
+    }
+
+    for (const reference of symbols.references) {
+      if (reference.name === bareName) {
+        references.push({ path: filePath, line: reference.line, kind: 'call', ...(reference.caller && { caller: reference.caller }) });
+      }
+    }
+  }
+
+  references.sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line);
+
+  return { references: references.slice(0, limit), total: references.length };
+}
+
+/**
+ * Definitions of the identifiers a question mentions: names in backticks,
+ * names followed by a parenthesis, and camelCase, PascalCase or snake_case words.
+ * @param {string} repoId
+ * @param {string} text
+ * @param {number} [limit]
+ * @returns {Promise<Array<Object>>} at most one definition per name, best match first
+ */
+export async function findMentionedSymbols(repoId, text, limit = 5) {
+  if (!(await hasSymbolIndex(repoId))) {
+    return [];
+  }
+
+  const candidates = new Set();
+  const patterns = [
+    /`([A-Za-z_$][\w$.:]*)(?:\(\))?`/g,
+    /\b([A-Za-z_$][\w$]*)\(/g,
+    /\b([a-z][a-z0-9]*[A-Z][\w$]*|[A-Z][a-z0-9]+[A-Z][\w$]*|[a-z][a-z0-9]*_[a-z0-9_]+)\b/g,
+  ];
+
+  for (const pattern of patterns) {
+    for (const [, name] of text.matchAll(pattern)) {
+      candidates.add(name);
+    }
+  }
+
+  const mentioned = [];
+
+  for (const name of candidates) {
+    const [best] = await findDefinitions(repoId, name);
+    if (best) mentioned.push(best);
+    if (mentioned.length >= limit) break;
+  }
+
+  return mentioned;
+}
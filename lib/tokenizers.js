@@ -0,0 +1,214 @@
+import { getEmbeddingProvider } from './embeddingProviders';
+
+/**
+ * Token counting for the embedding model and for the LLM, so chunks are sized
+ * to what the embedding model actually reads and prompts fit the LLM's
+ * context window. Each embedding provider describes its tokenizer; until it
+ * has loaded, or when it cannot be loaded, counts fall back to a conservative
+ * estimate from the text's length.
+ *
+ * EMBEDDING_MAX_TOKENS overrides the embedding model's input limit.
+ */
+
+
+/**
+ * @typedef {Object} Tokenizer
+ * @property {string} name
+ * @property {number} maxTokens longest input the model reads, special tokens excluded
+ * @property {(text: string) => number} count
+ * @property {(text: string) => number} countByLine sum of cached per-line counts; close to
+ *   `count` and cheap to call again and again on text that keeps growing, as chunkers do
+ * @property {(text: string, maxTokens: number) => string} truncate
+ */
+
+// Input limits of models whose tokenizer config overstates them or is not published
+const MODEL_INPUT_LIMITS = {
+  'sentence-transformers/all-MiniLM-L6-v2': 256,
+  'sentence-transformers/all-mpnet-base-v2': 384,
+  'BAAI/bge-small-en-v1.5': 512,
+  'text-embedding-3-small': 8191,
+  'text-embedding-3-large': 8191,
+  'text-embedding-ada-002': 8191,
+};
+
+const DEFAULT_INPUT_LIMIT = 512;
+
+// Per-line counts kept for countByLine before the cache starts over
+const MAX_CACHED_LINES = 50000;
+
+// Static imports let the bundler see which rank files are needed
+const TIKTOKEN_RANKS = {
+  cl100k_base: () => import('js-tiktoken/ranks/cl100k_base'),
+};
+
+// Code averages more than three characters per token with BPE and WordPiece vocabularies alike
+const CHARS_PER_TOKEN = 3;
+
+
+global.tokenizers = global.tokenizers || {
+  embedding: new Map(),
+  llm: null,
+};
+
+/**
+ * @param {string} name
+ * @param {Object} codec `{ encode(text) => ids, decode(ids) => text }`
+ * @param {number} maxTokens
+ * @returns {Tokenizer}
+ */
+function createTokenizer(name, codec, maxTokens) {
+  const count = (text) => (text ? codec.encode(text).length : 0);
+  const lineCounts = new Map();
+  // Whether a line break is a token of its own (BPE) or just whitespace (WordPiece)
+  const newlineTokens = count('a\nb') - count('a') - count('b');
+
+  return {
+    name,
+    maxTokens,
+    count,
+    countByLine: (text) => {
+      const lines = (text || '').split('\n');
+      let total = newlineTokens * (lines.length - 1);
+
+      for (const line of lines) {
+        if (!lineCounts.has(line)) {
+          if (lineCounts.size >= MAX_CACHED_LINES) lineCounts.clear();
+          lineCounts.set(line, count(line));
+        }
+        total += lineCounts.get(line);
+      }
+
+      return total;
+    },
+    truncate: (text, limit) => {
+      const ids = codec.encode(text);
+      return ids.length <= limit ? text : codec.decode(ids.slice(0, limit));
+    },
+  };
+}
+
+/**
+ * @param {number} maxTokens
+ * @returns {Tokenizer}
+ */
+function createApproximateTokenizer(maxTokens) {
+  const count = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+  return {
+    name: 'approximate',
+    maxTokens,
+    count,
+    countByLine: count,
+    truncate: (text, limit) => text.slice(0, limit * CHARS_PER_TOKEN),
+  };
+}
+
+/**
+ * @param {Object} provider
+ * @param {Object} [tokenizer] the loaded tokenizer, for limits it declares itself
+ * @returns {number}
+ */
+function getInputLimit(provider, tokenizer) {
+  const override = parseInt(process.env.EMBEDDING_MAX_TOKENS, 10);
+  if (!Number.isNaN(override) && override > 0) {
+    return override;
+  }
+
+  // `model@dims` ids name the same model at a reduced dimension
+  const known = MODEL_INPUT_LIMITS[provider.modelId.split('@')[0]];
+  if (known) {
+    return known;
+  }
+
+  // Tokenizers without a limit report a huge sentinel value
+  const declared = tokenizer && tokenizer.model_max_length;
+  return declared && declared < 100000 ? declared : DEFAULT_INPUT_LIMIT;
+}
+
+/**
+ * @param {Object} provider
+ * @returns {Promise<Tokenizer>}
+ */
+async function createEmbeddingTokenizer(provider) {
+  const spec = provider.tokenizer;
+
+  if (spec && spec.type === 'tiktoken') {
+    const [{ Tiktoken }, { default: ranks }] = await Promise.all([
+      import('js-tiktoken/lite'),
+      TIKTOKEN_RANKS[spec.encoding](),
+    ]);
+    const encoding = new Tiktoken(ranks);
+
+    // Special-token markers in source code are ordinary text to the model
+    return createTokenizer(spec.encoding, {
+      encode: (text) => encoding.encode(text, [], []),
+      decode: (ids) => encoding.decode(ids),
+    }, getInputLimit(provider));
+  }
+
+  if (spec && spec.type === 'transformers') {
+    const tokenizer = await spec.load();
+    const specialTokens = tokenizer.encode('').length;
+
+    return createTokenizer(provider.modelId, {
+      encode: (text) => tokenizer.encode(text, { add_special_tokens: false }),
+      decode: (ids) => tokenizer.decode(ids),
+    }, getInputLimit(provider, tokenizer) - specialTokens);
+  }
+
+  throw new Error(`Embedding provider "${provider.name}" does not describe its tokenizer`);
+}
+
+/**
+ * Loads the current embedding model's tokenizer once; later calls to
+ * getEmbeddingTokenizer return it synchronously.
+ * @returns {Promise<Tokenizer>}
+ */
+export async function loadEmbeddingTokenizer() {
+  const provider = getEmbeddingProvider();
+  const { embedding } = global.tokenizers;
+
+  if (!embedding.has(provider.modelId)) {
+    const loading = createEmbeddingTokenizer(provider).catch(error => {
+      console.warn(`Could not load the tokenizer for ${provider.modelId}, estimating token counts instead: ${error.message}`);
+      return createApproximateTokenizer(getInputLimit(provider));
+    });
+
+    loading.then(tokenizer => {
+      embedding.set(provider.modelId, tokenizer);
+      console.log(`Counting embedding tokens with ${tokenizer.name} (limit ${tokenizer.maxTokens})`);
+    });
+    embedding.set(provider.modelId, loading);
+  }
+
+  return embedding.get(provider.modelId);
+}
+
+/**
+ * @returns {Tokenizer} the embedding tokenizer if loaded, an estimate otherwise
+ */
+export function getEmbeddingTokenizer() {
+  const provider = getEmbeddingProvider();
+  const tokenizer = global.tokenizers.embedding.get(provider.modelId);
+
+  return tokenizer && !(tokenizer instanceof Promise) ? tokenizer : createApproximateTokenizer(getInputLimit(provider));
+}
+
+/**
+ * Tokenizer of the Llama 3 models served through Groq. The vocabulary ships
+ * with the package, so it loads without network access.
+ * @param {number} contextWindow
+ * @returns {Promise<Tokenizer>}
+ */
+export async function loadLlmTokenizer(contextWindow) {
+  if (!global.tokenizers.llm) {
+    global.tokenizers.llm = import('llama3-tokenizer-js').then(({ default: llama3Tokenizer }) => ({
+      encode: (text) => llama3Tokenizer.encode(text, { bos: false, eos: false }),
+      decode: (ids) => llama3Tokenizer.decode(ids),
+    }));
+
+    global.tokenizers.llm.catch(() => { global.tokenizers.llm = null; });
+  }
+
+  return createTokenizer('llama3', await global.tokenizers.llm, contextWindow);
+}
@@ -0,0 +1,128 @@
+import path from 'path';
+import { promises as fs } from 'fs';
+
+/**
+ * Loads web-tree-sitter and the grammars that `npm install` copies into
+ * public/tree-sitter-wasm (see scripts/init-tree-sitter.js). A grammar that is
+ * missing or still an empty placeholder yields no parser, and callers fall
+ * back to the regex chunkers.
+ */
+
+
+const WASM_DIR = path.join(process.cwd(), 'public', 'tree-sitter-wasm');
+
+// TSX needs its own grammar; plain TypeScript cannot parse JSX
+const GRAMMAR_BY_EXTENSION = {
+  tsx: 'tsx',
+};
+
+const GRAMMAR_BY_LANGUAGE = {
+  javascript: 'javascript',
+  typescript: 'typescript',
+  python: 'python',
+  java: 'java',
+  go: 'go',
+  c: 'c',
+  cpp: 'cpp',
+  rust: 'rust',
+  php: 'php',
+  csharp: 'c_sharp',
+  kotlin: 'kotlin',
+  swift: 'swift',
+  // No ruby: the prebuilt grammar needs a newer runtime than web-tree-sitter 0.20
+};
+
+
+global.treeSitter = global.treeSitter || {
+  init: null,
+  parsers: new Map(),
+};
+
+/**
+ * @param {string} file
+ * @returns {Promise<boolean>} whether the file exists and is not a placeholder
+ */
+async function hasWasm(file) {
+  try {
+    return (await fs.stat(file)).size > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Initializes the tree-sitter runtime once. Resolves to the Parser class, or
+ * null when the runtime WASM is unavailable.
+ * @returns {Promise<Function|null>}
+ */
+function initTreeSitter() {
+  if (!global.treeSitter.init) {
+    global.treeSitter.init = (async () => {
+      const runtimeWasm = path.join(WASM_DIR, 'tree-sitter.wasm');
+
+      if (!(await hasWasm(runtimeWasm))) {
+        console.log('Tree-sitter runtime not found; using regex chunkers');
+        return null;
+      }
+
+      const { default: Parser } = await import('web-tree-sitter');
+      await Parser.init({ locateFile: () => runtimeWasm });
+
+      return Parser;
+    })().catch(error => {
+      console.error('Error initializing tree-sitter:', error);
+      return null;
+    });
+  }
+
+  return global.treeSitter.init;
+}
+
+/**
+ * @param {string} language as returned by getLanguageFromExtension
+ * @param {string} extension
+ * @returns {string|null}
+ */
+export function getGrammarName(language, extension) {
+  return GRAMMAR_BY_EXTENSION[extension] || GRAMMAR_BY_LANGUAGE[language] || null;
+}
+
+/**
+ * Returns a parser for the language, loading its grammar on first use.
+ * Missing grammars are remembered so each is only looked for once.
+ * @param {string} language
+ * @param {string} extension
+ * @returns {Promise<Object|null>} a web-tree-sitter Parser, or null
+ */
+export function getParser(language, extension) {
+  const grammar = getGrammarName(language, extension);
+
+  if (!grammar) {
+    return Promise.resolve(null);
+  }
+
+  const { parsers } = global.treeSitter;
+
+  if (!parsers.has(grammar)) {
+    parsers.set(grammar, (async () => {
+      const Parser = await initTreeSitter();
+      const grammarWasm = path.join(WASM_DIR, `tree-sitter-${grammar}.wasm`);
+
+      if (!Parser || !(await hasWasm(grammarWasm))) {
+        console.log(`No tree-sitter grammar for ${grammar}; using the regex chunker`);
+        return null;
+      }
+
+      const parser = new Parser();
+      parser.setLanguage(await Parser.Language.load(grammarWasm));
+
+      console.log(`Loaded tree-sitter grammar for ${grammar}`);
+      return parser;
+    })().catch(error => {
+      console.error(`Error loading tree-sitter grammar for ${grammar}:`, error);
+      return null;
+    }));
+  }
+
+  return parsers.get(grammar);
+}
@@ -1,14 +1,15 @@
 
 /**
- 
+ * Which hosts are supported is only known on the server, so any http(s) URL
+ * with an owner and a repository in its path passes.
  * @param {string} url 
  * @returns {boolean} 
  */
-export function isValidGitHubUrl(url) {
+export function isValidRepositoryUrl(url) {
   try {
     const urlObj = new URL(url);
     
-    if (urlObj.hostname !== 'github.com') {
+    if (urlObj.protocol !== 'https:' && urlObj.protocol !== 'http:') {
       return false;
     }
     
@@ -26,13 +27,56 @@ export function isValidGitHubUrl(url) {
 }
 
 /**
-
- * @param {string} owner 
+ * Repository ids carry the indexed branch, tag or commit after an `@`,
+ * except for the default branch, and start with the code host unless it is
+ * github.com, e.g. `gitlab.example.com/platform/backend/api@v2`.
+ * @param {string} owner namespace, which may span several segments on GitLab
  * @param {string} repo 
+ * @param {string} [ref]
+ * @param {string} [host]
  * @returns {string} 
  */
-export function getRepositoryId(owner, repo) {
-  return `${owner}/${repo}`;
+export function getRepositoryId(owner, repo, ref, host) {
+  const path = host && host !== 'github.com' ? `${host}/${owner}/${repo}` : `${owner}/${repo}`;
+  return ref ? `${path}@${ref}` : path;
+}
+
+/**
+ * @param {string} repoId as built by getRepositoryId
+ * @returns {{ host: string, owner: string, repo: string, ref: string|null }} `ref` is null for the default branch
+ */
+export function parseRepositoryId(repoId) {
+  // Repository paths cannot contain `@`, refs can contain `/`
+  const separator = (repoId || '').indexOf('@');
+  const path = separator === -1 ? repoId || '' : repoId.slice(0, separator);
+  const ref = separator === -1 ? null : repoId.slice(separator + 1);
+  const segments = path.split('/');
+
+  // Only hosts contain a dot in the first segment; GitHub account names cannot
+  const host = segments.length > 2 && segments[0].includes('.') ? segments.shift() : 'github.com';
+
+  if (segments.length < 2 || segments.some(segment => !segment) || ref === '' || (host === 'github.com' && segments.length > 2)) {
+    throw new Error(`Invalid repository ID: ${repoId}`);
+  }
+
+  return { host, owner: segments.slice(0, -1).join('/'), repo: segments[segments.length - 1], ref };
+}
+
+/**
+ * @param {string} [provider] `provider` of a repository's info
+ * @returns {string} the code host's name as shown to users
+ */
+export function getProviderLabel(provider) {
+  const labels = { gitlab: 'GitLab', bitbucket: 'Bitbucket', gitea: 'Gitea' };
+  return labels[provider] || 'GitHub';
+}
+
+/**
+ * @param {string} ref
+ * @returns {string} the ref, with commit SHAs shortened the way GitHub shows them
+ */
+export function formatRef(ref) {
+  return /^[0-9a-f]{40}$/.test(ref) ? ref.slice(0, 7) : ref;
 }
 
 /**
@@ -58,6 +102,19 @@ export function formatFileSize(bytes) {
  */
 export function getLanguageForSyntaxHighlighting(filePath) {
   const extension = filePath.split('.').pop().toLowerCase();
+  const filename = filePath.split('/').pop().toLowerCase();
+  
+  if (filename === 'dockerfile' || filename.startsWith('dockerfile.') || extension === 'dockerfile') {
+    return 'docker';
+  }
+  
+  if (filename.startsWith('.env')) {
+    return 'bash';
+  }
+  
+  if (filename === 'gemfile' || filename === 'rakefile') {
+    return 'ruby';
+  }
   
   
   const languageMap = {
@@ -88,14 +145,27 @@ export function getLanguageForSyntaxHighlighting(filePath) {
     'rs': 'rust',
     
     
+    'rb': 'ruby',
+    'rake': 'ruby',
+    'gemspec': 'ruby',
+    'php': 'php',
+    'cs': 'csharp',
+    'kt': 'kotlin',
+    'kts': 'kotlin',
+    'swift': 'swift',
+    
+    
     'html': 'html',
     'css': 'css',
     'json': 'json',
+    'ipynb': 'json',
     
     
     'md': 'markdown',
+    'mdx': 'markdown',
     'yml': 'yaml',
     'yaml': 'yaml',
+    'toml': 'toml',
   };
   
   return languageMap[extension] || 'text';
@@ -140,4 +210,223 @@ export function debounce(func, wait = 300) {
     clearTimeout(timeout);
     timeout = setTimeout(later, wait);
   };
+}
+
+/**
+ * Translates a path glob into an anchored regular expression. `*` and `?`
+ * stay within one path segment, `**` spans segments, `{a,b}` alternates and
+ * `[abc]` or `[!abc]` matches one character of a set or outside it.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" also matches zero directories
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      const set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += set.startsWith('!') ? `[^/${set.slice(1)}]` : `[${set}]`;
+      i = end;
+    } else if (char === '{') {
+      source += '(?:';
+      braceDepth++;
+    } else if (char === '}' && braceDepth > 0) {
+      source += ')';
+      braceDepth--;
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * @param {string} path
+ * @param {string|Array<string>} patterns matches when any pattern does
+ * @returns {boolean}
+ */
+export function matchesGlob(path, patterns) {
+  if (typeof path !== 'string') {
+    return false;
+  }
+
+  return [].concat(patterns).some(pattern => globToRegExp(pattern).test(path));
+}
+
+/**
+ * Globs for a path filter. A pattern with `*`, `?` or `{` is used as it is;
+ * anything else is a file or directory path, matching itself and everything
+ * under it, whose brackets (as in `pages/api/jobs/[id]`) are taken literally.
+ * @param {string} scope
+ * @returns {Array<string>}
+ */
+export function toPathGlobs(scope) {
+  const normalized = scope.replace(/^\.?\/+/, '').replace(/\/+$/, '');
+
+  if (/[*?{]/.test(normalized)) {
+    return [normalized];
+  }
+
+  const literal = normalized.replace(/\[/g, '[[]');
+  return [literal, `${literal}/**`];
+}
+
+/**
+ * Link to a file on its code host, optionally highlighting a range of lines.
+ * @param {Object} repositoryInfo as returned by getRepositoryInfo, with the indexed `ref` and `provider`
+ * @param {string} path
+ * @param {number} [startLine]
+ * @param {number} [endLine]
+ * @returns {string|null} null for local and uploaded repositories, which have nowhere to link to
+ */
+export function getSourceUrl(repositoryInfo, path, startLine, endLine) {
+  if (['local', 'upload'].includes(repositoryInfo.provider)) {
+    return null;
+  }
+
+  const ref = repositoryInfo.ref || repositoryInfo.defaultBranch || 'HEAD';
+  const filePath = path.split('/').map(encodeURIComponent).join('/');
+  const webUrl = repositoryInfo.webUrl || `https://github.com/${repositoryInfo.owner.name}/${repositoryInfo.name}`;
+  const hasRange = endLine && endLine !== startLine;
+  let fileUrl;
+  let anchor;
+
+  switch (repositoryInfo.provider) {
+    case 'gitlab':
+      fileUrl = `${webUrl}/-/blob/${ref}/${filePath}`;
+      anchor = hasRange ? `#L${startLine}-${endLine}` : `#L${startLine}`;
+      break;
+    case 'bitbucket':
+      fileUrl = `${webUrl}/src/${ref}/${filePath}`;
+      anchor = hasRange ? `#lines-${startLine}:${endLine}` : `#lines-${startLine}`;
+      break;
+    case 'gitea':
+      // Gitea wants to be told whether a ref is a branch, tag or commit
+      fileUrl = repositoryInfo.commitSha
+        ? `${webUrl}/src/commit/${repositoryInfo.commitSha}/${filePath}`
+        : `${webUrl}/src/branch/${ref}/${filePath}`;
+      anchor = hasRange ? `#L${startLine}-L${endLine}` : `#L${startLine}`;
+      break;
+    default:
+      fileUrl = `${webUrl}/blob/${ref}/${filePath}`;
+      anchor = hasRange ? `#L${startLine}-L${endLine}` : `#L${startLine}`;
+  }
+
+  // Notebook chunks are numbered through their cells' sources, not the JSON code hosts show
+  if (!startLine || path.endsWith('.ipynb')) {
+    anchor = '';
+  }
+
+  return `${fileUrl}${anchor}`;
+}
+
+/**
+ * @param {number} [startLine]
+ * @param {number} [endLine]
+ * @returns {string} e.g. "L12-L40", or an empty string without line metadata
+ */
+export function formatLineRange(startLine, endLine) {
+  if (!startLine) {
+    return '';
+  }
+
+  return endLine && endLine !== startLine ? `L${startLine}-L${endLine}` : `L${startLine}`;
+}
+
+/**
+ * Where in its file a chunk or search result comes from.
+ * @param {Object} location `{ startLine, endLine, cellIndex }`
+ * @returns {string} e.g. "L12-L40", or "cell 3" for a notebook cell
+ */
+export function formatChunkLocation({ startLine, endLine, cellIndex }) {
+  if (cellIndex !== undefined && cellIndex !== null) {
+    return `cell ${cellIndex + 1}`;
+  }
+
+  return formatLineRange(startLine, endLine);
+}
+
+/**
+ * The lines of the file a chunk covers, without the imports, signatures and
+ * overlap the chunker put above them for retrieval.
+ * @param {Object} chunk `{ content, metadata }`
+ * @returns {string}
+ */
+export function getChunkSpan(chunk) {
+  const { contextLines, startLine, endLine } = chunk.metadata || {};
+  const lines = chunk.content.split('\n');
+
+  if (typeof contextLines === 'number') {
+    return lines.slice(contextLines).join('\n');
+  }
+
+  // Chunks indexed before contextLines existed end with their span
+  if (startLine && endLine) {
+    return chunk.content.replace(/\n+$/, '').split('\n').slice(-(endLine - startLine + 1)).join('\n');
+  }
+
+  return chunk.content;
+}
+
+/**
+ * Joins chunks of one file in line order so they can be analyzed as a whole,
+ * and maps lines of the result back to lines of the file. Only the first chunk
+ * keeps its context; later ones contribute just their own span. Lines that
+ * are not part of a span (that context, the blank line between chunks,
+ * chunks indexed without line metadata) map to null.
+ * @param {Array<Object>} chunks `{ content, metadata }` from the same file
+ * @returns {{ content: string, toFileLine: (lineNumber: number) => number|null }}
+ */
+export function combineFileChunks(chunks) {
+  const ordered = [...chunks].sort((a, b) => (a.metadata.startLine || 0) - (b.metadata.startLine || 0));
+  const lines = [];
+  const fileLines = [];
+
+  ordered.forEach((chunk, i) => {
+    const { startLine } = chunk.metadata;
+    const span = getChunkSpan(chunk).replace(/\n+$/, '').split('\n');
+    const context = i === 0 ? chunk.content.replace(/\n+$/, '').split('\n').slice(0, -span.length) : [];
+
+    if (i > 0) {
+      lines.push('');
+      fileLines.push(null);
+    }
+
+    context.forEach(line => {
+      lines.push(line);
+      fileLines.push(null);
+    });
+
+    span.forEach((line, index) => {
+      lines.push(line);
+      fileLines.push(startLine ? startLine + index : null);
+    });
+  });
+
+  return {
+    content: lines.join('\n'),
+    toFileLine: (lineNumber) => fileLines[lineNumber - 1] || null,
+  };
 }
\ No newline at end of file
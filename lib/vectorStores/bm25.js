@@ -0,0 +1,165 @@
+/**
+ * Okapi BM25 inverted index over chunk text. Identifiers are indexed both whole
+ * and split into their camelCase/snake_case parts, so a question naming
+ * `batchProcessEmbeddings` matches that symbol exactly and still matches
+ * chunks that only talk about "embeddings".
+ */
+
+
+export const DEFAULT_BM25_OPTIONS = {
+  // Term-frequency saturation
+  k1: 1.2,
+  // Document-length normalization
+  b: 0.75,
+  // Symbol names count this many times over a term in the body
+  boost: 3,
+};
+
+const MIN_TOKEN_LENGTH = 2;
+
+/**
+ * @param {string} text
+ * @returns {Array<string>} lower-cased terms, identifier parts included
+ */
+export function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+
+  const terms = [];
+
+  for (const word of text.match(/[A-Za-z_$][A-Za-z0-9_$]*|\d+/g) || []) {
+    const whole = word.toLowerCase();
+    if (whole.length >= MIN_TOKEN_LENGTH) {
+      terms.push(whole);
+    }
+
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_$]+/)
+      .map(part => part.toLowerCase())
+      .filter(part => part.length >= MIN_TOKEN_LENGTH && part !== whole);
+
+    terms.push(...parts);
+  }
+
+  return terms;
+}
+
+export class Bm25Index {
+  /**
+   * @param {Object} [options] see DEFAULT_BM25_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_BM25_OPTIONS, ...options };
+
+    // term -> Map(id -> weighted term frequency)
+    this.postings = new Map();
+    // id -> { length, terms, payload }
+    this.documents = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} fields
+   * @param {string} fields.text body text
+   * @param {string} [fields.boostText] short, high-signal text such as the symbol name
+   * @param {*} payload returned with search results
+   */
+  add(id, { text, boostText }, payload) {
+    if (this.documents.has(id)) {
+      this.remove(id);
+    }
+
+    const frequencies = new Map();
+    const count = (term, weight) => frequencies.set(term, (frequencies.get(term) || 0) + weight);
+
+    for (const term of tokenize(text)) count(term, 1);
+    for (const term of tokenize(boostText)) count(term, this.options.boost);
+
+    let length = 0;
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, frequency);
+      length += frequency;
+    }
+
+    this.documents.set(id, { length, terms: [...frequencies.keys()], payload });
+    this.totalLength += length;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean}
+   */
+  remove(id) {
+    const document = this.documents.get(id);
+
+    if (!document) {
+      return false;
+    }
+
+    for (const term of document.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.documents.delete(id);
+    this.totalLength -= document.length;
+    return true;
+  }
+
+  /**
+   * @param {string} queryText
+   * @param {number} k
+   * @param {Object} [options]
+   * @param {Function} [options.filter] predicate on the payload, applied before scoring
+   * @returns {Array<{ payload: *, score: number }>} best first
+   */
+  search(queryText, k, { filter } = {}) {
+    if (this.documents.size === 0 || k <= 0) {
+      return [];
+    }
+
+    const { k1, b } = this.options;
+    const averageLength = this.totalLength / this.documents.size;
+    const scores = new Map();
+    const rejected = new Set();
+
+    for (const term of new Set(tokenize(queryText))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (this.documents.size - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [id, frequency] of posting) {
+        if (rejected.has(id)) continue;
+
+        const document = this.documents.get(id);
+        if (filter && !scores.has(id) && !filter(document.payload)) {
+          rejected.add(id);
+          continue;
+        }
+
+        const norm = frequency + k1 * (1 - b + b * document.length / averageLength);
+        scores.set(id, (scores.get(id) || 0) + idf * frequency * (k1 + 1) / norm);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((x, y) => y[1] - x[1])
+      .slice(0, k)
+      .map(([id, score]) => ({ payload: this.documents.get(id).payload, score }));
+  }
+}
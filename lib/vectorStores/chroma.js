@@ -0,0 +1,255 @@
+import { ChromaClient } from 'chromadb';
+import { matchesGlob } from '../utils';
+import { createMirroredKeywordIndex } from './memory';
+
+/**
+ * Adapter for a Chroma server, configured through CHROMA_URL (default
+ * http://localhost:8000) and optionally CHROMA_API_KEY.
+ */
+
+
+const GET_PAGE_SIZE = 1000;
+
+// Chroma reserves these keys for index configuration; they cannot be modified later
+const RESERVED_METADATA_PREFIX = 'hnsw:';
+
+// Embeddings are always computed by DevInsight, so Chroma must never try to embed text itself
+const noEmbeddingFunction = {
+  generate: async () => {
+    throw new Error('DevInsight supplies embeddings explicitly; Chroma should not generate them');
+  }
+};
+
+/**
+ * Chroma only accepts string, number and boolean metadata values.
+ * @param {Object} metadata
+ * @returns {Object}
+ */
+function sanitizeMetadata(metadata = {}) {
+  const sanitized = {};
+
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === null || value === undefined) continue;
+    sanitized[key] = typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+
+  return sanitized;
+}
+
+/**
+ * Chroma requires multiple conditions to be wrapped in `$and`.
+ * @param {Object} [where]
+ * @returns {Object|undefined}
+ */
+function toChromaWhere(where) {
+  if (!where) return undefined;
+
+  const clauses = Object.entries(where).map(([key, condition]) => ({ [key]: condition }));
+
+  if (clauses.length === 0) return undefined;
+  if (clauses.length === 1) return clauses[0];
+  return { $and: clauses };
+}
+
+/**
+ * Reads every matching record, one page at a time.
+ * @param {Object} collection chromadb Collection
+ * @param {Object} params
+ * @returns {Promise<Object>}
+ */
+async function getAll(collection, { ids, where, include }) {
+  const response = { ids: [], documents: [], metadatas: [], embeddings: [] };
+
+  for (let offset = 0; ; offset += GET_PAGE_SIZE) {
+    const page = await collection.get({
+      ids,
+      where,
+      include,
+      limit: GET_PAGE_SIZE,
+      offset,
+    });
+
+    response.ids.push(...page.ids);
+    if (page.documents) response.documents.push(...page.documents);
+    if (page.metadatas) response.metadatas.push(...page.metadatas);
+    if (page.embeddings) response.embeddings.push(...page.embeddings);
+
+    if (page.ids.length < GET_PAGE_SIZE) break;
+  }
+
+  return response;
+}
+
+/**
+ * Chroma cannot match patterns in metadata, so `$glob` conditions are
+ * resolved against the stored values first and sent as `$in`. This costs a
+ * metadata scan, but keeps the filter ahead of the nearest-neighbour search.
+ * @param {Object} collection chromadb Collection
+ * @param {Object} [where]
+ * @returns {Promise<Object|undefined|null>} null when nothing can match
+ */
+async function resolveGlobs(collection, where) {
+  if (!where) return undefined;
+
+  const resolved = {};
+
+  for (const [key, condition] of Object.entries(where)) {
+    if (condition === null || typeof condition !== 'object' || !('$glob' in condition)) {
+      resolved[key] = condition;
+      continue;
+    }
+
+    const { metadatas } = await getAll(collection, { include: ['metadatas'] });
+    const values = [...new Set(metadatas.map(metadata => metadata && metadata[key]))]
+      .filter(value => matchesGlob(value, condition.$glob));
+
+    // Chroma rejects an empty $in list
+    if (values.length === 0) {
+      return null;
+    }
+
+    resolved[key] = { $in: values };
+  }
+
+  return toChromaWhere(resolved);
+}
+
+/**
+ * @param {Object} collection chromadb Collection
+ * @param {Object} keywordIndex mirror from createMirroredKeywordIndex; Chroma has no lexical search
+ * @returns {Object}
+ */
+function createChromaCollection(collection, keywordIndex) {
+  return {
+    name: collection.name,
+    metadata: collection.metadata || {},
+    keywordIndex,
+    add: async function({ ids, embeddings, documents, metadatas }) {
+      await collection.add({
+        ids,
+        embeddings,
+        documents,
+        metadatas: metadatas.map(sanitizeMetadata),
+      });
+      this.keywordIndex.invalidate();
+    },
+    upsert: async function({ ids, embeddings, documents, metadatas }) {
+      await collection.upsert({
+        ids,
+        embeddings,
+        documents,
+        metadatas: metadatas.map(sanitizeMetadata),
+      });
+      this.keywordIndex.invalidate();
+    },
+    query: async function({ queryEmbeddings, nResults, where }) {
+      const chromaWhere = await resolveGlobs(collection, where);
+
+      if (chromaWhere === null) {
+        return { ids: [[]], documents: [[]], metadatas: [[]], distances: [[]] };
+      }
+
+      const results = await collection.query({
+        queryEmbeddings,
+        nResults,
+        where: chromaWhere,
+      });
+
+      return {
+        ids: results.ids,
+        documents: results.documents,
+        metadatas: results.metadatas,
+        distances: results.distances,
+      };
+    },
+    keywordQuery: async function({ queryText, nResults, where }) {
+      return this.keywordIndex.query(this, queryText, nResults, where);
+    },
+    get: async function({ ids, where, include = ['documents', 'metadatas'] } = {}) {
+      const chromaWhere = await resolveGlobs(collection, where);
+
+      if (chromaWhere === null) {
+        return { ids: [], documents: [], metadatas: [], embeddings: [] };
+      }
+
+      return getAll(collection, { ids, where: chromaWhere, include });
+    },
+    delete: async function({ ids, where } = {}) {
+      const { ids: matchingIds } = await this.get({ ids, where, include: [] });
+
+      if (matchingIds.length === 0) {
+        return 0;
+      }
+
+      await collection.delete({ ids: matchingIds });
+      this.keywordIndex.invalidate();
+      return matchingIds.length;
+    },
+    count: async function() {
+      return collection.count();
+    },
+    modify: async function({ metadata: updates }) {
+      const metadata = Object.fromEntries(
+        Object.entries({ ...this.metadata, ...sanitizeMetadata(updates) })
+          .filter(([key]) => !key.startsWith(RESERVED_METADATA_PREFIX))
+      );
+
+      await collection.modify({ metadata });
+      this.metadata = metadata;
+      return this.metadata;
+    }
+  };
+}
+
+/**
+ * @returns {Object}
+ */
+export function createChromaStore() {
+  const client = new ChromaClient({
+    path: process.env.CHROMA_URL || 'http://localhost:8000',
+    auth: process.env.CHROMA_API_KEY
+      ? { provider: 'token', credentials: process.env.CHROMA_API_KEY }
+      : undefined,
+  });
+
+  const keywordIndexes = {};
+  const keywordIndexFor = (name) => {
+    keywordIndexes[name] = keywordIndexes[name] || createMirroredKeywordIndex();
+    return keywordIndexes[name];
+  };
+
+  return {
+    name: 'chroma',
+    getCollection: async function(name, { metadata = {} } = {}) {
+      // getOrCreateCollection would overwrite the stored metadata (commit SHA etc.), so look up first
+      try {
+        const collection = await client.getCollection({ name, embeddingFunction: noEmbeddingFunction });
+        return createChromaCollection(collection, keywordIndexFor(name));
+      } catch (error) {
+        if (!/does not exist|not found/i.test(error.message)) {
+          throw new Error(`Failed to reach Chroma server: ${error.message}`);
+        }
+      }
+
+      const collection = await client.createCollection({
+        name,
+        metadata: { ...sanitizeMetadata(metadata), 'hnsw:space': 'cosine' },
+        embeddingFunction: noEmbeddingFunction,
+      });
+
+      return createChromaCollection(collection, keywordIndexFor(name));
+    },
+    deleteCollection: async function(name) {
+      delete keywordIndexes[name];
+
+      try {
+        await client.deleteCollection({ name });
+      } catch (error) {
+        // Deleting a collection that was never created is not an error for us
+        if (!/does not exist/i.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+  };
+}
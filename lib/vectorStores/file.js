@@ -0,0 +1,148 @@
+import { readManifest, loadCollection, appendItems, upsertItems, removeItems, writeMetadata, removeCollection } from './persistence';
+import { selectItems, toGetResponse, recordsToItems, createSearchIndex, createKeywordIndex } from './memory';
+
+/**
+ * Disk-backed store: collections live as segment files under VECTOR_STORE_DIR
+ * and are cached in memory. Writes go to disk first and are then mirrored into
+ * the cache; if another process wrote in between, the collection is reloaded.
+ */
+
+
+/**
+ * @param {string} name
+ * @param {Object|null} stored
+ * @param {Object} metadata used when nothing is stored yet
+ * @returns {Object}
+ */
+function createFileCollection(name, stored, metadata) {
+  return {
+    name,
+    metadata: stored ? stored.manifest.metadata : metadata,
+    data: stored ? stored.items : [],
+    version: stored ? stored.manifest.version : 0,
+    searchIndex: createSearchIndex(),
+    keywordIndex: createKeywordIndex(),
+    syncWithManifest: async function(manifest, applyLocally) {
+      if (manifest.version === this.version + 1) {
+        applyLocally();
+        this.version = manifest.version;
+        this.metadata = manifest.metadata;
+        return;
+      }
+
+      console.log(`Collection ${this.name} changed on disk, reloading`);
+      const reloaded = await loadCollection(this.name);
+      this.data = reloaded ? reloaded.items : [];
+      this.searchIndex.reset();
+      this.keywordIndex.reset();
+      this.version = manifest.version;
+      this.metadata = manifest.metadata;
+    },
+    add: async function(records) {
+      const items = recordsToItems(records);
+
+      const manifest = await appendItems(this.name, items, this.metadata);
+      await this.syncWithManifest(manifest, () => {
+        this.data.push(...items);
+        this.searchIndex.add(items);
+        this.keywordIndex.add(items);
+      });
+
+      console.log(`Added ${items.length} items to collection ${this.name}, total: ${this.data.length}`);
+    },
+    upsert: async function(records) {
+      const items = recordsToItems(records);
+      const ids = new Set(items.map(item => item.id));
+
+      const { manifest, replaced } = await upsertItems(this.name, items, this.metadata);
+      await this.syncWithManifest(manifest, () => {
+        this.data = this.data.filter(item => !ids.has(item.id));
+        this.data.push(...items);
+        this.searchIndex.remove(ids);
+        this.searchIndex.add(items);
+        this.keywordIndex.remove(ids);
+        this.keywordIndex.add(items);
+      });
+
+      console.log(`Upserted ${items.length} items (${replaced} replaced) in collection ${this.name}, total: ${this.data.length}`);
+    },
+    query: async function({ queryEmbeddings, nResults, where }) {
+      console.log(`Querying collection ${this.name} with ${this.data.length} items`);
+      return this.searchIndex.query(this.data, queryEmbeddings[0], nResults, where);
+    },
+    keywordQuery: async function({ queryText, nResults, where }) {
+      return this.keywordIndex.query(this.data, queryText, nResults, where);
+    },
+    get: async function({ ids, where, include } = {}) {
+      return toGetResponse(selectItems(this.data, { ids, where }), include);
+    },
+    delete: async function({ ids, where } = {}) {
+      const removedIds = new Set(selectItems(this.data, { ids, where }).map(item => item.id));
+
+      if (removedIds.size === 0) {
+        return 0;
+      }
+
+      const result = await removeItems(this.name, removedIds);
+
+      if (!result || result.removed === 0) {
+        return 0;
+      }
+
+      await this.syncWithManifest(result.manifest, () => {
+        this.data = this.data.filter(item => !removedIds.has(item.id));
+        this.searchIndex.remove(removedIds);
+        this.keywordIndex.remove(removedIds);
+      });
+
+      console.log(`Deleted ${result.removed} items from collection ${this.name}, total: ${this.data.length}`);
+      return result.removed;
+    },
+    count: async function() {
+      return this.data.length;
+    },
+    modify: async function({ metadata: updates }) {
+      const manifest = await writeMetadata(this.name, { ...this.metadata, ...updates });
+      await this.syncWithManifest(manifest, () => {});
+      return this.metadata;
+    }
+  };
+}
+
+/**
+ * @returns {Object}
+ */
+export function createFileStore() {
+  const collections = {};
+
+  return {
+    name: 'file',
+    getCollection: async function(name, { metadata = {} } = {}) {
+      const cached = collections[name];
+      const manifest = await readManifest(name);
+
+
+      if (cached && cached.version === (manifest ? manifest.version : 0)) {
+        return cached;
+      }
+
+
+      const stored = manifest ? await loadCollection(name) : null;
+
+      if (stored) {
+        console.log(`Loaded collection ${name} from disk (version ${stored.manifest.version}, ${stored.items.length} items)`);
+      } else {
+        console.log(`Creating new collection ${name}`);
+      }
+
+      collections[name] = createFileCollection(name, stored, metadata);
+      return collections[name];
+    },
+    deleteCollection: async function(name) {
+      if (collections[name] || await readManifest(name)) {
+        await removeCollection(name);
+      }
+      delete collections[name];
+    }
+  };
+}
@@ -0,0 +1,383 @@
+/**
+ * Hierarchical Navigable Small World graph for approximate cosine search
+ * (Malkov & Yashunin, 2016). Vectors are normalized on insert so distance is
+ * 1 - dot product. Removals are tombstoned and skipped at query time; callers
+ * rebuild once `needsRebuild()` reports too many tombstones.
+ */
+
+
+export const DEFAULT_HNSW_OPTIONS = {
+  // Links per node on upper layers; layer 0 keeps twice as many
+  m: 16,
+  // Candidate list size while inserting; higher builds slower but raises recall
+  efConstruction: 100,
+  // Candidate list size while searching; the main recall/latency knob
+  efSearch: 128,
+};
+
+const REBUILD_TOMBSTONE_RATIO = 0.3;
+
+
+/**
+ * Binary heap ordered by `distance`; `max` flips it into a max-heap.
+ */
+class DistanceHeap {
+  constructor(max = false) {
+    this.items = [];
+    this.sign = max ? -1 : 1;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.sign * (items[i].distance - items[parent].distance) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let next = i;
+
+        if (left < items.length && this.sign * (items[left].distance - items[next].distance) < 0) next = left;
+        if (right < items.length && this.sign * (items[right].distance - items[next].distance) < 0) next = right;
+        if (next === i) break;
+
+        [items[i], items[next]] = [items[next], items[i]];
+        i = next;
+      }
+    }
+
+    return top;
+  }
+}
+
+/**
+ * @param {Array<number>} vector
+ * @returns {Float32Array}
+ */
+function normalize(vector) {
+  const normalized = Float32Array.from(vector);
+  let norm = 0;
+
+  for (let i = 0; i < normalized.length; i++) {
+    norm += normalized[i] * normalized[i];
+  }
+
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= norm;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {number}
+ */
+function cosineDistance(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return 1 - dot;
+}
+
+export class HnswIndex {
+  /**
+   * @param {Object} [options] see DEFAULT_HNSW_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_HNSW_OPTIONS, ...options };
+    this.levelMultiplier = 1 / Math.log(this.options.m);
+
+    // Parallel arrays indexed by internal node number
+    this.vectors = [];
+    this.payloads = [];
+    this.links = [];
+    this.deleted = [];
+
+    this.nodeById = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  get size() {
+    return this.nodeById.size;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  needsRebuild() {
+    return this.deletedCount > 0 && this.deletedCount / this.vectors.length > REBUILD_TOMBSTONE_RATIO;
+  }
+
+  /**
+   * @param {string} id
+   * @param {Array<number>} vector
+   * @param {*} payload returned with search results
+   */
+  add(id, vector, payload) {
+    if (this.nodeById.has(id)) {
+      this.remove(id);
+    }
+
+    const node = this.vectors.length;
+    const level = Math.floor(-Math.log(Math.random()) * this.levelMultiplier);
+    const query = normalize(vector);
+
+    this.vectors.push(query);
+    this.payloads.push(payload);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+    this.deleted.push(false);
+    this.nodeById.set(id, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let current = this.entryPoint;
+    let currentDistance = cosineDistance(query, this.vectors[current]);
+
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      ({ node: current, distance: currentDistance } = this.greedyClosest(query, current, currentDistance, layer));
+    }
+
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(query, [{ node: current, distance: currentDistance }], this.options.efConstruction, layer);
+      const neighbours = this.selectNeighbours(candidates, this.options.m);
+
+      this.links[node][layer] = neighbours.map(candidate => candidate.node);
+
+      for (const neighbour of neighbours) {
+        this.connect(neighbour.node, node, layer);
+      }
+
+      current = candidates[0].node;
+      currentDistance = candidates[0].distance;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+  }
+
+  /**
+   * Tombstones a node; it keeps routing searches but is never returned.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  remove(id) {
+    const node = this.nodeById.get(id);
+
+    if (node === undefined) {
+      return false;
+    }
+
+    this.deleted[node] = true;
+    this.payloads[node] = null;
+    this.nodeById.delete(id);
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * @param {Array<number>} vector
+   * @param {number} k
+   * @param {Object} [options]
+   * @param {number} [options.ef] overrides the configured efSearch
+   * @param {Function} [options.filter] predicate on the payload, applied during the search
+   * @returns {Array<{ payload: *, distance: number }>} closest first
+   */
+  search(vector, k, { ef = this.options.efSearch, filter } = {}) {
+    if (this.entryPoint === -1 || k <= 0) {
+      return [];
+    }
+
+    if (vector.length !== this.vectors[this.entryPoint].length) {
+      throw new Error(`Cannot compare a ${vector.length}-dimensional embedding with ${this.vectors[this.entryPoint].length}-dimensional ones`);
+    }
+
+    const query = normalize(vector);
+    let current = this.entryPoint;
+    let currentDistance = cosineDistance(query, this.vectors[current]);
+
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      ({ node: current, distance: currentDistance } = this.greedyClosest(query, current, currentDistance, layer));
+    }
+
+    const accept = node => !this.deleted[node] && (!filter || filter(this.payloads[node]));
+
+    // Widen the beam until enough accepted results turn up or the whole graph has been seen
+    for (let beam = Math.max(ef, k); ; beam *= 2) {
+      const candidates = this.searchLayer(query, [{ node: current, distance: currentDistance }], beam, 0);
+      const results = candidates.filter(candidate => accept(candidate.node));
+
+      if (results.length >= k || beam >= this.vectors.length) {
+        return results.slice(0, k).map(result => ({
+          payload: this.payloads[result.node],
+          distance: result.distance,
+        }));
+      }
+    }
+  }
+
+  /**
+   * @param {Float32Array} query
+   * @param {number} start
+   * @param {number} startDistance
+   * @param {number} layer
+   * @returns {{ node: number, distance: number }}
+   */
+  greedyClosest(query, start, startDistance, layer) {
+    let current = start;
+    let currentDistance = startDistance;
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+
+      for (const neighbour of this.links[current][layer] || []) {
+        const distance = cosineDistance(query, this.vectors[neighbour]);
+        if (distance < currentDistance) {
+          current = neighbour;
+          currentDistance = distance;
+          improved = true;
+        }
+      }
+    }
+
+    return { node: current, distance: currentDistance };
+  }
+
+  /**
+   * Best-first search restricted to one layer.
+   * @param {Float32Array} query
+   * @param {Array<Object>} entryPoints
+   * @param {number} ef
+   * @param {number} layer
+   * @returns {Array<{ node: number, distance: number }>} closest first
+   */
+  searchLayer(query, entryPoints, ef, layer) {
+    const visited = new Set(entryPoints.map(entry => entry.node));
+    const candidates = new DistanceHeap();
+    const nearest = new DistanceHeap(true);
+
+    for (const entry of entryPoints) {
+      candidates.push(entry);
+      nearest.push(entry);
+    }
+
+    while (candidates.size > 0) {
+      const closest = candidates.pop();
+
+      if (nearest.size >= ef && closest.distance > nearest.peek().distance) {
+        break;
+      }
+
+      for (const neighbour of this.links[closest.node][layer] || []) {
+        if (visited.has(neighbour)) continue;
+        visited.add(neighbour);
+
+        const distance = cosineDistance(query, this.vectors[neighbour]);
+
+        if (nearest.size < ef || distance < nearest.peek().distance) {
+          candidates.push({ node: neighbour, distance });
+          nearest.push({ node: neighbour, distance });
+
+          if (nearest.size > ef) {
+            nearest.pop();
+          }
+        }
+      }
+    }
+
+    return nearest.items.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Neighbour selection heuristic: prefer candidates that are closer to the
+   * new node than to any neighbour already chosen, which keeps the graph
+   * navigable across clusters.
+   * @param {Array<Object>} candidates closest first
+   * @param {number} m
+   * @returns {Array<Object>}
+   */
+  selectNeighbours(candidates, m) {
+    const selected = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= m) break;
+
+      const dominated = selected.some(chosen =>
+        cosineDistance(this.vectors[candidate.node], this.vectors[chosen.node]) < candidate.distance
+      );
+
+      if (!dominated) {
+        selected.push(candidate);
+      }
+    }
+
+    // Top up with the closest leftovers so sparse regions still get m links
+    for (const candidate of candidates) {
+      if (selected.length >= m) break;
+      if (!selected.includes(candidate)) {
+        selected.push(candidate);
+      }
+    }
+
+    return selected;
+  }
+
+  /**
+   * @param {number} from
+   * @param {number} to
+   * @param {number} layer
+   */
+  connect(from, to, layer) {
+    const links = this.links[from][layer];
+    const maxLinks = layer === 0 ? this.options.m * 2 : this.options.m;
+
+    links.push(to);
+
+    if (links.length > maxLinks) {
+      const candidates = links
+        .map(node => ({ node, distance: cosineDistance(this.vectors[from], this.vectors[node]) }))
+        .sort((a, b) => a.distance - b.distance);
+
+      this.links[from][layer] = this.selectNeighbours(candidates, maxLinks).map(candidate => candidate.node);
+    }
+  }
+}
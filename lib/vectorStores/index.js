@@ -0,0 +1,71 @@
+import { createMemoryStore } from './memory';
+import { createFileStore } from './file';
+import { createChromaStore } from './chroma';
+import { createSupabaseStore } from './supabase';
+
+/**
+ * A vector backend. Every adapter exposes the same Chroma-shaped surface so
+ * lib/chromadb.js does not need to know which one is configured.
+ *
+ * @typedef {Object} VectorStore
+ * @property {string} name
+ * @property {(name: string, options?: { metadata?: Object }) => Promise<VectorCollection>} getCollection
+ *   returns the named collection, creating it when missing
+ * @property {(name: string) => Promise<void>} deleteCollection
+ */
+
+/**
+ * @typedef {Object} VectorCollection
+ * @property {string} name
+ * @property {Object} metadata collection-level metadata (repository, commit SHA, ...)
+ * @property {(records: { ids: string[], embeddings: number[][], documents: string[], metadatas: Object[] }) => Promise<void>} add
+ * @property {(records: { ids: string[], embeddings: number[][], documents: string[], metadatas: Object[] }) => Promise<void>} upsert
+ *   like add, but replaces records whose id is already stored
+ * @property {(params: { queryEmbeddings: number[][], nResults: number, where?: Object }) => Promise<Object>} query
+ *   returns `{ ids, documents, metadatas, distances }`, one inner array per query embedding
+ * @property {(params: { queryText: string, nResults: number, where?: Object }) => Promise<Object>} keywordQuery
+ *   BM25 search over chunk text and symbol names; returns `{ ids, documents, metadatas, scores }`
+ * @property {(params?: { ids?: string[], where?: Object, include?: string[] }) => Promise<Object>} get
+ *   returns `{ ids, documents, metadatas }`; embeddings only when listed in `include`
+ * @property {(params?: { ids?: string[], where?: Object }) => Promise<number>} delete
+ *   returns the number of records removed
+ * @property {() => Promise<number>} count
+ * @property {(params: { metadata: Object }) => Promise<Object>} modify
+ *   merges into the collection metadata and returns the result
+ */
+
+
+const STORE_FACTORIES = {
+  memory: createMemoryStore,
+  file: createFileStore,
+  chroma: createChromaStore,
+  supabase: createSupabaseStore,
+};
+
+const DEFAULT_STORE = 'file';
+
+
+global.vectorStoreBackend = global.vectorStoreBackend || null;
+
+/**
+ * Returns the backend named by the VECTOR_STORE environment variable
+ * (memory, file, chroma or supabase; file by default).
+ * @returns {VectorStore}
+ */
+export function getVectorStore() {
+  const storeName = (process.env.VECTOR_STORE || DEFAULT_STORE).toLowerCase();
+
+  if (global.vectorStoreBackend && global.vectorStoreBackend.name === storeName) {
+    return global.vectorStoreBackend;
+  }
+
+  const createStore = STORE_FACTORIES[storeName];
+
+  if (!createStore) {
+    throw new Error(`Unknown vector store "${storeName}". Expected one of: ${Object.keys(STORE_FACTORIES).join(', ')}`);
+  }
+
+  console.log(`Using ${storeName} vector store`);
+  global.vectorStoreBackend = createStore();
+  return global.vectorStoreBackend;
+}
@@ -0,0 +1,405 @@
+import { HnswIndex, DEFAULT_HNSW_OPTIONS } from './hnsw';
+import { Bm25Index } from './bm25';
+import { matchesGlob } from '../utils';
+
+/**
+ * In-process vector store. Nothing survives a restart, which makes it the
+ * stand-in for tests and local experiments; the file store builds on the
+ * helpers exported here.
+ */
+
+
+export function cosineSimilarity(vecA, vecB) {
+  // Vectors of different sizes come from different models; scoring them as 0 would hide that
+  if (vecA && vecB && vecA.length !== vecB.length) {
+    throw new Error(`Cannot compare a ${vecA.length}-dimensional embedding with a ${vecB.length}-dimensional one`);
+  }
+
+  try {
+    if (!vecA || !vecB) {
+      console.warn('Invalid vectors for similarity calculation');
+      return 0;
+    }
+
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < vecA.length; i++) {
+      dotProduct += vecA[i] * vecB[i];
+      normA += vecA[i] * vecA[i];
+      normB += vecB[i] * vecB[i];
+    }
+
+    normA = Math.sqrt(normA);
+    normB = Math.sqrt(normB);
+
+    if (normA === 0 || normB === 0) {
+      return 0;
+    }
+
+    return dotProduct / (normA * normB);
+  } catch (error) {
+    console.error('Error calculating similarity:', error);
+    return 0;
+  }
+}
+
+/**
+ * Evaluates a Chroma-style `where` clause against chunk metadata. Supports
+ * plain equality, the `$eq`, `$ne`, `$in` and `$nin` operators, and `$glob`
+ * for path patterns (a string or a list of alternatives).
+ * @param {Object} metadata
+ * @param {Object} where
+ * @returns {boolean}
+ */
+export function matchesWhere(metadata, where) {
+  if (!where) {
+    return true;
+  }
+
+  return Object.entries(where).every(([key, condition]) => {
+    const value = metadata ? metadata[key] : undefined;
+
+    if (condition === null || typeof condition !== 'object') {
+      return value === condition;
+    }
+
+    if ('$eq' in condition) return value === condition.$eq;
+    if ('$ne' in condition) return value !== condition.$ne;
+    if ('$in' in condition) return condition.$in.includes(value);
+    if ('$nin' in condition) return !condition.$nin.includes(value);
+    if ('$glob' in condition) return matchesGlob(value, condition.$glob);
+
+    return false;
+  });
+}
+
+/**
+ * @param {Array<Object>} items
+ * @param {Object} [params]
+ * @param {Array<string>} [params.ids]
+ * @param {Object} [params.where]
+ * @returns {Array<Object>}
+ */
+export function selectItems(items, { ids, where } = {}) {
+  const idSet = ids ? new Set(ids) : null;
+
+  return items.filter(item =>
+    (!idSet || idSet.has(item.id)) && matchesWhere(item.metadata, where)
+  );
+}
+
+/**
+ * Brute-force cosine ranking of items against a single query embedding.
+ * @param {Array<Object>} items
+ * @param {Array<number>} queryEmbedding
+ * @param {number} nResults
+ * @returns {Object} Chroma-shaped query response
+ */
+export function rankItems(items, queryEmbedding, nResults) {
+  const results = [];
+
+
+  for (const item of items) {
+    const similarity = cosineSimilarity(queryEmbedding, item.embedding);
+    results.push({
+      id: item.id,
+      document: item.document,
+      metadata: item.metadata,
+      distance: 1 - similarity
+    });
+  }
+
+
+  results.sort((a, b) => a.distance - b.distance);
+
+
+  const topResults = results.slice(0, nResults);
+
+  return {
+    ids: [topResults.map(r => r.id)],
+    documents: [topResults.map(r => r.document)],
+    metadatas: [topResults.map(r => r.metadata)],
+    distances: [topResults.map(r => r.distance)]
+  };
+}
+
+/**
+ * Reads the approximate-search settings. VECTOR_INDEX=flat disables the HNSW
+ * index; below HNSW_MIN_ITEMS items brute force is both exact and fast enough.
+ * @returns {Object}
+ */
+export function getSearchIndexConfig() {
+  const readInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+  };
+
+  return {
+    type: (process.env.VECTOR_INDEX || 'hnsw').toLowerCase(),
+    minItems: readInt('HNSW_MIN_ITEMS', 2000),
+    m: readInt('HNSW_M', DEFAULT_HNSW_OPTIONS.m),
+    efConstruction: readInt('HNSW_EF_CONSTRUCTION', DEFAULT_HNSW_OPTIONS.efConstruction),
+    efSearch: readInt('HNSW_EF_SEARCH', DEFAULT_HNSW_OPTIONS.efSearch),
+  };
+}
+
+/**
+ * Keeps an HNSW index in step with a collection's items. The index is built
+ * lazily on the first query that needs it, maintained on add/remove afterwards
+ * and rebuilt when too many tombstones accumulate.
+ * @param {Object} [config] defaults to getSearchIndexConfig()
+ * @returns {Object}
+ */
+export function createSearchIndex(config = getSearchIndexConfig()) {
+  let index = null;
+
+  const build = (items) => {
+    const startTime = Date.now();
+    index = new HnswIndex(config);
+
+    for (const item of items) {
+      index.add(item.id, item.embedding, item);
+    }
+
+    console.log(`Built HNSW index over ${items.length} items in ${Date.now() - startTime}ms`);
+  };
+
+  return {
+    reset() {
+      index = null;
+    },
+    add(items) {
+      if (!index) return;
+      for (const item of items) {
+        index.add(item.id, item.embedding, item);
+      }
+    },
+    remove(ids) {
+      if (!index) return;
+      for (const id of ids) {
+        index.remove(id);
+      }
+    },
+    query(items, queryEmbedding, nResults, where) {
+      if (config.type !== 'hnsw' || items.length < config.minItems) {
+        return rankItems(selectItems(items, { where }), queryEmbedding, nResults);
+      }
+
+      if (where) {
+        // A narrow filter leaves few enough candidates to rank them exactly
+        const candidates = selectItems(items, { where });
+        if (candidates.length < config.minItems) {
+          return rankItems(candidates, queryEmbedding, nResults);
+        }
+      }
+
+      if (!index || index.needsRebuild()) {
+        build(items);
+      }
+
+      const results = index.search(queryEmbedding, nResults, {
+        filter: where ? item => matchesWhere(item.metadata, where) : undefined,
+      });
+
+      return {
+        ids: [results.map(r => r.payload.id)],
+        documents: [results.map(r => r.payload.document)],
+        metadatas: [results.map(r => r.payload.metadata)],
+        distances: [results.map(r => r.distance)]
+      };
+    }
+  };
+}
+
+/**
+ * Keeps a BM25 index in step with a collection's items. Like the HNSW index it
+ * is built on the first keyword query and maintained on add/remove afterwards.
+ * @returns {Object}
+ */
+export function createKeywordIndex() {
+  let index = null;
+
+  const addItem = (item) => {
+    const metadata = item.metadata || {};
+    index.add(item.id, {
+      text: `${metadata.path || ''}\n${item.document || ''}`,
+      boostText: metadata.name,
+    }, item);
+  };
+
+  return {
+    reset() {
+      index = null;
+    },
+    add(items) {
+      if (!index) return;
+      items.forEach(addItem);
+    },
+    remove(ids) {
+      if (!index) return;
+      for (const id of ids) {
+        index.remove(id);
+      }
+    },
+    query(items, queryText, nResults, where) {
+      if (!index) {
+        index = new Bm25Index();
+        items.forEach(addItem);
+      }
+
+      const results = index.search(queryText, nResults, {
+        filter: where ? item => matchesWhere(item.metadata, where) : undefined,
+      });
+
+      return {
+        ids: [results.map(r => r.payload.id)],
+        documents: [results.map(r => r.payload.document)],
+        metadatas: [results.map(r => r.payload.metadata)],
+        scores: [results.map(r => r.score)]
+      };
+    }
+  };
+}
+
+/**
+ * Keyword search for backends that have no lexical index of their own: the
+ * collection's documents are mirrored into a local BM25 index, which is
+ * reloaded after local writes or when the stored count no longer matches.
+ * Adapters keep one mirror per collection name across getCollection calls.
+ * @returns {Object}
+ */
+export function createMirroredKeywordIndex() {
+  const keywordIndex = createKeywordIndex();
+  let items = null;
+
+  return {
+    invalidate() {
+      items = null;
+      keywordIndex.reset();
+    },
+    async query(collection, queryText, nResults, where) {
+      const count = await collection.count();
+
+      if (!items || items.length !== count) {
+        const { ids, documents, metadatas } = await collection.get({ include: ['documents', 'metadatas'] });
+        items = ids.map((id, i) => ({ id, document: documents[i], metadata: metadatas[i] }));
+        keywordIndex.reset();
+      }
+
+      return keywordIndex.query(items, queryText, nResults, where);
+    }
+  };
+}
+
+/**
+ * @param {Array<Object>} items
+ * @param {Array<string>} [include]
+ * @returns {Object} Chroma-shaped get response
+ */
+export function toGetResponse(items, include = ['documents', 'metadatas']) {
+  return {
+    ids: items.map(item => item.id),
+    documents: include.includes('documents') ? items.map(item => item.document) : [],
+    metadatas: include.includes('metadatas') ? items.map(item => item.metadata) : [],
+    embeddings: include.includes('embeddings') ? items.map(item => item.embedding) : [],
+  };
+}
+
+/**
+ * @param {Object} records
+ * @returns {Array<Object>}
+ */
+export function recordsToItems({ ids, embeddings, documents, metadatas }) {
+  return ids.map((id, i) => ({
+    id,
+    embedding: embeddings[i],
+    document: documents[i],
+    metadata: metadatas[i]
+  }));
+}
+
+/**
+ * @param {string} name
+ * @param {Object} metadata
+ * @returns {Object}
+ */
+function createMemoryCollection(name, metadata) {
+  return {
+    name,
+    metadata,
+    data: [],
+    searchIndex: createSearchIndex(),
+    keywordIndex: createKeywordIndex(),
+    add: async function(records) {
+      const items = recordsToItems(records);
+      this.data.push(...items);
+      this.searchIndex.add(items);
+      this.keywordIndex.add(items);
+      console.log(`Added ${records.ids.length} items to collection ${this.name}, total: ${this.data.length}`);
+    },
+    upsert: async function(records) {
+      const items = recordsToItems(records);
+      const ids = new Set(items.map(item => item.id));
+
+      this.data = this.data.filter(item => !ids.has(item.id));
+      this.data.push(...items);
+      this.searchIndex.remove(ids);
+      this.searchIndex.add(items);
+      this.keywordIndex.remove(ids);
+      this.keywordIndex.add(items);
+
+      console.log(`Upserted ${items.length} items in collection ${this.name}, total: ${this.data.length}`);
+    },
+    query: async function({ queryEmbeddings, nResults, where }) {
+      console.log(`Querying collection ${this.name} with ${this.data.length} items`);
+      return this.searchIndex.query(this.data, queryEmbeddings[0], nResults, where);
+    },
+    keywordQuery: async function({ queryText, nResults, where }) {
+      return this.keywordIndex.query(this.data, queryText, nResults, where);
+    },
+    get: async function({ ids, where, include } = {}) {
+      return toGetResponse(selectItems(this.data, { ids, where }), include);
+    },
+    delete: async function({ ids, where } = {}) {
+      const removed = selectItems(this.data, { ids, where });
+      const removedIds = new Set(removed.map(item => item.id));
+
+      this.data = this.data.filter(item => !removedIds.has(item.id));
+      this.searchIndex.remove(removedIds);
+      this.keywordIndex.remove(removedIds);
+
+      console.log(`Deleted ${removed.length} items from collection ${this.name}, total: ${this.data.length}`);
+      return removed.length;
+    },
+    count: async function() {
+      return this.data.length;
+    },
+    modify: async function({ metadata: updates }) {
+      this.metadata = { ...this.metadata, ...updates };
+      return this.metadata;
+    }
+  };
+}
+
+/**
+ * @returns {Object}
+ */
+export function createMemoryStore() {
+  const collections = {};
+
+  return {
+    name: 'memory',
+    getCollection: async function(name, { metadata = {} } = {}) {
+      if (!collections[name]) {
+        console.log(`Creating new in-memory collection ${name}`);
+        collections[name] = createMemoryCollection(name, metadata);
+      }
+      return collections[name];
+    },
+    deleteCollection: async function(name) {
+      delete collections[name];
+    }
+  };
+}
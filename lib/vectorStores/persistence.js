@@ -0,0 +1,442 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+
+const STORE_DIR = process.env.VECTOR_STORE_DIR || path.join(process.cwd(), '.devinsight', 'vectors');
+
+// Bump when the manifest or segment layout changes incompatibly
+const FORMAT_VERSION = 2;
+// Version 1 segments hold no tombstones and are read as they are
+const READABLE_FORMAT_VERSIONS = [1, FORMAT_VERSION];
+
+const MAX_SEGMENTS = 32;
+// Superseded and deleted entries are only dropped from disk once they outnumber the live ones
+const MIN_DEAD_ITEMS = 1000;
+const LOCK_TIMEOUT = 30000;
+const STALE_LOCK_AGE = 120000;
+
+
+global.vectorStoreLocks = global.vectorStoreLocks || new Map();
+// Live ids of each collection at a manifest version, so writes need not read the segments
+global.vectorStoreIds = global.vectorStoreIds || new Map();
+
+/**
+ * @param {string} collectionName
+ * @returns {string}
+ */
+function getCollectionDir(collectionName) {
+  return path.join(STORE_DIR, collectionName);
+}
+
+/**
+ * Writes through a temp file and rename so readers never see a partial file.
+ * @param {string} filePath
+ * @param {string|Buffer} contents
+ */
+export async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempPath, contents);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * @param {Array<number>} embedding
+ * @returns {string} base64 of the float32 values
+ */
+export function encodeEmbedding(embedding) {
+  return Buffer.from(new Float32Array(embedding).buffer).toString('base64');
+}
+
+/**
+ * @param {string} encoded
+ * @returns {Array<number>}
+ */
+export function decodeEmbedding(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  return Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4));
+}
+
+/**
+ * @param {Array<Object>} records items, and `{ id, deleted: true }` tombstones
+ * @returns {string}
+ */
+function serializeSegment(records) {
+  return records.map(record => JSON.stringify(record.deleted ? { id: record.id, deleted: true } : {
+    id: record.id,
+    embedding: encodeEmbedding(record.embedding),
+    document: record.document,
+    metadata: record.metadata,
+  })).join('\n');
+}
+
+/**
+ * @param {string} contents
+ * @returns {Array<Object>}
+ */
+function parseSegment(contents) {
+  return contents
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const record = JSON.parse(line);
+      if (!record.deleted) {
+        record.embedding = decodeEmbedding(record.embedding);
+      }
+      return record;
+    });
+}
+
+/**
+ * Replays segment records in order: a later record for an id replaces the
+ * earlier one and a tombstone removes it.
+ * @param {Map<string, Object>} itemsById
+ * @param {Array<Object>} records
+ */
+function applyRecords(itemsById, records) {
+  for (const record of records) {
+    itemsById.delete(record.id);
+    if (!record.deleted) {
+      itemsById.set(record.id, record);
+    }
+  }
+}
+
+/**
+ * @param {string} collectionName
+ * @returns {Promise<Object|null>}
+ */
+export async function readManifest(collectionName) {
+  try {
+    const contents = await fs.readFile(path.join(getCollectionDir(collectionName), 'manifest.json'), 'utf-8');
+    const manifest = JSON.parse(contents);
+
+    if (!READABLE_FORMAT_VERSIONS.includes(manifest.formatVersion)) {
+      console.warn(`Ignoring collection ${collectionName} stored with format version ${manifest.formatVersion}`);
+      return null;
+    }
+
+    return manifest;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * @param {string} collectionName
+ * @param {Object} manifest
+ */
+async function writeManifest(collectionName, manifest) {
+  manifest.formatVersion = FORMAT_VERSION;
+  await writeFileAtomic(
+    path.join(getCollectionDir(collectionName), 'manifest.json'),
+    JSON.stringify(manifest, null, 2)
+  );
+}
+
+/**
+ * Loads a collection's manifest and all of its items from disk.
+ * @param {string} collectionName
+ * @returns {Promise<Object|null>} `{ manifest, items }`, or null if nothing is stored
+ */
+export async function loadCollection(collectionName) {
+  const manifest = await readManifest(collectionName);
+
+  if (!manifest) {
+    return null;
+  }
+
+  const itemsById = await readItems(collectionName, manifest);
+  return { manifest, items: [...itemsById.values()] };
+}
+
+/**
+ * @param {string} collectionName
+ * @param {Object} manifest
+ * @returns {Promise<Map<string, Object>>} the live items of the manifest's segments
+ */
+async function readItems(collectionName, manifest) {
+  const itemsById = new Map();
+
+  for (const segment of manifest.segments) {
+    const contents = await fs.readFile(path.join(getCollectionDir(collectionName), segment), 'utf-8');
+    applyRecords(itemsById, parseSegment(contents));
+  }
+
+  global.vectorStoreIds.set(collectionName, { version: manifest.version, ids: new Set(itemsById.keys()) });
+  return itemsById;
+}
+
+/**
+ * @param {string} collectionName
+ * @param {Object} manifest
+ * @returns {Promise<Set<string>>}
+ */
+async function getLiveIds(collectionName, manifest) {
+  const cached = global.vectorStoreIds.get(collectionName);
+
+  if (cached && cached.version === manifest.version) {
+    return cached.ids;
+  }
+
+  if (manifest.segments.length === 0) {
+    return new Set();
+  }
+
+  return new Set((await readItems(collectionName, manifest)).keys());
+}
+
+/**
+ * Serializes writers to one collection, both within this process (promise
+ * chain) and across processes (exclusive lock file).
+ * @param {string} collectionName
+ * @param {Function} fn
+ * @returns {Promise<*>}
+ */
+async function withCollectionLock(collectionName, fn) {
+  const previous = global.vectorStoreLocks.get(collectionName) || Promise.resolve();
+
+  const run = previous.catch(() => {}).then(async () => {
+    await fs.mkdir(getCollectionDir(collectionName), { recursive: true });
+
+    const lockPath = path.join(getCollectionDir(collectionName), 'write.lock');
+    await acquireLockFile(lockPath);
+
+    try {
+      return await fn();
+    } finally {
+      await fs.rm(lockPath, { force: true });
+    }
+  });
+
+  global.vectorStoreLocks.set(collectionName, run);
+
+  try {
+    return await run;
+  } finally {
+    if (global.vectorStoreLocks.get(collectionName) === run) {
+      global.vectorStoreLocks.delete(collectionName);
+    }
+  }
+}
+
+/**
+ * @param {string} lockPath
+ */
+async function acquireLockFile(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT;
+
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_AGE) {
+        console.warn(`Removing stale vector store lock ${lockPath}`);
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for vector store lock ${lockPath}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+}
+
+/**
+ * @param {string} collectionName
+ * @param {Object} metadata
+ * @returns {Object}
+ */
+function createManifest(collectionName, metadata) {
+  return {
+    formatVersion: FORMAT_VERSION,
+    name: collectionName,
+    version: 0,
+    metadata,
+    nextSegment: 1,
+    segments: [],
+    deadItems: 0,
+  };
+}
+
+/**
+ * @param {string} collectionName
+ * @param {Object} manifest
+ * @param {Array<Object>} records
+ * @returns {Promise<string>} segment file name
+ */
+async function writeSegment(collectionName, manifest, records) {
+  const segmentName = `segment-${String(manifest.nextSegment).padStart(6, '0')}.jsonl`;
+  manifest.nextSegment++;
+
+  await writeFileAtomic(path.join(getCollectionDir(collectionName), segmentName), serializeSegment(records));
+  return segmentName;
+}
+
+/**
+ * Rewrites all items into a single segment and drops the old segment files.
+ * @param {string} collectionName
+ * @param {Object} manifest
+ * @param {Array<Object>} items
+ */
+async function compact(collectionName, manifest, items) {
+  const oldSegments = manifest.segments;
+  const segmentName = await writeSegment(collectionName, manifest, items);
+
+  manifest.segments = items.length > 0 ? [segmentName] : [];
+  manifest.deadItems = 0;
+  manifest.version++;
+  await writeManifest(collectionName, manifest);
+  global.vectorStoreIds.set(collectionName, { version: manifest.version, ids: new Set(items.map(item => item.id)) });
+
+  const staleSegments = items.length > 0 ? oldSegments : [...oldSegments, segmentName];
+  await Promise.all(staleSegments.map(segment =>
+    fs.rm(path.join(getCollectionDir(collectionName), segment), { force: true })
+  ));
+}
+
+/**
+ * Appends items and tombstones as a new segment, or compacts when there are
+ * too many segments or too many dead entries.
+ * @param {string} collectionName
+ * @param {Object} manifest
+ * @param {Array<Object>} records
+ * @param {Set<string>} liveIds ids stored before `records`
+ */
+async function appendSegment(collectionName, manifest, records, liveIds) {
+  const nextIds = new Set(liveIds);
+  let deadItems = manifest.deadItems || 0;
+
+  for (const record of records) {
+    // The entry a record replaces stays on disk until compaction, and so does a tombstone
+    if (nextIds.has(record.id)) deadItems++;
+    if (record.deleted) {
+      deadItems++;
+      nextIds.delete(record.id);
+    } else {
+      nextIds.add(record.id);
+    }
+  }
+
+  if (manifest.segments.length >= MAX_SEGMENTS || deadItems > Math.max(MIN_DEAD_ITEMS, nextIds.size)) {
+    const itemsById = await readItems(collectionName, manifest);
+    applyRecords(itemsById, records);
+    await compact(collectionName, manifest, [...itemsById.values()]);
+    return;
+  }
+
+  const segmentName = await writeSegment(collectionName, manifest, records);
+  manifest.segments.push(segmentName);
+  manifest.deadItems = deadItems;
+  manifest.version++;
+  await writeManifest(collectionName, manifest);
+  global.vectorStoreIds.set(collectionName, { version: manifest.version, ids: nextIds });
+}
+
+/**
+ * Appends items to a collection as a new immutable segment.
+ * @param {string} collectionName
+ * @param {Array<Object>} items
+ * @param {Object} [metadata] used when the collection does not exist yet
+ * @returns {Promise<Object>} the updated manifest
+ */
+export async function appendItems(collectionName, items, metadata = {}) {
+  return withCollectionLock(collectionName, async () => {
+    const manifest = await readManifest(collectionName) || createManifest(collectionName, metadata);
+    await appendSegment(collectionName, manifest, items, await getLiveIds(collectionName, manifest));
+    return manifest;
+  });
+}
+
+/**
+ * Stores items, replacing any stored item with the same id. The replacements
+ * are appended like new items; the entries they replace are dropped from disk
+ * at the next compaction.
+ * @param {string} collectionName
+ * @param {Array<Object>} items
+ * @param {Object} [metadata] used when the collection does not exist yet
+ * @returns {Promise<Object>} `{ manifest, replaced }`
+ */
+export async function upsertItems(collectionName, items, metadata = {}) {
+  return withCollectionLock(collectionName, async () => {
+    const manifest = await readManifest(collectionName) || createManifest(collectionName, metadata);
+    const liveIds = await getLiveIds(collectionName, manifest);
+    const replaced = new Set(items.filter(item => liveIds.has(item.id)).map(item => item.id)).size;
+
+    await appendSegment(collectionName, manifest, items, liveIds);
+
+    return { manifest, replaced };
+  });
+}
+
+/**
+ * Removes items by appending tombstones for them.
+ * @param {string} collectionName
+ * @param {Iterable<string>} ids
+ * @returns {Promise<Object|null>} `{ manifest, removed }`, or null if nothing is stored
+ */
+export async function removeItems(collectionName, ids) {
+  return withCollectionLock(collectionName, async () => {
+    const manifest = await readManifest(collectionName);
+
+    if (!manifest) {
+      return null;
+    }
+
+    const liveIds = await getLiveIds(collectionName, manifest);
+    const tombstones = [...new Set(ids)].filter(id => liveIds.has(id)).map(id => ({ id, deleted: true }));
+
+    if (tombstones.length > 0) {
+      await appendSegment(collectionName, manifest, tombstones, liveIds);
+    }
+
+    return { manifest, removed: tombstones.length };
+  });
+}
+
+/**
+ * @param {string} collectionName
+ * @param {Object} metadata merged into the stored metadata
+ * @returns {Promise<Object>} the updated manifest
+ */
+export async function writeMetadata(collectionName, metadata) {
+  return withCollectionLock(collectionName, async () => {
+    const manifest = await readManifest(collectionName) || createManifest(collectionName, {});
+
+    manifest.metadata = { ...manifest.metadata, ...metadata };
+    manifest.version++;
+    await writeManifest(collectionName, manifest);
+
+    return manifest;
+  });
+}
+
+/**
+ * @param {string} collectionName
+ * @returns {Promise<void>}
+ */
+export async function removeCollection(collectionName) {
+  await withCollectionLock(collectionName, async () => {
+    const dir = getCollectionDir(collectionName);
+    const entries = await fs.readdir(dir).catch(() => []);
+
+    // Leave the lock file for withCollectionLock to release
+    await Promise.all(entries
+      .filter(entry => entry !== 'write.lock')
+      .map(entry => fs.rm(path.join(dir, entry), { recursive: true, force: true })));
+    global.vectorStoreIds.delete(collectionName);
+  });
+}
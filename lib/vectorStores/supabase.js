@@ -0,0 +1,265 @@
+import { createClient } from '@supabase/supabase-js';
+import { createMirroredKeywordIndex } from './memory';
+import { globToRegExp } from '../utils';
+
+/**
+ * Adapter for Postgres/pgvector hosted on Supabase, configured through
+ * SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY. The expected tables and the
+ * match function are defined in supabase.sql next to this file.
+ */
+
+
+const COLLECTIONS_TABLE = 'devinsight_collections';
+const CHUNKS_TABLE = 'devinsight_chunks';
+const MATCH_FUNCTION = 'match_devinsight_chunks';
+const DIMENSION_FUNCTION = 'devinsight_embedding_dimension';
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Splits a `where` clause into plain equalities (sent to Postgres as jsonb
+ * containment), glob patterns (sent as POSIX regular expressions) and the
+ * lists of values a key must (`$in`) or must not (`$nin`, `$ne`) take, as text.
+ * @param {Object} [where]
+ * @returns {Object}
+ */
+function splitWhere(where = {}) {
+  const equalities = {};
+  const patterns = {};
+  const includes = {};
+  const excludes = {};
+
+  for (const [key, condition] of Object.entries(where)) {
+    if (condition !== null && typeof condition === 'object') {
+      if ('$eq' in condition) {
+        equalities[key] = condition.$eq;
+      } else if ('$glob' in condition) {
+        patterns[key] = [].concat(condition.$glob).map(glob => globToRegExp(glob).source).join('|');
+      } else if ('$in' in condition) {
+        includes[key] = condition.$in.map(String);
+      } else if ('$nin' in condition) {
+        excludes[key] = condition.$nin.map(String);
+      } else if ('$ne' in condition) {
+        excludes[key] = [String(condition.$ne)];
+      } else {
+        throw new Error(`Unsupported filter on "${key}" for the Supabase vector store`);
+      }
+    } else {
+      equalities[key] = condition;
+    }
+  }
+
+  return { equalities, patterns, includes, excludes };
+}
+
+/**
+ * @param {Object} query PostgREST filter builder
+ * @param {Object} [where]
+ * @returns {Object}
+ */
+function applyWhere(query, where) {
+  const { equalities, patterns, includes, excludes } = splitWhere(where);
+
+  if (Object.keys(equalities).length > 0) {
+    query = query.contains('metadata', equalities);
+  }
+
+  for (const [key, pattern] of Object.entries(patterns)) {
+    query = query.filter(`metadata->>${key}`, 'match', pattern);
+  }
+
+  for (const [key, values] of Object.entries(includes)) {
+    query = query.in(`metadata->>${key}`, values);
+  }
+
+  for (const [key, values] of Object.entries(excludes)) {
+    const quoted = values.map(value => `"${value.replace(/"/g, '\\"')}"`);
+    query = query.not(`metadata->>${key}`, 'in', `(${quoted.join(',')})`);
+  }
+
+  return query;
+}
+
+/**
+ * @param {Object} result
+ * @param {string} action
+ * @returns {*}
+ */
+function unwrap({ data, error, count }, action) {
+  if (error) {
+    throw new Error(`Failed to ${action}: ${error.message}`);
+  }
+  return count !== undefined && count !== null ? count : data;
+}
+
+/**
+ * @param {Object} supabase
+ * @param {string} name
+ * @param {Object} metadata
+ * @param {Object} keywordIndex mirror from createMirroredKeywordIndex
+ * @param {(embedding: Array<number>) => Promise<void>} assertDimension
+ * @returns {Object}
+ */
+function createSupabaseCollection(supabase, name, metadata, keywordIndex, assertDimension) {
+  return {
+    name,
+    metadata,
+    keywordIndex,
+    add: async function({ ids, embeddings, documents, metadatas }) {
+      await assertDimension(embeddings[0]);
+
+      const rows = ids.map((id, i) => ({
+        collection: name,
+        id,
+        embedding: embeddings[i],
+        document: documents[i],
+        metadata: metadatas[i] || {},
+      }));
+
+      unwrap(await supabase.from(CHUNKS_TABLE).upsert(rows), 'store chunks');
+      this.keywordIndex.invalidate();
+    },
+    upsert: async function(records) {
+      // add already upserts on (collection, id)
+      return this.add(records);
+    },
+    query: async function({ queryEmbeddings, nResults, where }) {
+      await assertDimension(queryEmbeddings[0]);
+
+      const { equalities, patterns, includes, excludes } = splitWhere(where);
+
+      const matches = unwrap(await supabase.rpc(MATCH_FUNCTION, {
+        collection_name: name,
+        query_embedding: queryEmbeddings[0],
+        match_count: nResults,
+        filter: equalities,
+        patterns,
+        includes,
+        excludes,
+      }), 'query chunks');
+
+      return {
+        ids: [matches.map(row => row.id)],
+        documents: [matches.map(row => row.document)],
+        metadatas: [matches.map(row => row.metadata)],
+        distances: [matches.map(row => row.distance)],
+      };
+    },
+    keywordQuery: async function({ queryText, nResults, where }) {
+      return this.keywordIndex.query(this, queryText, nResults, where);
+    },
+    get: async function({ ids, where, include = ['documents', 'metadatas'] } = {}) {
+      const columns = ['id']
+        .concat(include.includes('documents') ? ['document'] : [])
+        .concat(include.includes('metadatas') ? ['metadata'] : [])
+        .concat(include.includes('embeddings') ? ['embedding'] : []);
+
+      const rows = [];
+
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        let query = supabase.from(CHUNKS_TABLE).select(columns.join(',')).eq('collection', name);
+
+        if (ids) {
+          query = query.in('id', ids);
+        }
+
+        const page = unwrap(await applyWhere(query, where).order('id').range(offset, offset + PAGE_SIZE - 1), 'read chunks');
+        rows.push(...page);
+
+        if (page.length < PAGE_SIZE) break;
+      }
+
+      return {
+        ids: rows.map(row => row.id),
+        documents: include.includes('documents') ? rows.map(row => row.document) : [],
+        metadatas: include.includes('metadatas') ? rows.map(row => row.metadata) : [],
+        // pgvector values come back in their text form, e.g. "[0.1,0.2]"
+        embeddings: include.includes('embeddings') ? rows.map(row => JSON.parse(row.embedding)) : [],
+      };
+    },
+    delete: async function({ ids, where } = {}) {
+      let query = supabase.from(CHUNKS_TABLE).delete({ count: 'exact' }).eq('collection', name);
+
+      if (ids) {
+        query = query.in('id', ids);
+      }
+
+      const removed = unwrap(await applyWhere(query, where), 'delete chunks') || 0;
+      this.keywordIndex.invalidate();
+      return removed;
+    },
+    count: async function() {
+      return unwrap(await supabase
+        .from(CHUNKS_TABLE)
+        .select('id', { count: 'exact', head: true })
+        .eq('collection', name), 'count chunks') || 0;
+    },
+    modify: async function({ metadata: updates }) {
+      const metadata = { ...this.metadata, ...updates };
+
+      unwrap(await supabase
+        .from(COLLECTIONS_TABLE)
+        .update({ metadata })
+        .eq('name', name), 'update collection metadata');
+
+      this.metadata = metadata;
+      return this.metadata;
+    }
+  };
+}
+
+/**
+ * @returns {Object}
+ */
+export function createSupabaseStore() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for the Supabase vector store');
+  }
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false },
+  });
+
+  // pgvector's own error only says which dimension it expected
+  let columnDimension = null;
+  const assertDimension = async (embedding) => {
+    columnDimension = columnDimension || unwrap(await supabase.rpc(DIMENSION_FUNCTION), 'read the embedding dimension');
+
+    if (embedding && columnDimension > 0 && embedding.length !== columnDimension) {
+      throw new Error(`${CHUNKS_TABLE} stores ${columnDimension}-dimensional embeddings, but the embedding model produces ${embedding.length}. Recreate it with vector(${embedding.length}) as described in lib/vectorStores/supabase.sql.`);
+    }
+  };
+
+  const keywordIndexes = {};
+  const keywordIndexFor = (name) => {
+    keywordIndexes[name] = keywordIndexes[name] || createMirroredKeywordIndex();
+    return keywordIndexes[name];
+  };
+
+  return {
+    name: 'supabase',
+    getCollection: async function(name, { metadata = {} } = {}) {
+      const existing = unwrap(await supabase
+        .from(COLLECTIONS_TABLE)
+        .select('metadata')
+        .eq('name', name)
+        .maybeSingle(), 'load collection');
+
+      if (existing) {
+        return createSupabaseCollection(supabase, name, existing.metadata, keywordIndexFor(name), assertDimension);
+      }
+
+      unwrap(await supabase
+        .from(COLLECTIONS_TABLE)
+        .upsert({ name, metadata }, { onConflict: 'name', ignoreDuplicates: true }), 'create collection');
+
+      return createSupabaseCollection(supabase, name, metadata, keywordIndexFor(name), assertDimension);
+    },
+    deleteCollection: async function(name) {
+      delete keywordIndexes[name];
+
+      // Chunks are removed by the foreign key's ON DELETE CASCADE
+      unwrap(await supabase.from(COLLECTIONS_TABLE).delete().eq('name', name), 'delete collection');
+    }
+  };
+}
@@ -0,0 +1,85 @@
+-- Schema for the Supabase/pgvector vector store (VECTOR_STORE=supabase).
+-- Run once in the Supabase SQL editor. The dimension of the embedding column
+-- must match the embedding model: 384 for sentence-transformers/all-MiniLM-L6-v2,
+-- 1536 for OpenAI's text-embedding-3-small unless OPENAI_EMBEDDING_DIMENSIONS
+-- shortens it. The table has to be recreated to change it.
+-- Requires pgvector 0.8.0 or later, for iterative HNSW index scans.
+
+create extension if not exists vector;
+
+create table if not exists devinsight_collections (
+  name text primary key,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists devinsight_chunks (
+  collection text not null references devinsight_collections(name) on delete cascade,
+  id text not null,
+  embedding vector(384) not null,
+  document text,
+  metadata jsonb not null default '{}'::jsonb,
+  primary key (collection, id)
+);
+
+-- One index serves every collection. A search walks it in distance order and
+-- drops other collections' chunks afterwards, so match_devinsight_chunks scans
+-- iteratively until it has enough rows of its own collection.
+create index if not exists devinsight_chunks_embedding_idx
+  on devinsight_chunks using hnsw (embedding vector_cosine_ops);
+
+create index if not exists devinsight_chunks_path_idx
+  on devinsight_chunks (collection, (metadata->>'path'));
+
+-- Cosine-distance search restricted to one collection. `filter` is matched
+-- with jsonb containment, so it carries equality conditions only; `patterns`
+-- maps metadata keys to regular expressions their values must match;
+-- `includes` and `excludes` map them to lists of values they must or must not
+-- be one of (a chunk without the key is never included, nor excluded).
+drop function if exists match_devinsight_chunks(text, vector, int, jsonb);
+drop function if exists match_devinsight_chunks(text, vector, int, jsonb, jsonb);
+
+create or replace function match_devinsight_chunks(
+  collection_name text,
+  query_embedding vector,
+  match_count int,
+  filter jsonb default '{}'::jsonb,
+  patterns jsonb default '{}'::jsonb,
+  includes jsonb default '{}'::jsonb,
+  excludes jsonb default '{}'::jsonb
+)
+returns table (id text, document text, metadata jsonb, distance float)
+language sql stable
+-- The default of 40 candidates leaves too few once other collections' are dropped
+set hnsw.ef_search = 200
+-- Keeps scanning the index past the candidates the filters rejected
+set hnsw.iterative_scan = strict_order
+as $$
+  select c.id, c.document, c.metadata, c.embedding <=> query_embedding as distance
+  from devinsight_chunks c
+  where c.collection = collection_name
+    and c.metadata @> filter
+    and not exists (
+      select 1 from jsonb_each_text(patterns) p
+      where coalesce(c.metadata->>p.key, '') !~ p.value
+    )
+    and not exists (
+      select 1 from jsonb_each(includes) i
+      where not coalesce(c.metadata->>i.key in (select jsonb_array_elements_text(i.value)), false)
+    )
+    and not exists (
+      select 1 from jsonb_each(excludes) e
+      where c.metadata->>e.key in (select jsonb_array_elements_text(e.value))
+    )
+  order by c.embedding <=> query_embedding
+  limit match_count;
+$$;
+
+-- Lets the app check its embeddings against the column before storing any
+create or replace function devinsight_embedding_dimension()
+returns int
+language sql stable
+as $$
+  select atttypmod from pg_attribute
+  where attrelid = 'devinsight_chunks'::regclass and attname = 'embedding';
+$$;
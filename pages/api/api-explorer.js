@@ -1,6 +1,15 @@
 import { getAllFiles, getFileContent } from '../../lib/github';
-import { querySimilarChunks, getCollection } from '../../lib/chromadb';
+import { querySimilarChunks, getCollection, getIndexedFilePaths, EmbeddingModelMismatchError } from '../../lib/chromadb';
 import { generateEmbedding } from '../../lib/embeddings';
+import { parseRepositoryId } from '../../lib/utils';
+
+const API_FILE_GLOBS = [
+  '**/api/**',
+  '**/*controller*',
+  '**/*controller*/**',
+  '**/*routes*',
+  '**/*routes*/**',
+];
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -14,12 +23,12 @@ export default async function handler(req, res) {
   }
   
   try {
-    const [owner, repo] = repoId.split('/');
+    const { owner, repo } = parseRepositoryId(repoId);
     
     // Check if we have code data for this repository
     try {
       const collection = await getCollection(repoId);
-      if (!collection.data || collection.data.length === 0) {
+      if ((await collection.count()) === 0) {
         return res.status(200).json({
           apiRoot: "/api",
           endpoints: [],
@@ -37,23 +46,9 @@ export default async function handler(req, res) {
     // Generate embedding for API-related content
     const apiQuery = await generateEmbedding("API endpoint route handler request response");
     
-    // Get chunks related to API endpoints
-    const apiChunks = await querySimilarChunks(repoId, apiQuery, 50);
-    
-    if (!apiChunks || apiChunks.length === 0) {
-      return res.status(200).json({
-        apiRoot: "/api",
-        endpoints: [],
-        message: "Unable to analyze API endpoints in this repository."
-      });
-    }
-    
-    // Filter chunks to focus on API files (Next.js convention: pages/api/*)
-    const apiFileChunks = apiChunks.filter(chunk => 
-      chunk.metadata && 
-      chunk.metadata.path && 
-      (chunk.metadata.path.includes('/api/') || chunk.metadata.path.includes('controller') || chunk.metadata.path.includes('routes'))
-    );
+    // Get chunks from API files only (Next.js pages/api, controllers, route modules);
+    // when there are none, the fallback below still looks for handler files by path
+    const apiFileChunks = await querySimilarChunks(repoId, apiQuery, 50, { path: API_FILE_GLOBS });
     
     // Group chunks by file
     const fileChunks = {};
@@ -85,19 +80,14 @@ export default async function handler(req, res) {
       const endpoint = extractEndpointInfo(path, fileContent);
       
       if (endpoint) {
-        endpoints.push(endpoint);
+        endpoints.push({ ...endpoint, ...getHandlerLines(chunks) });
       }
     }
     
     // Handle case when no endpoints are found
     if (endpoints.length === 0) {
       // Try to find API-like files that might have been missed
-      const allFilePaths = Object.keys(collection.data.reduce((acc, item) => {
-        if (item.metadata && item.metadata.path) {
-          acc[item.metadata.path] = true;
-        }
-        return acc;
-      }, {}));
+      const allFilePaths = await getIndexedFilePaths(repoId);
       
       const potentialApiFiles = allFilePaths.filter(path => 
         path.includes('/api/') || 
@@ -126,6 +116,10 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('Error analyzing API endpoints:', error);
     
+    if (error instanceof EmbeddingModelMismatchError) {
+      return res.status(409).json({ error: error.message, reindexRequired: true });
+    }
+    
     return res.status(500).json({
       error: 'Failed to analyze API endpoints',
       message: error.message,
@@ -133,6 +127,27 @@ export default async function handler(req, res) {
   }
 }
 
+/**
+ * Line range of the route handler, preferring the exported function chunks
+ * over the rest of the file
+ * @param {Array<Object>} chunks - Chunks of one API file
+ * @returns {Object} - `{ startLine, endLine }`, empty without line metadata
+ */
+function getHandlerLines(chunks) {
+  const withLines = chunks.filter(chunk => chunk.metadata.startLine);
+  const handlers = withLines.filter(chunk => chunk.metadata.exported && chunk.metadata.symbolKind === 'function');
+  const selected = handlers.length > 0 ? handlers : withLines;
+  
+  if (selected.length === 0) {
+    return {};
+  }
+  
+  return {
+    startLine: Math.min(...selected.map(chunk => chunk.metadata.startLine)),
+    endLine: Math.max(...selected.map(chunk => chunk.metadata.endLine))
+  };
+}
+
 /**
  * Extract API endpoint information from file content
  * @param {string} path - File path
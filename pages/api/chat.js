@@ -1,14 +1,17 @@
-import { generateEmbedding } from '../../lib/embeddings';
-import { querySimilarChunks, getCollection } from '../../lib/chromadb';
+import { getCollection, buildChunkWhere, EmbeddingModelMismatchError } from '../../lib/chromadb';
+import { searchChunks } from '../../lib/search';
 import { queryGroq } from '../../lib/groq';
-import { getRepositoryInfo } from '../../lib/github';
+import { getRepositorySource } from '../../lib/sourceProviders';
+import { findMentionedSymbols } from '../../lib/symbolIndex';
+import { isLocalRepositoryId, getLocalRepositoryInfo } from '../../lib/localRepository';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
-  const { question, repoId, enhancedContext } = req.body;
+  // `filter` scopes retrieval, e.g. { path: 'src/api', language: 'typescript' }
+  const { question, repoId, enhancedContext, filter } = req.body;
   
   if (!question) {
     return res.status(400).json({ error: 'Question is required' });
@@ -18,18 +21,23 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'Repository ID is required' });
   }
   
+  let isScoped;
+  try {
+    isScoped = Boolean(buildChunkWhere(filter));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
   try {
     console.log(`Processing chat for repository: ${repoId}, question: "${question}"`);
     
-    
-    const [owner, repo] = repoId.split('/');
-    
   
     try {
       const collection = await getCollection(repoId);
-      console.log(`Found collection for ${repoId} with ${collection.data?.length || 0} items`);
+      const itemCount = await collection.count();
+      console.log(`Found collection for ${repoId} with ${itemCount} items`);
       
-      if (!collection.data || collection.data.length === 0) {
+      if (itemCount === 0) {
         return res.status(200).json({
           answer: "I don't have any code data for this repository yet. Try processing the repository again or ask a general question that doesn't require specific code context.",
           chunkCount: 0
@@ -46,42 +54,78 @@ export default async function handler(req, res) {
   
     const isCodeGenerationRequest = /write|create|generate|implement|develop|code|fix|improve|add functionality|refactor/i.test(question);
     
-   
-    console.log('Generating embedding for question...');
-    const questionEmbedding = await generateEmbedding(question);
-    
     
     const chunksToRetrieve = isCodeGenerationRequest || enhancedContext ? 12 : 5;
     
     
-    console.log(`Querying for similar chunks (${chunksToRetrieve} max)...`);
-    const similarChunks = await querySimilarChunks(repoId, questionEmbedding, chunksToRetrieve);
+    // Hybrid retrieval so questions naming exact identifiers still find them
+    console.log(`Searching for relevant chunks (${chunksToRetrieve} max)...`);
+    const similarChunks = await searchChunks(repoId, question, { topK: chunksToRetrieve, filter });
     
     console.log(`Found ${similarChunks.length} similar chunks`);
     
     if (similarChunks.length === 0) {
       return res.status(200).json({
-        answer: "I couldn't find relevant code in the repository to answer your question. Could you please rephrase or ask about another aspect of the codebase?",
+        answer: isScoped
+          ? "I couldn't find any indexed code matching the selected scope. Try widening the scope or clearing it."
+          : "I couldn't find relevant code in the repository to answer your question. Could you please rephrase or ask about another aspect of the codebase?",
         chunkCount: 0
       });
     }
     
     
     console.log('Getting repository information...');
-    const repoInfo = await getRepositoryInfo(owner, repo);
+    let repoInfo;
+    if (isLocalRepositoryId(repoId)) {
+      repoInfo = getLocalRepositoryInfo(repoId);
+    } else {
+      const { provider, owner, repo, ref } = getRepositorySource(repoId);
+      repoInfo = { ...await provider.getRepositoryInfo(owner, repo), provider: provider.name, ref };
+    }
     
    
     console.log('Querying LLM with context...');
     const answer = await queryGroq(question, similarChunks, repoInfo);
     
+    // Identifiers named in the question, so the answer can link to where they are defined
+    const definitions = await findMentionedSymbols(repoId, question).catch(error => {
+      console.error('Error looking up mentioned symbols:', error);
+      return [];
+    });
+    
     console.log('Successfully generated answer');
     return res.status(200).json({
       answer,
-      chunkCount: similarChunks.length
+      chunkCount: similarChunks.length,
+      // Chunk ids are content-addressed, so they stay valid until the code itself changes
+      sources: similarChunks.map(chunk => ({
+        id: chunk.id,
+        path: chunk.metadata.path,
+        name: chunk.metadata.name,
+        symbolKind: chunk.metadata.symbolKind,
+        startLine: chunk.metadata.startLine,
+        endLine: chunk.metadata.endLine,
+        cellIndex: chunk.metadata.cellIndex
+      })),
+      definitions: definitions.map(definition => ({
+        name: definition.qualifiedName,
+        symbolKind: definition.symbolKind,
+        path: definition.path,
+        startLine: definition.startLine,
+        endLine: definition.endLine
+      }))
     });
   } catch (error) {
     console.error('Error processing chat message:', error);
     
+    if (error instanceof EmbeddingModelMismatchError) {
+      return res.status(409).json({
+        answer: error.message,
+        reindexRequired: true,
+        chunkCount: 0
+      });
+    }
+    
     return res.status(500).json({
       answer: `I encountered an error while processing your question: ${error.message}. Please try again or ask a different question.`,
       error: true,
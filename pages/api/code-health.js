@@ -1,27 +1,35 @@
 import { getAllFiles, getFileContent } from '../../lib/github';
-import { querySimilarChunks, getCollection } from '../../lib/chromadb';
+import { querySimilarChunks, getCollection, getIndexedFilePaths, buildChunkWhere, EmbeddingModelMismatchError } from '../../lib/chromadb';
 import { generateEmbedding } from '../../lib/embeddings';
 import { createCodeAnalysisEngine, detectCodebaseType } from '../../lib/rules';
+import { combineFileChunks, parseRepositoryId } from '../../lib/utils';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
-  const { repoId } = req.body;
+  // `filter` optionally narrows the analysis, e.g. { path: 'src/components' }
+  const { repoId, filter } = req.body;
   
   if (!repoId) {
     return res.status(400).json({ error: 'Repository ID is required' });
   }
   
   try {
-    const [owner, repo] = repoId.split('/');
+    buildChunkWhere(filter);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const { owner, repo } = parseRepositoryId(repoId);
     
     // Check if we have code data for this repository
     let collection;
     try {
       collection = await getCollection(repoId);
-      if (!collection.data || collection.data.length === 0) {
+      if ((await collection.count()) === 0) {
         return res.status(200).json({
           summary: {
             score: 0,
@@ -43,26 +51,32 @@ export default async function handler(req, res) {
     }
     
     // Get all file paths from the collection
-    const filePaths = [...new Set(collection.data.map(item => 
-      item.metadata && item.metadata.path ? item.metadata.path : ''
-    ))].filter(Boolean);
+    const filePaths = await getIndexedFilePaths(repoId);
     
     // Detect codebase type to configure the analysis engine appropriately
     const codebaseType = detectCodebaseType(filePaths);
     console.log('Detected codebase type:', codebaseType);
     
+    const includeJsRules = ['JavaScript', 'TypeScript', 'React'].includes(codebaseType.primaryLanguage);
+    
     // Initialize the code analysis engine with appropriate rules
     const analysisEngine = createCodeAnalysisEngine({
       includeReactRules: codebaseType.hasReact,
-      includeJsRules: ['JavaScript', 'TypeScript', 'React'].includes(codebaseType.primaryLanguage),
+      includeJsRules,
       includeTodoRules: codebaseType.hasTodo
     });
     
     // Analyze code quality by retrieving code chunks
     const codeQuery = await generateEmbedding("function class component code quality best practices");
     
+    // Only rank chunks the rules can say something about
+    const chunkFilter = { ...filter, chunkType: 'code' };
+    if (includeJsRules) {
+      chunkFilter.language = ['javascript', 'typescript'];
+    }
+    
     // Get chunks related to code
-    const codeChunks = await querySimilarChunks(repoId, codeQuery, 50);
+    const codeChunks = await querySimilarChunks(repoId, codeQuery, 50, chunkFilter);
     
     if (!codeChunks || codeChunks.length === 0) {
       return res.status(200).json({
@@ -97,8 +111,9 @@ export default async function handler(req, res) {
     
     // Process each file's chunks
     for (const [path, chunks] of Object.entries(fileChunks)) {
-      // Combine chunks for full file analysis
-      const fileContent = chunks.map(chunk => chunk.content).join('\n\n');
+      // Combine chunks for full file analysis; rule line numbers refer to the
+      // combined text and are mapped back to lines of the file
+      const { content: fileContent, toFileLine } = combineFileChunks(chunks);
       fileCounts[path] = { issues: 0 };
       
       // Analyze the file using the code analysis engine
@@ -107,6 +122,8 @@ export default async function handler(req, res) {
       // Process and add issues
       if (fileIssues && fileIssues.length > 0) {
         fileIssues.forEach(issue => {
+          const fileLine = toFileLine(issue.lineNumber);
+          
           // Add additional metadata to the issue
           issues.push({
             id: issue.id,
@@ -114,8 +131,9 @@ export default async function handler(req, res) {
             description: issue.description,
             severity: issue.severity,
             category: issue.category,
-            location: issue.location,
-            lineNumber: issue.lineNumber,
+            location: fileLine && issue.location === path ? `${path}:${fileLine}` : issue.location,
+            path,
+            lineNumber: fileLine,
             suggestion: issue.suggestion,
             codeSnippet: issue.codeSnippet || extractCodeSnippet(fileContent, issue.lineNumber),
             fixable: issue.fixable || true,
@@ -260,6 +278,10 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('Error analyzing code health:', error);
     
+    if (error instanceof EmbeddingModelMismatchError) {
+      return res.status(409).json({ error: error.message, reindexRequired: true });
+    }
+    
     return res.status(500).json({
       error: 'Failed to analyze code health',
       message: error.message,
@@ -1,6 +1,7 @@
 import { getAllFiles, getFileContent } from '../../lib/github';
 import { querySimilarChunks, getCollection } from '../../lib/chromadb';
 import { generateEmbedding } from '../../lib/embeddings';
+import { parseRepositoryId } from '../../lib/utils';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -14,12 +15,12 @@ export default async function handler(req, res) {
   }
   
   try {
-    const [owner, repo] = repoId.split('/');
+    const { owner, repo } = parseRepositoryId(repoId);
     
     // Check if we have code data for this repository
     try {
       const collection = await getCollection(repoId);
-      if (!collection.data || collection.data.length === 0) {
+      if ((await collection.count()) === 0) {
         return res.status(200).json({
           nodes: [],
           links: [],
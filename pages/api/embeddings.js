@@ -1,7 +1,12 @@
 import { generateEmbedding } from '../../lib/embeddings';
+import { getEmbeddingCacheStats } from '../../lib/embeddingCache';
 
 
 export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json({ cache: await getEmbeddingCacheStats() });
+  }
+  
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
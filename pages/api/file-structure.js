@@ -1,4 +1,7 @@
-import { getAllFiles } from '../../lib/github';
+import { getRepositorySource } from '../../lib/sourceProviders';
+import { getIndexedFilePaths } from '../../lib/chromadb';
+import { isLocalRepositoryId } from '../../lib/localRepository';
+import { parseRepositoryId } from '../../lib/utils';
 
 
 export default async function handler(req, res) {
@@ -14,10 +17,13 @@ export default async function handler(req, res) {
   
   try {
     
-    const [owner, repo] = repoId.split('/');
+    const { owner, repo, ref } = parseRepositoryId(repoId);
     
     
-    const files = await getAllFiles(owner, repo);
+    // Local and uploaded repositories only exist as what was indexed from them
+    const files = isLocalRepositoryId(repoId)
+      ? (await getIndexedFilePaths(repoId)).map(path => ({ path, type: 'file' }))
+      : await getRepositorySource(repoId).provider.listFiles(owner, repo, ref);
     
     if (files.length === 0) {
       return res.status(404).json({ 
@@ -1,8 +1,9 @@
-import { Octokit } from 'octokit';
-import { getRepositoryInfo, getAllFiles, getFileContent } from '../../lib/github';
+import { parseRepositoryUrl, getRepositorySource } from '../../lib/sourceProviders';
 import { generateEmbedding } from '../../lib/embeddings';
-import { querySimilarChunks, getCollection } from '../../lib/chromadb';
-import { getRepositoryId } from '../../lib/utils';
+import { querySimilarChunks, getChunksByPath, getCollection, EmbeddingModelMismatchError } from '../../lib/chromadb';
+import { getRepositoryId, parseRepositoryId } from '../../lib/utils';
+import { isLocalRepositoryId, getLocalRepositoryInfo } from '../../lib/localRepository';
+import { MODEL, MAX_TOKENS, loadModelTokenizer, getContextBudget, formatContextFromChunks } from '../../lib/groq';
 import { Groq } from 'groq-sdk';
 
 
@@ -11,15 +12,6 @@ const groq = new Groq({
 });
 
 
-const octokit = new Octokit({
-  auth: process.env.GITHUB_TOKEN,
-});
-
-
-const MODEL = 'llama3-8b-8192';
-const MAX_TOKENS = 4096;
-
-
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -28,20 +20,24 @@ export default async function handler(req, res) {
   console.log("Request body:", JSON.stringify(req.body));
   
   
-  let owner, repo;
+  let owner, repo, ref, host;
   
-  if (req.body.url) {
+  if (req.body.repoId) {
     
     try {
-      const url = new URL(req.body.url);
-      const pathParts = url.pathname.split('/').filter(Boolean);
-      if (pathParts.length >= 2) {
-        owner = pathParts[0];
-        repo = pathParts[1];
-      }
+      ({ owner, repo, ref, host } = parseRepositoryId(req.body.repoId));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  } else if (req.body.url) {
+    
+    try {
+      let provider;
+      ({ provider, owner, repo } = parseRepositoryUrl(req.body.url));
+      host = provider.host;
     } catch (error) {
       console.error("Error parsing URL:", error);
-      return res.status(400).json({ error: 'Invalid GitHub URL' });
+      return res.status(400).json({ error: error.message });
     }
   } else if (req.body.owner && req.body.repo) {
     
@@ -62,10 +58,10 @@ export default async function handler(req, res) {
   }
   
   try {
-    const repoId = getRepositoryId(owner, repo);
+    const repoId = getRepositoryId(owner, repo, ref, host);
     
     
-    const repoInfo = await getRepositoryInfo(owner, repo);
+    const repoInfo = isLocalRepositoryId(repoId) ? getLocalRepositoryInfo(repoId) : await getRepositorySource(repoId).provider.getRepositoryInfo(owner, repo);
     console.log("Repository info retrieved:", repoInfo.name);
     
     
@@ -121,36 +117,26 @@ export default async function handler(req, res) {
         let framework = '';
         
         try {
-          const packageJsonFiles = await octokit.rest.search.code({
-            q: `filename:package.json repo:${owner}/${repo}`,
-          });
+          // package.json is indexed with the rest of the repository
+          const packageJsonChunks = await getChunksByPath(repoId, 'package.json');
           
-          if (packageJsonFiles.data.items.length > 0) {
-            const packageJsonUrl = packageJsonFiles.data.items[0].html_url.replace('github.com', 'raw.githubusercontent.com').replace('/blob/', '/');
-            const packageJsonContent = await fetch(packageJsonUrl).then(r => r.json()).catch(() => null);
+          if (packageJsonChunks.length > 0) {
+            const allDeps = new Set(getPackageDependencies(packageJsonChunks));
             
-            if (packageJsonContent) {
-              
-              const allDeps = {
-                ...(packageJsonContent.dependencies || {}),
-                ...(packageJsonContent.devDependencies || {})
-              };
-              
-              dependencies = Object.keys(allDeps).slice(0, 10);
-              
-             
-              if (allDeps.react) framework = 'React';
-              else if (allDeps.vue) framework = 'Vue.js';
-              else if (allDeps.angular) framework = 'Angular';
-              else if (allDeps.next) framework = 'Next.js';
-              else if (allDeps.nuxt) framework = 'Nuxt.js';
-              else if (allDeps.express) framework = 'Express.js';
-              else if (allDeps.koa) framework = 'Koa.js';
-              else if (allDeps['@nestjs/core']) framework = 'NestJS';
-            }
+            dependencies = [...allDeps].slice(0, 10);
+            
+           
+            if (allDeps.has('react')) framework = 'React';
+            else if (allDeps.has('vue')) framework = 'Vue.js';
+            else if (allDeps.has('angular')) framework = 'Angular';
+            else if (allDeps.has('next')) framework = 'Next.js';
+            else if (allDeps.has('nuxt')) framework = 'Nuxt.js';
+            else if (allDeps.has('express')) framework = 'Express.js';
+            else if (allDeps.has('koa')) framework = 'Koa.js';
+            else if (allDeps.has('@nestjs/core')) framework = 'NestJS';
           }
         } catch (error) {
-          console.error('Error fetching package.json:', error);
+          console.error('Error reading package.json:', error);
          
         }
         
@@ -219,6 +205,10 @@ export default async function handler(req, res) {
           }
         };
       } catch (error) {
+        if (error instanceof EmbeddingModelMismatchError) {
+          throw error;
+        }
+        
         console.error("Error generating real documentation:", error);
       
         documentation = generateMockDocumentation(repoInfo);
@@ -244,9 +234,13 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('Error generating documentation:', error);
     
+    if (error instanceof EmbeddingModelMismatchError) {
+      return res.status(409).json({ error: error.message, reindexRequired: true });
+    }
     
     try {
-      const basicRepoInfo = await getRepositoryInfo(owner, repo);
+      const repoId = getRepositoryId(owner, repo, ref, host);
+      const basicRepoInfo = isLocalRepositoryId(repoId) ? getLocalRepositoryInfo(repoId) : await getRepositorySource(repoId).provider.getRepositoryInfo(owner, repo);
       console.log("Returning basic repository info without documentation");
       
       const basicDocumentation = {
@@ -276,6 +270,39 @@ export default async function handler(req, res) {
   }
 }
 
+/**
+ * Reads dependency names out of the indexed chunks of package.json. The file
+ * may be split across chunks, but every chunk repeats the lines that open the
+ * keys it sits under, so each one can be read on its own.
+ * @param {Array<Object>} chunks
+ * @returns {Array<string>} names from dependencies and devDependencies, in file order
+ */
+function getPackageDependencies(chunks) {
+  const names = [];
+  
+  for (const chunk of chunks) {
+    const keys = [];
+    
+    for (const line of chunk.content.split('\n')) {
+      const member = line.match(/^\s*"((?:[^"\\]|\\.)*)"\s*:/);
+      const code = line.replace(/"(?:[^"\\]|\\.)*"/g, '""');
+      const depth = (code.match(/[{[]/g) || []).length - (code.match(/[}\]]/g) || []).length;
+      
+      if (member && ['dependencies', 'devDependencies'].includes(keys[keys.length - 1])) {
+        names.push(member[1]);
+      }
+      
+      if (depth > 0) {
+        keys.push(member ? member[1] : null, ...Array(depth - 1).fill(null));
+      } else if (depth < 0) {
+        keys.splice(depth);
+      }
+    }
+  }
+  
+  return [...new Set(names)];
+}
+
 /**
 
  * @param {string} title 
@@ -290,18 +317,7 @@ async function generateDocSection(title, prompt, chunks, repoInfo) {
       return `# ${title}\n\nNo relevant code found for this section.`;
     }
     
-    
-    let context = '';
-    
-    chunks.forEach((chunk, index) => {
-      const { content, metadata } = chunk;
-      const filePath = metadata?.path || 'Unknown file';
-      const chunkName = metadata?.name || 'Unnamed section';
-      
-      context += `\n\n--- FILE: ${filePath} ---\n`;
-      context += `--- SECTION: ${chunkName} ---\n`;
-      context += `${content}\n`;
-    });
+    const tokenizer = await loadModelTokenizer();
     
     
     const systemPrompt = `You are a professional technical documentation writer specializing in software development. 
@@ -318,7 +334,7 @@ Your documentation should:
 5. Focus on the most important aspects rather than exhaustively covering everything`;
     
    
-    const userPrompt = `I need you to write the "${title}" section of the documentation for the ${repoInfo.name} repository.
+    const buildUserPrompt = (context) => `I need you to write the "${title}" section of the documentation for the ${repoInfo.name} repository.
 
 ${prompt}
 
@@ -327,6 +343,9 @@ ${context}
 
 Write a comprehensive, well-structured documentation section using Markdown formatting. Include code examples where appropriate. Focus on the most important information that developers would need to know.`;
     
+    const budget = getContextBudget(tokenizer, [systemPrompt, buildUserPrompt('')]);
+    const userPrompt = buildUserPrompt(formatContextFromChunks(chunks, tokenizer, budget));
+    
     
     const response = await groq.chat.completions.create({
       model: MODEL,
@@ -0,0 +1,27 @@
+import { getJob, cancelJob } from '../../../../lib/jobs';
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+  
+  if (req.method === 'GET') {
+    const job = getJob(id);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    return res.status(200).json({ job });
+  }
+  
+  if (req.method === 'DELETE') {
+    const job = cancelJob(id);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    return res.status(200).json({ job });
+  }
+  
+  return res.status(405).json({ error: 'Method not allowed' });
+}
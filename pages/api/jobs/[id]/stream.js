@@ -0,0 +1,63 @@
+import { getJob, subscribeToJob, isJobFinished } from '../../../../lib/jobs';
+
+
+const HEARTBEAT_INTERVAL = 15000;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const { id } = req.query;
+  const job = getJob(id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  
+  const send = (eventName, data) => {
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  
+  send('snapshot', { job });
+  
+  if (isJobFinished(job)) {
+    send('done', { job });
+    return res.end();
+  }
+  
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+  
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  
+  const unsubscribe = subscribeToJob(id, (event) => {
+    send(event.type, event);
+    
+    if (isJobFinished(event.job)) {
+      send('done', { job: event.job });
+      close();
+      res.end();
+    }
+  });
+  
+  req.on('close', close);
+}
+
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
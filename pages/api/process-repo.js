@@ -1,15 +1,50 @@
-import { parseGitHubUrl, getRepositoryInfo, getAllFiles, getFileContent } from '../../lib/github';
-import { chunkCodeFile } from '../../lib/chunker';
-import { batchProcessEmbeddings } from '../../lib/embeddings';
-import { deleteRepositoryData, addChunksToVectorStore, getCollection } from '../../lib/chromadb';
+import { parseRepositoryUrl, resolveRef } from '../../lib/sourceProviders';
+import { indexRepository, indexLocalRepository } from '../../lib/indexer';
+import { enqueueJob } from '../../lib/jobs';
 import { getRepositoryId } from '../../lib/utils';
+import { ArchiveTooLargeError } from '../../lib/archive';
+import {
+  resolveLocalDirectory,
+  readUploadedArchive,
+  getLocalRepositoryInfo,
+  LocalPathNotAllowedError,
+} from '../../lib/localRepository';
 
+// Uploaded archives are streamed straight into the extractor
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+const MAX_JSON_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Accepts a GitHub, GitLab, Bitbucket or Gitea URL (`{ url, ref?, force? }`), a directory on the server
+ * (`{ path }`), or an uploaded .zip, .tar or .tar.gz archive sent as the raw
+ * request body with its name in the `filename` query parameter.
+ */
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
-  const { url } = req.body;
+  if (!(req.headers['content-type'] || '').includes('application/json')) {
+    return processUpload(req, res);
+  }
+  
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  if (body.path) {
+    return processLocalDirectory(body.path, res);
+  }
+  
+  const { url, ref: requestedRef, force = false } = body;
   
   if (!url) {
     return res.status(400).json({ error: 'Repository URL is required' });
@@ -19,90 +54,44 @@ export default async function handler(req, res) {
     console.log(`Processing repository: ${url}`);
     
     
-    const { owner, repo } = parseGitHubUrl(url);
-    const repoId = getRepositoryId(owner, repo);
-    
-    console.log(`Repository ID: ${repoId}`);
-    
-    
-    const repoInfo = await getRepositoryInfo(owner, repo);
-    
+    const { provider, owner, repo, ref: urlRef } = parseRepositoryUrl(url);
     
-    await deleteRepositoryData(repoId);
     
+    const repoInfo = await provider.getRepositoryInfo(owner, repo);
     
-    console.log(`Fetching files from ${owner}/${repo}...`);
-    const files = await getAllFiles(owner, repo);
-    
-    console.log(`Found ${files.length} files in the repository`);
-    
-    if (files.length === 0) {
-      return res.status(400).json({ 
-        error: 'No supported code files found in the repository' 
-      });
-    }
-    
-    
-    console.log(`Processing ${files.length} files...`);
-    
-    
-    const MAX_FILES = 40;
-    const limitedFiles = files.slice(0, MAX_FILES);
+    // An explicit ref wins over one in the URL; without either the default branch is indexed
+    const { ref, commitSha } = await resolveRef(provider, owner, repo, requestedRef?.trim() || urlRef || repoInfo.defaultBranch);
+    const repoId = getRepositoryId(owner, repo, ref === repoInfo.defaultBranch ? null : ref, provider.host);
+    const repository = { ...repoInfo, provider: provider.name, host: provider.host, ref, commitSha, repoId };
     
+    console.log(`Repository ID: ${repoId}`);
     
-    const MAX_FILES_PER_BATCH = 20;
-    let allChunks = [];
     
-   
-    for (let i = 0; i < limitedFiles.length; i += MAX_FILES_PER_BATCH) {
-      const fileBatch = limitedFiles.slice(i, i + MAX_FILES_PER_BATCH);
-      const processedFiles = [];
-      
-      console.log(`Processing batch ${i/MAX_FILES_PER_BATCH + 1}/${Math.ceil(limitedFiles.length/MAX_FILES_PER_BATCH)}...`);
-      
+    const job = enqueueJob('index-repository', { repoId }, async (context) => {
+      const stats = await indexRepository({
+        provider,
+        owner,
+        repo,
+        repoId,
+        ref,
+        force: Boolean(force),
+      }, context);
       
-      for (const file of fileBatch) {
-        try {
-          
-          const content = await getFileContent(file.downloadUrl);
-          
-          if (content) {
-           
-            const chunks = chunkCodeFile(content, file.path);
-            processedFiles.push(...chunks);
-          }
-        } catch (error) {
-          console.error(`Error processing file ${file.path}:`, error);
-        
-        }
-      }
-      
-     
-      if (processedFiles.length > 0) {
-        const embeddedChunks = await batchProcessEmbeddings(processedFiles);
-        allChunks.push(...embeddedChunks);
-      }
-    }
-    
-    if (allChunks.length === 0) {
-      return res.status(400).json({
-        error: 'Failed to generate any code chunks from the repository'
-      });
-    }
-    
-    
-    await addChunksToVectorStore(repoId, allChunks);
-    
+      return {
+        repository,
+        ...stats,
+      };
+    });
     
-    const collection = await getCollection(repoId);
-    console.log(`Verification: Collection has ${collection.data?.length || 0} items`);
+    console.log(`Queued indexing job ${job.id} for ${repoId}`);
     
-  
-    return res.status(200).json({
+    return res.status(202).json({
       success: true,
-      repository: repoInfo,
-      processedFiles: limitedFiles.length,
-      processedChunks: allChunks.length,
+      jobId: job.id,
+      repoId,
+      repository,
+      statusUrl: `/api/jobs/${job.id}`,
+      streamUrl: `/api/jobs/${job.id}/stream`,
     });
   } catch (error) {
     console.error('Error processing repository:', error);
@@ -112,4 +101,102 @@ export default async function handler(req, res) {
       message: error.message,
     });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * @param {Object} req
+ * @returns {Promise<Object>}
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_JSON_BODY_BYTES) {
+      throw new Error('Request body is too large');
+    }
+    chunks.push(chunk);
+  }
+  
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf-8') || '{}');
+  } catch (error) {
+    throw new Error(`Invalid JSON body: ${error.message}`);
+  }
+}
+
+/**
+ * @param {Object} res
+ * @param {string} repoId
+ * @param {Object} params passed on to indexLocalRepository
+ */
+function queueLocalIndexing(res, repoId, params) {
+  const repository = getLocalRepositoryInfo(repoId);
+  
+  const job = enqueueJob('index-repository', { repoId }, async (context) => {
+    const stats = await indexLocalRepository({ repoId, ...params }, context);
+    
+    return {
+      repository,
+      ...stats,
+    };
+  });
+  
+  console.log(`Queued indexing job ${job.id} for ${repoId}`);
+  
+  return res.status(202).json({
+    success: true,
+    jobId: job.id,
+    repoId,
+    repository,
+    statusUrl: `/api/jobs/${job.id}`,
+    streamUrl: `/api/jobs/${job.id}/stream`,
+  });
+}
+
+/**
+ * @param {string} localPath
+ * @param {Object} res
+ */
+async function processLocalDirectory(localPath, res) {
+  try {
+    console.log(`Processing local directory: ${localPath}`);
+    const { directory, repoId } = await resolveLocalDirectory(String(localPath));
+    
+    return queueLocalIndexing(res, repoId, { directory });
+  } catch (error) {
+    console.error('Error processing local directory:', error);
+    
+    return res.status(error instanceof LocalPathNotAllowedError ? 403 : 400).json({
+      error: 'Failed to process directory',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * @param {Object} req
+ * @param {Object} res
+ */
+async function processUpload(req, res) {
+  const { filename } = req.query;
+  
+  if (!filename) {
+    return res.status(400).json({ error: 'Archive filename is required' });
+  }
+  
+  try {
+    console.log(`Processing uploaded archive: ${filename}`);
+    const { repoId, files } = await readUploadedArchive(req, filename);
+    
+    return queueLocalIndexing(res, repoId, { files });
+  } catch (error) {
+    console.error('Error processing uploaded archive:', error);
+    
+    return res.status(error instanceof ArchiveTooLargeError ? 413 : 400).json({
+      error: 'Failed to process archive',
+      message: error.message,
+    });
+  }
+}
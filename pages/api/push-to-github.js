@@ -1,4 +1,13 @@
-import GitHubPushService from '../../lib/githubPush';
+import CodePushService from '../../lib/codePush';
+import { getRepositorySource } from '../../lib/sourceProviders';
+import { isLocalRepositoryId } from '../../lib/localRepository';
+import { getProviderLabel } from '../../lib/utils';
+
+/**
+ * Pushes code to a new branch of the repository `repoId` and opens a pull or
+ * merge request for it. With `probe: true` only the file path the code would
+ * go to is worked out and returned as `suggestedPath`.
+ */
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -6,38 +15,48 @@ export default async function handler(req, res) {
   }
 
   const {
-    owner,
-    repo,
+    repoId,
     path,
     targetPath,
     content,
     message,
     description,
     fileContext,
-    language
+    language,
+    probe = false
   } = req.body;
 
 
-  if (!owner || !repo || !content) {
+  if (!repoId || !content) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields: repoId and content are required'
+    });
+  }
+
+  if (isLocalRepositoryId(repoId)) {
     return res.status(400).json({
       success: false,
-      error: 'Missing required fields: owner, repo, and content are required'
+      error: 'Local directories and uploaded archives have no code host to push to'
     });
   }
 
+  let providerLabel = 'GitHub';
+
   try {
   
-    const githubToken = process.env.GITHUB_TOKEN;
+    const { provider, owner, repo } = getRepositorySource(repoId);
+    providerLabel = getProviderLabel(provider.name);
     
-    if (!githubToken) {
+    if (!process.env[provider.tokenVariable]) {
       return res.status(500).json({
         success: false,
-        error: 'GitHub token not configured on the server'
+        error: `${providerLabel} token not configured on the server (${provider.tokenVariable})`
       });
     }
 
 
-    const githubService = new GitHubPushService(githubToken);
+    const pushService = new CodePushService(provider);
     
   
     const timestamp = new Date().getTime();
@@ -55,7 +74,7 @@ export default async function handler(req, res) {
      
       else if (fileContext) {
   
-        filePath = await githubService.findFilePath(owner, repo, fileContext);
+        filePath = await pushService.findFilePath(owner, repo, fileContext);
         
      
         if (!filePath) {
@@ -64,7 +83,7 @@ export default async function handler(req, res) {
             ? fileContext 
             : `${fileContext}.${getExtensionFromLanguage(language)}`;
             
-          filePath = await githubService.suggestFilePath(
+          filePath = await pushService.suggestFilePath(
             owner, 
             repo, 
             filename, 
@@ -76,7 +95,7 @@ export default async function handler(req, res) {
       else {
         const extension = getExtensionFromLanguage(language);
         const filename = `devinsight-${timestamp}.${extension}`;
-        filePath = await githubService.suggestFilePath(
+        filePath = await pushService.suggestFilePath(
           owner, 
           repo, 
           filename, 
@@ -92,6 +111,13 @@ export default async function handler(req, res) {
       });
     }
     
+    if (probe) {
+      return res.status(200).json({
+        success: true,
+        suggestedPath: filePath
+      });
+    }
+    
 
     const commitMessage = message || `Update ${filePath} via DevInsight`;
     
@@ -105,7 +131,7 @@ export default async function handler(req, res) {
       `Please review this code before merging.`;
 
    
-    const result = await githubService.pushCodeWithPR({
+    const result = await pushService.pushCodeWithPR({
       owner,
       repo,
       path: filePath,
@@ -130,11 +156,11 @@ export default async function handler(req, res) {
       });
     }
   } catch (error) {
-    console.error('Error pushing to GitHub:', error);
+    console.error(`Error pushing to ${providerLabel}:`, error);
     
     return res.status(500).json({
       success: false,
-      error: `Failed to push to GitHub: ${error.message}`
+      error: `Failed to push to ${providerLabel}: ${error.message}`
     });
   }
 }
@@ -0,0 +1,75 @@
+import { getCollection, buildChunkWhere, EmbeddingModelMismatchError } from '../../lib/chromadb';
+import { searchChunks, SEARCH_MODES } from '../../lib/search';
+import { getChunkSpan } from '../../lib/utils';
+
+const DEFAULT_RESULTS = 10;
+const MAX_RESULTS = 50;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { repoId, query, filter, mode = 'hybrid', topK = DEFAULT_RESULTS } = req.body;
+
+  if (!repoId) {
+    return res.status(400).json({ error: 'Repository ID is required' });
+  }
+
+  if (!query || !query.trim()) {
+    return res.status(400).json({ error: 'Search query is required' });
+  }
+
+  if (!SEARCH_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Search mode must be one of: ${SEARCH_MODES.join(', ')}` });
+  }
+
+  try {
+    buildChunkWhere(filter);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const collection = await getCollection(repoId);
+
+    if ((await collection.count()) === 0) {
+      return res.status(200).json({
+        results: [],
+        message: "No repository data available for search. Please process the repository first."
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(topK, 10) || DEFAULT_RESULTS, 1), MAX_RESULTS);
+    const chunks = await searchChunks(repoId, query.trim(), { topK: limit, filter, mode });
+
+    return res.status(200).json({
+      mode,
+      results: chunks.map(chunk => ({
+        id: chunk.id,
+        path: chunk.metadata.path,
+        name: chunk.metadata.name,
+        language: chunk.metadata.language,
+        kind: chunk.metadata.kind,
+        symbolKind: chunk.metadata.symbolKind,
+        startLine: chunk.metadata.startLine,
+        endLine: chunk.metadata.endLine,
+        cellIndex: chunk.metadata.cellIndex,
+        content: getChunkSpan(chunk),
+        score: chunk.score,
+        ranks: chunk.ranks
+      }))
+    });
+  } catch (error) {
+    console.error('Error searching repository:', error);
+
+    if (error instanceof EmbeddingModelMismatchError) {
+      return res.status(409).json({ error: error.message, reindexRequired: true });
+    }
+
+    return res.status(500).json({
+      error: 'Failed to search repository',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,38 @@
+import { findDefinitions } from '../../../lib/symbolIndex';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // `path` is the file the name appears in; its own definitions and imports rank first
+  const { repoId, name, path } = req.body;
+
+  if (!repoId) {
+    return res.status(400).json({ error: 'Repository ID is required' });
+  }
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Symbol name is required' });
+  }
+
+  try {
+    const definitions = await findDefinitions(repoId, name.trim(), { path });
+
+    if (!definitions) {
+      return res.status(200).json({
+        definitions: [],
+        message: "No symbol index available for this repository. Please process the repository first."
+      });
+    }
+
+    return res.status(200).json({ name: name.trim(), definitions });
+  } catch (error) {
+    console.error('Error finding definitions:', error);
+
+    return res.status(500).json({
+      error: 'Failed to find definitions',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,62 @@
+import { searchSymbols, getFileSymbols, hasSymbolIndex } from '../../../lib/symbolIndex';
+import { SYMBOL_KINDS } from '../../../lib/chunker';
+
+const MAX_RESULTS = 100;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Without a query, `path` names a file whose outline is returned
+  const { repoId, query, path, kind, exported, limit } = req.body;
+
+  if (!repoId) {
+    return res.status(400).json({ error: 'Repository ID is required' });
+  }
+
+  if (!(query && query.trim()) && !path) {
+    return res.status(400).json({ error: 'A search query or a file path is required' });
+  }
+
+  const invalidKind = [].concat(kind || []).find(value => !SYMBOL_KINDS.includes(value));
+  if (invalidKind) {
+    return res.status(400).json({ error: `Symbol kind must be one of: ${SYMBOL_KINDS.join(', ')}` });
+  }
+
+  try {
+    if (!(await hasSymbolIndex(repoId))) {
+      return res.status(200).json({
+        symbols: [],
+        message: "No symbol index available for this repository. Please process the repository first."
+      });
+    }
+
+    if (!(query && query.trim())) {
+      const symbols = await getFileSymbols(repoId, path);
+
+      if (!symbols) {
+        return res.status(404).json({ error: `No symbols indexed for ${path}` });
+      }
+
+      const { references, ...outline } = symbols;
+      return res.status(200).json({ path, ...outline });
+    }
+
+    const symbols = await searchSymbols(repoId, query, {
+      kind,
+      path,
+      exported: Boolean(exported),
+      limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_RESULTS),
+    });
+
+    return res.status(200).json({ symbols });
+  } catch (error) {
+    console.error('Error searching symbols:', error);
+
+    return res.status(500).json({
+      error: 'Failed to search symbols',
+      message: error.message,
+    });
+  }
+}
@@ -0,0 +1,44 @@
+import { findReferences } from '../../../lib/symbolIndex';
+
+const MAX_REFERENCES = 2000;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // `path` is the file defining the symbol, to tell it apart from others of the same name
+  const { repoId, name, path, limit } = req.body;
+
+  if (!repoId) {
+    return res.status(400).json({ error: 'Repository ID is required' });
+  }
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Symbol name is required' });
+  }
+
+  try {
+    const result = await findReferences(repoId, name.trim(), {
+      path,
+      ...(limit && { limit: Math.min(Math.max(parseInt(limit, 10) || 1, 1), MAX_REFERENCES) }),
+    });
+
+    if (!result) {
+      return res.status(200).json({
+        references: [],
+        total: 0,
+        message: "No symbol index available for this repository. Please process the repository first."
+      });
+    }
+
+    return res.status(200).json({ name: name.trim(), ...result });
+  } catch (error) {
+    console.error('Error finding references:', error);
+
+    return res.status(500).json({
+      error: 'Failed to find references',
+      message: error.message,
+    });
+  }
+}
@@ -8,6 +8,8 @@ import LoadingState from '../components/LoadingState';
 import DependencyMap from '../components/DependencyMap';
 import CodeHealth from '../components/CodeHealth';
 import ApiExplorer from '../components/ApiExplorer';
+import { showToast, TOAST_TYPES } from '../lib/toast';
+import { formatRef } from '../lib/utils';
 
 export default function Home() {
   const [isProcessing, setIsProcessing] = useState(false);
@@ -15,6 +17,9 @@ export default function Home() {
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('chat');
   const [chatPrompt, setChatPrompt] = useState('');
+  const [activeJobId, setActiveJobId] = useState(null);
+  const [jobProgress, setJobProgress] = useState(null);
+  const jobStreamRef = useRef(null);
   
   // State for caching tab content
   const [fileStructureLoaded, setFileStructureLoaded] = useState(false);
@@ -80,18 +85,84 @@ export default function Home() {
     setActiveTab('chat');
   };
   
-  const handleProcessRepository = async (url) => {
+  // Follow an indexing job over its event stream until it finishes
+  const watchIndexingJob = (jobId) => {
+    return new Promise((resolve, reject) => {
+      const eventSource = new EventSource(`/api/jobs/${jobId}/stream`);
+      jobStreamRef.current = eventSource;
+      
+      const handleJobEvent = (event) => {
+        const { job } = JSON.parse(event.data);
+        setJobProgress(job.progress);
+      };
+      
+      eventSource.addEventListener('snapshot', handleJobEvent);
+      eventSource.addEventListener('progress', handleJobEvent);
+      eventSource.addEventListener('status', handleJobEvent);
+      
+      eventSource.addEventListener('done', (event) => {
+        const { job } = JSON.parse(event.data);
+        eventSource.close();
+        jobStreamRef.current = null;
+        
+        if (job.status === 'completed') {
+          resolve(job.result);
+        } else if (job.status === 'cancelled') {
+          reject(new Error('Repository processing was cancelled'));
+        } else {
+          reject(new Error(job.error || 'Failed to process repository'));
+        }
+      });
+      
+      eventSource.onerror = () => {
+        // EventSource reconnects on its own; only give up once the stream is closed
+        if (eventSource.readyState === EventSource.CLOSED) {
+          jobStreamRef.current = null;
+          reject(new Error('Lost connection to the processing job'));
+        }
+      };
+    });
+  };
+  
+  const handleCancelProcessing = async () => {
+    if (!activeJobId) return;
+    
+    try {
+      await fetch(`/api/jobs/${activeJobId}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+    }
+  };
+  
+  // Close any open job stream when the page unmounts
+  useEffect(() => {
+    return () => {
+      jobStreamRef.current?.close();
+    };
+  }, []);
+  
+  // `source` is `{ url, ref }` for a code host, `{ path }` for a server directory or `{ file }` for an archive
+  const handleProcessRepository = async (source) => {
     setError(null);
     setIsProcessing(true);
+    setJobProgress(null);
     
     try {
-      const response = await fetch('/api/process-repo', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ url }),
-      });
+      const response = source.file
+        ? await fetch(`/api/process-repo?filename=${encodeURIComponent(source.file.name)}`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/octet-stream',
+            },
+            body: source.file,
+          })
+        : await fetch('/api/process-repo', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(source),
+          });
       
       const data = await response.json();
       
@@ -99,6 +170,9 @@ export default function Home() {
         throw new Error(data.message || data.error || 'Failed to process repository');
       }
       
+      setActiveJobId(data.jobId);
+      const result = await watchIndexingJob(data.jobId);
+      
       // Reset state for new repository
       setFileStructureLoaded(false);
       setDocumentationLoaded(false);
@@ -112,12 +186,19 @@ export default function Home() {
       setApiExplorerData(null);
       setChatPrompt('');
       
-      setRepository(data.repository);
+      setRepository(result.repository);
+      
+      if (result.failedChunks && result.failedChunks.length > 0) {
+        const failedFiles = new Set(result.failedChunks.map(chunk => chunk.path)).size;
+        showToast(`${result.failedChunks.length} code chunks in ${failedFiles} files could not be embedded and are missing from the index.`, TOAST_TYPES.WARNING, 8000);
+      }
     } catch (error) {
       console.error('Error processing repository:', error);
       setError(error.message);
     } finally {
       setIsProcessing(false);
+      setActiveJobId(null);
+      setJobProgress(null);
     }
   };
   
@@ -132,7 +213,12 @@ export default function Home() {
         )}
         
         {!repository ? (
-          <RepositoryInput onSubmit={handleProcessRepository} isLoading={isProcessing} />
+          <RepositoryInput 
+            onSubmit={handleProcessRepository} 
+            isLoading={isProcessing}
+            jobProgress={jobProgress}
+            onCancel={activeJobId ? handleCancelProcessing : null}
+          />
         ) : (
           <div>
             <div className="bg-[#FFF4DA] border-4 border-black shadow-[8px_8px_0px_0px_black] rounded-lg p-6 mb-6">
@@ -149,12 +235,19 @@ export default function Home() {
                   <p className="text-gray-600">by {repository.owner.name}</p>
                 </div>
                 <div className="ml-auto flex items-center">
+                  {repository.ref && (
+                    <span className="bg-gray-200 rounded-full px-3 py-1 text-sm font-mono text-gray-700 mr-2" title={repository.ref}>
+                      {formatRef(repository.ref)}
+                    </span>
+                  )}
                   <span className="bg-gray-200 rounded-full px-3 py-1 text-sm font-semibold text-gray-700 mr-2">
                     {repository.language || 'Multiple Languages'}
                   </span>
-                  <span className="text-gray-600 text-sm">
-                    ⭐ {repository.stars}
-                  </span>
+                  {repository.stars !== null && (
+                    <span className="text-gray-600 text-sm">
+                      ⭐ {repository.stars}
+                    </span>
+                  )}
                 </div>
                 <button
                   className="btn btn-secondary ml-5 bg-[#FFC480] border-4 h-full border-black shadow-[8px_8px_0px_0px_black] rounded-lg"
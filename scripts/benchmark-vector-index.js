@@ -0,0 +1,147 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Compares the HNSW index in lib/vectorStores/hnsw.js with the brute-force
+ * cosine scan used for small collections.
+ *
+ * Usage: node scripts/benchmark-vector-index.js [--items 10000] [--queries 200]
+ *          [--dim 384] [--k 10] [--m 16] [--ef-construction 100] [--ef-search 16,32,64,128]
+ */
+
+
+function parseArgs(argv) {
+  const options = {
+    items: 10000,
+    queries: 200,
+    dim: 384,
+    k: 10,
+    m: 16,
+    efConstruction: 100,
+    efSearch: [16, 32, 64, 128],
+  };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '').replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    const value = argv[i + 1];
+
+    if (!(key in options) || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+
+    options[key] = key === 'efSearch' ? value.split(',').map(Number) : Number(value);
+  }
+
+  return options;
+}
+
+
+// Embeddings of real code cluster by topic, so sample around random centres rather than uniformly
+function generateVectors(count, dim, clusters = 50) {
+  const centres = Array.from({ length: clusters }, () =>
+    Array.from({ length: dim }, () => Math.random() * 2 - 1)
+  );
+
+  return Array.from({ length: count }, () => {
+    const centre = centres[Math.floor(Math.random() * clusters)];
+    return centre.map(value => value + (Math.random() * 2 - 1) * 0.6);
+  });
+}
+
+
+// Same ranking as rankItems in lib/vectorStores/memory.js
+function bruteForceSearch(vectors, query, k) {
+  const scored = vectors.map((vector, index) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < vector.length; i++) {
+      dot += vector[i] * query[i];
+      normA += vector[i] * vector[i];
+      normB += query[i] * query[i];
+    }
+
+    return { index, distance: 1 - dot / (Math.sqrt(normA) * Math.sqrt(normB)) };
+  });
+
+  scored.sort((a, b) => a.distance - b.distance);
+  return scored.slice(0, k).map(result => result.index);
+}
+
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+
+function timeQueries(queries, search) {
+  const latencies = [];
+  const results = [];
+
+  for (const query of queries) {
+    const start = process.hrtime.bigint();
+    results.push(search(query));
+    latencies.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  return {
+    results,
+    mean: latencies.reduce((sum, value) => sum + value, 0) / latencies.length,
+    p95: percentile(latencies, 0.95),
+  };
+}
+
+
+async function runBenchmark() {
+  const options = parseArgs(process.argv.slice(2));
+  const { HnswIndex } = await import(pathToFileURL(path.join(__dirname, '..', 'lib', 'vectorStores', 'hnsw.js')).href);
+
+  console.log(`Generating ${options.items} vectors (dim ${options.dim}) and ${options.queries} queries...`);
+  const vectors = generateVectors(options.items, options.dim);
+  const queries = generateVectors(options.queries, options.dim);
+
+  console.log(`Building HNSW index (m=${options.m}, efConstruction=${options.efConstruction})...`);
+  const buildStart = Date.now();
+  const index = new HnswIndex({ m: options.m, efConstruction: options.efConstruction });
+  vectors.forEach((vector, i) => index.add(String(i), vector, i));
+  console.log(`Build time: ${((Date.now() - buildStart) / 1000).toFixed(1)}s`);
+
+  const exact = timeQueries(queries, query => bruteForceSearch(vectors, query, options.k));
+
+  const rows = [{
+    method: 'brute force',
+    recall: '1.000',
+    meanMs: exact.mean.toFixed(2),
+    p95Ms: exact.p95.toFixed(2),
+  }];
+
+  for (const ef of options.efSearch) {
+    const approximate = timeQueries(queries, query =>
+      index.search(query, options.k, { ef }).map(result => result.payload)
+    );
+
+    let hits = 0;
+    approximate.results.forEach((result, i) => {
+      const truth = new Set(exact.results[i]);
+      hits += result.filter(index => truth.has(index)).length;
+    });
+
+    rows.push({
+      method: `hnsw ef=${ef}`,
+      recall: (hits / (options.queries * options.k)).toFixed(3),
+      meanMs: approximate.mean.toFixed(2),
+      p95Ms: approximate.p95.toFixed(2),
+    });
+  }
+
+  console.log(`\nRecall@${options.k} and query latency over ${options.queries} queries:`);
+  console.table(rows);
+}
+
+
+runBenchmark().catch(error => {
+  console.error('Benchmark failed:', error);
+  process.exit(1);
+});
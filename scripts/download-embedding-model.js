@@ -0,0 +1,53 @@
+const path = require('path');
+
+/**
+ * Fetches the local embedding model ahead of time, so air-gapped deployments
+ * and CI can run with EMBEDDING_PROVIDER=local and LOCAL_MODEL_DIR pointing at
+ * the output directory.
+ *
+ * Usage: node scripts/download-embedding-model.js [--model Xenova/all-MiniLM-L6-v2] [--dir models]
+ */
+
+
+function parseArgs(argv) {
+  const options = {
+    model: process.env.LOCAL_EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2',
+    dir: process.env.LOCAL_MODEL_DIR || 'models',
+  };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+
+    if (!(key in options) || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+
+    options[key] = value;
+  }
+
+  return options;
+}
+
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const dir = path.resolve(options.dir);
+  const { pipeline, env } = await import('@huggingface/transformers');
+
+  // The cache keeps models under <dir>/<model id>, the layout LOCAL_MODEL_DIR expects
+  env.cacheDir = dir;
+
+  console.log(`Downloading ${options.model} into ${dir}...`);
+  const extractor = await pipeline('feature-extraction', options.model);
+
+  const output = await extractor('function hello() {}', { pooling: 'mean', normalize: true });
+  console.log(`Model ready, embedding dimension ${output.dims[output.dims.length - 1]}`);
+  console.log(`Run with EMBEDDING_PROVIDER=local LOCAL_MODEL_DIR=${dir}`);
+}
+
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
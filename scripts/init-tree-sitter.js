@@ -1,6 +1,5 @@
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
 
 const WASM_DIR = path.join(process.cwd(), 'public', 'tree-sitter-wasm');
 
@@ -11,66 +10,67 @@ if (!fs.existsSync(WASM_DIR)) {
 }
 
 
-function downloadFile(url, dest) {
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(dest);
-    https.get(url, (response) => {
-      if (response.statusCode === 200) {
-        response.pipe(file);
-        file.on('finish', () => {
-          file.close();
-          resolve();
-        });
-      } else {
-        file.close();
-        fs.unlink(dest, () => {});
-        console.error(`Failed to download ${url}: Status code ${response.statusCode}`);
-        resolve(); 
-      }
-    }).on('error', (err) => {
-      fs.unlink(dest, () => {});
-      console.error(`Error downloading ${url}:`, err.message);
-      resolve(); 
-    });
-  });
+// Prebuilt grammars come from the tree-sitter-wasms package, which is built
+// with the same tree-sitter version as web-tree-sitter
+function resolvePackageFile(packageName, file) {
+  try {
+    return path.join(path.dirname(require.resolve(`${packageName}/package.json`)), file);
+  } catch (error) {
+    return null;
+  }
+}
+
+
+function copyWasm(source, dest) {
+  if (!source || !fs.existsSync(source)) {
+    return false;
+  }
+
+  fs.copyFileSync(source, dest);
+  return true;
 }
 
 
 const LANGUAGES = [
   { name: 'javascript' },
   { name: 'typescript' },
+  { name: 'tsx' },
   { name: 'python' },
   { name: 'java' },
   { name: 'go' },
   { name: 'cpp' },
   { name: 'c' },
-  { name: 'rust' }
+  { name: 'rust' },
+  { name: 'php' },
+  { name: 'c_sharp' },
+  { name: 'kotlin' },
+  { name: 'swift' }
 ];
 
 
-async function setupTreeSitter() {
+function setupTreeSitter() {
   try {
     console.log('Setting up Tree-sitter WASM files...');
     
+    const missing = [];
     
     const mainWasmPath = path.join(WASM_DIR, 'tree-sitter.wasm');
-    if (!fs.existsSync(mainWasmPath)) {
-      console.log('Creating placeholder for tree-sitter.wasm');
-      fs.writeFileSync(mainWasmPath, '');
+    if (!copyWasm(resolvePackageFile('web-tree-sitter', 'tree-sitter.wasm'), mainWasmPath)) {
+      missing.push('tree-sitter');
     }
     
-    
     for (const lang of LANGUAGES) {
       const langWasmPath = path.join(WASM_DIR, `tree-sitter-${lang.name}.wasm`);
-      if (!fs.existsSync(langWasmPath)) {
-        console.log(`Creating placeholder for tree-sitter-${lang.name}.wasm`);
-        fs.writeFileSync(langWasmPath, '');
+      if (!copyWasm(resolvePackageFile('tree-sitter-wasms', `out/tree-sitter-${lang.name}.wasm`), langWasmPath)) {
+        missing.push(lang.name);
       }
     }
     
     console.log('Tree-sitter setup completed.');
-    console.log('NOTE: These are placeholder files. The application will fall back to regex-based parsing.');
     
+    if (missing.length > 0) {
+      console.log(`NOTE: No WASM file found for: ${missing.join(', ')}. These languages will fall back to regex-based parsing.`);
+    }
   } catch (error) {
     console.error('Error during Tree-sitter setup:', error);
     console.log('The application will fall back to regex-based parsing.');